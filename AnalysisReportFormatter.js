@@ -0,0 +1,1403 @@
+/**
+ * AnalysisReportFormatter - Renders analysis results as reports
+ *
+ * Produces the profit analysis report and the pricing strategy summary from
+ * ProfitPlanCalculator, PricingAdjustmentCalculator and bucket assignment
+ * results, as plain text, Markdown or a self-contained printable HTML
+ * document, plus ScenarioComparator comparisons. Shared by the HTML page
+ * and the command-line tool so both report the same figures.
+ *
+ * @class AnalysisReportFormatter
+ * @version 1.2.0
+ * @author Concrete Analyzer Team
+ */
+class AnalysisReportFormatter {
+    constructor() {
+        /** @type {Array<string>} Keys whose values change on every run (timestamps, timings) */
+        this.volatileKeys = ['calculatedAt', 'generatedAt', 'createdAt', 'lastModified', 'timestamp', 'calculationTime'];
+    }
+
+    /**
+     * Format the profit analysis report as plain text
+     *
+     * @param {Object} analysis - Analysis figures
+     * @param {Array<string>} analysis.selectedMonths - Months in the historical period
+     * @param {Object} analysis.historical - ProfitPlanCalculator.summarizeHistoricalPeriod result
+     * @param {Object} analysis.projection - ProfitPlanCalculator.calculateProjections result
+     * @returns {string} Report text
+     *
+     * @example
+     * const text = formatter.formatText({ selectedMonths, historical, projection });
+     */
+    formatText(analysis) {
+        const { selectedMonths, historical, projection } = analysis;
+        const volumeToUse = projection.volume;
+        const profitGoal = projection.profitGoal;
+
+        return `📊 CONCRETE PROFIT ANALYSIS REPORT\n\n` +
+            `📅 Analysis Period: ${selectedMonths.join(', ')}\n\n` +
+
+            `📈 HISTORICAL PERFORMANCE:\n` +
+            `• Historical Volume: ${historical.volume.toLocaleString()} yards³\n` +
+            `• Historical Revenue: $${historical.revenue.toLocaleString()}\n` +
+            `• Historical Costs: $${historical.costs.toLocaleString()}\n` +
+            `• Historical Profit: $${historical.profit.toLocaleString()}\n` +
+            `• Historical Margin: ${((historical.profit / historical.revenue) * 100).toFixed(1)}%\n\n` +
+
+            `🎯 FUTURE PROJECTIONS:\n` +
+            `• Projected Volume: ${volumeToUse.toLocaleString()} yards³ (${volumeToUse === historical.volume ? 'same as historical' : (volumeToUse > historical.volume ? '+' : '') + (volumeToUse - historical.volume).toLocaleString() + ' vs historical'})\n` +
+            `• Profit Goal: $${profitGoal.toLocaleString()}\n\n` +
+
+            `💰 MIXED COST BASIS PROJECTIONS:\n` +
+            `• Manufacturing: $${projection.manufacturingPerYard.toFixed(2)}/yard (Total: $${projection.manufacturingTotal.toLocaleString()})\n` +
+            `• Labor: $${projection.labor.toLocaleString()} total (Per yard: $${projection.laborPerYard.toFixed(2)})\n` +
+            `• Fixed: $${projection.fixed.toLocaleString()} total (Per yard: $${projection.fixedPerYard.toFixed(2)})\n` +
+            `• Total Projected Costs: $${projection.totalProjectedCosts.toLocaleString()}\n\n` +
+
+            `📊 PROJECTED RESULTS:\n` +
+            `• Projected Revenue: $${projection.projectedRevenue.toLocaleString()}\n` +
+            `• Projected Profit: $${projection.projectedProfit.toLocaleString()}\n` +
+            `• Projected Margin: ${projection.projectedMargin.toFixed(1)}%\n` +
+            `• Goal Achievement: ${profitGoal > 0 ? ((projection.projectedProfit / profitGoal) * 100).toFixed(1) + '%' : 'No goal set'}\n\n` +
+
+            `🔍 KEY INSIGHTS:\n` +
+            `• Manufacturing costs are calculated per-yard for pricing\n` +
+            `• Labor and Fixed costs are budgeted as lump sums\n` +
+            `• Projected volume: ${volumeToUse.toLocaleString()} yards³\n` +
+            `• This mixed approach aligns with concrete industry practices`;
+    }
+
+    /**
+     * Build the structured report shared by the Markdown and HTML outputs
+     *
+     * @param {Object} analysis - Analysis figures
+     * @param {Array<string>} analysis.selectedMonths - Months in the historical period
+     * @param {Object} analysis.historical - ProfitPlanCalculator.summarizeHistoricalPeriod result
+     * @param {Object} analysis.costBasis - ProfitPlanCalculator.getHistoricalCostBasis result
+     * @param {Object} analysis.projection - ProfitPlanCalculator.calculateProjections result
+     * @param {Object} analysis.pricingImpact - Revenue impact of bucket adjustments (optional)
+     * @param {Object} analysis.adjustmentImpact - PricingAdjustmentCalculator.calculateAdjustmentImpact result (optional)
+     * @param {Array<Object>} analysis.overlapResolutions - Resolved overlaps (optional)
+     * @param {Object} analysis.comparison - ScenarioComparator comparison (optional)
+     * @param {Object} analysis.manufacturingCost - ManufacturingCostBuilder.build result (optional)
+     * @param {Object} analysis.volumeForecast - VolumeForecaster.forecast result (optional)
+     * @param {Object} analysis.demandEstimates - Bucket name → ElasticityEstimator estimate (optional)
+     * @param {string} analysis.generatedAt - Report date shown in the header (optional)
+     * @returns {Object} Report sections
+     *
+     * @example
+     * const report = formatter.buildReport({ selectedMonths, historical, costBasis, projection });
+     * console.log(report.costComparison.length); // 4 rows
+     */
+    buildReport(analysis) {
+        const { selectedMonths, historical, costBasis, projection } = analysis;
+        const historicalVolume = historical.volume;
+        const perYard = (total, volume) => volume > 0 ? total / volume : 0;
+
+        const goal = {
+            profitGoal: projection.profitGoal,
+            projectedProfit: projection.projectedProfit,
+            profitGap: projection.profitGap,
+            achievement: projection.goalAchievement,
+            adjustedProfit: null,
+            adjustedAchievement: null,
+            revenueImpact: null
+        };
+
+        if (analysis.pricingImpact) {
+            goal.revenueImpact = analysis.pricingImpact.revenueImpact;
+            goal.adjustedProfit = analysis.pricingImpact.newProjectedProfit;
+            goal.adjustedAchievement = projection.profitGoal > 0
+                ? analysis.pricingImpact.newProjectedProfit / projection.profitGoal * 100
+                : null;
+        }
+
+        const adjustmentImpact = analysis.adjustmentImpact;
+        const bucketAdjustments = adjustmentImpact
+            ? Array.from(adjustmentImpact.bucketImpacts.values()).map(impact => ({
+                bucketName: impact.bucketName,
+                customerCount: impact.customerCount,
+                adjustment: impact.originalAdjustment,
+                adjustmentType: impact.adjustmentType,
+                currentPrice: impact.currentPrice,
+                newPrice: impact.newPrice,
+                costPerYard: impact.costPerYard,
+                revenueChange: impact.revenueChange,
+                profitChange: impact.profitChange,
+                volumeChangePercent: impact.volumeChangePercent,
+                churnRisk: impact.churnRisk,
+                riskLevel: impact.riskLevel,
+                riskFactors: impact.riskFactors,
+                demandModel: impact.demandModel || null
+            }))
+            : [];
+
+        return {
+            title: 'Concrete Profit Analysis Report',
+            generatedAt: analysis.generatedAt || null,
+            period: [...selectedMonths],
+            historical: {
+                volume: historical.volume,
+                revenue: historical.revenue,
+                costs: historical.costs,
+                profit: historical.profit,
+                margin: historical.margin
+            },
+            projectionSummary: {
+                volume: projection.volume,
+                volumeChange: projection.volume - historicalVolume,
+                revenue: projection.projectedRevenue,
+                profit: projection.projectedProfit,
+                margin: projection.projectedMargin
+            },
+            costComparison: [
+                {
+                    category: 'Manufacturing',
+                    basis: 'per yard',
+                    previousTotal: costBasis.manufacturingTotal,
+                    previousPerYard: costBasis.manufacturingPerYard,
+                    futureTotal: projection.manufacturingTotal,
+                    futurePerYard: projection.manufacturingPerYard
+                },
+                {
+                    category: 'Labor',
+                    basis: 'lump sum',
+                    previousTotal: costBasis.laborTotal,
+                    previousPerYard: perYard(costBasis.laborTotal, historicalVolume),
+                    futureTotal: projection.labor,
+                    futurePerYard: projection.laborPerYard
+                },
+                {
+                    category: 'Fixed',
+                    basis: 'lump sum',
+                    previousTotal: costBasis.fixedTotal,
+                    previousPerYard: perYard(costBasis.fixedTotal, historicalVolume),
+                    futureTotal: projection.fixed,
+                    futurePerYard: projection.fixedPerYard
+                },
+                {
+                    category: 'Total',
+                    basis: '',
+                    previousTotal: costBasis.totalCosts,
+                    previousPerYard: perYard(costBasis.totalCosts, historicalVolume),
+                    futureTotal: projection.totalProjectedCosts,
+                    futurePerYard: perYard(projection.totalProjectedCosts, projection.volume)
+                }
+            ],
+            goal,
+            bucketAdjustments,
+            riskAssessment: adjustmentImpact ? adjustmentImpact.riskAssessment : null,
+            riskRecommendations: adjustmentImpact ? adjustmentImpact.recommendations : [],
+            demandAssumptions: this.getDemandAssumptions(bucketAdjustments, analysis.demandEstimates),
+            overlapResolutions: (analysis.overlapResolutions || []).map(resolution => ({
+                customerName: resolution.customerName,
+                selectedBucketName: resolution.selectedBucketName,
+                strategy: resolution.strategy,
+                reasoning: resolution.reasoning || '',
+                eligibleBuckets: resolution.eligibleBuckets.map(bucket => ({
+                    bucketName: bucket.bucketName,
+                    matchScore: bucket.matchScore
+                }))
+            })),
+            volumeForecast: analysis.volumeForecast ? this.buildVolumeForecastTable(analysis.volumeForecast, projection) : null,
+            manufacturingCost: analysis.manufacturingCost ? this.buildManufacturingCostTables(analysis.manufacturingCost) : null,
+            customerExceptions: adjustmentImpact ? this.buildCustomerExceptionTable(adjustmentImpact) : null,
+            rollout: analysis.rollout ? this.buildRolloutTables(analysis.rollout) : null,
+            riskSimulation: analysis.riskSimulation ? this.buildRiskSimulationTables(analysis.riskSimulation) : null,
+            comparison: analysis.comparison ? this.buildComparisonTable(analysis.comparison) : null
+        };
+    }
+
+    /**
+     * Format the full report as Markdown
+     *
+     * @param {Object} analysis - Analysis figures (see buildReport)
+     * @returns {string} Markdown document
+     */
+    formatMarkdown(analysis) {
+        const report = this.buildReport(analysis);
+        const cell = value => this.escapeMarkdown(value);
+        const table = (headers, rows) => [
+            `| ${headers.join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+        ].join('\n');
+
+        const sections = [
+            `# ${report.title}`,
+            [
+                `**Analysis Period:** ${cell(report.period.join(', '))}`,
+                report.generatedAt ? `**Generated:** ${cell(report.generatedAt)}` : null
+            ].filter(Boolean).join('  \n'),
+            '## Historical Performance',
+            table(['Metric', 'Value'], this.getHistoricalRows(report)),
+            '## Cost Projections',
+            table(
+                ['Cost', 'Basis', 'Previous Total', 'Previous $/yd', 'Future Total', 'Future $/yd'],
+                this.getCostRows(report)
+            ),
+            '## Goal Achievement',
+            table(['Metric', 'Value'], this.getGoalRows(report))
+        ];
+
+        if (report.volumeForecast) {
+            const forecast = report.volumeForecast;
+            sections.splice(sections.indexOf('## Cost Projections'), 0,
+                '## Volume Forecast',
+                cell(forecast.summary),
+                table(forecast.headers, forecast.rows),
+                cell(forecast.backtest));
+        }
+
+        if (report.manufacturingCost) {
+            const build = report.manufacturingCost;
+            sections.splice(sections.length - 2, 0,
+                '## Manufacturing Cost Build-Up',
+                `**Projected:** ${cell(build.summary)}`,
+                table(build.mixes.headers, build.mixes.rows),
+                table(build.materials.headers, build.materials.rows));
+        }
+
+        if (report.rollout) {
+            const rollout = report.rollout;
+            sections.push('## Phased Price Rollout',
+                cell(rollout.summary),
+                table(rollout.phases.headers, rollout.phases.rows),
+                table(rollout.months.headers, rollout.months.rows));
+            if (rollout.warnings.length > 0) {
+                sections.push(rollout.warnings.map(item => `- ${cell(item)}`).join('\n'));
+            }
+        }
+
+        if (report.riskSimulation) {
+            const risk = report.riskSimulation;
+            sections.push('## Profit Risk Simulation',
+                cell(risk.summary),
+                table(risk.distribution.headers, risk.distribution.rows),
+                table(risk.tornado.headers, risk.tornado.rows));
+        }
+
+        sections.push('## Bucket Pricing Adjustments');
+        if (report.bucketAdjustments.length === 0) {
+            sections.push('_No customer buckets with assigned customers._');
+        } else {
+            sections.push(table(
+                ['Bucket', 'Customers', 'Adjustment', 'Price', 'Cost/yd', 'Revenue Change', 'Profit Change', 'Churn Risk', 'Risk'],
+                this.getBucketRows(report)
+            ));
+            if (report.riskAssessment) {
+                sections.push(`**Overall Risk:** ${cell(report.riskAssessment.level)} ` +
+                    `(average churn risk ${this.formatPercent(report.riskAssessment.averageChurnRisk * 100)}, ` +
+                    `largest price change ${this.formatPercent(report.riskAssessment.maxPriceIncrease)})`);
+            }
+            sections.push(report.riskRecommendations.map(item => `- ${cell(item)}`).join('\n'));
+            sections.push('**Demand Assumptions:**\n' +
+                report.demandAssumptions.map(item => `- ${cell(item.bucketName)}: ${cell(item.text)}`).join('\n'));
+        }
+
+        if (report.customerExceptions) {
+            const exceptions = report.customerExceptions;
+            sections.push('## Customer Price Exceptions', cell(exceptions.summary), table(exceptions.headers, exceptions.rows));
+        }
+
+        sections.push('## Overlap Resolutions');
+        if (report.overlapResolutions.length === 0) {
+            sections.push('_No overlapping customers were resolved._');
+        } else {
+            sections.push(table(['Customer', 'Assigned Bucket', 'Eligible Buckets', 'Resolution', 'Reasoning'], this.getOverlapRows(report)));
+        }
+
+        if (report.comparison) {
+            sections.push('## Scenario Comparison', table(report.comparison.headers, report.comparison.rows));
+        }
+
+        return sections.join('\n\n') + '\n';
+    }
+
+    /**
+     * Format the full report as a self-contained HTML document
+     *
+     * The document has no external assets and includes a print stylesheet,
+     * so it can be saved, emailed or printed to PDF from any browser.
+     *
+     * @param {Object} analysis - Analysis figures (see buildReport)
+     * @returns {string} HTML document
+     */
+    formatHTML(analysis) {
+        const report = this.buildReport(analysis);
+        const escape = value => this.escapeHtml(value);
+        const table = (headers, rows, className = '') => `<table${className ? ` class="${className}"` : ''}>
+<thead><tr>${headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(value => `<td>${escape(value)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+        const body = [
+            `<header>
+<h1>${escape(report.title)}</h1>
+<p><strong>Analysis Period:</strong> ${escape(report.period.join(', '))}</p>
+${report.generatedAt ? `<p><strong>Generated:</strong> ${escape(report.generatedAt)}</p>` : ''}
+</header>`,
+            `<section>
+<h2>Historical Performance</h2>
+${table(['Metric', 'Value'], this.getHistoricalRows(report), 'metrics')}
+</section>`,
+            `<section>
+<h2>Cost Projections</h2>
+${table(['Cost', 'Basis', 'Previous Total', 'Previous $/yd', 'Future Total', 'Future $/yd'], this.getCostRows(report), 'numeric')}
+</section>`,
+            `<section>
+<h2>Goal Achievement</h2>
+${table(['Metric', 'Value'], this.getGoalRows(report), 'metrics')}
+</section>`
+        ];
+
+        if (report.volumeForecast) {
+            const forecast = report.volumeForecast;
+            body.splice(body.length - 2, 0, `<section>
+<h2>Volume Forecast</h2>
+<p>${escape(forecast.summary)}</p>
+${table(forecast.headers, forecast.rows, 'numeric')}
+<p>${escape(forecast.backtest)}</p>
+</section>`);
+        }
+
+        if (report.manufacturingCost) {
+            const build = report.manufacturingCost;
+            body.splice(body.length - 1, 0, `<section>
+<h2>Manufacturing Cost Build-Up</h2>
+<p><strong>Projected:</strong> ${escape(build.summary)}</p>
+${table(build.mixes.headers, build.mixes.rows, 'numeric')}
+${table(build.materials.headers, build.materials.rows, 'numeric')}
+</section>`);
+        }
+
+        if (report.rollout) {
+            const rollout = report.rollout;
+            body.push(`<section>
+<h2>Phased Price Rollout</h2>
+<p>${escape(rollout.summary)}</p>
+${table(rollout.phases.headers, rollout.phases.rows)}
+${table(rollout.months.headers, rollout.months.rows, 'numeric')}
+${rollout.warnings.length > 0 ? `<ul>
+${rollout.warnings.map(item => `<li>${escape(item)}</li>`).join('\n')}
+</ul>` : ''}
+</section>`);
+        }
+
+        if (report.riskSimulation) {
+            const risk = report.riskSimulation;
+            body.push(`<section>
+<h2>Profit Risk Simulation</h2>
+<p>${escape(risk.summary)}</p>
+${table(risk.distribution.headers, risk.distribution.rows, 'numeric')}
+${table(risk.tornado.headers, risk.tornado.rows, 'numeric')}
+</section>`);
+        }
+
+        if (report.bucketAdjustments.length === 0) {
+            body.push(`<section>
+<h2>Bucket Pricing Adjustments</h2>
+<p class="empty">No customer buckets with assigned customers.</p>
+</section>`);
+        } else {
+            const risk = report.riskAssessment;
+            body.push(`<section>
+<h2>Bucket Pricing Adjustments</h2>
+${table(['Bucket', 'Customers', 'Adjustment', 'Price', 'Cost/yd', 'Revenue Change', 'Profit Change', 'Churn Risk', 'Risk'], this.getBucketRows(report), 'numeric')}
+${risk ? `<p class="risk risk-${escape(risk.level)}"><strong>Overall Risk:</strong> ${escape(risk.level)} (average churn risk ${escape(this.formatPercent(risk.averageChurnRisk * 100))}, largest price change ${escape(this.formatPercent(risk.maxPriceIncrease))})</p>` : ''}
+<ul>
+${report.riskRecommendations.map(item => `<li>${escape(item)}</li>`).join('\n')}
+</ul>
+<h3>Demand Assumptions</h3>
+<ul>
+${report.demandAssumptions.map(item => `<li><strong>${escape(item.bucketName)}:</strong> ${escape(item.text)}</li>`).join('\n')}
+</ul>
+</section>`);
+        }
+
+        if (report.customerExceptions) {
+            const exceptions = report.customerExceptions;
+            body.push(`<section>
+<h2>Customer Price Exceptions</h2>
+<p>${escape(exceptions.summary)}</p>
+${table(exceptions.headers, exceptions.rows, 'numeric')}
+</section>`);
+        }
+
+        body.push(`<section>
+<h2>Overlap Resolutions</h2>
+${report.overlapResolutions.length === 0
+        ? '<p class="empty">No overlapping customers were resolved.</p>'
+        : table(['Customer', 'Assigned Bucket', 'Eligible Buckets', 'Resolution', 'Reasoning'], this.getOverlapRows(report))}
+</section>`);
+
+        if (report.comparison) {
+            body.push(`<section>
+<h2>Scenario Comparison</h2>
+${table(report.comparison.headers, report.comparison.rows, 'numeric')}
+</section>`);
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escape(report.title)} - ${escape(report.period.join(', '))}</title>
+<style>
+${this.getReportStylesheet()}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Describe a bucket's demand model in one line
+     *
+     * @param {Object} model - Resolved demand model from a bucket impact (demandModel field)
+     * @returns {string} e.g. "elasticity -0.3; churn 0.4 × increase (max 25.0%); default model"
+     */
+    formatDemandModel(model) {
+        if (!model) return 'no demand model';
+
+        const elasticity = typeof model.elasticity === 'number'
+            ? `elasticity ${model.elasticity}`
+            : `elasticity ${model.elasticity.steps.map((step, index, steps) => {
+                const from = index === 0 ? 0 : steps[index - 1].upTo;
+                return typeof step.upTo === 'number'
+                    ? `${step.elasticity} for ${from}-${step.upTo}%`
+                    : `${step.elasticity} above ${from}%`;
+            }).join(', ')}`;
+        const churn = model.churn.type === 'linear'
+            ? `churn ${model.churn.rate} × increase (max ${this.formatPercent(model.churn.max * 100)})`
+            : `churn ${model.churn.steps.map(step => `${this.formatPercent(step.churn * 100)} from +${step.threshold}%`).join(', ')}`;
+        const source = model.source === 'default'
+            ? 'default model'
+            : model.source && model.source.startsWith('segment:')
+                ? `segment "${model.source.slice('segment:'.length)}"`
+                : 'bucket model';
+
+        return [elasticity, churn, model.description ? `${source}, ${model.description}` : source].join('; ');
+    }
+
+    /**
+     * Format each bucket's demand assumptions as plain text
+     *
+     * @param {Object} adjustmentImpact - PricingAdjustmentCalculator.calculateAdjustmentImpact result
+     * @param {Object} demandEstimates - Bucket name → ElasticityEstimator estimate (optional)
+     * @returns {string} Demand assumptions text
+     */
+    formatDemandModelsText(adjustmentImpact, demandEstimates = {}) {
+        const impacts = adjustmentImpact ? Array.from(adjustmentImpact.bucketImpacts.values()) : [];
+        const lines = this.getDemandAssumptions(
+            impacts.map(impact => ({ bucketName: impact.bucketName, demandModel: impact.demandModel })),
+            demandEstimates
+        );
+
+        return `📉 DEMAND ASSUMPTIONS:\n` + (lines.length > 0
+            ? lines.map(line => `• ${line.bucketName}: ${line.text}`).join('\n')
+            : '• No customer buckets with assigned customers');
+    }
+
+    /**
+     * Format an assignment optimization report as plain text
+     *
+     * @param {Object} optimization - OverlapResolutionEngine.optimizeAssignments result (decisions optional)
+     * @returns {string} Optimization text
+     */
+    formatAssignmentOptimizationText(optimization) {
+        const lines = [`⚖️ BALANCED BUCKET ASSIGNMENT (${this.formatStrategy(optimization.objectiveType)}):`];
+
+        lines.push(optimization.feasible
+            ? `• Objective: ${this.formatNumber(optimization.objective)}` +
+                (optimization.gapPercent !== null ? ` (within ${optimization.gapPercent.toFixed(2)}% of the best possible ${this.formatNumber(optimization.upperBound)})` : '')
+            : `• INFEASIBLE: the bucket limits cannot all be met; best effort objective ${this.formatNumber(optimization.objective)}`);
+
+        optimization.buckets.forEach(bucket => {
+            lines.push(`  - ${bucket.bucketName}: ${bucket.customers} customers, ${this.formatNumber(bucket.volume)} yd³ (${this.formatPercent(bucket.volumeShare)} of volume)`);
+        });
+
+        optimization.violations.forEach(violation => {
+            lines.push(`• Violated: ${violation.constraint} on ${violation.bucketId} (limit ${violation.limit}, actual ${violation.actual})`);
+        });
+
+        if (optimization.bindingConstraints.length === 0) {
+            lines.push('• No limit moved a customer out of its best bucket');
+        }
+        optimization.bindingConstraints.forEach(constraint => {
+            lines.push(`• Binding: ${constraint.detail} — ${constraint.displacedCustomers.length} customer(s) moved, objective cost ${this.formatNumber(constraint.objectiveCost)}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a learned match weight proposal as plain text
+     *
+     * @param {Object} proposal - OverlapResolutionEngine.proposeWeightUpdate result
+     * @returns {string} Proposal text
+     */
+    formatWeightProposalText(proposal) {
+        const lines = [`🎚️ PROPOSED MATCH WEIGHTS (${proposal.decisions} manual decisions, ${proposal.overrides} overrides):`];
+
+        if (!proposal.usable) {
+            lines.push(`• No proposal: ${proposal.reason}`);
+            return lines.join('\n');
+        }
+
+        Object.keys(proposal.proposedWeights).forEach(dimension => {
+            const change = proposal.weightChanges[dimension];
+            lines.push(`  - ${dimension}: ${proposal.currentWeights[dimension].toFixed(3)} → ${proposal.proposedWeights[dimension].toFixed(3)} (${change >= 0 ? '+' : ''}${change.toFixed(3)})`);
+        });
+        Object.entries(proposal.proposedBiases).forEach(([bucketName, bias]) => {
+            const current = proposal.currentBiases[bucketName] || 0;
+            if (bias !== current) {
+                lines.push(`  - ${bucketName} bias: ${current.toFixed(3)} → ${bias.toFixed(3)}`);
+            }
+        });
+        lines.push(
+            `• Agreement with past decisions: ${this.formatPercent(proposal.agreement.current)} now, ${this.formatPercent(proposal.agreement.proposed)} with the proposal`,
+            '• Not applied: copy the weights into overlapWeights (and the biases into bucketBiases) to approve'
+        );
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format clustering-based bucket suggestions as plain text
+     *
+     * @param {Object} discovery - CustomerBucketManager.suggestBuckets result
+     * @returns {string} Suggestions text
+     */
+    formatBucketSuggestionsText(discovery) {
+        const lines = [`🧭 SUGGESTED BUCKETS (${discovery.k} from ${discovery.customerCount} customers, silhouette ${discovery.silhouette.toFixed(2)}):`];
+
+        discovery.suggestions.forEach(suggestion => {
+            const stats = suggestion.stats;
+            lines.push(
+                `• ${suggestion.name}: ${this.describeRanges(suggestion.criteria)}`,
+                `  - ${stats.customerCount} customers, ${stats.totalVolume.toLocaleString()} yards (${this.formatPercent(stats.volumeShare)} of volume, ${this.formatPercent(stats.revenueShare)} of revenue), ` +
+                `$${stats.averagePrice.toFixed(2)}/yd, ${this.formatPercent(stats.averageMargin)} margin`
+            );
+        });
+        lines.push('• Not created: copy the names and criteria into buckets to use them');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format pricing recommendations as plain text
+     *
+     * @param {Object} recommendations - PricingAdjustmentCalculator.generatePricingRecommendations result
+     * @param {Array<Object>} buckets - Buckets used for the recommendations (for names)
+     * @returns {string} Recommendations text
+     */
+    formatRecommendationsText(recommendations, buckets = []) {
+        if (!recommendations) {
+            return `💡 PRICING RECOMMENDATIONS:\n• No customer buckets with assigned customers`;
+        }
+
+        const bucketNames = new Map(buckets.map(bucket => [bucket.bucketId, bucket.bucketName]));
+        const primary = recommendations.primaryRecommendation;
+        const lines = [
+            `💡 PRICING RECOMMENDATIONS:`,
+            `• Profit Gap: ${this.formatCurrency(recommendations.profitGap)}`
+        ];
+
+        if (!primary) {
+            lines.push('• No strategy within the accepted risk level');
+            return lines.join('\n');
+        }
+
+        lines.push(
+            `• Recommended Strategy: ${primary.name} (${primary.riskLevel} risk)`,
+            `• ${primary.description}`
+        );
+
+        if (primary.adjustments instanceof Map) {
+            for (const [bucketId, adjustment] of primary.adjustments) {
+                const amount = adjustment.adjustmentType === 'percentage'
+                    ? `${adjustment.adjustment >= 0 ? '+' : ''}${adjustment.adjustment.toFixed(1)}%`
+                    : `${adjustment.adjustment >= 0 ? '+' : '-'}$${Math.abs(adjustment.adjustment).toFixed(2)}/yard`;
+                lines.push(`  - ${bucketNames.get(bucketId) || bucketId}: ${amount}`);
+            }
+        }
+
+        recommendations.implementationNotes.forEach(note => lines.push(`• Note: ${note}`));
+        recommendations.riskWarnings.forEach(warning => lines.push(`• Warning: ${warning}`));
+
+        if (recommendations.alternativeStrategies.length > 0) {
+            lines.push(`• Alternatives: ${recommendations.alternativeStrategies
+                .map(strategy => `${strategy.name} (${strategy.riskLevel} risk)`).join(', ')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a goal-seek answer as plain text
+     *
+     * @param {Object} answer - GoalSeekSolver.solve result
+     * @returns {string} Goal-seek text
+     */
+    formatGoalSeekText(answer) {
+        const titles = {
+            minimumVolume: 'Minimum volume at current prices',
+            uniformPriceIncrease: 'Uniform price increase',
+            bucketPrices: 'Per-bucket prices'
+        };
+        const lines = [`🎯 GOAL SEEK (${titles[answer.question]}):`];
+
+        if (answer.question === 'minimumVolume' && answer.requiredVolume !== null) {
+            lines.push(`• Required Volume: ${this.formatNumber(answer.requiredVolume)} yd³ ` +
+                `(${answer.volumeChange >= 0 ? '+' : ''}${this.formatNumber(answer.volumeChange)} vs projected) ` +
+                `at ${this.formatCurrency(answer.contributionPerYard)}/yd contribution`);
+        } else if (answer.question === 'uniformPriceIncrease' && answer.requiredIncreasePercent !== null) {
+            lines.push(`• Required Increase: +${this.formatPercent(answer.requiredIncreasePercent)} ` +
+                `(${this.formatCurrency(answer.pricePerYard)} → ${this.formatCurrency(answer.requiredPricePerYard)}/yd, ` +
+                `limit +${this.formatPercent(answer.maxIncreasePercent)})`);
+        } else if (answer.question === 'bucketPrices') {
+            answer.buckets.forEach(bucket => {
+                lines.push(`• ${bucket.bucketName}: ${this.formatCurrency(bucket.currentPrice)} → ${this.formatCurrency(bucket.newPrice)}/yd ` +
+                    `(+${this.formatPercent(bucket.increasePercent)}, churn risk ${this.formatPercent(bucket.churnRisk * 100)}` +
+                    `${bucket.limitedBy ? `, capped by ${bucket.limitedBy}` : ''})`);
+            });
+        }
+
+        if (answer.feasible) {
+            lines.push(`• Goal ${this.formatCurrency(answer.profitGoal)} is reachable`);
+        } else {
+            lines.push(`• INFEASIBLE: best achievable profit ${this.formatCurrency(answer.achievableProfit)}, ` +
+                `short of the goal by ${this.formatCurrency(answer.shortfall)}`);
+            answer.bindingConstraints.forEach(constraint => lines.push(`  - ${constraint.detail}`));
+        }
+
+        answer.assumptions.forEach(assumption => lines.push(`• Assumes: ${assumption}`));
+        return lines.join('\n');
+    }
+
+    /**
+     * Lay out a scenario comparison as a table: one row per metric, one
+     * column per scenario, variants showing their change against the baseline
+     *
+     * @param {Object} comparison - ScenarioComparator.buildComparison result
+     * @returns {Object} {headers, rows} of display strings
+     *
+     * @example
+     * const { headers, rows } = formatter.buildComparisonTable(comparison);
+     * // rows[1] → ['Projected Revenue', '$1,000.00', '$1,050.00 (+$50.00, +5.0%)']
+     */
+    buildComparisonTable(comparison) {
+        const headers = ['Metric', ...comparison.scenarios.map(scenario =>
+            scenario.isBaseline ? `${scenario.name} (baseline)` : scenario.name)];
+
+        const rows = comparison.metrics.map(metric => [
+            metric.label,
+            ...comparison.scenarios.map(scenario => {
+                const value = this.formatMetric(scenario.figures[metric.key], metric.unit);
+                const delta = scenario.deltas[metric.key];
+
+                if (scenario.isBaseline || delta.change === null) {
+                    return value;
+                }
+                const change = this.formatMetricChange(delta.change, metric.unit);
+                return delta.percentChange !== null
+                    ? `${value} (${change}, ${delta.percentChange > 0 ? '+' : ''}${this.formatPercent(delta.percentChange)})`
+                    : `${value} (${change})`;
+            })
+        ]);
+
+        rows.push(['Risk Level', ...comparison.scenarios.map(scenario => scenario.riskLevel)]);
+
+        return { headers, rows };
+    }
+
+    /**
+     * Lay out a manufacturing cost build-up as a mix table and a material table
+     *
+     * @param {Object} build - ManufacturingCostBuilder.build result
+     * @returns {Object} {summary, mixes: {headers, rows}, materials: {headers, rows}}
+     *
+     * @example
+     * const { mixes, materials } = formatter.buildManufacturingCostTables(build);
+     */
+    buildManufacturingCostTables(build) {
+        const escalation = build.escalationImpactPerYard !== 0
+            ? ` (base ${this.formatCurrency(build.baseCostPerYard)}, escalations ${this.formatSignedCurrency(build.escalationImpactPerYard)})`
+            : '';
+
+        return {
+            summary: `${this.formatCurrency(build.costPerYard)}/yd${escalation}` +
+                (build.pricesAsOf ? `, prices as of ${build.pricesAsOf}` : ''),
+            mixes: {
+                headers: ['Mix', 'Share', 'Base $/yd', 'Projected $/yd'],
+                rows: build.mixes.map(mix => [
+                    mix.name,
+                    this.formatPercent(mix.share * 100),
+                    this.formatCurrency(mix.baseCostPerYard),
+                    this.formatCurrency(mix.costPerYard)
+                ])
+            },
+            materials: {
+                headers: ['Material', 'Price', 'Escalations', 'Average Price', '$/yd'],
+                rows: [
+                    ...build.materials.map(material => [
+                        material.material,
+                        `${this.formatUnitPrice(material.unitPrice)}/${material.unit}`,
+                        material.escalations.length > 0
+                            ? material.escalations.map(item => `${item.percent > 0 ? '+' : ''}${item.percent}% from ${item.from}`).join(', ')
+                            : 'None',
+                        `${this.formatUnitPrice(material.averageUnitPrice)}/${material.unit}`,
+                        this.formatCurrency(material.costPerYard)
+                    ]),
+                    ['Other per-yard items', '', '', '', this.formatCurrency(build.costPerYard -
+                        build.materials.reduce((sum, material) => sum + material.costPerYard, 0))]
+                ]
+            }
+        };
+    }
+
+    /**
+     * Lay out a volume forecast as one row per month
+     *
+     * @param {Object} forecast - VolumeForecaster.forecast result
+     * @param {Object} projection - ProfitPlanCalculator.calculateProjections result, to name the planning percentile (optional)
+     * @returns {Object} {summary, headers, rows, backtest}
+     *
+     * @example
+     * const { headers, rows } = formatter.buildVolumeForecastTable(forecast);
+     */
+    buildVolumeForecastTable(forecast, projection = null) {
+        const methodNames = { 'decomposition': 'Seasonal decomposition', 'holt-winters': 'Holt-Winters' };
+        const interval = item => `${this.formatNumber(item.lower)}–${this.formatNumber(item.upper)}`;
+        const months = forecast.months;
+        const total = forecast.total;
+        const period = months.length > 1 ? `${months[0].month}–${months[months.length - 1].month}` : months[0].month;
+        const plannedWith = projection && projection.volumeSource === 'forecast'
+            ? ` Planned with P${projection.forecastPercentile}: ${this.formatNumber(projection.volume)} yd³.`
+            : '';
+
+        const backtest = forecast.backtest;
+        return {
+            summary: `${methodNames[forecast.method]} of ${forecast.history.months} months (${forecast.history.firstMonth}–${forecast.history.lastMonth}): ` +
+                `${this.formatNumber(total.volume)} yd³ for ${period}, ${total.intervals[0].level}% interval ${interval(total.intervals[0])} yd³, ` +
+                `revenue ${this.formatCurrency(total.revenue)} at ${this.formatCurrency(forecast.revenuePerYard)}/yd.${plannedWith}`,
+            headers: ['Month', 'Forecast yd³', ...total.intervals.map(item => `${item.level}% Interval`), 'Revenue'],
+            rows: [
+                ...months.map(month => [
+                    month.month,
+                    this.formatNumber(month.volume),
+                    ...month.intervals.map(interval),
+                    this.formatCurrency(month.revenue)
+                ]),
+                ['Total', this.formatNumber(total.volume), ...total.intervals.map(interval), this.formatCurrency(total.revenue)]
+            ],
+            backtest: backtest
+                ? `Backtest (last ${backtest.holdout} months forecast from the months through ${backtest.trainedThrough}): ` +
+                    `MAPE ${this.formatPercent(backtest.mape)}, bias ${backtest.bias > 0 ? '+' : ''}${this.formatPercent(backtest.bias)}, ` +
+                    `RMSE ${this.formatNumber(backtest.rmse)} yd³, ${this.formatPercent(backtest.intervalCoverage)} within the ${backtest.intervalLevel}% interval`
+                : 'No backtest: the history has no months to spare beyond the two years the model needs.'
+        };
+    }
+
+    /**
+     * Lay out the customers billed differently from their bucket adjustment
+     *
+     * @param {Object} adjustmentImpact - PricingAdjustmentCalculator.calculateAdjustmentImpact result
+     * @returns {Object|null} {summary, headers, rows}, or null when no customer has a price exception
+     *
+     * @example
+     * const exceptions = formatter.buildCustomerExceptionTable(adjustmentImpact);
+     */
+    buildCustomerExceptionTable(adjustmentImpact) {
+        const impacts = Array.from(adjustmentImpact.bucketImpacts.values()).filter(impact => impact.customerImpacts);
+        if (impacts.length === 0) return null;
+
+        const customers = impacts.reduce((sum, impact) => sum + impact.exceptionImpact.customers, 0);
+        const revenueChange = impacts.reduce((sum, impact) => sum + impact.exceptionImpact.revenueChange, 0);
+        const profitChange = impacts.reduce((sum, impact) => sum + impact.exceptionImpact.profitChange, 0);
+
+        return {
+            summary: `${customers} customer${customers === 1 ? ' with a price exception changes' : 's with price exceptions change'} the billable gain by ` +
+                `${this.formatSignedCurrency(revenueChange)} revenue and ${this.formatSignedCurrency(profitChange)} profit ` +
+                'against applying the bucket adjustments uniformly.',
+            headers: ['Customer', 'Bucket', 'Exception', 'Current Price', 'Bucket Price', 'Billed Price', 'Revenue Change', 'Profit Change'],
+            rows: impacts.flatMap(impact => impact.customerImpacts.map(customer => [
+                customer.customerName,
+                impact.bucketName,
+                this.describeCustomerException(customer.exception),
+                this.formatCurrency(customer.currentPrice),
+                this.formatCurrency(customer.adjustedPrice),
+                this.formatCurrency(customer.newPrice),
+                this.formatSignedCurrency(customer.revenueChange),
+                this.formatSignedCurrency(customer.profitChange)
+            ]))
+        };
+    }
+
+    /**
+     * Describe a customer price exception in a few words
+     *
+     * @param {Object} exception - Price exception ({exempt, fixedPrice, maxIncrease, maxIncreaseType, contractEndDate})
+     * @returns {string} Description such as 'Fixed $138.00/yd until 2025-06-30'
+     *
+     * @example
+     * formatter.describeCustomerException({ maxIncrease: 2 }); // 'Max +2%'
+     */
+    describeCustomerException(exception) {
+        const until = exception.contractEndDate ? ` until ${exception.contractEndDate}` : '';
+        if (exception.exempt) return `Exempt${until}`;
+        if (exception.fixedPrice !== undefined) return `Fixed ${this.formatCurrency(exception.fixedPrice)}/yd${until}`;
+        if (exception.maxIncrease !== undefined) {
+            return (exception.maxIncreaseType === 'absolute'
+                ? `Max +${this.formatCurrency(exception.maxIncrease)}/yd`
+                : `Max +${exception.maxIncrease}%`) + until;
+        }
+        return `Contract price${until}`;
+    }
+
+    /**
+     * Format customer price exceptions as plain text
+     *
+     * @param {Object} adjustmentImpact - PricingAdjustmentCalculator.calculateAdjustmentImpact result
+     * @returns {string|null} Exceptions text, or null when there are none
+     */
+    formatCustomerExceptionsText(adjustmentImpact) {
+        const table = this.buildCustomerExceptionTable(adjustmentImpact);
+        if (!table) return null;
+
+        const lines = [`📝 CUSTOMER PRICE EXCEPTIONS: ${table.summary}`];
+        table.rows.forEach(([customer, bucket, exception, current, bucketPrice, billed, revenue, profit]) => {
+            lines.push(`• ${customer} (${bucket}, ${exception}): ${current} → ${billed}/yd instead of ${bucketPrice}/yd; revenue ${revenue}, profit ${profit}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Lay out a phased price rollout as a phase table and a month table
+     *
+     * @param {Object} rollout - PriceRolloutPlanner.plan result
+     * @returns {Object} {summary, phases: {headers, rows}, months: {headers, rows}, warnings}
+     *
+     * @example
+     * const { phases, months } = formatter.buildRolloutTables(rollout);
+     */
+    buildRolloutTables(rollout) {
+        const total = rollout.total;
+        const goal = total.goalProgress !== null
+            ? ` ${this.formatPercent(total.goalProgress)} of the ${this.formatCurrency(total.profitGoal)} goal` +
+                (total.goalMetMonth ? `, met in ${total.goalMetMonth}.` : ', not met in the plan period.')
+            : '';
+
+        return {
+            summary: `Phased profit ${this.formatCurrency(total.profit)} (${this.formatSignedCurrency(total.profitChange)} from pricing) ` +
+                `against ${this.formatCurrency(rollout.immediate.profit)} with every increase in effect from day one; ` +
+                `phasing costs ${this.formatCurrency(rollout.phasingCost)}.${goal}`,
+            phases: {
+                headers: ['Bucket', 'Adjustment', 'Effective', 'Exempt Until Renewal'],
+                rows: rollout.phases.map(phase => [
+                    phase.bucketName,
+                    phase.adjustmentType === 'percentage'
+                        ? `${phase.adjustment > 0 ? '+' : ''}${phase.adjustment}%`
+                        : `${this.formatSignedCurrency(phase.adjustment)}/yd`,
+                    phase.source === 'bucket' ? `${phase.effectiveDate} (bucket adjustment)` : phase.effectiveDate,
+                    phase.exemptUntilRenewal.length > 0
+                        ? phase.exemptUntilRenewal.map(item => `${item.customerName} (${item.renewalDate})`).join(', ')
+                        : 'None'
+                ])
+            },
+            months: {
+                headers: ['Month', 'Volume yd³', 'Revenue', 'Pricing Profit Change', 'Profit', 'Cumulative Profit', 'Goal Progress'],
+                rows: rollout.months.map(month => [
+                    month.month,
+                    this.formatNumber(month.volume),
+                    this.formatCurrency(month.revenue),
+                    this.formatSignedCurrency(month.profitChange),
+                    this.formatCurrency(month.profit),
+                    this.formatCurrency(month.cumulativeProfit),
+                    month.goalProgress !== null ? this.formatPercent(month.goalProgress) : 'No goal'
+                ])
+            },
+            warnings: rollout.warnings
+        };
+    }
+
+    /**
+     * Format a phased price rollout as plain text
+     *
+     * @param {Object} rollout - PriceRolloutPlanner.plan result
+     * @returns {string} Rollout text
+     */
+    formatRolloutText(rollout) {
+        const { summary, phases, months, warnings } = this.buildRolloutTables(rollout);
+        const lines = [`📅 PHASED PRICE ROLLOUT: ${summary}`];
+
+        phases.rows.forEach(([bucket, adjustment, effective, exempt]) => {
+            lines.push(`• ${bucket} ${adjustment} from ${effective}${exempt !== 'None' ? `; contracts exempt until renewal: ${exempt}` : ''}`);
+        });
+        months.rows.forEach(([month, volume, revenue, change, profit, cumulative, progress]) => {
+            lines.push(`• ${month}: ${volume} yd³, revenue ${revenue}, profit ${profit} (pricing ${change}), cumulative ${cumulative} (${progress})`);
+        });
+        warnings.forEach(warning => lines.push(`⚠️ ${warning}`));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Lay out a profit risk simulation as a percentile table and a tornado table
+     *
+     * @param {Object} risk - ProfitRiskSimulator.simulate result
+     * @returns {Object} {summary, distribution: {headers, rows}, tornado: {headers, rows}}
+     *
+     * @example
+     * const { distribution, tornado } = formatter.buildRiskSimulationTables(risk);
+     */
+    buildRiskSimulationTables(risk) {
+        const profit = risk.profit;
+        const goal = risk.probabilityOfMeetingGoal !== null
+            ? ` ${this.formatPercent(risk.probabilityOfMeetingGoal)} chance of meeting the ${this.formatCurrency(risk.profitGoal)} goal.`
+            : '';
+
+        return {
+            summary: `${this.formatNumber(risk.iterations)} simulations (seed ${risk.seed}): ` +
+                `P10 ${this.formatCurrency(profit.p10)}, P50 ${this.formatCurrency(profit.p50)}, P90 ${this.formatCurrency(profit.p90)} ` +
+                `against a plan of ${this.formatCurrency(risk.baseProfit)}.${goal}`,
+            distribution: {
+                headers: ['Profit', 'Value'],
+                rows: [
+                    ['Plan (point estimate)', this.formatCurrency(risk.baseProfit)],
+                    ['Mean', this.formatCurrency(profit.mean)],
+                    ['Standard Deviation', this.formatCurrency(profit.standardDeviation)],
+                    ['P10', this.formatCurrency(profit.p10)],
+                    ['P50', this.formatCurrency(profit.p50)],
+                    ['P90', this.formatCurrency(profit.p90)],
+                    ['Range', `${this.formatCurrency(profit.min)} to ${this.formatCurrency(profit.max)}`],
+                    ['Probability of Meeting Goal', risk.probabilityOfMeetingGoal !== null ? this.formatPercent(risk.probabilityOfMeetingGoal) : 'No goal']
+                ]
+            },
+            tornado: {
+                headers: ['Input', 'P10 → Profit', 'P90 → Profit', 'Swing', 'Variance Share'],
+                rows: risk.tornado.map(item => [
+                    item.label,
+                    `${this.formatRiskInput(item.input, item.low.value)} → ${this.formatCurrency(item.low.profit)}`,
+                    `${this.formatRiskInput(item.input, item.high.value)} → ${this.formatCurrency(item.high.profit)}`,
+                    this.formatCurrency(item.swing),
+                    this.formatPercent(item.varianceShare)
+                ])
+            }
+        };
+    }
+
+    /**
+     * Format a profit risk simulation as plain text
+     *
+     * @param {Object} risk - ProfitRiskSimulator.simulate result
+     * @returns {string} Simulation text
+     */
+    formatRiskSimulationText(risk) {
+        const { summary, tornado } = this.buildRiskSimulationTables(risk);
+        const lines = [`🎲 PROFIT RISK SIMULATION: ${summary}`];
+
+        lines.push(`• Mean ${this.formatCurrency(risk.profit.mean)}, standard deviation ${this.formatCurrency(risk.profit.standardDeviation)}, ` +
+            `range ${this.formatCurrency(risk.profit.min)} to ${this.formatCurrency(risk.profit.max)}`);
+        lines.push('• Biggest profit drivers (P10 vs P90 of each input, the others at their medians):');
+        tornado.rows.forEach(([label, low, high, swing, share], index) => {
+            lines.push(`  ${index + 1}. ${label}: swing ${swing} (${low}; ${high}), ${share} of variance`);
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a volume forecast as plain text
+     *
+     * @param {Object} forecast - VolumeForecaster.forecast result
+     * @param {Object} projection - ProfitPlanCalculator.calculateProjections result (optional)
+     * @returns {string} Forecast text
+     */
+    formatVolumeForecastText(forecast, projection = null) {
+        const { summary, headers, rows, backtest } = this.buildVolumeForecastTable(forecast, projection);
+        const lines = [`📈 VOLUME FORECAST: ${summary}`];
+
+        rows.forEach(row => {
+            const intervals = row.slice(2, -1).map((value, index) => `${headers[index + 2].replace(' Interval', '')} ${value}`).join(', ');
+            lines.push(`• ${row[0]}: ${row[1]} yd³ (${intervals}), ${row[row.length - 1]}`);
+        });
+        lines.push(`• ${backtest}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a manufacturing cost build-up as plain text
+     *
+     * @param {Object} build - ManufacturingCostBuilder.build result
+     * @returns {string} Build-up text
+     */
+    formatManufacturingCostText(build) {
+        const { summary, mixes, materials } = this.buildManufacturingCostTables(build);
+        const lines = [`🧱 MANUFACTURING COST BUILD-UP: ${summary}`];
+
+        mixes.rows.forEach(([name, share, base, projected]) => {
+            lines.push(`• ${name} (${share} of volume): ${base}/yd at current prices, ${projected}/yd projected`);
+        });
+        lines.push('• Materials (per yard of the product mix):');
+        materials.rows.forEach(([name, price, escalations, average, perYard]) => {
+            lines.push(price
+                ? `  - ${name}: ${price}${escalations !== 'None' ? ` (${escalations}, average ${average})` : ''} → ${perYard}`
+                : `  - ${name}: ${perYard}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a scenario comparison as plain text
+     *
+     * @param {Object} comparison - ScenarioComparator.buildComparison result
+     * @returns {string} Comparison text
+     */
+    formatComparisonText(comparison) {
+        const { headers, rows } = this.buildComparisonTable(comparison);
+        const lines = [`⚖️ SCENARIO COMPARISON (vs ${comparison.baseline}):`];
+
+        headers.slice(1).forEach((header, index) => {
+            const description = comparison.scenarios[index].description;
+            lines.push(`• ${header}${description ? ` - ${description}` : ''}`);
+            rows.forEach(row => lines.push(`  - ${row[0]}: ${row[index + 1]}`));
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Convert a result to plain JSON-ready data with stable output
+     *
+     * Maps become objects and timestamps/timings are dropped, so two runs
+     * of the same scenario serialize identically.
+     *
+     * @param {*} value - Pipeline result or any part of it
+     * @returns {*} Serializable copy
+     */
+    toSerializable(value) {
+        if (value instanceof Map) {
+            const object = {};
+            for (const [key, entry] of value) {
+                object[key] = this.toSerializable(entry);
+            }
+            return object;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(entry => this.toSerializable(entry));
+        }
+
+        if (value && typeof value === 'object') {
+            const object = {};
+            Object.keys(value).forEach(key => {
+                if (!this.volatileKeys.includes(key)) {
+                    object[key] = this.toSerializable(value[key]);
+                }
+            });
+            return object;
+        }
+
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            return null;
+        }
+
+        return value;
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Historical performance table rows
+     * @private
+     */
+    getHistoricalRows(report) {
+        const { historical, projectionSummary } = report;
+        const volumeChange = projectionSummary.volumeChange === 0
+            ? 'same as historical'
+            : `${projectionSummary.volumeChange > 0 ? '+' : ''}${this.formatNumber(projectionSummary.volumeChange)} vs historical`;
+
+        return [
+            ['Historical Volume', `${this.formatNumber(historical.volume)} yd³`],
+            ['Historical Revenue', this.formatCurrency(historical.revenue)],
+            ['Historical Costs', this.formatCurrency(historical.costs)],
+            ['Historical Profit', this.formatCurrency(historical.profit)],
+            ['Historical Margin', this.formatPercent(historical.margin)],
+            ['Projected Volume', `${this.formatNumber(projectionSummary.volume)} yd³ (${volumeChange})`],
+            ['Projected Revenue', this.formatCurrency(projectionSummary.revenue)],
+            ['Projected Margin', this.formatPercent(projectionSummary.margin)]
+        ];
+    }
+
+    /**
+     * Previous vs. future cost table rows
+     * @private
+     */
+    getCostRows(report) {
+        return report.costComparison.map(row => [
+            row.category,
+            row.basis,
+            this.formatCurrency(row.previousTotal),
+            this.formatCurrency(row.previousPerYard),
+            this.formatCurrency(row.futureTotal),
+            this.formatCurrency(row.futurePerYard)
+        ]);
+    }
+
+    /**
+     * Goal achievement table rows
+     * @private
+     */
+    getGoalRows(report) {
+        const { goal } = report;
+        const rows = [
+            ['Profit Goal', goal.profitGoal > 0 ? this.formatCurrency(goal.profitGoal) : 'No goal set'],
+            ['Projected Profit', this.formatCurrency(goal.projectedProfit)],
+            [goal.profitGap > 0 ? 'Profit Gap' : 'Profit Surplus', this.formatCurrency(Math.abs(goal.profitGap))],
+            ['Goal Achievement', goal.achievement !== null ? this.formatPercent(goal.achievement) : 'No goal set']
+        ];
+
+        if (goal.adjustedProfit !== null) {
+            rows.push(
+                ['Revenue Impact of Adjustments', this.formatSignedCurrency(goal.revenueImpact)],
+                ['Projected Profit with Adjustments', this.formatCurrency(goal.adjustedProfit)],
+                ['Goal Achievement with Adjustments', goal.adjustedAchievement !== null ? this.formatPercent(goal.adjustedAchievement) : 'No goal set']
+            );
+        }
+
+        return rows;
+    }
+
+    /**
+     * Bucket adjustment table rows
+     * @private
+     */
+    getBucketRows(report) {
+        return report.bucketAdjustments.map(bucket => [
+            bucket.bucketName,
+            String(bucket.customerCount),
+            bucket.adjustmentType === 'percentage'
+                ? `${bucket.adjustment >= 0 ? '+' : ''}${this.formatPercent(bucket.adjustment)}`
+                : `${this.formatSignedCurrency(bucket.adjustment)}/yd`,
+            `${this.formatCurrency(bucket.currentPrice)} → ${this.formatCurrency(bucket.newPrice)}`,
+            this.formatCurrency(bucket.costPerYard),
+            this.formatSignedCurrency(bucket.revenueChange),
+            this.formatSignedCurrency(bucket.profitChange),
+            this.formatPercent(bucket.churnRisk * 100),
+            bucket.riskFactors.length > 0
+                ? `${bucket.riskLevel} (${bucket.riskFactors.join(', ')})`
+                : bucket.riskLevel
+        ]);
+    }
+
+    /**
+     * Demand assumption lines per bucket, noting estimates that could not be used
+     * @private
+     */
+    getDemandAssumptions(bucketAdjustments, demandEstimates = {}) {
+        return bucketAdjustments.map(bucket => {
+            const estimate = (demandEstimates || {})[bucket.bucketName];
+            const text = this.formatDemandModel(bucket.demandModel);
+            return {
+                bucketName: bucket.bucketName,
+                text: estimate && !estimate.usable ? `${text} (estimate not used: ${estimate.reason})` : text
+            };
+        });
+    }
+
+    /**
+     * Overlap resolution table rows
+     * @private
+     */
+    getOverlapRows(report) {
+        return report.overlapResolutions.map(resolution => [
+            resolution.customerName,
+            resolution.selectedBucketName,
+            resolution.eligibleBuckets
+                .map(bucket => `${bucket.bucketName} (${Math.round(bucket.matchScore * 100)}%)`)
+                .join(', '),
+            this.formatStrategy(resolution.strategy),
+            resolution.reasoning
+        ]);
+    }
+
+    /**
+     * Format a comparison figure by its unit
+     * @private
+     */
+    formatMetric(value, unit) {
+        if (value === null) return 'n/a';
+        if (unit === 'currency') return this.formatCurrency(value);
+        if (unit === 'percent') return this.formatPercent(value);
+        return `${this.formatNumber(value)} yd³`;
+    }
+
+    /**
+     * Format a comparison change by its unit (percent metrics in points)
+     * @private
+     */
+    formatMetricChange(change, unit) {
+        if (unit === 'currency') return this.formatSignedCurrency(change);
+        if (unit === 'percent') return `${Math.round(change * 10) > 0 ? '+' : ''}${change.toFixed(1)} pts`;
+        const sign = change > 0 ? '+' : '';
+        return `${sign}${this.formatNumber(change)} yd³`;
+    }
+
+    /**
+     * Readable label for a resolution strategy identifier
+     * @private
+     */
+    formatStrategy(strategy) {
+        const label = String(strategy || 'manual').replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+
+    /**
+     * Inline stylesheet for the HTML report, including print rules
+     * @private
+     */
+    getReportStylesheet() {
+        return `body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2c3e50; max-width: 960px; margin: 0 auto; padding: 24px; }
+h1 { color: #2c3e50; border-bottom: 3px solid #3498db; padding-bottom: 8px; }
+h2 { color: #34495e; margin-top: 32px; }
+table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+th, td { border: 1px solid #dee2e6; padding: 8px 10px; text-align: left; }
+th { background: #f8f9fa; }
+table.numeric td:not(:first-child), table.metrics td:last-child { text-align: right; }
+.empty { color: #7f8c8d; font-style: italic; }
+.risk-high { color: #c0392b; }
+.risk-medium { color: #d68910; }
+.risk-low { color: #27ae60; }
+@media print {
+    body { max-width: none; padding: 0; font-size: 11pt; }
+    h1 { border-bottom-color: #000; }
+    h2 { page-break-after: avoid; }
+    section, table, tr { page-break-inside: avoid; }
+    th { background: #eee !important; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    @page { margin: 15mm; }
+}`;
+    }
+
+    /**
+     * Format a currency amount with cents
+     * @private
+     */
+    formatCurrency(value) {
+        const amount = Math.round((value || 0) * 100) / 100;
+        const formatted = Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return `${amount < 0 ? '-' : ''}$${formatted}`;
+    }
+
+    /**
+     * Format a material unit price, keeping fractions of a cent
+     * @private
+     */
+    formatUnitPrice(value) {
+        return `$${(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}`;
+    }
+
+    /**
+     * Format a simulated input value in its own unit
+     * @private
+     */
+    formatRiskInput(input, value) {
+        if (input === 'volume') return `${this.formatNumber(value)} yd³`;
+        if (input === 'manufacturingPerYard') return `${this.formatCurrency(value)}/yd`;
+        if (input === 'labor' || input === 'fixed') return this.formatCurrency(value);
+        if (input === 'churn') return `${this.formatPercent(value * 100)} of modelled churn`;
+        return `elasticity ${value.toFixed(2)}`;
+    }
+
+    /**
+     * Format a currency change with an explicit sign
+     * @private
+     */
+    formatSignedCurrency(value) {
+        return `${value > 0 ? '+' : ''}${this.formatCurrency(value)}`;
+    }
+
+    /**
+     * Format a whole or fractional quantity
+     * @private
+     */
+    formatNumber(value) {
+        return (Math.round((value || 0) * 100) / 100).toLocaleString('en-US');
+    }
+
+    /**
+     * Describe the volume, price and margin ranges of bucket criteria
+     *
+     * A max repeated as a `<` rule (suggested buckets) is shown as exclusive.
+     * @private
+     */
+    describeRanges(criteria) {
+        const belowRules = criteria.rules && Array.isArray(criteria.rules.all)
+            ? criteria.rules.all.filter(condition => condition.op === '<')
+            : [];
+        const range = (field, min, max, format) => {
+            const hasMin = min !== null && min !== undefined;
+            const hasMax = max !== null && max !== undefined;
+            const below = hasMax && belowRules.some(condition => condition.field === field && condition.value === max);
+            if (hasMin && hasMax) return below ? `${format(min)} to under ${format(max)}` : `${format(min)}–${format(max)}`;
+            if (hasMin) return `≥ ${format(min)}`;
+            return hasMax ? `${below ? '<' : '≤'} ${format(max)}` : null;
+        };
+        const parts = [
+            ['volume', range('totalVolume', criteria.volumeMin, criteria.volumeMax, value => `${this.formatNumber(value)} yd`)],
+            ['price', range('averageUnitPrice', criteria.priceMin, criteria.priceMax, value => `$${value.toFixed(2)}`)],
+            ['margin', range('profitMargin', criteria.profitMarginMin, criteria.profitMarginMax, value => `${value}%`)]
+        ].filter(([, text]) => text !== null);
+
+        return parts.length > 0 ? parts.map(([label, text]) => `${label} ${text}`).join(', ') : 'all customers';
+    }
+
+    /**
+     * Format a percentage with one decimal
+     * @private
+     */
+    formatPercent(value) {
+        return `${(value || 0).toFixed(1)}%`;
+    }
+
+    /**
+     * Escape text for HTML element content and attributes
+     * @private
+     */
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape text for Markdown table cells and paragraphs
+     * @private
+     */
+    escapeMarkdown(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/([|*_`[\]<>#])/g, '\\$1')
+            .replace(/\r?\n/g, ' ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisReportFormatter;
+} else if (typeof window !== 'undefined') {
+    window.AnalysisReportFormatter = AnalysisReportFormatter;
+}
@@ -0,0 +1,560 @@
+/**
+ * AssignmentOptimizer - Assigns many customers to buckets at once under bucket limits
+ *
+ * Maximizes the total value of an assignment (e.g. match score) where every
+ * customer goes to one of its eligible buckets, subject to minimum and
+ * maximum customers per bucket, a maximum volume per bucket and pinned
+ * customers. Runs in-process without an external solver:
+ *
+ * 1. Lagrangian relaxation prices the bucket limits; with prices fixed each
+ *    customer simply takes its best priced bucket. Subgradient steps adjust
+ *    the prices, and each relaxed solution gives an upper bound on the best
+ *    possible objective.
+ * 2. Relaxed solutions are repaired into feasible assignments with the
+ *    cheapest moves, then improved by single moves and pairwise swaps.
+ *
+ * The best feasible assignment is returned with its objective, the upper
+ * bound (so the remaining optimality gap is known) and the constraints that
+ * kept customers out of their best bucket.
+ *
+ * @class AssignmentOptimizer
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class AssignmentOptimizer {
+    /**
+     * Creates an instance of AssignmentOptimizer
+     *
+     * @param {Object} options - Configuration options
+     * @param {number} options.maxIterations - Subgradient iterations (default: 300)
+     * @param {number} options.repairInterval - Iterations between feasible repairs (default: 10)
+     * @param {number} options.gapTolerance - Relative optimality gap that stops the search (default: 0.0001)
+     */
+    constructor(options = {}) {
+        this.maxIterations = options.maxIterations || 300;
+        this.repairInterval = options.repairInterval || 10;
+        this.gapTolerance = options.gapTolerance || 0.0001;
+    }
+
+    /**
+     * Solve an assignment problem
+     *
+     * Bucket limits cover the whole bucket: fixedCount and fixedVolume are
+     * customers already in the bucket that the optimizer does not move.
+     *
+     * @param {Object} problem - Assignment problem
+     * @param {Array<Object>} problem.items - Customers to assign {id, volume, options: [{bucketId, value}], pinnedBucketId}
+     * @param {Array<Object>} problem.buckets - {bucketId, minCount, maxCount, maxVolume, fixedCount, fixedVolume}; omitted limits are open
+     * @returns {Object} {feasible, objective, upperBound, gapPercent, iterations, assignments, buckets, bindingConstraints, violations}
+     * @throws {Error} If an item has no options or names an unknown bucket
+     *
+     * @example
+     * const result = optimizer.solve({
+     *     items: [{ id: 'c1', volume: 120, options: [{ bucketId: 'a', value: 0.9 }, { bucketId: 'b', value: 0.7 }] }],
+     *     buckets: [{ bucketId: 'a', maxCount: 0 }, { bucketId: 'b' }]
+     * });
+     * console.log(result.assignments[0].bucketId); // 'b'
+     */
+    solve(problem) {
+        try {
+            const model = this.buildModel(problem);
+            const bucketCount = model.buckets.length;
+            const alpha = new Array(bucketCount).fill(0); // count <= max
+            const beta = new Array(bucketCount).fill(0);  // count >= min
+            const gamma = new Array(bucketCount).fill(0); // volume <= max
+
+            let best = this.improve(model, this.repair(model, this.getBestResponse(model, alpha, beta, gamma).assignment), false);
+            let fallback = best;
+            if (!best.feasible) best = null;
+
+            let upperBound = Infinity;
+            let theta = 2;
+            let stalled = 0;
+            let iterations = 0;
+
+            for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+                iterations = iteration + 1;
+                const relaxed = this.getBestResponse(model, alpha, beta, gamma);
+
+                if (relaxed.bound < upperBound - 1e-9) {
+                    upperBound = relaxed.bound;
+                    stalled = 0;
+                } else if (++stalled >= 20) {
+                    theta /= 2;
+                    stalled = 0;
+                }
+
+                if (iteration % this.repairInterval === 0 || iteration === this.maxIterations - 1) {
+                    const candidate = this.improve(model, this.repair(model, relaxed.assignment), false);
+                    if (candidate.feasible && (!best || candidate.objective > best.objective)) {
+                        best = candidate;
+                    } else if (!best && candidate.violation < fallback.violation) {
+                        fallback = candidate;
+                    }
+                }
+
+                if (best && upperBound - best.objective <= this.gapTolerance * Math.max(1, Math.abs(upperBound))) {
+                    break;
+                }
+
+                // Projected subgradient step on the bucket prices
+                const gradient = this.getSubgradient(model, relaxed, alpha, beta, gamma);
+                if (gradient.norm === 0) break;
+
+                const target = best ? best.objective : relaxed.bound - Math.max(1, Math.abs(relaxed.bound)) * 0.05;
+                const step = theta * Math.max(relaxed.bound - target, 1e-6) / gradient.norm;
+                for (let b = 0; b < bucketCount; b++) {
+                    alpha[b] = Math.max(0, alpha[b] + step * gradient.alpha[b]);
+                    beta[b] = Math.max(0, beta[b] + step * gradient.beta[b]);
+                    gamma[b] = Math.max(0, gamma[b] + step * gradient.gamma[b]);
+                }
+            }
+
+            const solution = best ? this.improve(model, best.assignment, true) : fallback;
+            return this.describeSolution(model, solution, upperBound, iterations);
+
+        } catch (error) {
+            console.error('Error optimizing assignments:', error);
+            throw new Error(`Assignment optimization failed: ${error.message}`);
+        }
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Index buckets and items; limits become limits on the movable customers
+     * @private
+     */
+    buildModel(problem) {
+        const buckets = (problem.buckets || []).map(bucket => {
+            const fixedCount = bucket.fixedCount || 0;
+            const fixedVolume = bucket.fixedVolume || 0;
+            const isLimit = value => typeof value === 'number' && isFinite(value);
+            return {
+                bucketId: bucket.bucketId,
+                bucketName: bucket.bucketName || bucket.bucketId,
+                limits: {
+                    minCount: isLimit(bucket.minCount) ? bucket.minCount : null,
+                    maxCount: isLimit(bucket.maxCount) ? bucket.maxCount : null,
+                    maxVolume: isLimit(bucket.maxVolume) ? bucket.maxVolume : null
+                },
+                fixedCount,
+                fixedVolume,
+                minCount: isLimit(bucket.minCount) ? Math.max(0, bucket.minCount - fixedCount) : 0,
+                maxCount: isLimit(bucket.maxCount) ? bucket.maxCount - fixedCount : Infinity,
+                maxVolume: isLimit(bucket.maxVolume) ? bucket.maxVolume - fixedVolume : Infinity
+            };
+        });
+        const bucketIndex = new Map(buckets.map((bucket, index) => [bucket.bucketId, index]));
+
+        const items = (problem.items || []).map(item => {
+            const options = (item.options || []).map(option => {
+                if (!bucketIndex.has(option.bucketId)) {
+                    throw new Error(`Customer ${item.id} is eligible for unknown bucket ${option.bucketId}`);
+                }
+                return { bucket: bucketIndex.get(option.bucketId), value: option.value };
+            });
+
+            let pinned = -1;
+            if (item.pinnedBucketId !== undefined && item.pinnedBucketId !== null) {
+                if (!bucketIndex.has(item.pinnedBucketId)) {
+                    throw new Error(`Customer ${item.id} is pinned to unknown bucket ${item.pinnedBucketId}`);
+                }
+                pinned = bucketIndex.get(item.pinnedBucketId);
+                if (!options.some(option => option.bucket === pinned)) {
+                    options.push({ bucket: pinned, value: 0 });
+                }
+            }
+
+            if (options.length === 0) {
+                throw new Error(`Customer ${item.id} has no eligible buckets`);
+            }
+
+            const values = new Map(options.map(option => [option.bucket, option.value]));
+            const bestOption = options.reduce((top, option) => option.value > top.value ? option : top);
+            return { id: item.id, volume: item.volume || 0, options, values, pinned, bestBucket: bestOption.bucket };
+        });
+
+        const totalVolume = items.reduce((sum, item) => sum + item.volume, 0);
+        return {
+            buckets,
+            items,
+            volumeScale: items.length > 0 && totalVolume > 0 ? totalVolume / items.length : 1
+        };
+    }
+
+    /**
+     * Each customer's best bucket under the current prices, and the Lagrangian bound
+     * @private
+     */
+    getBestResponse(model, alpha, beta, gamma) {
+        const assignment = new Array(model.items.length);
+        let bound = 0;
+
+        model.items.forEach((item, index) => {
+            const priced = option => option.value - alpha[option.bucket] + beta[option.bucket]
+                - gamma[option.bucket] * item.volume / model.volumeScale;
+            let choice = null;
+            let choiceValue = -Infinity;
+
+            if (item.pinned >= 0) {
+                choice = item.pinned;
+                choiceValue = priced({ bucket: item.pinned, value: item.values.get(item.pinned) });
+            } else {
+                item.options.forEach(option => {
+                    const value = priced(option);
+                    if (value > choiceValue) {
+                        choiceValue = value;
+                        choice = option.bucket;
+                    }
+                });
+            }
+
+            assignment[index] = choice;
+            bound += choiceValue;
+        });
+
+        model.buckets.forEach((bucket, b) => {
+            if (bucket.maxCount !== Infinity) bound += alpha[b] * bucket.maxCount;
+            bound -= beta[b] * bucket.minCount;
+            if (bucket.maxVolume !== Infinity) bound += gamma[b] * bucket.maxVolume / model.volumeScale;
+        });
+
+        return { assignment, bound };
+    }
+
+    /**
+     * Constraint violations of a relaxed solution (projected at zero prices)
+     * @private
+     */
+    getSubgradient(model, relaxed, alpha, beta, gamma) {
+        const { counts, volumes } = this.getLoads(model, relaxed.assignment);
+        const gradient = { alpha: [], beta: [], gamma: [], norm: 0 };
+        const project = (price, value) => (price <= 0 && value < 0 ? 0 : value);
+
+        model.buckets.forEach((bucket, b) => {
+            gradient.alpha[b] = bucket.maxCount !== Infinity ? project(alpha[b], counts[b] - bucket.maxCount) : 0;
+            gradient.beta[b] = project(beta[b], bucket.minCount - counts[b]);
+            gradient.gamma[b] = bucket.maxVolume !== Infinity
+                ? project(gamma[b], (volumes[b] - bucket.maxVolume) / model.volumeScale)
+                : 0;
+            gradient.norm += gradient.alpha[b] ** 2 + gradient.beta[b] ** 2 + gradient.gamma[b] ** 2;
+        });
+
+        return gradient;
+    }
+
+    /**
+     * Customers and volume per bucket (movable customers only)
+     * @private
+     */
+    getLoads(model, assignment) {
+        const counts = new Array(model.buckets.length).fill(0);
+        const volumes = new Array(model.buckets.length).fill(0);
+        assignment.forEach((b, index) => {
+            counts[b]++;
+            volumes[b] += model.items[index].volume;
+        });
+        return { counts, volumes };
+    }
+
+    /**
+     * Whether a customer can move between buckets without breaking a limit
+     * @private
+     */
+    canMove(model, loads, index, from, to, checkSource = true) {
+        const item = model.items[index];
+        const target = model.buckets[to];
+        if (loads.counts[to] + 1 > target.maxCount) return false;
+        if (loads.volumes[to] + item.volume > target.maxVolume + 1e-9) return false;
+        return !checkSource || loads.counts[from] - 1 >= model.buckets[from].minCount;
+    }
+
+    /**
+     * Move a customer and update the loads
+     * @private
+     */
+    applyMove(model, assignment, loads, index, to) {
+        const from = assignment[index];
+        const volume = model.items[index].volume;
+        loads.counts[from]--;
+        loads.volumes[from] -= volume;
+        loads.counts[to]++;
+        loads.volumes[to] += volume;
+        assignment[index] = to;
+    }
+
+    /**
+     * Cheapest moves that clear bucket limit violations
+     * @private
+     */
+    repair(model, relaxedAssignment) {
+        const assignment = [...relaxedAssignment];
+        const loads = this.getLoads(model, assignment);
+        const maxSteps = model.items.length * Math.max(1, model.buckets.length);
+
+        for (let step = 0; step < maxSteps; step++) {
+            const violation = this.findWorstViolation(model, loads);
+            if (!violation) break;
+
+            const b = violation.bucket;
+            let bestMove = null;
+
+            model.items.forEach((item, index) => {
+                if (item.pinned >= 0) return;
+
+                if (violation.type === 'minCount') {
+                    const from = assignment[index];
+                    if (from === b || !item.values.has(b)) return;
+                    if (!this.canMove(model, loads, index, from, b)) return;
+                    const cost = item.values.get(from) - item.values.get(b);
+                    if (!bestMove || cost < bestMove.cost) bestMove = { index, to: b, cost };
+                    return;
+                }
+
+                if (assignment[index] !== b) return;
+                const relief = violation.type === 'maxVolume'
+                    ? Math.min(item.volume, violation.excess) / model.volumeScale
+                    : 1;
+                if (relief <= 0) return;
+
+                item.options.forEach(option => {
+                    if (option.bucket === b || !this.canMove(model, loads, index, b, option.bucket, false)) return;
+                    const cost = (item.values.get(b) - option.value) / relief;
+                    if (!bestMove || cost < bestMove.cost) bestMove = { index, to: option.bucket, cost };
+                });
+            });
+
+            if (!bestMove) break;
+            this.applyMove(model, assignment, loads, bestMove.index, bestMove.to);
+        }
+
+        return this.evaluate(model, assignment, loads);
+    }
+
+    /**
+     * Largest remaining limit violation, if any
+     * @private
+     */
+    findWorstViolation(model, loads) {
+        let worst = null;
+        const consider = (type, bucket, excess, scaled) => {
+            if (excess > 1e-9 && (!worst || scaled > worst.scaled)) {
+                worst = { type, bucket, excess, scaled };
+            }
+        };
+
+        model.buckets.forEach((bucket, b) => {
+            consider('maxCount', b, loads.counts[b] - bucket.maxCount, loads.counts[b] - bucket.maxCount);
+            consider('maxVolume', b, loads.volumes[b] - bucket.maxVolume, (loads.volumes[b] - bucket.maxVolume) / model.volumeScale);
+            consider('minCount', b, bucket.minCount - loads.counts[b], bucket.minCount - loads.counts[b]);
+        });
+
+        return worst;
+    }
+
+    /**
+     * Local search: improving single moves, then (optionally) pairwise swaps
+     * @private
+     */
+    improve(model, startAssignment, withSwaps) {
+        const assignment = Array.isArray(startAssignment) ? [...startAssignment] : [...startAssignment.assignment];
+        const loads = this.getLoads(model, assignment);
+        if (this.findWorstViolation(model, loads)) {
+            return this.evaluate(model, assignment, loads);
+        }
+
+        for (let pass = 0; pass < 50; pass++) {
+            let improved = false;
+
+            model.items.forEach((item, index) => {
+                if (item.pinned >= 0) return;
+                const from = assignment[index];
+                let bestOption = null;
+                item.options.forEach(option => {
+                    if (option.value > item.values.get(from) + 1e-12
+                        && (!bestOption || option.value > bestOption.value)
+                        && this.canMove(model, loads, index, from, option.bucket)) {
+                        bestOption = option;
+                    }
+                });
+                if (bestOption) {
+                    this.applyMove(model, assignment, loads, index, bestOption.bucket);
+                    improved = true;
+                }
+            });
+
+            if (!improved && withSwaps) {
+                improved = this.improveBySwaps(model, assignment, loads);
+            }
+            if (!improved) break;
+        }
+
+        return this.evaluate(model, assignment, loads);
+    }
+
+    /**
+     * Swap pairs of customers between buckets when both gain overall
+     * @private
+     */
+    improveBySwaps(model, assignment, loads) {
+        const members = model.buckets.map(() => []);
+        assignment.forEach((b, index) => {
+            if (model.items[index].pinned < 0) members[b].push(index);
+        });
+
+        let improved = false;
+        model.items.forEach((item, i) => {
+            if (item.pinned >= 0) return;
+            const from = assignment[i];
+
+            item.options.forEach(option => {
+                const to = option.bucket;
+                const gainI = option.value - item.values.get(from);
+                if (to === from || gainI <= 1e-12 || assignment[i] !== from) return;
+
+                for (const j of members[to]) {
+                    const other = model.items[j];
+                    if (assignment[j] !== to || !other.values.has(from)) continue;
+                    const gain = gainI + other.values.get(from) - other.values.get(to);
+                    if (gain <= 1e-12) continue;
+
+                    const volumeShift = item.volume - other.volume;
+                    if (loads.volumes[to] + volumeShift > model.buckets[to].maxVolume + 1e-9) continue;
+                    if (loads.volumes[from] - volumeShift > model.buckets[from].maxVolume + 1e-9) continue;
+
+                    assignment[i] = to;
+                    assignment[j] = from;
+                    loads.volumes[to] += volumeShift;
+                    loads.volumes[from] -= volumeShift;
+                    members[to].splice(members[to].indexOf(j), 1, i);
+                    members[from].splice(members[from].indexOf(i), 1, j);
+                    improved = true;
+                    return;
+                }
+            });
+        });
+
+        return improved;
+    }
+
+    /**
+     * Objective and total violation of an assignment
+     * @private
+     */
+    evaluate(model, assignment, loads = this.getLoads(model, assignment)) {
+        const objective = assignment.reduce((sum, b, index) => sum + model.items[index].values.get(b), 0);
+        let violation = 0;
+        model.buckets.forEach((bucket, b) => {
+            violation += Math.max(0, loads.counts[b] - bucket.maxCount);
+            violation += Math.max(0, bucket.minCount - loads.counts[b]);
+            violation += Math.max(0, loads.volumes[b] - bucket.maxVolume) / model.volumeScale;
+        });
+        return { assignment, objective, violation, feasible: violation <= 1e-9 };
+    }
+
+    /**
+     * Result with bucket loads and the constraints that displaced customers
+     * @private
+     */
+    describeSolution(model, solution, upperBound, iterations) {
+        const loads = this.getLoads(model, solution.assignment);
+        const round = value => Math.round(value * 1000) / 1000;
+        const hasBound = solution.feasible && isFinite(upperBound);
+
+        const buckets = model.buckets.map((bucket, b) => ({
+            bucketId: bucket.bucketId,
+            bucketName: bucket.bucketName,
+            customers: bucket.fixedCount + loads.counts[b],
+            volume: round(bucket.fixedVolume + loads.volumes[b]),
+            limits: { ...bucket.limits }
+        }));
+
+        // A limit binds when it keeps a customer out of its best bucket
+        const binding = new Map();
+        const record = (constraint, b, index, detail) => {
+            const key = `${constraint}:${b}`;
+            if (!binding.has(key)) {
+                binding.set(key, {
+                    constraint,
+                    bucketId: model.buckets[b].bucketId,
+                    bucketName: model.buckets[b].bucketName,
+                    limit: constraint === 'pinned' ? null : model.buckets[b].limits[constraint],
+                    actual: constraint === 'maxVolume' ? buckets[b].volume : buckets[b].customers,
+                    displacedCustomers: [],
+                    objectiveCost: 0,
+                    detail
+                });
+            }
+            const entry = binding.get(key);
+            const item = model.items[index];
+            entry.displacedCustomers.push(item.id);
+            entry.objectiveCost += item.values.get(item.bestBucket) - item.values.get(solution.assignment[index]);
+        };
+
+        model.items.forEach((item, index) => {
+            const assigned = solution.assignment[index];
+            if (item.values.get(item.bestBucket) <= item.values.get(assigned) + 1e-12) return;
+
+            if (item.pinned >= 0) {
+                record('pinned', assigned, index, `Pinned customers kept in ${model.buckets[assigned].bucketName}`);
+                return;
+            }
+
+            const best = item.bestBucket;
+            const target = model.buckets[best];
+            if (loads.counts[best] + 1 > target.maxCount) {
+                record('maxCount', best, index, `${target.bucketName} is full at ${target.limits.maxCount} customers`);
+            } else if (loads.volumes[best] + item.volume > target.maxVolume + 1e-9) {
+                record('maxVolume', best, index, `${target.bucketName} would exceed its ${round(target.limits.maxVolume)} yard volume limit`);
+            } else if (loads.counts[assigned] - 1 < model.buckets[assigned].minCount) {
+                record('minCount', assigned, index, `${model.buckets[assigned].bucketName} needs at least ${model.buckets[assigned].limits.minCount} customers`);
+            } else {
+                record('combined', best, index, `Limits on several buckets together keep customers out of ${target.bucketName}`);
+            }
+        });
+
+        const violations = [];
+        if (!solution.feasible) {
+            model.buckets.forEach((bucket, b) => {
+                if (loads.counts[b] > bucket.maxCount) {
+                    violations.push({ constraint: 'maxCount', bucketId: bucket.bucketId, limit: bucket.limits.maxCount, actual: buckets[b].customers });
+                }
+                if (loads.counts[b] < bucket.minCount) {
+                    violations.push({ constraint: 'minCount', bucketId: bucket.bucketId, limit: bucket.limits.minCount, actual: buckets[b].customers });
+                }
+                if (loads.volumes[b] > bucket.maxVolume + 1e-9) {
+                    violations.push({ constraint: 'maxVolume', bucketId: bucket.bucketId, limit: round(bucket.limits.maxVolume), actual: buckets[b].volume });
+                }
+            });
+        }
+
+        return {
+            feasible: solution.feasible,
+            objective: round(solution.objective),
+            upperBound: hasBound ? round(upperBound) : null,
+            gapPercent: hasBound && upperBound !== 0
+                ? Math.max(0, round((upperBound - solution.objective) / Math.abs(upperBound) * 100))
+                : null,
+            iterations,
+            assignments: model.items.map((item, index) => ({
+                id: item.id,
+                bucketId: model.buckets[solution.assignment[index]].bucketId,
+                value: item.values.get(solution.assignment[index]),
+                pinned: item.pinned >= 0
+            })),
+            buckets,
+            bindingConstraints: Array.from(binding.values())
+                .map(entry => ({ ...entry, objectiveCost: round(entry.objectiveCost) }))
+                .sort((a, b) => b.objectiveCost - a.objectiveCost),
+            violations
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AssignmentOptimizer;
+} else if (typeof window !== 'undefined') {
+    window.AssignmentOptimizer = AssignmentOptimizer;
+}
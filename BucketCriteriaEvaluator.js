@@ -0,0 +1,419 @@
+/**
+ * BucketCriteriaEvaluator - Rule conditions and customer lists for bucket criteria
+ *
+ * Bucket criteria keep their six min/max bounds (volume, price, margin) and
+ * may add:
+ *
+ * - `rules`: a condition tree over any customer analytics field. A node is
+ *   a group `{ all: [...] }` (AND), `{ any: [...] }` (OR), `{ not: node }`
+ *   or a condition `{ field, op, value }`. Fields may be dotted paths into
+ *   nested objects ('concreteTypeMix.4000 PSI').
+ * - `includeCustomers`: customer IDs that always qualify for the bucket.
+ * - `excludeCustomers`: customer IDs that never qualify for it.
+ *
+ * Operators: >, >=, <, <=, between ([min, max]), ==, !=, in, notIn,
+ * contains, notContains (array members or substrings) and exists (true or
+ * false). Text comparisons ignore case. A condition on a field the customer
+ * does not have is not met, except `exists: false`.
+ *
+ * @class BucketCriteriaEvaluator
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class BucketCriteriaEvaluator {
+    /**
+     * Creates an instance of BucketCriteriaEvaluator
+     *
+     * @param {Object} options - Configuration options
+     * @param {number} options.boundaryProximity - Distance to a numeric threshold, relative to the threshold, that counts as near (default: 0.1)
+     * @param {number} options.maxDepth - Deepest allowed rule nesting (default: 8)
+     */
+    constructor(options = {}) {
+        this.boundaryProximity = options.boundaryProximity || 0.1;
+        this.maxDepth = options.maxDepth || 8;
+
+        /** @type {Object} Operator → expected value kind */
+        this.operators = {
+            '>': 'number',
+            '>=': 'number',
+            '<': 'number',
+            '<=': 'number',
+            'between': 'range',
+            '==': 'scalar',
+            '!=': 'scalar',
+            'in': 'list',
+            'notIn': 'list',
+            'contains': 'scalar',
+            'notContains': 'scalar',
+            'exists': 'boolean'
+        };
+    }
+
+    /**
+     * Validates the rules and customer lists of bucket criteria
+     *
+     * @param {Object} criteria - Bucket criteria
+     * @param {Object} options - Validation options
+     * @param {Set<string>} options.fields - Known customer fields; conditions on other top-level fields are rejected
+     * @throws {Error} If a rule node, operator, value or customer list is invalid
+     *
+     * @example
+     * evaluator.validate({ rules: { all: [{ field: 'region', op: 'in', value: ['North'] }] } });
+     */
+    validate(criteria, options = {}) {
+        if (criteria.rules !== undefined && criteria.rules !== null) {
+            this.validateNode(criteria.rules, 'rules', 0, options.fields || null);
+        }
+
+        const included = this.validateCustomerList(criteria.includeCustomers, 'includeCustomers');
+        const excluded = this.validateCustomerList(criteria.excludeCustomers, 'excludeCustomers');
+        const both = included.filter(customerId => excluded.includes(customerId));
+        if (both.length > 0) {
+            throw new Error(`Customers cannot be both included and excluded: ${both.join(', ')}`);
+        }
+    }
+
+    /**
+     * Checks whether criteria use rules or customer lists
+     *
+     * @param {Object} criteria - Bucket criteria
+     * @returns {boolean} True when rules, includeCustomers or excludeCustomers are set
+     */
+    hasRules(criteria) {
+        return Boolean(criteria && (
+            (criteria.rules !== undefined && criteria.rules !== null) ||
+            (Array.isArray(criteria.includeCustomers) && criteria.includeCustomers.length > 0) ||
+            (Array.isArray(criteria.excludeCustomers) && criteria.excludeCustomers.length > 0)
+        ));
+    }
+
+    /**
+     * Evaluates the rules and customer lists for one customer
+     *
+     * Excluded customers never qualify and included customers always do;
+     * otherwise the rule tree decides (no rules: qualifies). The score is 1
+     * for a condition met with room to spare, down to 0.8 for a numeric
+     * condition met right at its threshold, and 0 when not met. `all`
+     * averages its children, `any` takes the best child and `not` scores 1
+     * or 0. Conditions under a `not` are negated: they are satisfied when
+     * not met.
+     *
+     * @param {Object} customer - Customer analytics object
+     * @param {Object} criteria - Bucket criteria
+     * @returns {Object} {met, score, listed ('included'|'excluded'|null), conditions: [{path, field, op, value, actual, met, negated, satisfied, score, status, text}]}
+     *
+     * @example
+     * const result = evaluator.evaluate(customer, bucket.criteria);
+     * if (!result.met) console.log(result.conditions.filter(c => !c.met).map(c => c.text));
+     */
+    evaluate(customer, criteria) {
+        const customerId = String(customer.customerId);
+        if ((criteria.excludeCustomers || []).map(String).includes(customerId)) {
+            return { met: false, score: 0, listed: 'excluded', conditions: [] };
+        }
+
+        const conditions = [];
+        const result = criteria.rules
+            ? this.evaluateNode(customer, criteria.rules, 'rules', conditions)
+            : { met: true, score: 1 };
+
+        if ((criteria.includeCustomers || []).map(String).includes(customerId)) {
+            return { met: true, score: 1, listed: 'included', conditions };
+        }
+
+        return {
+            met: result.met,
+            score: parseFloat(result.score.toFixed(3)),
+            listed: null,
+            conditions
+        };
+    }
+
+    /**
+     * Checks whether a customer qualifies under the rules and customer lists
+     *
+     * @param {Object} customer - Customer analytics object
+     * @param {Object} criteria - Bucket criteria
+     * @returns {boolean} True when the customer qualifies
+     */
+    matches(customer, criteria) {
+        return this.hasRules(criteria) ? this.evaluate(customer, criteria).met : true;
+    }
+
+    /**
+     * Describes a rule tree in words
+     *
+     * @param {Object} node - Rule node
+     * @returns {string} Description, e.g. "region in North, East AND NOT (projectTypes contains Residential)"
+     */
+    describe(node) {
+        if (!node) return '';
+        if (Array.isArray(node.all)) {
+            return node.all.map(child => this.describeChild(child)).join(' AND ');
+        }
+        if (Array.isArray(node.any)) {
+            return node.any.map(child => this.describeChild(child)).join(' OR ');
+        }
+        if (node.not !== undefined) {
+            return `NOT ${this.describeChild(node.not)}`;
+        }
+        return this.describeCondition(node);
+    }
+
+    /**
+     * Describes bucket criteria rules and customer lists in words
+     *
+     * @param {Object} criteria - Bucket criteria
+     * @returns {Array<string>} One line per part (rules, included, excluded)
+     */
+    describeCriteria(criteria) {
+        const lines = [];
+        if (criteria.rules) {
+            lines.push(`Rules: ${this.describe(criteria.rules)}`);
+        }
+        if (Array.isArray(criteria.includeCustomers) && criteria.includeCustomers.length > 0) {
+            lines.push(`Always includes: ${criteria.includeCustomers.join(', ')}`);
+        }
+        if (Array.isArray(criteria.excludeCustomers) && criteria.excludeCustomers.length > 0) {
+            lines.push(`Never includes: ${criteria.excludeCustomers.join(', ')}`);
+        }
+        return lines;
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Validates one rule node and its children
+     * @private
+     */
+    validateNode(node, path, depth, fields) {
+        if (depth > this.maxDepth) {
+            throw new Error(`${path}: rules are nested deeper than ${this.maxDepth} levels`);
+        }
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            throw new Error(`${path}: a rule must be an object`);
+        }
+
+        const groupKeys = ['all', 'any', 'not'].filter(key => node[key] !== undefined);
+        if (groupKeys.length > 1 || (groupKeys.length === 1 && node.field !== undefined)) {
+            throw new Error(`${path}: a rule is either one group (all, any or not) or one condition`);
+        }
+
+        if (groupKeys[0] === 'all' || groupKeys[0] === 'any') {
+            const children = node[groupKeys[0]];
+            if (!Array.isArray(children) || children.length === 0) {
+                throw new Error(`${path}.${groupKeys[0]}: must be a non-empty array of rules`);
+            }
+            children.forEach((child, index) => this.validateNode(child, `${path}.${groupKeys[0]}[${index}]`, depth + 1, fields));
+            return;
+        }
+        if (groupKeys[0] === 'not') {
+            this.validateNode(node.not, `${path}.not`, depth + 1, fields);
+            return;
+        }
+
+        if (typeof node.field !== 'string' || node.field.trim() === '') {
+            throw new Error(`${path}: condition needs a field name`);
+        }
+        const rootField = node.field.split('.')[0];
+        if (fields && !fields.has(rootField)) {
+            throw new Error(`${path}: unknown customer field "${rootField}"`);
+        }
+
+        const kind = this.operators[node.op];
+        if (!kind) {
+            throw new Error(`${path}: unknown operator "${node.op}" (use ${Object.keys(this.operators).join(', ')})`);
+        }
+
+        const value = node.value;
+        const valid = {
+            number: () => typeof value === 'number' && Number.isFinite(value),
+            range: () => Array.isArray(value) && value.length === 2 &&
+                value.every(bound => typeof bound === 'number' && Number.isFinite(bound)) && value[0] <= value[1],
+            scalar: () => ['string', 'number', 'boolean'].includes(typeof value) && value !== '',
+            list: () => Array.isArray(value) && value.length > 0 &&
+                value.every(item => ['string', 'number', 'boolean'].includes(typeof item)),
+            boolean: () => typeof value === 'boolean'
+        }[kind];
+
+        if (!valid()) {
+            const expected = {
+                number: 'a number',
+                range: 'a [min, max] pair of numbers with min ≤ max',
+                scalar: 'a text, number or true/false value',
+                list: 'a non-empty array of values',
+                boolean: 'true or false'
+            }[kind];
+            throw new Error(`${path}: ${node.field} ${node.op} needs ${expected}`);
+        }
+    }
+
+    /**
+     * Validates an include/exclude customer list
+     * @private
+     */
+    validateCustomerList(list, name) {
+        if (list === undefined || list === null) return [];
+        if (!Array.isArray(list) || list.some(customerId => String(customerId).trim() === '')) {
+            throw new Error(`${name} must be an array of customer IDs`);
+        }
+        return list.map(String);
+    }
+
+    /**
+     * Evaluates a rule node, collecting leaf conditions
+     * @private
+     */
+    evaluateNode(customer, node, path, conditions, negated = false) {
+        if (Array.isArray(node.all)) {
+            const results = node.all.map((child, index) => this.evaluateNode(customer, child, `${path}.all[${index}]`, conditions, negated));
+            const met = results.every(result => result.met);
+            return { met, score: met ? results.reduce((sum, result) => sum + result.score, 0) / results.length : 0 };
+        }
+        if (Array.isArray(node.any)) {
+            const results = node.any.map((child, index) => this.evaluateNode(customer, child, `${path}.any[${index}]`, conditions, negated));
+            return { met: results.some(result => result.met), score: Math.max(...results.map(result => result.score)) };
+        }
+        if (node.not !== undefined) {
+            const result = this.evaluateNode(customer, node.not, `${path}.not`, conditions, !negated);
+            return { met: !result.met, score: result.met ? 0 : 1 };
+        }
+
+        const condition = this.evaluateCondition(customer, node);
+        const satisfied = negated ? !condition.met : condition.met;
+        conditions.push({
+            path,
+            ...condition,
+            negated,
+            satisfied,
+            status: negated ? (satisfied ? 'clear' : 'violated') : condition.status,
+            text: negated ? `NOT ${condition.text}` : condition.text
+        });
+        return condition;
+    }
+
+    /**
+     * Evaluates one condition with its score and threshold status
+     * @private
+     */
+    evaluateCondition(customer, condition) {
+        const actual = this.getFieldValue(customer, condition.field);
+        const missing = actual === undefined || actual === null;
+        const result = {
+            field: condition.field,
+            op: condition.op,
+            value: condition.value,
+            actual: missing ? null : actual,
+            met: false,
+            score: 0,
+            status: 'violated',
+            text: this.describeCondition(condition)
+        };
+
+        if (condition.op === 'exists') {
+            result.met = condition.value ? !missing : missing;
+        } else if (!missing) {
+            result.met = this.compare(actual, condition.op, condition.value);
+        }
+
+        if (!result.met) {
+            return result;
+        }
+
+        result.score = 1;
+        result.status = 'clear';
+
+        // Numeric thresholds met narrowly score lower, down to 0.8 at the threshold
+        const thresholds = condition.op === 'between'
+            ? condition.value
+            : (['>', '>=', '<', '<='].includes(condition.op) ? [condition.value] : []);
+        if (thresholds.length > 0 && typeof actual === 'number') {
+            const closeness = Math.max(...thresholds.map(threshold => {
+                const relativeDistance = threshold !== 0
+                    ? Math.abs(actual - threshold) / Math.abs(threshold)
+                    : (actual === 0 ? 0 : Infinity);
+                return Math.max(0, 1 - relativeDistance / this.boundaryProximity);
+            }));
+            if (closeness > 0) {
+                result.status = 'near';
+                result.score = parseFloat((1 - 0.2 * closeness).toFixed(3));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Applies an operator
+     * @private
+     */
+    compare(actual, op, value) {
+        const equals = (a, b) => typeof a === 'string' || typeof b === 'string'
+            ? String(a).toLowerCase() === String(b).toLowerCase()
+            : a === b;
+        const contains = () => Array.isArray(actual)
+            ? actual.some(item => equals(item, value))
+            : String(actual).toLowerCase().includes(String(value).toLowerCase());
+
+        switch (op) {
+            case '>': return typeof actual === 'number' && actual > value;
+            case '>=': return typeof actual === 'number' && actual >= value;
+            case '<': return typeof actual === 'number' && actual < value;
+            case '<=': return typeof actual === 'number' && actual <= value;
+            case 'between': return typeof actual === 'number' && actual >= value[0] && actual <= value[1];
+            case '==': return equals(actual, value);
+            case '!=': return !equals(actual, value);
+            case 'in': return value.some(item => equals(actual, item));
+            case 'notIn': return !value.some(item => equals(actual, item));
+            case 'contains': return contains();
+            case 'notContains': return !contains();
+            default: return false;
+        }
+    }
+
+    /**
+     * Reads a (dotted) field from a customer
+     * @private
+     */
+    getFieldValue(customer, field) {
+        if (Object.prototype.hasOwnProperty.call(customer, field)) {
+            return customer[field];
+        }
+        return field.split('.').reduce((value, key) => (
+            value !== undefined && value !== null && typeof value === 'object' ? value[key] : undefined
+        ), customer);
+    }
+
+    /**
+     * Describes one condition
+     * @private
+     */
+    describeCondition(condition) {
+        const symbols = { '>=': '≥', '<=': '≤', '==': '=', '!=': '≠', notIn: 'not in', notContains: 'does not contain' };
+        const op = symbols[condition.op] || condition.op;
+
+        if (condition.op === 'exists') {
+            return `${condition.field} ${condition.value ? 'is set' : 'is not set'}`;
+        }
+        if (condition.op === 'between') {
+            return `${condition.field} between ${condition.value[0]} and ${condition.value[1]}`;
+        }
+        return `${condition.field} ${op} ${Array.isArray(condition.value) ? condition.value.join(', ') : condition.value}`;
+    }
+
+    /**
+     * Describes a child node, parenthesizing groups
+     * @private
+     */
+    describeChild(node) {
+        const text = this.describe(node);
+        return node && (Array.isArray(node.all) || Array.isArray(node.any)) ? `(${text})` : text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BucketCriteriaEvaluator;
+} else if (typeof window !== 'undefined') {
+    window.BucketCriteriaEvaluator = BucketCriteriaEvaluator;
+}
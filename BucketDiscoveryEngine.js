@@ -0,0 +1,537 @@
+/**
+ * BucketDiscoveryEngine - Suggests customer buckets by clustering customer analytics
+ *
+ * Customers are clustered with k-means on four normalised features:
+ * volume and revenue (log scale, since a few contractors dwarf everyone
+ * else), average price and profit margin, each as a z-score. k is chosen
+ * by the average silhouette unless fixed. Clusters are not boxes, so each
+ * one is then described by volume/price/margin ranges: a small decision
+ * tree with k leaves is grown to separate the clusters, and every leaf
+ * becomes one bucket suggestion. Leaves never overlap and together cover
+ * every customer, so accepted suggestions need no overlap resolution:
+ * neighbouring ranges share their boundary, the upper range starts at it
+ * and the lower one ends just below it with a `<` rule.
+ *
+ * @class BucketDiscoveryEngine
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class BucketDiscoveryEngine {
+    /**
+     * Creates an instance of BucketDiscoveryEngine
+     *
+     * @param {Object} options - Configuration options
+     * @param {number} options.maxIterations - k-means iterations per run (default: 100)
+     * @param {number} options.restarts - k-means runs per k, best kept (default: 4)
+     * @param {number} options.silhouetteSample - Customers sampled when scoring k (default: 1000)
+     */
+    constructor(options = {}) {
+        this.maxIterations = options.maxIterations || 100;
+        this.restarts = options.restarts || 4;
+        this.silhouetteSample = options.silhouetteSample || 1000;
+
+        /** @type {number} Decimals of the boundaries between neighbouring ranges */
+        this.boundaryDecimals = 2;
+
+        /** @type {Array<Object>} Range dimensions used for the bucket criteria */
+        this.dimensions = [
+            { key: 'volume', field: 'totalVolume', min: 'volumeMin', max: 'volumeMax', label: 'Volume' },
+            { key: 'price', field: 'averageUnitPrice', min: 'priceMin', max: 'priceMax', label: 'Price' },
+            { key: 'margin', field: 'profitMargin', min: 'profitMarginMin', max: 'profitMarginMax', label: 'Margin' }
+        ];
+    }
+
+    /**
+     * Suggest buckets for a set of customers
+     *
+     * @param {Array<CustomerAnalytics>} customers - Customers to cluster
+     * @param {Object} options - Discovery options
+     * @param {number} options.k - Fixed number of buckets (default: chosen automatically)
+     * @param {number} options.maxBuckets - Largest k tried automatically (default: 20)
+     * @param {number} options.minBucketSize - Fewest customers per suggested bucket (default: 2% of customers, at least 1)
+     * @param {number} options.seed - Seed for k-means initialisation (default: 1)
+     * @param {Array<string>} options.existingNames - Bucket names to avoid
+     * @returns {Object} {k, clusters, silhouette, kSelection, customerCount, suggestions[{name, levels, dimensions, criteria, customerIds, stats}]}
+     * @throws {Error} If there are too few customers or the options are invalid
+     *
+     * @example
+     * const discovery = engine.discover(customers, { maxBuckets: 8 });
+     * discovery.suggestions.forEach(s => manager.createBucket(s.name, s.criteria));
+     */
+    discover(customers, options = {}) {
+        try {
+            if (!Array.isArray(customers) || customers.length < 2) {
+                throw new Error('At least two customers are needed to suggest buckets');
+            }
+            const maxBuckets = options.maxBuckets !== undefined ? options.maxBuckets : 20;
+            if (!Number.isInteger(maxBuckets) || maxBuckets < 1) {
+                throw new Error('maxBuckets must be a positive integer');
+            }
+            if (options.k !== undefined && (!Number.isInteger(options.k) || options.k < 1 || options.k > maxBuckets)) {
+                throw new Error(`k must be an integer between 1 and ${maxBuckets}`);
+            }
+
+            const minBucketSize = options.minBucketSize !== undefined
+                ? options.minBucketSize
+                : Math.max(1, Math.round(customers.length * 0.02));
+            const random = this.createRandom(options.seed !== undefined ? options.seed : 1);
+            const points = this.buildFeatures(customers);
+            const distinctPoints = new Set(points.map(point => point.join(','))).size;
+
+            const sample = this.sampleIndexes(points.length, this.silhouetteSample, random);
+
+            let clustering;
+            const kSelection = [];
+            if (options.k !== undefined) {
+                clustering = this.cluster(points, Math.min(options.k, distinctPoints), random);
+                clustering.silhouette = clustering.k > 1
+                    ? this.calculateSilhouette(points, clustering.labels, clustering.k, sample)
+                    : 0;
+            } else {
+                const largestK = Math.min(maxBuckets, distinctPoints, Math.floor(customers.length / minBucketSize));
+                let best = null;
+                for (let k = 2; k <= largestK; k++) {
+                    const candidate = this.cluster(points, k, random);
+                    const silhouette = this.calculateSilhouette(points, candidate.labels, k, sample);
+                    kSelection.push({ k, silhouette: this.round(silhouette, 3), inertia: this.round(candidate.inertia, 2) });
+                    if (!best || silhouette > best.silhouette + 1e-9) {
+                        best = { ...candidate, silhouette };
+                    }
+                }
+                clustering = best || { ...this.cluster(points, 1, random), silhouette: 0 };
+            }
+
+            const leaves = this.growTree(customers, clustering.labels, clustering.k, minBucketSize);
+            const suggestions = this.describeLeaves(customers, leaves, options.existingNames || []);
+
+            return {
+                k: suggestions.length,
+                clusters: clustering.k,
+                silhouette: this.round(clustering.silhouette, 3),
+                kSelection,
+                customerCount: customers.length,
+                suggestions
+            };
+
+        } catch (error) {
+            console.error('Error discovering buckets:', error);
+            throw new Error(`Bucket discovery failed: ${error.message}`);
+        }
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Builds z-scored [log volume, price, margin, log revenue] points
+     * @private
+     */
+    buildFeatures(customers) {
+        const raw = customers.map(customer => [
+            Math.log1p(Math.max(0, customer.totalVolume)),
+            customer.averageUnitPrice,
+            customer.profitMargin,
+            Math.log1p(Math.max(0, this.getRevenue(customer)))
+        ]);
+
+        const columns = raw[0].length;
+        const means = [];
+        const deviations = [];
+        for (let column = 0; column < columns; column++) {
+            const mean = raw.reduce((sum, row) => sum + row[column], 0) / raw.length;
+            const variance = raw.reduce((sum, row) => sum + (row[column] - mean) ** 2, 0) / raw.length;
+            means.push(mean);
+            deviations.push(Math.sqrt(variance) || 1);
+        }
+
+        return raw.map(row => row.map((value, column) => (value - means[column]) / deviations[column]));
+    }
+
+    /**
+     * Runs k-means with k-means++ seeding, keeping the best of several restarts
+     * @private
+     */
+    cluster(points, k, random) {
+        let best = null;
+        const restarts = k === 1 ? 1 : this.restarts;
+
+        for (let run = 0; run < restarts; run++) {
+            const centroids = this.seedCentroids(points, k, random);
+            const labels = new Array(points.length).fill(-1);
+
+            for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+                let changed = false;
+                points.forEach((point, index) => {
+                    const label = this.nearestCentroid(point, centroids);
+                    if (label !== labels[index]) {
+                        labels[index] = label;
+                        changed = true;
+                    }
+                });
+                if (!changed) break;
+
+                const sums = centroids.map(centroid => centroid.map(() => 0));
+                const counts = new Array(k).fill(0);
+                points.forEach((point, index) => {
+                    counts[labels[index]]++;
+                    point.forEach((value, column) => { sums[labels[index]][column] += value; });
+                });
+                sums.forEach((sum, cluster) => {
+                    // An emptied cluster restarts at the point furthest from its centroid
+                    if (counts[cluster] === 0) {
+                        let furthest = 0;
+                        let furthestDistance = -1;
+                        points.forEach((point, index) => {
+                            const distance = this.squaredDistance(point, centroids[labels[index]]);
+                            if (distance > furthestDistance) {
+                                furthest = index;
+                                furthestDistance = distance;
+                            }
+                        });
+                        centroids[cluster] = [...points[furthest]];
+                    } else {
+                        centroids[cluster] = sum.map(value => value / counts[cluster]);
+                    }
+                });
+            }
+
+            const inertia = points.reduce((sum, point, index) => sum + this.squaredDistance(point, centroids[labels[index]]), 0);
+            if (!best || inertia < best.inertia) {
+                best = { k, labels: [...labels], centroids, inertia };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Picks k starting centroids, each new one with probability proportional to its squared distance
+     * @private
+     */
+    seedCentroids(points, k, random) {
+        const centroids = [[...points[Math.floor(random() * points.length)]]];
+        const distances = points.map(point => this.squaredDistance(point, centroids[0]));
+
+        while (centroids.length < k) {
+            const total = distances.reduce((sum, distance) => sum + distance, 0);
+            let target = random() * total;
+            let chosen = points.length - 1;
+            for (let index = 0; index < points.length; index++) {
+                target -= distances[index];
+                if (target <= 0 && distances[index] > 0) {
+                    chosen = index;
+                    break;
+                }
+            }
+            centroids.push([...points[chosen]]);
+            points.forEach((point, index) => {
+                distances[index] = Math.min(distances[index], this.squaredDistance(point, points[chosen]));
+            });
+        }
+
+        return centroids;
+    }
+
+    /**
+     * Index of the closest centroid
+     * @private
+     */
+    nearestCentroid(point, centroids) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        centroids.forEach((centroid, index) => {
+            const distance = this.squaredDistance(point, centroid);
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Squared Euclidean distance
+     * @private
+     */
+    squaredDistance(a, b) {
+        let sum = 0;
+        for (let index = 0; index < a.length; index++) {
+            sum += (a[index] - b[index]) ** 2;
+        }
+        return sum;
+    }
+
+    /**
+     * Average silhouette of the sampled points (-1 to 1, higher is better separated)
+     * @private
+     */
+    calculateSilhouette(points, labels, k, sample) {
+        let total = 0;
+        let counted = 0;
+
+        sample.forEach(index => {
+            const sums = new Array(k).fill(0);
+            const counts = new Array(k).fill(0);
+            sample.forEach(other => {
+                if (other === index) return;
+                sums[labels[other]] += Math.sqrt(this.squaredDistance(points[index], points[other]));
+                counts[labels[other]]++;
+            });
+
+            const own = labels[index];
+            if (counts[own] === 0) return;
+            const cohesion = sums[own] / counts[own];
+            let separation = Infinity;
+            for (let cluster = 0; cluster < k; cluster++) {
+                if (cluster !== own && counts[cluster] > 0) {
+                    separation = Math.min(separation, sums[cluster] / counts[cluster]);
+                }
+            }
+            if (separation === Infinity) return;
+
+            const spread = Math.max(cohesion, separation);
+            total += spread > 0 ? (separation - cohesion) / spread : 0;
+            counted++;
+        });
+
+        return counted > 0 ? total / counted : 0;
+    }
+
+    /**
+     * Grows a decision tree on the criteria dimensions until it has one leaf per cluster
+     *
+     * The leaf whose best split removes the most cluster impurity (Gini,
+     * weighted by customer count) is split next. Split points are rounded
+     * to cents and shared by both sides: the upper leaf starts at the
+     * boundary and the lower leaf ends below it (its max is exclusive).
+     * @private
+     */
+    growTree(customers, labels, k, minBucketSize) {
+        const bounds = {};
+        this.dimensions.forEach(dimension => { bounds[dimension.key] = { min: null, max: null }; });
+
+        const leaves = [{ indexes: customers.map((customer, index) => index), bounds }];
+        leaves[0].split = this.findBestSplit(customers, labels, k, leaves[0], minBucketSize);
+
+        while (leaves.length < k) {
+            let target = null;
+            leaves.forEach(leaf => {
+                if (leaf.split && (!target || leaf.split.gain > target.split.gain)) {
+                    target = leaf;
+                }
+            });
+            if (!target) break;
+
+            const { dimension, boundary } = target.split;
+            const lower = { indexes: [], bounds: JSON.parse(JSON.stringify(target.bounds)) };
+            const upper = { indexes: [], bounds: JSON.parse(JSON.stringify(target.bounds)) };
+            lower.bounds[dimension.key].max = boundary;
+            upper.bounds[dimension.key].min = boundary;
+            target.indexes.forEach(index => {
+                (customers[index][dimension.field] < boundary ? lower : upper).indexes.push(index);
+            });
+
+            lower.split = this.findBestSplit(customers, labels, k, lower, minBucketSize);
+            upper.split = this.findBestSplit(customers, labels, k, upper, minBucketSize);
+            leaves.splice(leaves.indexOf(target), 1, lower, upper);
+        }
+
+        return leaves;
+    }
+
+    /**
+     * Best impurity-reducing split of one leaf, or null when none helps
+     * @private
+     */
+    findBestSplit(customers, labels, k, leaf, minBucketSize) {
+        const count = leaf.indexes.length;
+        if (count < minBucketSize * 2) return null;
+
+        const totals = new Array(k).fill(0);
+        leaf.indexes.forEach(index => { totals[labels[index]]++; });
+        const impurity = this.gini(totals, count);
+        if (impurity === 0) return null;
+
+        let best = null;
+        this.dimensions.forEach(dimension => {
+            const sorted = [...leaf.indexes].sort((a, b) => customers[a][dimension.field] - customers[b][dimension.field]);
+            const lowerCounts = new Array(k).fill(0);
+
+            for (let position = 0; position < count - 1; position++) {
+                lowerCounts[labels[sorted[position]]]++;
+                const lowerSize = position + 1;
+                if (lowerSize < minBucketSize || count - lowerSize < minBucketSize) continue;
+
+                const below = customers[sorted[position]][dimension.field];
+                const above = customers[sorted[position + 1]][dimension.field];
+                const boundary = this.round((below + above) / 2, this.boundaryDecimals);
+                if (below >= boundary || above < boundary || boundary <= 0) continue;
+
+                const upperCounts = totals.map((total, cluster) => total - lowerCounts[cluster]);
+                const weighted = (lowerSize * this.gini(lowerCounts, lowerSize)
+                    + (count - lowerSize) * this.gini(upperCounts, count - lowerSize)) / count;
+                const gain = (impurity - weighted) * count;
+                if (gain > 1e-9 && (!best || gain > best.gain)) {
+                    best = { dimension, boundary, gain };
+                }
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Gini impurity of cluster counts
+     * @private
+     */
+    gini(counts, total) {
+        if (total === 0) return 0;
+        return 1 - counts.reduce((sum, value) => sum + (value / total) ** 2, 0);
+    }
+
+    /**
+     * Turns tree leaves into named bucket suggestions with summary statistics
+     * @private
+     */
+    describeLeaves(customers, leaves, existingNames) {
+        const totalVolume = customers.reduce((sum, customer) => sum + customer.totalVolume, 0);
+        const totalRevenue = customers.reduce((sum, customer) => sum + this.getRevenue(customer), 0);
+        const terciles = {};
+        this.dimensions.forEach(dimension => {
+            const values = customers.map(customer => customer[dimension.field]).sort((a, b) => a - b);
+            terciles[dimension.key] = [this.quantile(values, 1 / 3), this.quantile(values, 2 / 3)];
+        });
+
+        const usedNames = new Set(existingNames.map(name => name.toLowerCase()));
+        const suggestions = leaves.map(leaf => {
+            const members = leaf.indexes.map(index => customers[index]);
+            const volume = members.reduce((sum, customer) => sum + customer.totalVolume, 0);
+            const revenue = members.reduce((sum, customer) => sum + this.getRevenue(customer), 0);
+            const levels = {};
+            this.dimensions.forEach(dimension => {
+                const median = this.quantile(members.map(customer => customer[dimension.field]).sort((a, b) => a - b), 0.5);
+                const [low, high] = terciles[dimension.key];
+                levels[dimension.key] = median <= low ? 'Low' : median >= high ? 'High' : 'Mid';
+            });
+
+            const criteria = {};
+            const belowMaxima = [];
+            this.dimensions.forEach(dimension => {
+                const { min, max } = leaf.bounds[dimension.key];
+                criteria[dimension.min] = min;
+                criteria[dimension.max] = max;
+                if (max !== null) {
+                    belowMaxima.push({ field: dimension.field, op: '<', value: max });
+                }
+            });
+            if (belowMaxima.length > 0) {
+                criteria.rules = { all: belowMaxima };
+            }
+
+            return {
+                name: null,
+                levels,
+                dimensions: this.dimensions
+                    .filter(dimension => leaf.bounds[dimension.key].min !== null || leaf.bounds[dimension.key].max !== null)
+                    .map(dimension => dimension.key),
+                criteria,
+                customerIds: members.map(customer => customer.customerId),
+                stats: {
+                    customerCount: members.length,
+                    totalVolume: this.round(volume, 2),
+                    totalRevenue: this.round(revenue, 2),
+                    averageVolume: this.round(volume / members.length, 2),
+                    averagePrice: this.round(volume > 0 ? revenue / volume : 0, 2),
+                    averageMargin: this.round(revenue > 0
+                        ? members.reduce((sum, customer) => sum + customer.profitMargin * this.getRevenue(customer), 0) / revenue
+                        : 0, 2),
+                    volumeShare: this.round(totalVolume > 0 ? volume / totalVolume * 100 : 0, 1),
+                    revenueShare: this.round(totalRevenue > 0 ? revenue / totalRevenue * 100 : 0, 1)
+                }
+            };
+        }).sort((a, b) => b.stats.totalVolume - a.stats.totalVolume);
+
+        // Named after the dimensions the ranges cut, e.g. 'High Volume' for a volume-only split
+        suggestions.forEach(suggestion => {
+            const base = suggestion.dimensions.length > 0
+                ? this.dimensions
+                    .filter(dimension => suggestion.dimensions.includes(dimension.key))
+                    .map(dimension => `${suggestion.levels[dimension.key]} ${dimension.label}`)
+                    .join(', ')
+                : 'All Customers';
+            let name = usedNames.has(base.toLowerCase()) ? null : base;
+            for (let counter = 2; !name; counter++) {
+                const numbered = `${base} ${counter}`;
+                if (!usedNames.has(numbered.toLowerCase())) name = numbered;
+            }
+            usedNames.add(name.toLowerCase());
+            suggestion.name = name;
+        });
+
+        return suggestions;
+    }
+
+    /**
+     * Customer revenue, estimated from volume and price when missing
+     * @private
+     */
+    getRevenue(customer) {
+        return customer.totalRevenue || customer.totalVolume * customer.averageUnitPrice;
+    }
+
+    /**
+     * Linear-interpolated quantile of sorted values
+     * @private
+     */
+    quantile(sorted, fraction) {
+        if (sorted.length === 0) return 0;
+        const position = (sorted.length - 1) * fraction;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Up to size distinct indexes, all of them when there are few enough
+     * @private
+     */
+    sampleIndexes(count, size, random) {
+        const indexes = Array.from({ length: count }, (value, index) => index);
+        if (count <= size) return indexes;
+        for (let index = count - 1; index > 0; index--) {
+            const swap = Math.floor(random() * (index + 1));
+            [indexes[index], indexes[swap]] = [indexes[swap], indexes[index]];
+        }
+        return indexes.slice(0, size);
+    }
+
+    /**
+     * Seeded pseudo-random generator (mulberry32) so suggestions are repeatable
+     * @private
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Rounds to a number of decimals
+     * @private
+     */
+    round(value, decimals) {
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BucketDiscoveryEngine;
+} else if (typeof window !== 'undefined') {
+    window.BucketDiscoveryEngine = BucketDiscoveryEngine;
+}
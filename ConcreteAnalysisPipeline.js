@@ -0,0 +1,636 @@
+const pipelineModules = typeof module !== 'undefined' && module.exports
+    ? {
+        SalesLedgerImporter: require('./SalesLedgerImporter'),
+        CustomerAnalyticsEngine: require('./CustomerAnalyticsEngine'),
+        CustomerBucketManager: require('./CustomerBucketManager'),
+        OverlapResolutionEngine: require('./OverlapResolutionEngine'),
+        PricingAdjustmentCalculator: require('./PricingAdjustmentCalculator'),
+        ProfitPlanCalculator: require('./ProfitPlanCalculator'),
+        GoalSeekSolver: require('./GoalSeekSolver'),
+        ElasticityEstimator: require('./ElasticityEstimator'),
+        ManufacturingCostBuilder: require('./ManufacturingCostBuilder'),
+        VolumeForecaster: require('./VolumeForecaster'),
+        ProfitRiskSimulator: require('./ProfitRiskSimulator'),
+        PriceRolloutPlanner: require('./PriceRolloutPlanner')
+    }
+    : window;
+
+/**
+ * ConcreteAnalysisPipeline - Headless run of the whole analysis
+ *
+ * Chains the same modules the HTML page uses: historical rollup for the
+ * selected months, profit goal metrics, mixed cost basis projection,
+ * customer analytics, bucket assignment and pricing strategy. A scenario
+ * object replaces the form inputs, so month-end scripts get the figures
+ * the UI would show for the same inputs.
+ *
+ * @class ConcreteAnalysisPipeline
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class ConcreteAnalysisPipeline {
+    /**
+     * Creates an instance of ConcreteAnalysisPipeline
+     *
+     * @param {Object} options - Configuration options
+     * @param {Object} options.overlapOptions - Options passed to OverlapResolutionEngine
+     * @param {Object} options.costAssumptions - Default cost assumptions for ledger transactions
+     */
+    constructor(options = {}) {
+        this.overlapOptions = options.overlapOptions || {};
+        this.costAssumptions = options.costAssumptions || {};
+    }
+
+    /**
+     * Runs the analysis for a scenario
+     *
+     * @param {Object} scenario - Analysis inputs
+     * @param {Object} scenario.historicalData - Monthly data keyed by month label; derived from transactions when omitted
+     * @param {Array<Object>} scenario.transactions - Imported ledger transactions (SalesLedgerImporter shape)
+     * @param {number} scenario.sampleSeed - Seed for sample customers when no transactions are given
+     * @param {Array<string>} scenario.selectedMonths - Months to analyze (default: all months)
+     * @param {number} scenario.profitGoal - Target profit for the future period
+     * @param {number} scenario.projectedVolume - Projected volume in yards
+     * @param {boolean|Object} scenario.forecast - Forecast volume from the history {percentile, method, months, holdout, levels}; plans with the percentile (default 50) when no projectedVolume is given
+     * @param {Object} scenario.costs - {manufacturingPerYard, labor, fixed}; historical basis when omitted
+     * @param {Object} scenario.costs.mixDesign - Build manufacturingPerYard from recipes and material prices (ManufacturingCostBuilder.build inputs)
+     * @param {Array<Object>} scenario.buckets - [{name, criteria, adjustment, adjustmentType}]
+     * @param {Object} scenario.adjustments - Bucket name → {adjustment, adjustmentType}; overrides bucket adjustments
+     * @param {Object} scenario.assignments - Manual customerId → bucket name assignments
+     * @param {Object} scenario.pricingOptions - Options for generatePricingRecommendations
+     * @param {Object} scenario.goalSeek - GoalSeekSolver question {question, maxVolume, includeElasticity} (optional)
+     * @param {Object} scenario.customerExceptions - Customer name or ID → price exception {exempt, fixedPrice, maxIncrease, maxIncreaseType, contractEndDate} (optional)
+     * @param {Object} scenario.rollout - Phased price increases {phases: [{bucket, effective, adjustment, adjustmentType}], contractRenewals} projected month by month (optional)
+     * @param {Object} scenario.riskSimulation - Monte Carlo profit simulation {inputs, iterations, seed}; elasticity inputs keyed by bucket name (optional)
+     * @param {Object} scenario.demandModels - Bucket name → demand model, or 'estimate' to fit elasticity from its customers' history
+     * @param {Array<Object>} scenario.segmentDemandModels - [{name, criteria, model}] customer segment demand models
+     * @param {Object} scenario.assignmentOptimization - Assign overlapping customers together {objective, constraints} with constraints keyed by bucket name (optional)
+     * @param {Object} scenario.overlapWeights - Approved match scoring weights {volume, price, margin, value}
+     * @param {Object} scenario.bucketBiases - Approved bucket name → match score offset
+     * @param {boolean|Object} scenario.learnResolutionWeights - Propose weights learned from manual assignments {bucketBiases, minDecisions} (never applied)
+     * @param {boolean|Object} scenario.suggestBuckets - Suggest buckets by clustering the customers {k, maxBuckets, minBucketSize, seed} (never created)
+     * @returns {Promise<Object>} Results of every stage, plus bucketJournal (CustomerBucketManager.exportJournal)
+     *
+     * @example
+     * const pipeline = new ConcreteAnalysisPipeline();
+     * const result = await pipeline.run({ historicalData, profitGoal: 500000, projectedVolume: 12000, sampleSeed: 2024 });
+     * console.log(result.projection.profitGap);
+     */
+    async run(scenario) {
+        try {
+            if (!scenario || typeof scenario !== 'object') {
+                throw new Error('Scenario must be an object');
+            }
+
+            const importer = new pipelineModules.SalesLedgerImporter({
+                costAssumptions: { ...this.costAssumptions, ...scenario.costAssumptions }
+            });
+            const transactions = Array.isArray(scenario.transactions) ? scenario.transactions : null;
+            const historicalData = scenario.historicalData
+                || (transactions ? importer.rollupMonthly(transactions) : null);
+
+            if (!historicalData || Object.keys(historicalData).length === 0) {
+                throw new Error('Scenario needs historicalData or ledger transactions');
+            }
+
+            const selectedMonths = scenario.selectedMonths && scenario.selectedMonths.length > 0
+                ? scenario.selectedMonths
+                : Object.keys(historicalData);
+
+            // Steps 1-4: historical period, goal and mixed cost projection
+            const planCalculator = new pipelineModules.ProfitPlanCalculator();
+            const historical = planCalculator.summarizeHistoricalPeriod(selectedMonths, historicalData);
+            const costBasis = planCalculator.getHistoricalCostBasis(historical);
+            const profitGoal = scenario.profitGoal || 0;
+            const projectedVolume = scenario.projectedVolume || 0;
+            const costs = scenario.costs || {};
+
+            // Forecast the same months one year on, unless the scenario names the months
+            const { percentile: forecastPercentile, ...forecastOptions } = scenario.forecast === true ? {} : (scenario.forecast || {});
+            const volumeForecast = scenario.forecast
+                ? new pipelineModules.VolumeForecaster().forecast(historicalData, { matchMonths: historical.months, ...forecastOptions })
+                : null;
+            const volumePlan = { projectedVolume, volumeForecast, forecastPercentile };
+            const usesForecast = volumeForecast && !(projectedVolume > 0);
+
+            // An explicit $/yard wins over the mix design build-up, which wins over the historical basis
+            let manufacturingCost = null;
+            if (costs.mixDesign && costs.manufacturingPerYard === undefined) {
+                const mixDesign = { ...costs.mixDesign };
+                // Without its own months, the mix design follows the forecast's monthly volume
+                if (usesForecast && !mixDesign.months && !mixDesign.startMonth && !mixDesign.monthlyVolume) {
+                    mixDesign.monthlyVolume = {};
+                    volumeForecast.months.forEach(month => {
+                        mixDesign.monthlyVolume[month.month] = month.volumePercentiles[forecastPercentile || 50];
+                    });
+                }
+                manufacturingCost = new pipelineModules.ManufacturingCostBuilder().build(mixDesign, {
+                    volume: usesForecast ? planCalculator.getForecastVolume(volumeForecast, forecastPercentile || 50) : projectedVolume
+                });
+            }
+
+            const goalMetrics = planCalculator.calculateGoalMetrics(historical, { profitGoal, ...volumePlan });
+            const projection = planCalculator.calculateProjections(historical, {
+                profitGoal,
+                ...volumePlan,
+                manufacturingPerYard: costs.manufacturingPerYard !== undefined
+                    ? costs.manufacturingPerYard
+                    : (manufacturingCost ? manufacturingCost.costPerYard : costBasis.manufacturingPerYard),
+                labor: costs.labor !== undefined ? costs.labor : costBasis.laborTotal,
+                fixed: costs.fixed !== undefined ? costs.fixed : costBasis.fixedTotal
+            });
+
+            // Step 5: customers, buckets and pricing
+            const analyticsEngine = new pipelineModules.CustomerAnalyticsEngine({
+                sampleSeed: scenario.sampleSeed,
+                importer
+            });
+            const customers = analyticsEngine.analyzeCustomers(
+                selectedMonths,
+                transactions ? { transactions } : {}
+            );
+
+            const bucketManager = new pipelineModules.CustomerBucketManager();
+            bucketManager.loadCustomerData(customers);
+            // Suggestions ignore the scenario's own buckets, so they read as a fresh segmentation
+            const bucketSuggestions = scenario.suggestBuckets
+                ? bucketManager.suggestBuckets(typeof scenario.suggestBuckets === 'object' ? scenario.suggestBuckets : {})
+                : null;
+            this.createBuckets(bucketManager, scenario.buckets || [], scenario.adjustments || {});
+            const overlapEngine = this.createOverlapEngine(bucketManager, scenario);
+            const { summary: assignmentSummary, optimization: assignmentOptimization } = await this.assignCustomers(
+                overlapEngine,
+                bucketManager,
+                scenario.assignments || {},
+                scenario.assignmentOptimization || null
+            );
+
+            const weightProposal = scenario.learnResolutionWeights
+                ? this.proposeResolutionWeights(overlapEngine, bucketManager, scenario.learnResolutionWeights)
+                : null;
+
+            const pricingCalculator = new pipelineModules.PricingAdjustmentCalculator();
+            pricingCalculator.setCostBasis({
+                manufacturingPerYard: projection.manufacturingPerYard,
+                labor: projection.labor,
+                fixed: projection.fixed,
+                volume: projection.volume
+            });
+            // Calendar months of the plan, for contract end dates and the rollout
+            const planMonths = scenario.customerExceptions || scenario.rollout
+                ? projection.monthlyVolume || new pipelineModules.PriceRolloutPlanner().getSeasonalMonths(historical, historicalData)
+                : null;
+            if (scenario.customerExceptions) {
+                pricingCalculator.setCustomerExceptions(
+                    this.resolveCustomerExceptions(scenario.customerExceptions, bucketManager.customers),
+                    bucketManager.customers,
+                    { periodStart: planMonths[0].month, periodEnd: planMonths[planMonths.length - 1].month }
+                );
+            }
+            const demandEstimates = this.applyDemandModels(pricingCalculator, bucketManager, scenario, () => (
+                transactions
+                    ? transactions.filter(transaction => selectedMonths.includes(transaction.month))
+                    : analyticsEngine.generateSampleTransactions(selectedMonths)
+            ));
+            const populatedBuckets = new Map(
+                Array.from(bucketManager.buckets).filter(([, bucket]) => bucket.customerCount > 0)
+            );
+            const adjustments = {};
+            populatedBuckets.forEach((bucket, bucketId) => {
+                adjustments[bucketId] = {
+                    adjustment: bucket.adjustments.priceAdjustment,
+                    adjustmentType: bucket.adjustments.adjustmentType
+                };
+            });
+
+            const revenueImpact = pricingCalculator.calculateRevenueImpact(bucketManager.buckets, bucketManager.customers);
+            const newProjectedProfit = projection.projectedProfit + revenueImpact.revenueImpact;
+            const pricingImpact = {
+                ...revenueImpact,
+                currentProjectedProfit: projection.projectedProfit,
+                newProjectedProfit,
+                goalAchievement: profitGoal > 0 ? (newProjectedProfit / profitGoal * 100) : 0
+            };
+
+            let adjustmentImpact = null;
+            let goalAchievement = null;
+            let recommendations = null;
+
+            if (populatedBuckets.size > 0) {
+                adjustmentImpact = pricingCalculator.calculateAdjustmentImpact(populatedBuckets, adjustments);
+                goalAchievement = pricingCalculator.calculateGoalAchievement(
+                    projection.projectedProfit,
+                    projection.projectedProfit + adjustmentImpact.summary.profitChange,
+                    profitGoal
+                );
+                recommendations = pricingCalculator.generatePricingRecommendations(
+                    projection.profitGap,
+                    populatedBuckets,
+                    scenario.pricingOptions || {}
+                );
+            }
+
+            let goalSeek = null;
+            if (scenario.goalSeek) {
+                const solver = new pipelineModules.GoalSeekSolver({ pricingCalculator });
+                const { question, ...goalSeekOptions } = scenario.goalSeek;
+                goalSeek = solver.solve(question, {
+                    ...goalSeekOptions,
+                    historical,
+                    profitGoal,
+                    projectedVolume: projection.volume,
+                    costs: {
+                        manufacturingPerYard: projection.manufacturingPerYard,
+                        labor: projection.labor,
+                        fixed: projection.fixed
+                    },
+                    buckets: populatedBuckets,
+                    totalCustomerVolume: customers.reduce((sum, customer) => sum + customer.totalVolume, 0)
+                });
+            }
+
+            const riskSimulation = scenario.riskSimulation
+                ? new pipelineModules.ProfitRiskSimulator({ pricingCalculator, planCalculator }).simulate({
+                    historical,
+                    profitGoal,
+                    projectedVolume: projection.volume,
+                    costs: {
+                        manufacturingPerYard: projection.manufacturingPerYard,
+                        labor: projection.labor,
+                        fixed: projection.fixed
+                    },
+                    buckets: populatedBuckets,
+                    adjustments
+                }, scenario.riskSimulation)
+                : null;
+
+            let rollout = null;
+            if (scenario.rollout) {
+                rollout = new pipelineModules.PriceRolloutPlanner({ pricingCalculator }).plan({
+                    projection,
+                    months: planMonths,
+                    buckets: populatedBuckets,
+                    adjustments,
+                    customers: bucketManager.customers
+                }, scenario.rollout);
+            }
+
+            return {
+                selectedMonths: historical.months,
+                historical,
+                goalMetrics,
+                costBasis,
+                volumeForecast,
+                manufacturingCost,
+                projection,
+                customers: bucketManager.customers,
+                customerStats: analyticsEngine.calculateCustomerStats(),
+                buckets: bucketManager.getAllBuckets(),
+                assignments: assignmentSummary,
+                overlapResolutions: this.describeOverlapResolutions(bucketManager, assignmentSummary),
+                assignmentOptimization,
+                weightProposal,
+                bucketSuggestions,
+                progress: bucketManager.getCategorizationProgress(),
+                pricingImpact,
+                adjustmentImpact,
+                goalAchievement,
+                recommendations,
+                goalSeek,
+                rollout,
+                riskSimulation,
+                demandEstimates,
+                bucketJournal: bucketManager.exportJournal()
+            };
+
+        } catch (error) {
+            console.error('Error running analysis pipeline:', error);
+            throw new Error(`Analysis pipeline failed: ${error.message}`);
+        }
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Creates scenario buckets and applies their price adjustments
+     * @private
+     */
+    createBuckets(bucketManager, bucketDefinitions, adjustmentsByName) {
+        for (const definition of bucketDefinitions) {
+            const bucketId = bucketManager.createBucket(definition.name, this.normalizeCriteria(definition.criteria));
+            const adjustment = adjustmentsByName[definition.name] || definition;
+
+            if (adjustment.adjustment) {
+                bucketManager.applyPricingAdjustment(
+                    bucketId,
+                    adjustment.adjustment,
+                    adjustment.adjustmentType || 'absolute'
+                );
+            }
+        }
+    }
+
+    /**
+     * Keys scenario price exceptions by customer ID (scenarios may use names)
+     * @private
+     */
+    resolveCustomerExceptions(exceptions, customers) {
+        const resolved = {};
+        Object.entries(exceptions).forEach(([key, exception]) => {
+            const customer = customers.find(candidate => candidate.customerId === key)
+                || customers.find(candidate => candidate.customerName === key);
+            if (!customer) {
+                throw new Error(`Price exception for unknown customer "${key}"`);
+            }
+            resolved[customer.customerId] = exception;
+        });
+        return resolved;
+    }
+
+    /**
+     * Registers scenario demand models; 'estimate' fits elasticity per bucket
+     *
+     * A bucket whose history cannot support an estimate keeps the default
+     * model, and the estimate says why.
+     * @private
+     */
+    applyDemandModels(pricingCalculator, bucketManager, scenario, getTransactions) {
+        (scenario.segmentDemandModels || []).forEach(segment => {
+            pricingCalculator.setSegmentDemandModel(segment.name, segment.criteria, segment.model);
+        });
+
+        const estimates = {};
+        const estimator = new pipelineModules.ElasticityEstimator();
+        let transactions = null;
+
+        Object.entries(scenario.demandModels || {}).forEach(([bucketName, model]) => {
+            const bucket = bucketManager.getAllBuckets().find(candidate => candidate.bucketName.toLowerCase() === bucketName.toLowerCase());
+            if (!bucket) {
+                throw new Error(`Demand model names unknown bucket "${bucketName}"`);
+            }
+
+            if (model !== 'estimate') {
+                pricingCalculator.setDemandModel(bucket.bucketId, model);
+                return;
+            }
+
+            transactions = transactions || getTransactions();
+            const estimate = estimator.estimateFromTransactions(transactions, { customerIds: bucket.assignedCustomers });
+            estimates[bucket.bucketName] = estimate;
+            if (estimate.usable) {
+                pricingCalculator.setDemandModel(bucket.bucketId, {
+                    elasticity: estimate.elasticity,
+                    description: `estimated from ${estimate.observations} monthly observations of ${estimate.customers} customers (R² ${estimate.rSquared}, standard error ${estimate.standardError})`
+                });
+            }
+        });
+
+        return estimates;
+    }
+
+    /**
+     * Fills missing criteria bounds with null ("no limit")
+     * @private
+     */
+    normalizeCriteria(criteria = {}) {
+        const normalized = { ...criteria };
+        ['volumeMin', 'volumeMax', 'priceMin', 'priceMax', 'profitMarginMin', 'profitMarginMax'].forEach(key => {
+            if (normalized[key] === undefined || normalized[key] === '') {
+                normalized[key] = null;
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Creates the overlap engine with the scenario's approved weights and bucket biases
+     * @private
+     */
+    createOverlapEngine(bucketManager, scenario) {
+        const bucketBiases = { ...this.overlapOptions.bucketBiases };
+        Object.entries(scenario.bucketBiases || {}).forEach(([bucketName, bias]) => {
+            const bucket = bucketManager.getAllBuckets().find(candidate => candidate.bucketName.toLowerCase() === bucketName.toLowerCase());
+            if (!bucket) {
+                throw new Error(`Bucket bias names unknown bucket "${bucketName}"`);
+            }
+            bucketBiases[bucket.bucketId] = bias;
+        });
+
+        return new pipelineModules.OverlapResolutionEngine({
+            ...this.overlapOptions,
+            weights: scenario.overlapWeights || this.overlapOptions.weights,
+            bucketBiases
+        });
+    }
+
+    /**
+     * Proposes match weights learned from the manual assignments
+     *
+     * The proposal is reported, not applied: copying its weights into the
+     * scenario's overlapWeights (and bucketBiases) is the approval step.
+     * Bucket biases are reported by bucket name.
+     * @private
+     */
+    proposeResolutionWeights(overlapEngine, bucketManager, settings) {
+        const options = typeof settings === 'object' ? settings : {};
+        const proposal = overlapEngine.proposeWeightUpdate(options);
+        const byName = biases => Object.fromEntries(Object.entries(biases).map(([bucketId, bias]) => [
+            bucketManager.buckets.has(bucketId) ? bucketManager.buckets.get(bucketId).bucketName : bucketId,
+            bias
+        ]));
+
+        return {
+            ...proposal,
+            currentBiases: byName(proposal.currentBiases),
+            proposedBiases: byName(proposal.proposedBiases)
+        };
+    }
+
+    /**
+     * Assigns every customer to a bucket
+     *
+     * Manual assignments win, and those of customers eligible for several
+     * buckets are recorded as manual resolutions for weight learning; otherwise the customer goes to the eligible
+     * bucket with the highest match score, with the score explanation and
+     * reasoning recorded. Ties keep the earlier bucket. With an
+     * assignmentOptimization, customers eligible for several buckets are
+     * instead assigned together by OverlapResolutionEngine.optimizeAssignments
+     * within the bucket limits.
+     * @private
+     */
+    async assignCustomers(overlapEngine, bucketManager, manualAssignments, optimizationSettings) {
+        const buckets = bucketManager.getAllBuckets();
+        const bucketIdsByName = new Map(buckets.map(bucket => [bucket.bucketName.toLowerCase(), bucket.bucketId]));
+        const getBucketId = (name, context) => {
+            const bucketId = bucketIdsByName.get(String(name).toLowerCase());
+            if (!bucketId) {
+                throw new Error(`${context} names unknown bucket "${name}"`);
+            }
+            return bucketId;
+        };
+        const summary = [];
+        const deferred = [];
+
+        for (const customer of bucketManager.customers) {
+            const eligibleBuckets = [];
+            const explanations = [];
+            for (const bucket of buckets) {
+                if (overlapEngine.customerMeetsCriteria(customer, bucket.criteria)) {
+                    const explanation = await overlapEngine.explainMatch(customer, bucket);
+                    explanations.push(explanation);
+                    eligibleBuckets.push({ bucketId: bucket.bucketId, matchScore: Math.round(explanation.score * 1000) / 1000 });
+                }
+            }
+
+            const manualBucket = manualAssignments[customer.customerId];
+            if (manualBucket) {
+                const bucketId = getBucketId(manualBucket, `Assignment for ${customer.customerId}`);
+                bucketManager.assignCustomerToBucket(customer.customerId, bucketId);
+                summary.push({ customerId: customer.customerId, bucketId, reason: 'manual', eligibleBuckets });
+                if (eligibleBuckets.length > 1 && eligibleBuckets.some(candidate => candidate.bucketId === bucketId)) {
+                    await overlapEngine.recordManualResolution({
+                        customerId: customer.customerId,
+                        customerName: customer.customerName,
+                        customer,
+                        eligibleBuckets: explanations.map((explanation, index) => ({
+                            ...eligibleBuckets[index],
+                            bucketName: explanation.bucketName,
+                            explanation
+                        }))
+                    }, bucketId, { decidedBy: 'scenario' });
+                }
+                continue;
+            }
+
+            if (eligibleBuckets.length === 0) {
+                summary.push({ customerId: customer.customerId, bucketId: null, reason: 'no_match', eligibleBuckets });
+                continue;
+            }
+
+            const best = eligibleBuckets.reduce((top, candidate) => candidate.matchScore > top.matchScore ? candidate : top);
+            const explanation = explanations[eligibleBuckets.indexOf(best)];
+            const alternatives = explanations
+                .filter(candidate => candidate !== explanation)
+                .sort((a, b) => b.score - a.score);
+            const entry = {
+                customerId: customer.customerId,
+                bucketId: best.bucketId,
+                reason: eligibleBuckets.length > 1 ? 'highest_match_score' : 'single_match',
+                eligibleBuckets,
+                explanation,
+                reasoning: overlapEngine.generateRecommendationReasoning(explanation, alternatives)
+            };
+            summary.push(entry);
+
+            if (optimizationSettings && eligibleBuckets.length > 1) {
+                deferred.push({ entry, customer, explanations });
+            } else {
+                bucketManager.assignCustomerToBucket(customer.customerId, best.bucketId);
+            }
+        }
+
+        let optimization = null;
+        if (optimizationSettings) {
+            optimization = await this.optimizeOverlaps(overlapEngine, bucketManager, summary, deferred, optimizationSettings, getBucketId);
+        }
+
+        return { summary, optimization };
+    }
+
+    /**
+     * Assigns deferred overlapping customers together within the bucket limits
+     * @private
+     */
+    async optimizeOverlaps(overlapEngine, bucketManager, summary, deferred, settings, getBucketId) {
+        const byName = values => {
+            const byId = {};
+            Object.entries(values || {}).forEach(([name, value]) => {
+                byId[getBucketId(name, 'Assignment optimization')] = value;
+            });
+            return byId;
+        };
+        const pinned = {};
+        Object.entries((settings.constraints || {}).pinned || {}).forEach(([customerId, name]) => {
+            pinned[customerId] = getBucketId(name, `Pin for ${customerId}`);
+        });
+
+        const customersById = new Map(bucketManager.customers.map(customer => [customer.customerId, customer]));
+        const overlaps = deferred.map(({ customer, explanations }) => ({
+            customerId: customer.customerId,
+            customerName: customer.customerName,
+            customer,
+            eligibleBuckets: explanations.map(explanation => ({
+                bucketId: explanation.bucketId,
+                bucketName: explanation.bucketName,
+                matchScore: Math.round(explanation.score * 1000) / 1000
+            }))
+        }));
+        const deferredEntries = new Set(deferred.map(item => item.entry));
+        const fixedAssignments = summary
+            .filter(entry => entry.bucketId && !deferredEntries.has(entry))
+            .map(entry => ({
+                customerId: entry.customerId,
+                bucketId: entry.bucketId,
+                volume: customersById.get(entry.customerId).totalVolume
+            }));
+
+        const optimization = await overlapEngine.optimizeAssignments(overlaps, {
+            objective: settings.objective,
+            constraints: {
+                allBuckets: (settings.constraints || {}).allBuckets,
+                buckets: byName((settings.constraints || {}).buckets),
+                pinned
+            },
+            fixedAssignments,
+            buckets: bucketManager.getAllBuckets().map(bucket => ({ bucketId: bucket.bucketId, bucketName: bucket.bucketName })),
+            totalVolume: bucketManager.customers.reduce((sum, customer) => sum + customer.totalVolume, 0)
+        });
+
+        const deferredById = new Map(deferred.map(item => [item.customer.customerId, item]));
+        optimization.decisions.forEach(decision => {
+            const { entry, explanations } = deferredById.get(decision.customerId);
+            bucketManager.assignCustomerToBucket(decision.customerId, decision.assignedBucket);
+            if (entry.bucketId !== decision.assignedBucket) {
+                const explanation = explanations.find(candidate => candidate.bucketId === decision.assignedBucket);
+                entry.bucketId = decision.assignedBucket;
+                entry.explanation = explanation;
+                entry.reasoning = `${decision.reason}; ${overlapEngine.generateRecommendationReasoning(explanation)}`;
+            }
+            entry.reason = 'optimized_assignment';
+        });
+
+        const { decisions, ...report } = optimization;
+        return report;
+    }
+
+    /**
+     * Lists the assignments that settled an overlap, with bucket names
+     * @private
+     */
+    describeOverlapResolutions(bucketManager, assignmentSummary) {
+        const bucketName = bucketId => bucketManager.getBucket(bucketId).bucketName;
+
+        return assignmentSummary
+            .filter(assignment => assignment.bucketId && assignment.eligibleBuckets.length > 1)
+            .map(assignment => ({
+                customerId: assignment.customerId,
+                customerName: bucketManager.customers.find(c => c.customerId === assignment.customerId).customerName,
+                selectedBucketId: assignment.bucketId,
+                selectedBucketName: bucketName(assignment.bucketId),
+                strategy: assignment.reason,
+                reasoning: assignment.reasoning || null,
+                explanation: assignment.explanation || null,
+                eligibleBuckets: assignment.eligibleBuckets.map(bucket => ({
+                    ...bucket,
+                    bucketName: bucketName(bucket.bucketId)
+                }))
+            }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConcreteAnalysisPipeline;
+} else if (typeof window !== 'undefined') {
+    window.ConcreteAnalysisPipeline = ConcreteAnalysisPipeline;
+}
@@ -0,0 +1,211 @@
+const analyticsEngineModules = typeof module !== 'undefined' && module.exports
+    ? { SalesLedgerImporter: require('./SalesLedgerImporter') }
+    : window;
+
+/**
+ * @class CustomerAnalyticsEngine
+ * @description Processes historical data to generate customer metrics for Step 5
+ * @version 1.1.0
+ * @author Claude Code Implementation
+ */
+class CustomerAnalyticsEngine {
+    /**
+     * @param {Object} options Engine options
+     * @param {number} options.sampleSeed Seed for sample transactions when no ledger is imported
+     * @param {SalesLedgerImporter} options.importer Importer used to roll transactions up per customer
+     */
+    constructor(options = {}) {
+        this.customerData = new Map();
+        this.analytics = [];
+        this.sampleSeed = options.sampleSeed !== undefined ? options.sampleSeed : null;
+        this.importer = options.importer || new analyticsEngineModules.SalesLedgerImporter();
+    }
+
+    /**
+     * Analyze customers from historical transactions
+     * @param {Array<string>} selectedMonths Month labels ('Jan 2024') to analyze
+     * @param {Object} options Analysis options
+     * @param {Array<Object>} options.transactions Imported ledger transactions; seeded sample data is used when omitted
+     * @param {SalesLedgerImporter} options.importer Importer whose cost assumptions produced the transactions
+     * @returns {Array<Object>} Customer analytics array
+     * @example
+     * const engine = new CustomerAnalyticsEngine({ sampleSeed: 2024 });
+     * const analytics = engine.analyzeCustomers(['Jan 2024', 'Feb 2024']);
+     */
+    analyzeCustomers(selectedMonths, options = {}) {
+        if (!selectedMonths || selectedMonths.length === 0) {
+            console.warn('No selected months for customer analysis');
+            return [];
+        }
+
+        // Imported ledger rows take precedence over seeded sample transactions
+        const transactions = options.transactions
+            ? options.transactions
+            : this.generateSampleTransactions(selectedMonths);
+        const importer = options.importer || this.importer;
+
+        this.analytics = importer.rollupCustomers(transactions, { months: selectedMonths });
+        return this.analytics;
+    }
+
+    /**
+     * Generate sample transactions for the selected months
+     * 
+     * Every customer/month pair draws from its own seeded generator, so the
+     * same seed and month selection always yields the same transactions,
+     * regardless of the order the months were selected in.
+     * @param {Array<string>} months Month labels ('Jan 2024')
+     * @returns {Array<Object>} Transactions shaped like SalesLedgerImporter output
+     * @throws {Error} If no sample seed was configured
+     */
+    generateSampleTransactions(months) {
+        if (typeof this.sampleSeed !== 'number' || !Number.isFinite(this.sampleSeed)) {
+            throw new Error('Sample customer data requires an explicit numeric sampleSeed');
+        }
+
+        const customers = [
+            { name: 'ABC Construction', baseVolume: 45, basePrice: 125, baseMargin: 22, region: 'North', projectType: 'Commercial' },
+            { name: 'XYZ Builders', baseVolume: 32, basePrice: 118, baseMargin: 28, region: 'South', projectType: 'Residential' },
+            { name: 'Premier Concrete', baseVolume: 67, basePrice: 132, baseMargin: 19, region: 'North', projectType: 'Commercial' },
+            { name: 'Metro Development', baseVolume: 89, basePrice: 129, baseMargin: 25, region: 'Central', projectType: 'Commercial' },
+            { name: 'Skyline Projects', baseVolume: 23, basePrice: 115, baseMargin: 31, region: 'Central', projectType: 'Residential' },
+            { name: 'Foundation Works', baseVolume: 56, basePrice: 127, baseMargin: 23, region: 'South', projectType: 'Infrastructure' },
+            { name: 'Urban Builders', baseVolume: 41, basePrice: 122, baseMargin: 26, region: 'Central', projectType: 'Residential' },
+            { name: 'Residential Plus', baseVolume: 38, basePrice: 120, baseMargin: 29, region: 'South', projectType: 'Residential' },
+            { name: 'Commercial Core', baseVolume: 72, basePrice: 135, baseMargin: 21, region: 'North', projectType: 'Commercial' },
+            { name: 'Elite Construction', baseVolume: 95, basePrice: 140, baseMargin: 18, region: 'Central', projectType: 'Infrastructure' }
+        ];
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+        // Chronological order keeps row numbers independent of selection order
+        const orderedMonths = [...months].sort((a, b) => this.monthSortKey(a, monthNames) - this.monthSortKey(b, monthNames));
+        const transactions = [];
+
+        orderedMonths.forEach(month => {
+            const [monthName, year] = month.split(' ');
+            const monthNumber = String(monthNames.indexOf(monthName) + 1).padStart(2, '0');
+
+            customers.forEach((customer, index) => {
+                const random = this.createRandom(`${this.sampleSeed}|${customer.name}|${month}`);
+                const monthlyVolume = customer.baseVolume * (0.85 + random() * 0.3); // +/- 15% variation
+                const orderSize = customer.baseVolume * 0.6; // Orders are 60% of base volume
+                const deliveries = Math.max(1, Math.round(monthlyVolume / orderSize));
+
+                for (let delivery = 0; delivery < deliveries; delivery++) {
+                    const concreteYards = Math.round((monthlyVolume / deliveries) * 100) / 100;
+                    const unitPrice = Math.round((customer.basePrice + (random() - 0.5) * 10) * 100) / 100; // +/- $5 variation
+                    const margin = customer.baseMargin + (random() - 0.5) * 8; // +/- 4% variation
+                    const day = String(1 + Math.floor(random() * 28)).padStart(2, '0');
+                    const concreteRevenue = concreteYards * unitPrice;
+
+                    transactions.push({
+                        rowNumber: transactions.length + 1,
+                        saleNumber: null,
+                        saleDate: `${year}-${monthNumber}-${day}`,
+                        month,
+                        customerId: `customer-${index + 1}`,
+                        customerName: customer.name,
+                        concreteType: null,
+                        projectType: customer.projectType,
+                        region: customer.region,
+                        concreteYards,
+                        unitPrice,
+                        surcharges: 0,
+                        concreteRevenue,
+                        revenue: concreteRevenue,
+                        manufacturingCost: concreteRevenue * (1 - margin / 100),
+                        laborCost: 0,
+                        fixedCost: 0
+                    });
+                }
+            });
+        });
+
+        return transactions;
+    }
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32 over an FNV-1a hash of the key)
+     * @private
+     * @param {string} key Seed key
+     * @returns {Function} Generator returning floats in [0, 1)
+     */
+    createRandom(key) {
+        let state = 0x811c9dc5;
+        for (let i = 0; i < key.length; i++) {
+            state ^= key.charCodeAt(i);
+            state = Math.imul(state, 0x01000193);
+        }
+
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Sortable numeric key for a month label
+     * @private
+     */
+    monthSortKey(month, monthNames) {
+        const [monthName, year] = month.split(' ');
+        return Number(year) * 12 + monthNames.indexOf(monthName);
+    }
+
+    /**
+     * Calculate customer statistics
+     * @returns {Object} Summary statistics
+     */
+    calculateCustomerStats() {
+        if (this.analytics.length === 0) return null;
+
+        const totalCustomers = this.analytics.length;
+        const avgVolume = this.analytics.reduce((sum, c) => sum + c.totalVolume, 0) / totalCustomers;
+        const avgPrice = this.analytics.reduce((sum, c) => sum + c.averageUnitPrice, 0) / totalCustomers;
+        const avgMargin = this.analytics.reduce((sum, c) => sum + c.profitMargin, 0) / totalCustomers;
+
+        return {
+            totalCustomers,
+            avgVolume: Math.round(avgVolume * 100) / 100,
+            avgPrice: Math.round(avgPrice * 100) / 100,
+            avgMargin: Math.round(avgMargin * 100) / 100
+        };
+    }
+
+    /**
+     * Get customers that meet bucket criteria
+     * @param {Object} criteria Bucket criteria
+     * @returns {Array<Object>} Matching customers
+     */
+    getMatchingCustomers(criteria) {
+        return this.analytics.filter(customer => {
+            const volumeMatch = this.checkRange(customer.totalVolume, criteria.volumeMin, criteria.volumeMax);
+            const priceMatch = this.checkRange(customer.averageUnitPrice, criteria.priceMin, criteria.priceMax);
+            const marginMatch = this.checkRange(customer.profitMargin, criteria.profitMarginMin, criteria.profitMarginMax);
+            
+            return volumeMatch && priceMatch && marginMatch;
+        });
+    }
+
+    /**
+     * Check if value is within range
+     * @param {number} value Value to check
+     * @param {number} min Minimum value (null = no limit)
+     * @param {number} max Maximum value (null = no limit)
+     * @returns {boolean} Whether value is in range
+     */
+    checkRange(value, min, max) {
+        if (min !== null && min !== undefined && min !== '' && value < min) return false;
+        if (max !== null && max !== undefined && max !== '' && value > max) return false;
+        return true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomerAnalyticsEngine;
+} else if (typeof window !== 'undefined') {
+    window.CustomerAnalyticsEngine = CustomerAnalyticsEngine;
+}
@@ -0,0 +1,1922 @@
+const bucketManagerModules = typeof module !== 'undefined' && module.exports
+    ? {
+        BucketCriteriaEvaluator: require('./BucketCriteriaEvaluator'),
+        BucketDiscoveryEngine: require('./BucketDiscoveryEngine')
+    }
+    : window;
+
+/**
+ * CustomerBucketManager - Core customer categorization and bucket management system
+ * 
+ * Handles creation, assignment, and management of customer buckets with volume/price/profit criteria.
+ * Ensures exclusive bucket assignment, conflict resolution, and progress tracking.
+ * 
+ * Business Rules:
+ * - Maximum 20 buckets to prevent over-segmentation
+ * - Customers can only be in one bucket at a time (exclusive assignment)
+ * - Real-time overlap detection and resolution
+ * - Progress tracking showing % of customer base categorized
+ * - Every mutation is journaled, with multi-step undo/redo and replay
+ * 
+ * @class CustomerBucketManager
+ * @version 1.0.0
+ * @author Claude Code Implementation
+ */
+class CustomerBucketManager {
+    constructor() {
+        /** @type {Map<string, CustomerBucket>} Bucket storage by bucketId */
+        this.buckets = new Map();
+        
+        /** @type {Map<string, string>} Customer to bucket mapping (customerId -> bucketId) */
+        this.customerToBucket = new Map();
+        
+        /** @type {Array<CustomerAnalytics>} All customer analytics data */
+        this.customers = [];
+        
+        /** @type {number} Maximum allowed buckets to prevent over-segmentation */
+        this.MAX_BUCKETS = 20;
+        
+        /** @type {number} Auto-incrementing bucket ID counter */
+        this.bucketCounter = 1;
+        
+        /** @type {Array<Function>} Event listeners for bucket changes */
+        this.eventListeners = [];
+        
+        /** @type {string} Version written by exportState */
+        this.STATE_VERSION = '1.1.0';
+        
+        /** @type {Array<Object>} Ordered state migrations {from, to, migrate} */
+        this.stateMigrations = [
+            { from: '1.0.0', to: '1.1.0', migrate: state => this.migrateStateFrom100(state) }
+        ];
+        
+        /** @type {BucketCriteriaEvaluator} Rule conditions and customer lists in bucket criteria */
+        this.criteriaEvaluator = new bucketManagerModules.BucketCriteriaEvaluator();
+        
+        /** @type {Object|null} Drift check run by the last loadCustomerData that kept assignments */
+        this.lastDriftReport = null;
+        
+        /** @type {Array<Object>} Recorded assignment changes with their reasons, oldest first */
+        this.assignmentChangeLog = [];
+        
+        /** @type {string} Version written by exportJournal */
+        this.JOURNAL_VERSION = '1.0.0';
+        
+        /** @type {Array<string>} Mutating methods recorded in the journal (see journaled) */
+        this.JOURNALED_OPERATIONS = [
+            'createBucket', 'assignCustomerToBucket', 'removeCustomerFromAllBuckets', 'assignAllUnassignedToBucket',
+            'deleteBucket', 'applyPricingAdjustment', 'acceptBucketSuggestions', 'applyBucketChanges', 'resolveAssignmentDrift'
+        ];
+        
+        /** @type {Array<Object>} Append-only journal of mutations, undos and redos since the last load or import */
+        this.journal = [];
+        
+        /** @type {Object|null} State before the first journal entry (exportState shape) */
+        this.journalBaseState = null;
+        
+        /** @type {Array<Object>} Undo steps {entryId, state}, most recent last */
+        this.undoStack = [];
+        
+        /** @type {Array<Object>} Redo steps {entryId, state}, most recent last */
+        this.redoStack = [];
+        
+        /** @type {number} Undo steps kept; older ones can no longer be undone */
+        this.MAX_UNDO_STEPS = 50;
+        
+        /** @type {number} Nesting depth of journaled calls; only the outermost call is recorded */
+        this.journalDepth = 0;
+        
+        /** @type {string|null} Timestamp shared by every change of the entry being recorded or replayed */
+        this.journalClock = null;
+        
+        /** @type {Object|null} Event counts of the entry being recorded */
+        this.journalEventCounts = null;
+        
+        this.JOURNALED_OPERATIONS.forEach(operation => {
+            const apply = this[operation];
+            this[operation] = (...args) => this.journaled(operation, args, () => apply.apply(this, args));
+        });
+        
+        this.initializeValidation();
+    }
+
+    /**
+     * Initialize validation rules and constraints
+     * @private
+     */
+    initializeValidation() {
+        /** @type {Object} Business validation constraints */
+        this.constraints = {
+            maxPricePerYard: 500.00,
+            minPricePerYard: 0.01,
+            maxProfitMargin: 200.0,
+            minProfitMargin: -100.0,
+            minVolume: 0.1,
+            maxVolume: 1000000
+        };
+    }
+
+    /**
+     * Load customer analytics data from CustomerAnalyticsEngine
+     * 
+     * Reloading (a new month selection or import) keeps existing assignments
+     * of customers that are still present, drops those of customers that are
+     * not (recorded in assignmentChangeLog), and re-checks every kept
+     * assignment with detectAssignmentDrift. The result is stored in
+     * lastDriftReport and sent to listeners as 'assignmentDrift'.
+     * @param {Array<CustomerAnalytics>} customerData - Array of customer analytics
+     * @throws {Error} If customer data is invalid or missing required fields
+     */
+    loadCustomerData(customerData) {
+        if (!Array.isArray(customerData)) {
+            throw new Error('Customer data must be an array');
+        }
+
+        // Validate customer data structure
+        for (const customer of customerData) {
+            this.validateCustomerStructure(customer);
+        }
+
+        const previousAssignments = new Map(this.customerToBucket);
+        const previousCustomers = new Map(this.customers.map(customer => [customer.customerId, customer]));
+
+        this.customers = customerData.map(customer => {
+            const previousBucketId = previousAssignments.get(customer.customerId);
+            return {
+                ...customer,
+                bucketId: customer.bucketId || (this.buckets.has(previousBucketId) ? previousBucketId : null)
+            };
+        });
+
+        // Rebuild customer-to-bucket mapping
+        this.customerToBucket.clear();
+        this.customers.forEach(customer => {
+            if (customer.bucketId) {
+                this.customerToBucket.set(customer.customerId, customer.bucketId);
+            }
+        });
+
+        previousAssignments.forEach((bucketId, customerId) => {
+            if (!this.customerToBucket.has(customerId) && this.buckets.has(bucketId)) {
+                const previous = previousCustomers.get(customerId);
+                this.recordAssignmentChange({
+                    customerId,
+                    customerName: previous ? previous.customerName : customerId,
+                    action: 'unassign',
+                    fromBucketId: bucketId,
+                    toBucketId: null,
+                    reason: 'customer_missing',
+                    detail: 'Customer is not in the reloaded data',
+                    decidedBy: 'system'
+                });
+            }
+        });
+
+        this.buckets.forEach((bucket, bucketId) => {
+            bucket.assignedCustomers = this.customers
+                .filter(customer => customer.bucketId === bucketId)
+                .map(customer => customer.customerId);
+            this.updateBucketStatistics(bucketId);
+        });
+
+        this.resetJournal();
+        this.notifyListeners('dataLoaded', { customerCount: this.customers.length });
+
+        if (previousAssignments.size > 0 && this.customerToBucket.size > 0) {
+            this.lastDriftReport = this.detectAssignmentDrift();
+            this.notifyListeners('assignmentDrift', { report: this.lastDriftReport });
+        }
+    }
+
+    /**
+     * Validate customer analytics structure
+     * @private
+     * @param {CustomerAnalytics} customer - Customer data to validate
+     * @throws {Error} If customer structure is invalid
+     */
+    validateCustomerStructure(customer) {
+        const required = ['customerId', 'customerName', 'totalVolume', 'averageUnitPrice', 'profitMargin'];
+        
+        for (const field of required) {
+            if (customer[field] === undefined || customer[field] === null) {
+                throw new Error(`Customer missing required field: ${field}`);
+            }
+        }
+
+        if (typeof customer.totalVolume !== 'number' || customer.totalVolume < 0) {
+            throw new Error(`Invalid totalVolume for customer ${customer.customerName}`);
+        }
+
+        if (typeof customer.averageUnitPrice !== 'number' || customer.averageUnitPrice <= 0) {
+            throw new Error(`Invalid averageUnitPrice for customer ${customer.customerName}`);
+        }
+
+        if (typeof customer.profitMargin !== 'number') {
+            throw new Error(`Invalid profitMargin for customer ${customer.customerName}`);
+        }
+    }
+
+    /**
+     * Create a new customer bucket with specified criteria
+     * @param {string} bucketName - Human-readable bucket name
+     * @param {BucketCriteria} criteria - Volume, price, and profit criteria, plus optional rules, includeCustomers and excludeCustomers (see BucketCriteriaEvaluator)
+     * @returns {string} The generated bucketId
+     * @throws {Error} If bucket limit reached, invalid criteria, or name already exists
+     */
+    createBucket(bucketName, criteria) {
+        // Validate bucket limit
+        if (this.buckets.size >= this.MAX_BUCKETS) {
+            throw new Error(`Maximum bucket limit (${this.MAX_BUCKETS}) reached. Delete existing buckets to create new ones.`);
+        }
+
+        // Validate bucket name
+        if (!bucketName || typeof bucketName !== 'string' || bucketName.trim().length === 0) {
+            throw new Error('Bucket name must be a non-empty string');
+        }
+
+        // Check for duplicate bucket names
+        const trimmedName = bucketName.trim();
+        for (const bucket of this.buckets.values()) {
+            if (bucket.bucketName.toLowerCase() === trimmedName.toLowerCase()) {
+                throw new Error(`Bucket name "${trimmedName}" already exists. Choose a different name.`);
+            }
+        }
+
+        // Validate criteria
+        this.validateBucketCriteria(criteria);
+
+        // Generate bucket ID
+        const bucketId = `bucket-${this.bucketCounter++}`;
+
+        // Create bucket object
+        const bucket = {
+            bucketId,
+            bucketName: trimmedName,
+            criteria: {
+                ...criteria,
+                ...(criteria.rules ? { rules: JSON.parse(JSON.stringify(criteria.rules)) } : {})
+            },
+            assignedCustomers: [],
+            customerCount: 0,
+            totalVolume: 0,
+            averagePrice: 0,
+            averageMargin: 0,
+            adjustments: {
+                priceAdjustment: 0,
+                adjustmentType: 'absolute'
+            },
+            createdAt: this.now(),
+            lastModified: this.now()
+        };
+
+        this.buckets.set(bucketId, bucket);
+        
+        this.notifyListeners('bucketCreated', { bucket });
+        
+        return bucketId;
+    }
+
+    /**
+     * Validate bucket criteria for logical consistency and business rules
+     * @param {BucketCriteria} criteria - Criteria to validate
+     * @throws {Error} If criteria are invalid or inconsistent
+     */
+    validateBucketCriteria(criteria) {
+        if (!criteria || typeof criteria !== 'object') {
+            throw new Error('Bucket criteria must be a valid object');
+        }
+
+        // Volume validation
+        if (criteria.volumeMin !== null && criteria.volumeMin !== undefined) {
+            if (typeof criteria.volumeMin !== 'number' || criteria.volumeMin < this.constraints.minVolume) {
+                throw new Error(`Volume minimum must be a number >= ${this.constraints.minVolume}`);
+            }
+        }
+
+        if (criteria.volumeMax !== null && criteria.volumeMax !== undefined) {
+            if (typeof criteria.volumeMax !== 'number' || criteria.volumeMax > this.constraints.maxVolume) {
+                throw new Error(`Volume maximum must be a number <= ${this.constraints.maxVolume}`);
+            }
+        }
+
+        if (criteria.volumeMin !== null && criteria.volumeMax !== null && 
+            criteria.volumeMin !== undefined && criteria.volumeMax !== undefined) {
+            if (criteria.volumeMin > criteria.volumeMax) {
+                throw new Error('Volume minimum cannot be greater than volume maximum');
+            }
+        }
+
+        // Price validation
+        if (criteria.priceMin !== null && criteria.priceMin !== undefined) {
+            if (typeof criteria.priceMin !== 'number' || 
+                criteria.priceMin < this.constraints.minPricePerYard || 
+                criteria.priceMin > this.constraints.maxPricePerYard) {
+                throw new Error(`Price minimum must be between $${this.constraints.minPricePerYard} and $${this.constraints.maxPricePerYard} per yard`);
+            }
+        }
+
+        if (criteria.priceMax !== null && criteria.priceMax !== undefined) {
+            if (typeof criteria.priceMax !== 'number' || 
+                criteria.priceMax < this.constraints.minPricePerYard || 
+                criteria.priceMax > this.constraints.maxPricePerYard) {
+                throw new Error(`Price maximum must be between $${this.constraints.minPricePerYard} and $${this.constraints.maxPricePerYard} per yard`);
+            }
+        }
+
+        if (criteria.priceMin !== null && criteria.priceMax !== null && 
+            criteria.priceMin !== undefined && criteria.priceMax !== undefined) {
+            if (criteria.priceMin > criteria.priceMax) {
+                throw new Error('Price minimum cannot be greater than price maximum');
+            }
+        }
+
+        // Profit margin validation
+        if (criteria.profitMarginMin !== null && criteria.profitMarginMin !== undefined) {
+            if (typeof criteria.profitMarginMin !== 'number' || 
+                criteria.profitMarginMin < this.constraints.minProfitMargin || 
+                criteria.profitMarginMin > this.constraints.maxProfitMargin) {
+                throw new Error(`Profit margin minimum must be between ${this.constraints.minProfitMargin}% and ${this.constraints.maxProfitMargin}%`);
+            }
+        }
+
+        if (criteria.profitMarginMax !== null && criteria.profitMarginMax !== undefined) {
+            if (typeof criteria.profitMarginMax !== 'number' || 
+                criteria.profitMarginMax < this.constraints.minProfitMargin || 
+                criteria.profitMarginMax > this.constraints.maxProfitMargin) {
+                throw new Error(`Profit margin maximum must be between ${this.constraints.minProfitMargin}% and ${this.constraints.maxProfitMargin}%`);
+            }
+        }
+
+        if (criteria.profitMarginMin !== null && criteria.profitMarginMax !== null && 
+            criteria.profitMarginMin !== undefined && criteria.profitMarginMax !== undefined) {
+            if (criteria.profitMarginMin > criteria.profitMarginMax) {
+                throw new Error('Profit margin minimum cannot be greater than profit margin maximum');
+            }
+        }
+
+        // Rule conditions may only name fields the loaded customers carry
+        const fields = this.customers.length > 0
+            ? new Set(this.customers.flatMap(customer => Object.keys(customer)))
+            : null;
+        this.criteriaEvaluator.validate(criteria, { fields });
+    }
+
+    /**
+     * Assign a customer to a specific bucket (exclusive assignment)
+     * @param {string} customerId - Customer identifier
+     * @param {string} bucketId - Target bucket identifier
+     * @throws {Error} If customer or bucket not found
+     */
+    assignCustomerToBucket(customerId, bucketId) {
+        // Validate inputs
+        if (!customerId || typeof customerId !== 'string') {
+            throw new Error('Customer ID must be a non-empty string');
+        }
+
+        if (!bucketId || typeof bucketId !== 'string') {
+            throw new Error('Bucket ID must be a non-empty string');
+        }
+
+        // Find customer
+        const customer = this.customers.find(c => c.customerId === customerId);
+        if (!customer) {
+            throw new Error(`Customer not found: ${customerId}`);
+        }
+
+        // Find bucket
+        const bucket = this.buckets.get(bucketId);
+        if (!bucket) {
+            throw new Error(`Bucket not found: ${bucketId}`);
+        }
+
+        // Remove customer from current bucket (if any)
+        this.removeCustomerFromAllBuckets(customerId);
+
+        // Add customer to new bucket
+        bucket.assignedCustomers.push(customerId);
+        this.customerToBucket.set(customerId, bucketId);
+        customer.bucketId = bucketId;
+
+        // Update bucket statistics
+        this.updateBucketStatistics(bucketId);
+
+        this.notifyListeners('customerAssigned', { 
+            customerId, 
+            bucketId, 
+            customerName: customer.customerName,
+            bucketName: bucket.bucketName
+        });
+    }
+
+    /**
+     * Remove customer from all buckets (exclusive assignment enforcement)
+     * @param {string} customerId - Customer identifier
+     */
+    removeCustomerFromAllBuckets(customerId) {
+        const currentBucketId = this.customerToBucket.get(customerId);
+        
+        if (currentBucketId) {
+            const currentBucket = this.buckets.get(currentBucketId);
+            
+            if (currentBucket) {
+                // Remove from bucket's customer list
+                const index = currentBucket.assignedCustomers.indexOf(customerId);
+                if (index > -1) {
+                    currentBucket.assignedCustomers.splice(index, 1);
+                }
+
+                // Update bucket statistics
+                this.updateBucketStatistics(currentBucketId);
+            }
+
+            // Remove from mapping
+            this.customerToBucket.delete(customerId);
+
+            // Update customer object
+            const customer = this.customers.find(c => c.customerId === customerId);
+            if (customer) {
+                customer.bucketId = null;
+            }
+
+            this.notifyListeners('customerRemoved', { 
+                customerId, 
+                previousBucketId: currentBucketId 
+            });
+        }
+    }
+
+    /**
+     * Calculate customer categorization progress
+     * @returns {Object} Progress metrics including percentage and counts
+     */
+    getCategorizationProgress() {
+        const totalCustomers = this.customers.length;
+        const assignedCustomers = this.customerToBucket.size;
+        const unassignedCustomers = totalCustomers - assignedCustomers;
+        const percentageComplete = totalCustomers > 0 ? (assignedCustomers / totalCustomers) * 100 : 0;
+
+        return {
+            totalCustomers,
+            assignedCustomers,
+            unassignedCustomers,
+            percentageComplete: Math.round(percentageComplete * 10) / 10, // Round to 1 decimal
+            bucketCount: this.buckets.size,
+            readyForNextStep: percentageComplete >= 70 // Business rule: 70% minimum
+        };
+    }
+
+    /**
+     * Get list of unassigned customers
+     * @returns {Array<CustomerAnalytics>} Customers without bucket assignment
+     */
+    getUnassignedCustomers() {
+        return this.customers.filter(customer => !customer.bucketId);
+    }
+
+    /**
+     * Bulk assign all unassigned customers to a specific bucket
+     * @param {string} bucketId - Target bucket for bulk assignment
+     * @returns {number} Number of customers assigned
+     * @throws {Error} If bucket not found or no unassigned customers
+     */
+    assignAllUnassignedToBucket(bucketId) {
+        const bucket = this.buckets.get(bucketId);
+        if (!bucket) {
+            throw new Error(`Bucket not found: ${bucketId}`);
+        }
+
+        const unassignedCustomers = this.getUnassignedCustomers();
+        
+        if (unassignedCustomers.length === 0) {
+            throw new Error('No unassigned customers to bulk assign');
+        }
+
+        // Assign each unassigned customer
+        let assignedCount = 0;
+        for (const customer of unassignedCustomers) {
+            try {
+                this.assignCustomerToBucket(customer.customerId, bucketId);
+                assignedCount++;
+            } catch (error) {
+                console.warn(`Failed to assign customer ${customer.customerName}: ${error.message}`);
+            }
+        }
+
+        this.notifyListeners('bulkAssignment', { 
+            bucketId, 
+            bucketName: bucket.bucketName,
+            assignedCount,
+            totalAttempted: unassignedCustomers.length
+        });
+
+        return assignedCount;
+    }
+
+    /**
+     * Suggest buckets by clustering the loaded customers
+     *
+     * Suggestions never overlap and cover every customer (see
+     * BucketDiscoveryEngine). At most the remaining bucket slots are used,
+     * and names already taken are avoided. Nothing is created until the
+     * suggestions are passed to acceptBucketSuggestions.
+     *
+     * @param {Object} options - BucketDiscoveryEngine.discover options {k, maxBuckets, minBucketSize, seed}
+     * @returns {Object} Discovery result {k, clusters, silhouette, kSelection, customerCount, suggestions}
+     * @throws {Error} If no customers are loaded or no bucket slots are left
+     */
+    suggestBuckets(options = {}) {
+        if (this.customers.length < 2) {
+            throw new Error('Load at least two customers before suggesting buckets');
+        }
+
+        const slotsLeft = this.MAX_BUCKETS - this.buckets.size;
+        if (slotsLeft < 1) {
+            throw new Error(`Maximum bucket limit (${this.MAX_BUCKETS}) reached. Delete existing buckets to create new ones.`);
+        }
+
+        const discovery = new bucketManagerModules.BucketDiscoveryEngine();
+        return discovery.discover(this.customers, {
+            ...options,
+            maxBuckets: Math.min(options.maxBuckets || this.MAX_BUCKETS, slotsLeft),
+            existingNames: this.getAllBuckets().map(bucket => bucket.bucketName)
+        });
+    }
+
+    /**
+     * Create buckets from accepted suggestions
+     * @param {Array<Object>} suggestions - Suggestions from suggestBuckets ({name, criteria}; names may be edited)
+     * @param {Object} options - Acceptance options
+     * @param {boolean} options.assignCustomers - Also assign unassigned customers matching each new bucket (default: false)
+     * @returns {Array<string>} Created bucketIds, in suggestion order
+     * @throws {Error} If the suggestions do not fit in the remaining bucket slots or a bucket cannot be created
+     */
+    acceptBucketSuggestions(suggestions, options = {}) {
+        if (!Array.isArray(suggestions) || suggestions.length === 0) {
+            throw new Error('Suggestions must be a non-empty array');
+        }
+        if (this.buckets.size + suggestions.length > this.MAX_BUCKETS) {
+            throw new Error(`Accepting ${suggestions.length} suggestions would exceed the maximum bucket limit (${this.MAX_BUCKETS})`);
+        }
+
+        // Check every suggestion first so a bad one creates nothing
+        const names = new Set(this.getAllBuckets().map(bucket => bucket.bucketName.toLowerCase()));
+        suggestions.forEach(suggestion => {
+            const name = typeof suggestion.name === 'string' ? suggestion.name.trim().toLowerCase() : '';
+            if (!name || names.has(name)) {
+                throw new Error(`Suggested bucket name "${suggestion.name}" is empty or already exists`);
+            }
+            names.add(name);
+            this.validateBucketCriteria(suggestion.criteria);
+        });
+
+        const bucketIds = suggestions.map(suggestion => this.createBucket(suggestion.name, suggestion.criteria));
+
+        if (options.assignCustomers) {
+            bucketIds.forEach(bucketId => {
+                const bucket = this.buckets.get(bucketId);
+                this.getUnassignedCustomers()
+                    .filter(customer => this.calculateBucketMatchScore(customer, bucket.criteria) === 1)
+                    .forEach(customer => this.assignCustomerToBucket(customer.customerId, bucketId));
+            });
+        }
+
+        this.notifyListeners('bucketSuggestionsAccepted', { bucketIds });
+
+        return bucketIds;
+    }
+
+    /**
+     * Recalculate bucket statistics after customer changes
+     * @param {string} bucketId - Bucket to update statistics for
+     * @throws {Error} If bucket not found
+     */
+    updateBucketStatistics(bucketId) {
+        const bucket = this.buckets.get(bucketId);
+        if (!bucket) {
+            throw new Error(`Bucket not found: ${bucketId}`);
+        }
+
+        const assignedCustomers = bucket.assignedCustomers
+            .map(customerId => this.customers.find(c => c.customerId === customerId))
+            .filter(customer => customer !== undefined);
+
+        bucket.customerCount = assignedCustomers.length;
+
+        if (assignedCustomers.length === 0) {
+            bucket.totalVolume = 0;
+            bucket.averagePrice = 0;
+            bucket.averageMargin = 0;
+        } else {
+            // Calculate totals
+            bucket.totalVolume = assignedCustomers.reduce((sum, c) => sum + c.totalVolume, 0);
+            
+            // Calculate weighted averages
+            const totalRevenue = assignedCustomers.reduce((sum, c) => sum + (c.totalRevenue || c.totalVolume * c.averageUnitPrice), 0);
+            bucket.averagePrice = bucket.totalVolume > 0 ? totalRevenue / bucket.totalVolume : 0;
+            
+            const totalProfitWeighted = assignedCustomers.reduce((sum, c) => 
+                sum + (c.profitMargin * (c.totalRevenue || c.totalVolume * c.averageUnitPrice)), 0);
+            bucket.averageMargin = totalRevenue > 0 ? totalProfitWeighted / totalRevenue : 0;
+        }
+
+        bucket.lastModified = this.now();
+
+        this.notifyListeners('bucketStatsUpdated', { bucketId, stats: {
+            customerCount: bucket.customerCount,
+            totalVolume: bucket.totalVolume,
+            averagePrice: bucket.averagePrice,
+            averageMargin: bucket.averageMargin
+        }});
+    }
+
+    /**
+     * Delete a bucket and unassign all its customers
+     * @param {string} bucketId - Bucket to delete
+     * @throws {Error} If bucket not found
+     */
+    deleteBucket(bucketId) {
+        const bucket = this.buckets.get(bucketId);
+        if (!bucket) {
+            throw new Error(`Bucket not found: ${bucketId}`);
+        }
+
+        // Unassign all customers from this bucket
+        const customersToUnassign = [...bucket.assignedCustomers];
+        customersToUnassign.forEach(customerId => {
+            this.removeCustomerFromAllBuckets(customerId);
+        });
+
+        // Remove bucket
+        this.buckets.delete(bucketId);
+
+        this.notifyListeners('bucketDeleted', { 
+            bucketId, 
+            bucketName: bucket.bucketName,
+            unassignedCustomers: customersToUnassign.length
+        });
+    }
+
+    /**
+     * Re-check every existing assignment against its bucket's criteria
+     * 
+     * A customer drifts when it no longer fits its bucket's ranges, rules
+     * and lists, or when it still fits but another bucket it fits scores
+     * better by more than betterScoreMargin. Scores come from scoreBucket;
+     * the default measures how far inside each bounded range the customer
+     * sits (see calculateFitScore). Nothing is changed: pass the drifted
+     * entries to resolveAssignmentDrift.
+     *
+     * @param {Object} options - Drift options
+     * @param {Function} options.scoreBucket - (customer, bucket) → score 0-1 (default: calculateFitScore)
+     * @param {number} options.betterScoreMargin - Score lead another bucket needs to count as better (default: 0.1)
+     * @returns {Object} {checkedAt, checked, drifted[{customerId, customerName, bucketId, bucketName, reason, detail, currentScore, bestBucketId, bestBucketName, bestScore}], summary}
+     *
+     * @example
+     * const report = manager.detectAssignmentDrift();
+     * manager.resolveAssignmentDrift(report.drifted.filter(d => d.reason === 'no_longer_qualifies'), 'reresolve');
+     */
+    detectAssignmentDrift(options = {}) {
+        const scoreBucket = options.scoreBucket || ((customer, bucket) => this.calculateFitScore(customer, bucket.criteria));
+        const betterScoreMargin = options.betterScoreMargin !== undefined ? options.betterScoreMargin : 0.1;
+        const drifted = [];
+        let checked = 0;
+
+        this.customers.forEach(customer => {
+            const bucket = this.buckets.get(this.customerToBucket.get(customer.customerId));
+            if (!bucket) return;
+            checked++;
+
+            const qualifies = this.meetsBucketCriteria(customer, bucket.criteria);
+            const currentScore = qualifies ? scoreBucket(customer, bucket) : 0;
+            const best = this.findBestBucket(customer, scoreBucket, bucket.bucketId);
+
+            let reason = null;
+            let detail = null;
+            if (!qualifies) {
+                reason = 'no_longer_qualifies';
+                detail = this.describeCriteriaMisses(customer, bucket.criteria).join('; ');
+            } else if (best && best.score > currentScore + betterScoreMargin) {
+                reason = 'better_bucket';
+                detail = `${best.bucket.bucketName} scores ${Math.round(best.score * 100)}% against ${Math.round(currentScore * 100)}% for ${bucket.bucketName}`;
+            }
+
+            if (reason) {
+                drifted.push({
+                    customerId: customer.customerId,
+                    customerName: customer.customerName,
+                    bucketId: bucket.bucketId,
+                    bucketName: bucket.bucketName,
+                    reason,
+                    detail,
+                    currentScore: Math.round(currentScore * 1000) / 1000,
+                    bestBucketId: best ? best.bucket.bucketId : null,
+                    bestBucketName: best ? best.bucket.bucketName : null,
+                    bestScore: best ? Math.round(best.score * 1000) / 1000 : null
+                });
+            }
+        });
+
+        return {
+            checkedAt: new Date().toISOString(),
+            checked,
+            drifted,
+            summary: {
+                noLongerQualifies: drifted.filter(entry => entry.reason === 'no_longer_qualifies').length,
+                betterBucket: drifted.filter(entry => entry.reason === 'better_bucket').length
+            }
+        };
+    }
+
+    /**
+     * Act on drifted assignments and record every decision with its reason
+     * 
+     * - 'sticky' keeps the assignment (recorded, nothing moves)
+     * - 're-resolve' assigns the best-scoring bucket the customer fits, or unassigns when none fits
+     * - 'unassign' removes the customer from its bucket
+     *
+     * @param {Array<Object|string>} entries - Entries from detectAssignmentDrift, or customer IDs
+     * @param {string} action - 'sticky', 'reresolve' or 'unassign'
+     * @param {Object} options - Decision details
+     * @param {string} options.decidedBy - Who decided (default: 'user')
+     * @param {string} options.note - Optional note kept with each record
+     * @param {Function} options.scoreBucket - Scorer for re-resolve (default: calculateFitScore)
+     * @returns {Array<Object>} The recorded changes (see assignmentChangeLog)
+     * @throws {Error} If the action is unknown or a customer is not assigned (nothing is resolved)
+     */
+    resolveAssignmentDrift(entries, action, options = {}) {
+        if (!['sticky', 'reresolve', 'unassign'].includes(action)) {
+            throw new Error(`Unknown drift action: ${action}. Use sticky, reresolve or unassign`);
+        }
+        if (!Array.isArray(entries)) {
+            throw new Error('Drift entries must be an array');
+        }
+
+        // Check the whole batch first so a bad entry resolves nothing
+        const resolutions = entries.map(entry => {
+            const customerId = typeof entry === 'string' ? entry : entry && entry.customerId;
+            const customer = this.customers.find(c => c.customerId === customerId);
+            if (!customer || !this.customerToBucket.get(customerId)) {
+                throw new Error(`Customer is not assigned: ${customerId}`);
+            }
+            return { entry, customerId, customer };
+        });
+
+        const scoreBucket = options.scoreBucket || ((customer, bucket) => this.calculateFitScore(customer, bucket.criteria));
+        const records = resolutions.map(({ entry, customerId, customer }) => {
+            const fromBucketId = this.customerToBucket.get(customerId);
+            let toBucketId = fromBucketId;
+            if (action === 'unassign') {
+                toBucketId = null;
+            } else if (action === 'reresolve') {
+                // The current bucket wins ties
+                const current = this.buckets.get(fromBucketId);
+                const currentScore = this.meetsBucketCriteria(customer, current.criteria) ? scoreBucket(customer, current) : null;
+                const best = this.findBestBucket(customer, scoreBucket, fromBucketId);
+                if (best && (currentScore === null || best.score > currentScore)) {
+                    toBucketId = best.bucket.bucketId;
+                } else if (currentScore === null) {
+                    toBucketId = null;
+                }
+            }
+
+            if (toBucketId === null) {
+                this.removeCustomerFromAllBuckets(customerId);
+            } else if (toBucketId !== fromBucketId) {
+                this.assignCustomerToBucket(customerId, toBucketId);
+            }
+
+            const drift = typeof entry === 'string' ? null : entry;
+            return this.recordAssignmentChange({
+                customerId,
+                customerName: customer.customerName,
+                action,
+                fromBucketId,
+                toBucketId,
+                reason: drift ? drift.reason : 'manual',
+                detail: drift ? drift.detail : null,
+                decidedBy: options.decidedBy || 'user',
+                note: options.note || null
+            });
+        });
+
+        this.notifyListeners('assignmentDriftResolved', { action, changes: records.length });
+
+        return records;
+    }
+
+    /**
+     * Get the recorded assignment changes
+     * @returns {Array<Object>} Copies of the records, oldest first
+     */
+    getAssignmentChangeLog() {
+        return this.assignmentChangeLog.map(record => ({ ...record }));
+    }
+
+    /**
+     * Appends one record to assignmentChangeLog
+     * @private
+     * @returns {Object} The record
+     */
+    recordAssignmentChange(change) {
+        const bucketName = bucketId => {
+            if (!bucketId) return null;
+            const bucket = this.buckets.get(bucketId);
+            return bucket ? bucket.bucketName : bucketId;
+        };
+        const record = {
+            changeId: `change-${this.assignmentChangeLog.length + 1}`,
+            recordedAt: this.now(),
+            customerId: change.customerId,
+            customerName: change.customerName,
+            action: change.action,
+            fromBucketId: change.fromBucketId || null,
+            fromBucketName: bucketName(change.fromBucketId),
+            toBucketId: change.toBucketId || null,
+            toBucketName: bucketName(change.toBucketId),
+            reason: change.reason,
+            detail: change.detail || null,
+            decidedBy: change.decidedBy,
+            note: change.note || null
+        };
+        this.assignmentChangeLog.push(record);
+        return record;
+    }
+
+    /**
+     * Best-scoring bucket the customer fits, optionally excluding one
+     * @private
+     * @returns {Object|null} {bucket, score}
+     */
+    findBestBucket(customer, scoreBucket, excludeBucketId) {
+        let best = null;
+        this.buckets.forEach(bucket => {
+            if (bucket.bucketId === excludeBucketId || !this.meetsBucketCriteria(customer, bucket.criteria)) return;
+            const score = scoreBucket(customer, bucket);
+            if (!best || score > best.score) {
+                best = { bucket, score };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * How far inside the criteria a customer sits (0 = outside or on an edge, 1 = well inside)
+     * 
+     * Two-sided ranges score 1 at their middle and 0 at either bound;
+     * one-sided ranges reach 1 once the customer is half the bound's size
+     * past it. Rule conditions add their evaluator score. The result is the
+     * mean over the bounded dimensions, 1 when nothing is bounded.
+     * @private
+     */
+    calculateFitScore(customer, criteria) {
+        if (!this.meetsBucketCriteria(customer, criteria)) return 0;
+
+        const isSet = value => value !== null && value !== undefined;
+        const scores = [
+            [customer.totalVolume, criteria.volumeMin, criteria.volumeMax],
+            [customer.averageUnitPrice, criteria.priceMin, criteria.priceMax],
+            [customer.profitMargin, criteria.profitMarginMin, criteria.profitMarginMax]
+        ].filter(([, min, max]) => isSet(min) || isSet(max)).map(([value, min, max]) => {
+            if (isSet(min) && isSet(max)) {
+                return max > min ? 1 - Math.abs(0.5 - (value - min) / (max - min)) * 2 : 1;
+            }
+            const bound = isSet(min) ? min : max;
+            const distance = isSet(min) ? value - min : max - value;
+            return Math.min(1, distance / (Math.abs(bound) * 0.5 || 1));
+        });
+
+        if (criteria.rules) {
+            scores.push(this.criteriaEvaluator.evaluate(customer, criteria).score);
+        }
+
+        return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 1;
+    }
+
+    /**
+     * Explains which bounds, rules or lists a customer misses
+     * @private
+     * @returns {Array<string>} One line per miss
+     */
+    describeCriteriaMisses(customer, criteria) {
+        const misses = [];
+        const isSet = value => value !== null && value !== undefined;
+        [
+            ['Volume', customer.totalVolume, criteria.volumeMin, criteria.volumeMax, value => `${Math.round(value * 100) / 100} yards`],
+            ['Price', customer.averageUnitPrice, criteria.priceMin, criteria.priceMax, value => `$${value.toFixed(2)}/yard`],
+            ['Margin', customer.profitMargin, criteria.profitMarginMin, criteria.profitMarginMax, value => `${value.toFixed(1)}%`]
+        ].forEach(([label, value, min, max, format]) => {
+            if (isSet(min) && value < min) misses.push(`${label} ${format(value)} is below the ${format(min)} minimum`);
+            if (isSet(max) && value > max) misses.push(`${label} ${format(value)} is above the ${format(max)} maximum`);
+        });
+
+        if (this.criteriaEvaluator.hasRules(criteria)) {
+            const ruleResult = this.criteriaEvaluator.evaluate(customer, criteria);
+            if (ruleResult.listed === 'excluded') {
+                misses.push('Customer is on the exclude list');
+            } else if (!ruleResult.listed && !ruleResult.met) {
+                misses.push(`Rule conditions not met: ${ruleResult.conditions.filter(condition => !condition.satisfied).map(condition => condition.text).join(', ')}`);
+            }
+        }
+
+        return misses;
+    }
+
+    /**
+     * Preview bucket changes without applying them (dry run)
+     *
+     * Changes are applied in order to a copy of the buckets:
+     * - {action: 'update', bucketId, criteria, bucketName} merges criteria edits into the bucket
+     * - {action: 'create', bucketName, criteria} adds a bucket, previewed as bucketId 'new:<index>'
+     * - {action: 'delete', bucketId} removes a bucket
+     *
+     * A customer leaves its bucket when the bucket is deleted or no longer
+     * fits; it then moves to the one bucket that still fits it, or becomes
+     * unassigned (newly conflicted when several fit). An unassigned customer
+     * enters a bucket when the change makes exactly one bucket fit it.
+     * Customers still fitting their bucket stay, even if another bucket
+     * now fits them too (they are listed as newly conflicted).
+     *
+     * Each bucket impact has a status: 'created', 'updated' or 'deleted' for
+     * edited buckets, 'membersChanged' for a bucket that customers enter or
+     * leave because of another bucket's edit.
+     *
+     * @param {Object|Array<Object>} changes - One change or an ordered list of changes
+     * @returns {Object} {changes, entering, leaving, newlyConflicted, newlyUnassigned, bucketImpacts, summary}
+     * @throws {Error} If a change is malformed, names an unknown bucket or has invalid criteria
+     *
+     * @example
+     * const preview = manager.previewBucketChanges({ action: 'update', bucketId: 'bucket-1', criteria: { volumeMin: 200 } });
+     * if (confirm(`${preview.summary.leaving} customers leave`)) manager.applyBucketChanges(preview.changes);
+     */
+    previewBucketChanges(changes) {
+        return this.planBucketChanges(changes);
+    }
+
+    /**
+     * Apply bucket changes exactly as previewBucketChanges describes them
+     * @param {Object|Array<Object>} changes - Same changes as passed to previewBucketChanges
+     * @returns {Object} The preview that was applied, plus createdBucketIds ('new:<index>' → bucketId)
+     * @throws {Error} If the changes are invalid (nothing is applied)
+     */
+    applyBucketChanges(changes) {
+        const preview = this.planBucketChanges(changes);
+        const createdBucketIds = {};
+        const resolveId = bucketId => createdBucketIds[bucketId] || bucketId;
+
+        preview.leaving.forEach(move => this.removeCustomerFromAllBuckets(move.customerId));
+        preview.changes.forEach(change => {
+            if (change.action === 'create') {
+                createdBucketIds[change.bucketId] = this.createBucket(change.bucketName, change.criteria);
+            } else if (change.action === 'update') {
+                const bucket = this.buckets.get(resolveId(change.bucketId));
+                bucket.bucketName = change.bucketName;
+                bucket.criteria = {
+                    ...change.criteria,
+                    ...(change.criteria.rules ? { rules: JSON.parse(JSON.stringify(change.criteria.rules)) } : {})
+                };
+                bucket.lastModified = this.now();
+                this.notifyListeners('bucketUpdated', { bucket });
+            } else {
+                this.deleteBucket(resolveId(change.bucketId));
+            }
+        });
+        preview.entering.forEach(move => this.assignCustomerToBucket(move.customerId, resolveId(move.bucketId)));
+
+        this.notifyListeners('bucketChangesApplied', { summary: preview.summary, createdBucketIds });
+
+        return { ...preview, createdBucketIds };
+    }
+
+    /**
+     * Builds the proposed buckets and the customer moves for a list of changes
+     * @private
+     * @returns {Object} Preview (see previewBucketChanges)
+     */
+    planBucketChanges(changes) {
+        const changeList = Array.isArray(changes) ? changes : [changes];
+        if (changeList.length === 0) {
+            throw new Error('At least one bucket change is required');
+        }
+
+        const proposedBuckets = new Map();
+        this.buckets.forEach((bucket, bucketId) => {
+            proposedBuckets.set(bucketId, { bucketId, bucketName: bucket.bucketName, criteria: bucket.criteria });
+        });
+
+        const normalizedChanges = changeList.map((change, index) => {
+            if (!change || !['create', 'update', 'delete'].includes(change.action)) {
+                throw new Error(`Change ${index + 1}: action must be create, update or delete`);
+            }
+
+            if (change.action === 'create') {
+                const bucketId = `new:${index}`;
+                proposedBuckets.set(bucketId, { bucketId, bucketName: this.checkProposedName(change.bucketName, proposedBuckets, null), criteria: null });
+                if (proposedBuckets.size > this.MAX_BUCKETS) {
+                    throw new Error(`Maximum bucket limit (${this.MAX_BUCKETS}) reached. Delete existing buckets to create new ones.`);
+                }
+                proposedBuckets.get(bucketId).criteria = this.normalizeProposedCriteria(change.criteria || {});
+                return { action: 'create', bucketId, bucketName: proposedBuckets.get(bucketId).bucketName, criteria: proposedBuckets.get(bucketId).criteria };
+            }
+
+            const proposed = proposedBuckets.get(change.bucketId);
+            if (!proposed) {
+                throw new Error(`Change ${index + 1}: bucket not found: ${change.bucketId}`);
+            }
+
+            if (change.action === 'delete') {
+                proposedBuckets.delete(change.bucketId);
+                return { action: 'delete', bucketId: change.bucketId, bucketName: proposed.bucketName };
+            }
+
+            const bucketName = change.bucketName !== undefined
+                ? this.checkProposedName(change.bucketName, proposedBuckets, change.bucketId)
+                : proposed.bucketName;
+            const criteria = this.normalizeProposedCriteria({ ...proposed.criteria, ...change.criteria });
+            proposedBuckets.set(change.bucketId, { ...proposed, bucketName, criteria });
+            return { action: 'update', bucketId: change.bucketId, bucketName, criteria };
+        });
+
+        const bucketName = bucketId => (proposedBuckets.get(bucketId) || this.buckets.get(bucketId)).bucketName;
+        const entering = [];
+        const leaving = [];
+        const newlyConflicted = [];
+        const newlyUnassigned = [];
+        const afterAssignments = new Map();
+
+        this.customers.forEach(customer => {
+            const before = Array.from(this.buckets.values())
+                .filter(bucket => this.meetsBucketCriteria(customer, bucket.criteria))
+                .map(bucket => bucket.bucketId);
+            const after = Array.from(proposedBuckets.values())
+                .filter(bucket => this.meetsBucketCriteria(customer, bucket.criteria))
+                .map(bucket => bucket.bucketId);
+            const current = this.customerToBucket.get(customer.customerId) || null;
+            const eligibilityChanged = before.length !== after.length || before.some(bucketId => !after.includes(bucketId));
+
+            let next = current;
+            if (current && !after.includes(current)) {
+                next = after.length === 1 ? after[0] : null;
+            } else if (!current && eligibilityChanged && after.length === 1) {
+                next = after[0];
+            }
+            afterAssignments.set(customer.customerId, next);
+
+            const customerRef = { customerId: customer.customerId, customerName: customer.customerName };
+            if (next !== current) {
+                if (current) {
+                    leaving.push({ ...customerRef, bucketId: current, bucketName: this.buckets.get(current).bucketName, toBucketId: next, toBucketName: next ? bucketName(next) : null });
+                }
+                if (next) {
+                    entering.push({ ...customerRef, bucketId: next, bucketName: bucketName(next), fromBucketId: current, fromBucketName: current ? this.buckets.get(current).bucketName : null });
+                }
+                if (current && !next) {
+                    newlyUnassigned.push({ ...customerRef, previousBucketId: current, previousBucketName: this.buckets.get(current).bucketName });
+                }
+            }
+            if (after.length > 1 && before.length <= 1) {
+                newlyConflicted.push({
+                    ...customerRef,
+                    assignedBucketId: next,
+                    eligibleBuckets: after.map(bucketId => ({ bucketId, bucketName: bucketName(bucketId) }))
+                });
+            }
+        });
+
+        const customersIn = (bucketId, assignments) => this.customers.filter(customer => assignments(customer) === bucketId);
+        const statusOf = (bucketId, membersBefore, membersAfter) => {
+            const change = [...normalizedChanges].reverse().find(candidate => candidate.bucketId === bucketId);
+            if (change) {
+                return change.action === 'update' ? 'updated' : change.action === 'create' ? 'created' : 'deleted';
+            }
+            const membersChanged = membersBefore.length !== membersAfter.length
+                || membersBefore.some(customer => !membersAfter.includes(customer));
+            return membersChanged ? 'membersChanged' : 'unchanged';
+        };
+        const bucketIds = [...new Set([...this.buckets.keys(), ...proposedBuckets.keys()])];
+        const bucketImpacts = bucketIds.map(bucketId => {
+            const membersBefore = this.buckets.has(bucketId)
+                ? customersIn(bucketId, customer => this.customerToBucket.get(customer.customerId) || null)
+                : [];
+            const membersAfter = proposedBuckets.has(bucketId)
+                ? customersIn(bucketId, customer => afterAssignments.get(customer.customerId))
+                : [];
+            const before = this.summarizeCustomers(membersBefore);
+            const after = this.summarizeCustomers(membersAfter);
+            return {
+                bucketId,
+                bucketName: bucketName(bucketId),
+                status: statusOf(bucketId, membersBefore, membersAfter),
+                before,
+                after,
+                change: {
+                    customerCount: after.customerCount - before.customerCount,
+                    totalVolume: Math.round((after.totalVolume - before.totalVolume) * 100) / 100,
+                    totalRevenue: Math.round((after.totalRevenue - before.totalRevenue) * 100) / 100,
+                    averageMargin: Math.round((after.averageMargin - before.averageMargin) * 100) / 100
+                }
+            };
+        }).filter(impact => impact.status !== 'unchanged');
+
+        return {
+            changes: normalizedChanges,
+            entering,
+            leaving,
+            newlyConflicted,
+            newlyUnassigned,
+            bucketImpacts,
+            summary: {
+                entering: entering.length,
+                leaving: leaving.length,
+                moved: entering.filter(move => move.fromBucketId).length,
+                newlyConflicted: newlyConflicted.length,
+                newlyUnassigned: newlyUnassigned.length
+            }
+        };
+    }
+
+    /**
+     * Validates a proposed bucket name against the proposed buckets
+     * @private
+     */
+    checkProposedName(name, proposedBuckets, ownBucketId) {
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            throw new Error('Bucket name must be a non-empty string');
+        }
+        const trimmedName = name.trim();
+        for (const bucket of proposedBuckets.values()) {
+            if (bucket.bucketId !== ownBucketId && bucket.bucketName.toLowerCase() === trimmedName.toLowerCase()) {
+                throw new Error(`Bucket name "${trimmedName}" already exists. Choose a different name.`);
+            }
+        }
+        return trimmedName;
+    }
+
+    /**
+     * Validates proposed criteria and fills missing bounds with null
+     * @private
+     */
+    normalizeProposedCriteria(criteria) {
+        const normalized = { ...criteria };
+        ['volumeMin', 'volumeMax', 'priceMin', 'priceMax', 'profitMarginMin', 'profitMarginMax'].forEach(key => {
+            if (normalized[key] === undefined) normalized[key] = null;
+        });
+        this.validateBucketCriteria(normalized);
+        return normalized;
+    }
+
+    /**
+     * Whether a customer fits every bound, rule and list of the criteria
+     * @private
+     */
+    meetsBucketCriteria(customer, criteria) {
+        if (this.criteriaEvaluator.hasRules(criteria)) {
+            const ruleResult = this.criteriaEvaluator.evaluate(customer, criteria);
+            if (ruleResult.listed) return ruleResult.listed === 'included';
+            if (!ruleResult.met) return false;
+        }
+
+        const within = (value, min, max) => (min === null || min === undefined || value >= min)
+            && (max === null || max === undefined || value <= max);
+        return within(customer.totalVolume, criteria.volumeMin, criteria.volumeMax)
+            && within(customer.averageUnitPrice, criteria.priceMin, criteria.priceMax)
+            && within(customer.profitMargin, criteria.profitMarginMin, criteria.profitMarginMax);
+    }
+
+    /**
+     * Customer count, volume, revenue and revenue-weighted margin of a customer group
+     * @private
+     */
+    summarizeCustomers(customers) {
+        const totalVolume = customers.reduce((sum, c) => sum + c.totalVolume, 0);
+        const totalRevenue = customers.reduce((sum, c) => sum + (c.totalRevenue || c.totalVolume * c.averageUnitPrice), 0);
+        const totalProfitWeighted = customers.reduce((sum, c) =>
+            sum + (c.profitMargin * (c.totalRevenue || c.totalVolume * c.averageUnitPrice)), 0);
+
+        return {
+            customerCount: customers.length,
+            totalVolume: Math.round(totalVolume * 100) / 100,
+            totalRevenue: Math.round(totalRevenue * 100) / 100,
+            averageMargin: Math.round((totalRevenue > 0 ? totalProfitWeighted / totalRevenue : 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Get all buckets
+     * @returns {Array<CustomerBucket>} Array of all bucket objects
+     */
+    getAllBuckets() {
+        return Array.from(this.buckets.values());
+    }
+
+    /**
+     * Get bucket by ID
+     * @param {string} bucketId - Bucket identifier
+     * @returns {CustomerBucket|null} Bucket object or null if not found
+     */
+    getBucket(bucketId) {
+        return this.buckets.get(bucketId) || null;
+    }
+
+    /**
+     * Get bucket containing a specific customer
+     * @param {string} customerId - Customer identifier
+     * @returns {CustomerBucket|null} Bucket object or null if customer not assigned
+     */
+    getCustomerBucket(customerId) {
+        const bucketId = this.customerToBucket.get(customerId);
+        return bucketId ? this.buckets.get(bucketId) || null : null;
+    }
+
+    /**
+     * Detect customers that meet multiple bucket criteria (for overlap resolution)
+     * @returns {Array<OverlapResolution>} Array of customers with bucket conflicts
+     */
+    detectBucketOverlaps() {
+        const overlaps = [];
+        
+        for (const customer of this.customers) {
+            const eligibleBuckets = [];
+            
+            // Check each bucket's criteria against customer metrics
+            for (const bucket of this.buckets.values()) {
+                const matchScore = this.calculateBucketMatchScore(customer, bucket.criteria);
+                if (matchScore > 0) {
+                    eligibleBuckets.push({
+                        bucketId: bucket.bucketId,
+                        bucketName: bucket.bucketName,
+                        matchScore: Math.round(matchScore * 100) / 100
+                    });
+                }
+            }
+
+            // If customer meets criteria for multiple buckets, it's an overlap
+            if (eligibleBuckets.length > 1) {
+                // Sort by match score (highest first)
+                eligibleBuckets.sort((a, b) => b.matchScore - a.matchScore);
+                
+                const conflictReasons = this.generateConflictReasons(customer, eligibleBuckets);
+                
+                overlaps.push({
+                    customerId: customer.customerId,
+                    customerName: customer.customerName,
+                    eligibleBuckets,
+                    recommendedBucket: eligibleBuckets[0].bucketId, // Highest match score
+                    conflictReason: conflictReasons
+                });
+            }
+        }
+
+        return overlaps;
+    }
+
+    /**
+     * Calculate how well a customer matches bucket criteria (0-1 score)
+     * @private
+     * @param {CustomerAnalytics} customer - Customer to evaluate
+     * @param {BucketCriteria} criteria - Bucket criteria to match against
+     * @returns {number} Match score between 0 and 1
+     */
+    calculateBucketMatchScore(customer, criteria) {
+        let matches = 0;
+        let totalCriteria = 0;
+
+        // Customer lists and rule conditions are hard requirements
+        if (this.criteriaEvaluator.hasRules(criteria)) {
+            const ruleResult = this.criteriaEvaluator.evaluate(customer, criteria);
+            if (!ruleResult.met) return 0;
+            if (ruleResult.listed === 'included') return 1;
+            if (criteria.rules) {
+                totalCriteria++;
+                matches++;
+            }
+        }
+
+        // Volume criteria
+        if (criteria.volumeMin !== null && criteria.volumeMin !== undefined) {
+            totalCriteria++;
+            if (customer.totalVolume >= criteria.volumeMin) matches++;
+        }
+
+        if (criteria.volumeMax !== null && criteria.volumeMax !== undefined) {
+            totalCriteria++;
+            if (customer.totalVolume <= criteria.volumeMax) matches++;
+        }
+
+        // Price criteria
+        if (criteria.priceMin !== null && criteria.priceMin !== undefined) {
+            totalCriteria++;
+            if (customer.averageUnitPrice >= criteria.priceMin) matches++;
+        }
+
+        if (criteria.priceMax !== null && criteria.priceMax !== undefined) {
+            totalCriteria++;
+            if (customer.averageUnitPrice <= criteria.priceMax) matches++;
+        }
+
+        // Profit margin criteria
+        if (criteria.profitMarginMin !== null && criteria.profitMarginMin !== undefined) {
+            totalCriteria++;
+            if (customer.profitMargin >= criteria.profitMarginMin) matches++;
+        }
+
+        if (criteria.profitMarginMax !== null && criteria.profitMarginMax !== undefined) {
+            totalCriteria++;
+            if (customer.profitMargin <= criteria.profitMarginMax) matches++;
+        }
+
+        return totalCriteria > 0 ? matches / totalCriteria : 0;
+    }
+
+    /**
+     * Generate human-readable conflict reasons for overlapping buckets
+     * @private
+     * @param {CustomerAnalytics} customer - Customer with overlaps
+     * @param {Array} eligibleBuckets - Buckets the customer qualifies for
+     * @returns {string} Conflict explanation
+     */
+    generateConflictReasons(customer, eligibleBuckets) {
+        if (eligibleBuckets.length <= 1) return '';
+
+        const bucketNames = eligibleBuckets.map(b => b.bucketName).join(' and ');
+        const metrics = [];
+
+        if (customer.totalVolume) metrics.push(`${customer.totalVolume.toLocaleString()} yards³ volume`);
+        if (customer.averageUnitPrice) metrics.push(`$${customer.averageUnitPrice.toFixed(2)}/yard price`);
+        if (customer.profitMargin) metrics.push(`${customer.profitMargin.toFixed(1)}% margin`);
+
+        return `Customer meets criteria for ${bucketNames} based on: ${metrics.join(', ')}`;
+    }
+
+    /**
+     * Apply pricing adjustments to a bucket
+     * @param {string} bucketId - Bucket to adjust
+     * @param {number} adjustment - Price adjustment amount
+     * @param {string} type - 'absolute' for $/yard or 'percentage' for %
+     * @throws {Error} If bucket not found or invalid adjustment
+     */
+    applyPricingAdjustment(bucketId, adjustment, type = 'absolute') {
+        const bucket = this.buckets.get(bucketId);
+        if (!bucket) {
+            throw new Error(`Bucket not found: ${bucketId}`);
+        }
+
+        if (typeof adjustment !== 'number') {
+            throw new Error('Price adjustment must be a number');
+        }
+
+        if (!['absolute', 'percentage'].includes(type)) {
+            throw new Error('Adjustment type must be "absolute" or "percentage"');
+        }
+
+        // Validate adjustment bounds
+        if (type === 'percentage' && (adjustment < -50 || adjustment > 100)) {
+            throw new Error('Percentage adjustments must be between -50% and +100%');
+        }
+
+        if (type === 'absolute' && Math.abs(adjustment) > 100) {
+            throw new Error('Absolute adjustments must be between -$100 and +$100 per yard');
+        }
+
+        bucket.adjustments.priceAdjustment = adjustment;
+        bucket.adjustments.adjustmentType = type;
+        bucket.lastModified = this.now();
+
+        this.notifyListeners('pricingAdjusted', { 
+            bucketId, 
+            adjustment, 
+            type, 
+            bucketName: bucket.bucketName 
+        });
+    }
+
+    /**
+     * Add event listener for bucket manager events
+     * @param {Function} listener - Event listener function
+     */
+    addEventListener(listener) {
+        if (typeof listener === 'function') {
+            this.eventListeners.push(listener);
+        }
+    }
+
+    /**
+     * Remove event listener
+     * @param {Function} listener - Event listener function to remove
+     */
+    removeEventListener(listener) {
+        const index = this.eventListeners.indexOf(listener);
+        if (index > -1) {
+            this.eventListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify all event listeners of bucket manager events
+     * @private
+     * @param {string} eventType - Type of event that occurred
+     * @param {Object} eventData - Event data payload
+     */
+    notifyListeners(eventType, eventData = {}) {
+        const event = {
+            type: eventType,
+            timestamp: new Date().toISOString(),
+            data: eventData
+        };
+
+        if (this.journalEventCounts) {
+            this.journalEventCounts[eventType] = (this.journalEventCounts[eventType] || 0) + 1;
+        }
+
+        this.eventListeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in bucket manager event listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Undo the most recent journaled mutation (or redo)
+     *
+     * Buckets, assignments, the bucket counter and the assignment change
+     * log go back to how they were before the mutation. The undo itself is
+     * appended to the journal, so replaying the journal undoes it again.
+     *
+     * @returns {Object} The journal entry that was undone
+     * @throws {Error} If there is nothing to undo
+     * @example
+     * manager.assignAllUnassignedToBucket('bucket-2'); // mis-click
+     * manager.undo();
+     */
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) {
+            throw new Error('Nothing to undo');
+        }
+
+        this.redoStack.push({ entryId: step.entryId, state: this.captureState() });
+        this.restoreState(step.state);
+        this.appendJournalEntry({ operation: 'undo', args: [], target: step.entryId, replayable: true });
+
+        const entry = this.journal.find(candidate => candidate.entryId === step.entryId);
+        this.notifyListeners('mutationUndone', { entryId: step.entryId, operation: entry.operation });
+
+        return { ...entry };
+    }
+
+    /**
+     * Redo the most recently undone mutation
+     * @returns {Object} The journal entry that was redone
+     * @throws {Error} If there is nothing to redo
+     */
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) {
+            throw new Error('Nothing to redo');
+        }
+
+        this.undoStack.push({ entryId: step.entryId, state: this.captureState() });
+        this.restoreState(step.state);
+        this.appendJournalEntry({ operation: 'redo', args: [], target: step.entryId, replayable: true });
+
+        const entry = this.journal.find(candidate => candidate.entryId === step.entryId);
+        this.notifyListeners('mutationRedone', { entryId: step.entryId, operation: entry.operation });
+
+        return { ...entry };
+    }
+
+    /**
+     * Whether undo() has a mutation to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether redo() has a mutation to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get the journal entries recorded since the last loadCustomerData or importState
+     * @returns {Array<Object>} Copies of the entries {entryId, recordedAt, operation, args, result, events, replayable, target}, oldest first
+     */
+    getJournal() {
+        return this.journal.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Export the journal for auditing or replay
+     *
+     * The export holds the state before the first entry, every entry and a
+     * checksum of the current state. Customer data is not included: replay
+     * it on a manager loaded with the same customers.
+     *
+     * @returns {Object} {version, exportedAt, baseState, entries, checksum}
+     */
+    exportJournal() {
+        return JSON.parse(JSON.stringify({
+            version: this.JOURNAL_VERSION,
+            exportedAt: new Date().toISOString(),
+            baseState: this.journalBaseState || this.captureState(),
+            entries: this.journal,
+            checksum: this.calculateStateChecksum()
+        }));
+    }
+
+    /**
+     * Rebuild state by replaying an exported journal
+     *
+     * Imports the journal's base state, then repeats each entry with its
+     * original arguments and timestamp. Entries whose arguments included
+     * functions (e.g. a custom scoreBucket) are not replayable and restore
+     * the state they recorded instead. The manager's own journal ends up
+     * equal to the replayed one, so undo and redo keep working.
+     *
+     * @param {Object} journal - Output of exportJournal
+     * @returns {Object} {entries, checksum, matches}
+     * @throws {Error} If the journal is invalid, an entry fails, or the replayed state differs from the checksum
+     * @example
+     * const audit = new CustomerBucketManager();
+     * audit.loadCustomerData(customers);
+     * audit.replayJournal(manager.exportJournal());
+     */
+    replayJournal(journal) {
+        if (!journal || !journal.baseState || !Array.isArray(journal.entries)) {
+            throw new Error('Invalid journal: expected baseState and entries');
+        }
+        if (journal.version !== this.JOURNAL_VERSION) {
+            throw new Error(`Incompatible journal version: ${journal.version} (supported: ${this.JOURNAL_VERSION})`);
+        }
+
+        this.importState(journal.baseState);
+
+        journal.entries.forEach(entry => {
+            this.journalClock = entry.recordedAt;
+            try {
+                if (entry.operation === 'undo') {
+                    this.undo();
+                } else if (entry.operation === 'redo') {
+                    this.redo();
+                } else if (!this.JOURNALED_OPERATIONS.includes(entry.operation)) {
+                    throw new Error('Unknown operation');
+                } else if (entry.replayable === false) {
+                    this.journaled(entry.operation, entry.args, () => this.restoreState(entry.state), {
+                        replayable: false,
+                        events: entry.events
+                    });
+                } else {
+                    this[entry.operation](...entry.args);
+                }
+            } catch (error) {
+                throw new Error(`Journal entry ${entry.entryId} (${entry.operation}) failed: ${error.message}`);
+            } finally {
+                this.journalClock = null;
+            }
+        });
+
+        const checksum = this.calculateStateChecksum();
+        if (journal.checksum && checksum !== journal.checksum) {
+            throw new Error(`Replayed state does not match the journal (checksum ${checksum}, expected ${journal.checksum})`);
+        }
+
+        return { entries: journal.entries.length, checksum, matches: Boolean(journal.checksum) };
+    }
+
+    /**
+     * Runs a mutation and records it in the journal with an undo step
+     *
+     * Calls made while another journaled call runs (e.g. the assignments
+     * inside assignAllUnassignedToBucket) belong to the outer entry. A call
+     * that throws is not recorded, and whatever it changed before throwing
+     * is rolled back so the state still matches the journal.
+     * @private
+     * @param {string} operation - Method name
+     * @param {Array} args - Arguments as passed
+     * @param {Function} apply - Runs the mutation
+     * @param {Object} options - {replayable: false} to store the resulting state instead of relying on the arguments; {events} to record instead of the counted ones
+     * @returns {*} Result of apply
+     */
+    journaled(operation, args, apply, options = {}) {
+        if (this.journalDepth > 0) {
+            return apply();
+        }
+
+        const startsJournal = this.journalBaseState === null;
+        if (startsJournal) {
+            this.journalBaseState = this.captureState();
+        }
+        const before = this.captureState();
+        const recordedAt = this.now();
+        const events = {};
+
+        let result;
+        this.journalDepth++;
+        this.journalClock = recordedAt;
+        this.journalEventCounts = events;
+        try {
+            result = apply();
+        } catch (error) {
+            this.restoreState(before);
+            if (startsJournal) {
+                this.journalBaseState = null;
+            }
+            throw error;
+        } finally {
+            this.journalDepth--;
+            this.journalClock = null;
+            this.journalEventCounts = null;
+        }
+
+        // Trailing undefined arguments would come back as null and defeat parameter defaults
+        let argCount = args.length;
+        while (argCount > 0 && args[argCount - 1] === undefined) argCount--;
+        let replayable = options.replayable !== false;
+        const storedArgs = JSON.parse(JSON.stringify(args.slice(0, argCount), (key, value) => {
+            if (typeof value === 'function') {
+                replayable = false;
+                return undefined;
+            }
+            return value;
+        }));
+
+        const keepResult = typeof result === 'string' || typeof result === 'number' ||
+            (Array.isArray(result) && result.every(item => typeof item === 'string'));
+        const entry = this.appendJournalEntry({
+            recordedAt,
+            operation,
+            args: storedArgs,
+            result: keepResult ? result : null,
+            events: options.events || events,
+            replayable,
+            ...(replayable ? {} : { state: this.captureState() })
+        });
+
+        this.undoStack.push({ entryId: entry.entryId, state: before });
+        if (this.undoStack.length > this.MAX_UNDO_STEPS) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        return result;
+    }
+
+    /**
+     * Appends one entry to the journal
+     * @private
+     * @returns {Object} The entry
+     */
+    appendJournalEntry(fields) {
+        const entry = {
+            entryId: `entry-${this.journal.length + 1}`,
+            recordedAt: this.now(),
+            ...fields
+        };
+        this.journal.push(entry);
+        return entry;
+    }
+
+    /**
+     * Clears the journal and the undo/redo history
+     * @private
+     */
+    resetJournal() {
+        this.journal = [];
+        this.journalBaseState = null;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Copy of the current state in exportState shape, without exportedAt
+     * @private
+     */
+    captureState() {
+        return {
+            buckets: Array.from(this.buckets.entries(), ([bucketId, bucket]) => [bucketId, this.copyBucket(bucket)]),
+            customerToBucket: Array.from(this.customerToBucket.entries()),
+            bucketCounter: this.bucketCounter,
+            assignmentChangeLog: [...this.assignmentChangeLog],
+            version: this.STATE_VERSION
+        };
+    }
+
+    /**
+     * Copy of a bucket that shares nothing mutable with the original
+     * @private
+     */
+    copyBucket(bucket) {
+        return {
+            ...bucket,
+            criteria: bucket.criteria ? JSON.parse(JSON.stringify(bucket.criteria)) : bucket.criteria,
+            assignedCustomers: [...(bucket.assignedCustomers || [])],
+            adjustments: { ...bucket.adjustments }
+        };
+    }
+
+    /**
+     * FNV-1a hash of the current state's canonical JSON (object keys sorted)
+     * @private
+     */
+    calculateStateChecksum() {
+        const state = this.captureState();
+        state.customerToBucket.sort((a, b) => a[0].localeCompare(b[0]));
+        const canonical = JSON.stringify(state, (key, item) => (
+            item && typeof item === 'object' && !Array.isArray(item)
+                ? Object.keys(item).sort().reduce((sorted, name) => {
+                    sorted[name] = item[name];
+                    return sorted;
+                }, {})
+                : item
+        ));
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < canonical.length; i++) {
+            hash ^= canonical.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * Timestamp for state changes; fixed to the entry's time while a journal entry is recorded or replayed
+     * @private
+     */
+    now() {
+        return this.journalClock || new Date().toISOString();
+    }
+
+    /**
+     * Export current bucket configuration and assignments
+     * @returns {Object} Complete bucket manager state
+     */
+    exportState() {
+        return {
+            buckets: Array.from(this.buckets.entries()),
+            customerToBucket: Array.from(this.customerToBucket.entries()),
+            bucketCounter: this.bucketCounter,
+            assignmentChangeLog: this.assignmentChangeLog,
+            exportedAt: new Date().toISOString(),
+            version: this.STATE_VERSION
+        };
+    }
+
+    /**
+     * Import bucket configuration and assignments
+     * 
+     * States exported by older versions are upgraded through stateMigrations first.
+     * @param {Object} state - Previously exported state
+     * @throws {Error} If state is invalid or incompatible
+     */
+    importState(state) {
+        if (!state || typeof state !== 'object') {
+            throw new Error('Invalid state object for import');
+        }
+
+        state = this.migrateState(state);
+        this.restoreState(state);
+        this.resetJournal();
+
+        this.notifyListeners('stateImported', { 
+            bucketCount: this.buckets.size,
+            customerMappings: this.customerToBucket.size
+        });
+    }
+
+    /**
+     * Replaces buckets, assignments, the bucket counter and the change log with a copy of a state
+     * @private
+     * @param {Object} state - State at STATE_VERSION
+     */
+    restoreState(state) {
+        // Clear current state
+        this.buckets.clear();
+        this.customerToBucket.clear();
+
+        // Import buckets
+        if (Array.isArray(state.buckets)) {
+            for (const [bucketId, bucket] of state.buckets) {
+                this.buckets.set(bucketId, this.copyBucket(bucket));
+            }
+        }
+
+        // Import customer mappings
+        if (Array.isArray(state.customerToBucket)) {
+            for (const [customerId, bucketId] of state.customerToBucket) {
+                this.customerToBucket.set(customerId, bucketId);
+            }
+        }
+
+        // Update bucket counter
+        this.bucketCounter = state.bucketCounter || 1;
+        this.assignmentChangeLog = Array.isArray(state.assignmentChangeLog) ? [...state.assignmentChangeLog] : [];
+
+        // Update customer objects
+        this.customers.forEach(customer => {
+            customer.bucketId = this.customerToBucket.get(customer.customerId) || null;
+        });
+    }
+
+    /**
+     * Upgrade an exported state to STATE_VERSION by running each migration in order
+     * @param {Object} state - Exported state of any known version
+     * @returns {Object} State at STATE_VERSION (a copy when migrated)
+     * @throws {Error} If the version is unknown or newer than STATE_VERSION
+     */
+    migrateState(state) {
+        let migrated = state;
+
+        while (migrated.version !== this.STATE_VERSION) {
+            const step = this.stateMigrations.find(migration => migration.from === migrated.version);
+            if (!step) {
+                throw new Error(`Incompatible state version: ${migrated.version} (supported up to ${this.STATE_VERSION})`);
+            }
+            migrated = { ...step.migrate(migrated), version: step.to };
+        }
+
+        return migrated;
+    }
+
+    /**
+     * 1.0.0 → 1.1.0: every bucket carries all six criteria bounds (null = no limit)
+     * and an adjustments object. Buckets created with a whole bucket object as
+     * criteria get their real name and criteria back.
+     * @private
+     * @param {Object} state - State at version 1.0.0
+     * @returns {Object} Migrated state
+     */
+    migrateStateFrom100(state) {
+        const criteriaKeys = ['volumeMin', 'volumeMax', 'priceMin', 'priceMax', 'profitMarginMin', 'profitMarginMax'];
+
+        const buckets = (state.buckets || []).map(([bucketId, bucket]) => {
+            const nested = bucket.criteria && bucket.criteria.criteria ? bucket.criteria : null;
+            const sourceCriteria = nested ? nested.criteria : (bucket.criteria || {});
+            const criteria = {};
+            criteriaKeys.forEach(key => {
+                const value = sourceCriteria[key];
+                criteria[key] = value === undefined || value === '' ? null : value;
+            });
+
+            return [bucketId, {
+                ...bucket,
+                bucketName: nested && nested.bucketName ? nested.bucketName : bucket.bucketName,
+                criteria,
+                adjustments: {
+                    priceAdjustment: 0,
+                    adjustmentType: 'absolute',
+                    ...bucket.adjustments,
+                    ...(nested ? nested.adjustments : null)
+                }
+            }];
+        });
+
+        return { ...state, buckets };
+    }
+
+    /**
+     * Get comprehensive bucket manager statistics
+     * @returns {Object} Detailed statistics about buckets and assignments
+     */
+    getStatistics() {
+        const progress = this.getCategorizationProgress();
+        const buckets = this.getAllBuckets();
+        
+        const stats = {
+            overview: progress,
+            bucketStats: {
+                totalBuckets: buckets.length,
+                bucketsWithCustomers: buckets.filter(b => b.customerCount > 0).length,
+                emptyBuckets: buckets.filter(b => b.customerCount === 0).length,
+                averageCustomersPerBucket: buckets.length > 0 ? 
+                    buckets.reduce((sum, b) => sum + b.customerCount, 0) / buckets.length : 0
+            },
+            volumeDistribution: {
+                totalVolume: buckets.reduce((sum, b) => sum + b.totalVolume, 0),
+                averageVolumePerBucket: buckets.length > 0 ? 
+                    buckets.reduce((sum, b) => sum + b.totalVolume, 0) / buckets.length : 0
+            },
+            pricingDistribution: {
+                averagePrice: buckets.length > 0 ? 
+                    buckets.reduce((sum, b) => sum + b.averagePrice, 0) / buckets.length : 0,
+                priceRange: {
+                    min: Math.min(...buckets.map(b => b.averagePrice)),
+                    max: Math.max(...buckets.map(b => b.averagePrice))
+                }
+            }
+        };
+
+        return stats;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomerBucketManager;
+} else if (typeof window !== 'undefined') {
+    window.CustomerBucketManager = CustomerBucketManager;
+}
@@ -0,0 +1,154 @@
+/**
+ * ElasticityEstimator - Fits price elasticity from historical price/volume pairs
+ *
+ * Each customer contributes one observation per month: the volume bought
+ * and the volume-weighted concrete price paid. The fit is a log-log
+ * regression within customers (each customer's own averages are removed
+ * first), so a contractor that always buys more than a walk-in does not
+ * read as "higher price, higher volume". The slope is the elasticity: the
+ * percentage volume change per 1% price change.
+ *
+ * @class ElasticityEstimator
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class ElasticityEstimator {
+    /**
+     * Creates an instance of ElasticityEstimator
+     *
+     * @param {Object} options - Configuration options
+     * @param {number} options.minObservations - Observations needed for a usable estimate (default: 6)
+     * @param {number} options.minPriceVariation - Smallest log-price spread per customer that counts (default: 0.001)
+     */
+    constructor(options = {}) {
+        this.minObservations = options.minObservations || 6;
+        this.minPriceVariation = options.minPriceVariation || 0.001;
+    }
+
+    /**
+     * Build monthly price/volume observations per customer from ledger transactions
+     *
+     * @param {Array<Object>} transactions - SalesLedgerImporter transactions
+     * @param {Object} options - Filters
+     * @param {Array<string>} options.customerIds - Only these customers (e.g. one bucket)
+     * @param {Array<string>} options.months - Only these month labels
+     * @returns {Array<Object>} Observations {customerId, month, price, volume}
+     */
+    buildObservations(transactions, options = {}) {
+        const customerIds = options.customerIds ? new Set(options.customerIds) : null;
+        const months = options.months ? new Set(options.months) : null;
+        const totals = new Map();
+
+        transactions.forEach(transaction => {
+            if (customerIds && !customerIds.has(transaction.customerId)) return;
+            if (months && !months.has(transaction.month)) return;
+            if (!(transaction.concreteYards > 0)) return;
+
+            const key = `${transaction.customerId}|${transaction.month}`;
+            if (!totals.has(key)) {
+                totals.set(key, { customerId: transaction.customerId, month: transaction.month, volume: 0, revenue: 0 });
+            }
+            const total = totals.get(key);
+            total.volume += transaction.concreteYards;
+            total.revenue += transaction.concreteYards * transaction.unitPrice;
+        });
+
+        return Array.from(totals.values()).map(total => ({
+            customerId: total.customerId,
+            month: total.month,
+            price: total.revenue / total.volume,
+            volume: total.volume
+        }));
+    }
+
+    /**
+     * Estimate elasticity from observations
+     *
+     * @param {Array<Object>} observations - {customerId, price, volume}
+     * @returns {Object} {elasticity, usable, reason, observations, customers, rSquared, standardError}
+     *
+     * @example
+     * const estimate = estimator.estimate(estimator.buildObservations(transactions, { customerIds }));
+     * if (estimate.usable) calculator.setDemandModel(bucketId, { elasticity: estimate.elasticity });
+     */
+    estimate(observations) {
+        try {
+            const byCustomer = new Map();
+            observations
+                .filter(observation => observation.price > 0 && observation.volume > 0)
+                .forEach(observation => {
+                    if (!byCustomer.has(observation.customerId)) byCustomer.set(observation.customerId, []);
+                    byCustomer.get(observation.customerId).push({
+                        x: Math.log(observation.price),
+                        y: Math.log(observation.volume)
+                    });
+                });
+
+            // Demean within each customer; customers without price variation carry no information
+            const points = [];
+            let customers = 0;
+            byCustomer.forEach(customerPoints => {
+                if (customerPoints.length < 2) return;
+                const meanX = customerPoints.reduce((sum, point) => sum + point.x, 0) / customerPoints.length;
+                const meanY = customerPoints.reduce((sum, point) => sum + point.y, 0) / customerPoints.length;
+                const spread = Math.max(...customerPoints.map(point => point.x)) - Math.min(...customerPoints.map(point => point.x));
+                if (spread < this.minPriceVariation) return;
+
+                customers++;
+                customerPoints.forEach(point => points.push({ x: point.x - meanX, y: point.y - meanY }));
+            });
+
+            const sumXX = points.reduce((sum, point) => sum + point.x * point.x, 0);
+            const degreesOfFreedom = points.length - customers - 1;
+
+            if (points.length < this.minObservations || sumXX === 0 || degreesOfFreedom <= 0) {
+                return {
+                    elasticity: null,
+                    usable: false,
+                    reason: `Needs at least ${this.minObservations} monthly observations with price changes from repeat customers (found ${points.length})`,
+                    observations: points.length,
+                    customers,
+                    rSquared: null,
+                    standardError: null
+                };
+            }
+
+            const sumXY = points.reduce((sum, point) => sum + point.x * point.y, 0);
+            const sumYY = points.reduce((sum, point) => sum + point.y * point.y, 0);
+            const elasticity = sumXY / sumXX;
+            const residualSS = points.reduce((sum, point) => sum + Math.pow(point.y - elasticity * point.x, 2), 0);
+
+            return {
+                elasticity: Math.round(elasticity * 1000) / 1000,
+                usable: true,
+                reason: null,
+                observations: points.length,
+                customers,
+                rSquared: sumYY > 0 ? Math.round((1 - residualSS / sumYY) * 1000) / 1000 : 0,
+                standardError: Math.round(Math.sqrt(residualSS / degreesOfFreedom / sumXX) * 1000) / 1000
+            };
+
+        } catch (error) {
+            console.error('Error estimating elasticity:', error);
+            throw new Error(`Elasticity estimation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Estimate elasticity straight from ledger transactions
+     *
+     * @param {Array<Object>} transactions - SalesLedgerImporter transactions
+     * @param {Object} options - Filters (see buildObservations)
+     * @returns {Object} Estimate (see estimate)
+     */
+    estimateFromTransactions(transactions, options = {}) {
+        return this.estimate(this.buildObservations(transactions, options));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ElasticityEstimator;
+} else if (typeof window !== 'undefined') {
+    window.ElasticityEstimator = ElasticityEstimator;
+}
@@ -0,0 +1,559 @@
+const goalSeekModules = typeof module !== 'undefined' && module.exports
+    ? { PricingAdjustmentCalculator: require('./PricingAdjustmentCalculator') }
+    : window;
+
+/**
+ * GoalSeekSolver - Works backwards from the profit goal
+ *
+ * Answers one of three questions on the mixed cost basis (manufacturing per
+ * yard, labor and fixed costs as lump sums):
+ * - minimumVolume: the volume needed at current prices
+ * - uniformPriceIncrease: the across-the-board increase needed at the projected volume
+ * - bucketPrices: per-bucket prices needed, each bucket capped by the
+ *   PricingAdjustmentCalculator constraints (maximum increase, maximum
+ *   absolute adjustment, market ceiling, maximum churn)
+ *
+ * Every answer says whether the goal is feasible; when it is not, the
+ * result carries the best achievable profit, the shortfall and the
+ * constraints that bind. With elasticity, a goal above the most profit any
+ * increase earns binds on maxProfit.
+ *
+ * @class GoalSeekSolver
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class GoalSeekSolver {
+    /**
+     * Creates an instance of GoalSeekSolver
+     *
+     * @param {Object} options - Configuration options
+     * @param {PricingAdjustmentCalculator} options.pricingCalculator - Supplies constraints, churn and elasticity
+     * @param {Object} options.constraints - Overrides for pricingCalculator.constraints
+     */
+    constructor(options = {}) {
+        this.pricingCalculator = options.pricingCalculator || new goalSeekModules.PricingAdjustmentCalculator();
+        this.constraints = { ...this.pricingCalculator.constraints, ...options.constraints };
+
+        /** @type {Array<string>} Supported questions */
+        this.questions = ['minimumVolume', 'uniformPriceIncrease', 'bucketPrices'];
+
+        /** @type {number} Bisection steps; enough to resolve increases to well under 0.01% */
+        this.searchIterations = 60;
+
+        /** @type {number} Grid steps when scanning for the profit-maximising increase */
+        this.scanSteps = 100;
+    }
+
+    /**
+     * Answer a goal-seek question
+     *
+     * @param {string} question - 'minimumVolume', 'uniformPriceIncrease' or 'bucketPrices'
+     * @param {Object} inputs - Plan inputs
+     * @param {Object} inputs.historical - ProfitPlanCalculator.summarizeHistoricalPeriod result
+     * @param {number} inputs.profitGoal - Target profit
+     * @param {number} inputs.projectedVolume - Projected volume (default: historical volume)
+     * @param {Object} inputs.costs - {manufacturingPerYard, labor, fixed}
+     * @param {Map|Array<Object>} inputs.buckets - Populated buckets (bucketPrices; caps the uniform increase at the market ceiling)
+     * @param {number} inputs.totalCustomerVolume - Volume of all customers, assigned or not (default: bucket volume)
+     * @param {number} inputs.maxVolume - Capacity limit for minimumVolume (optional)
+     * @param {boolean} inputs.includeElasticity - Let price increases reduce volume (default: false)
+     * @returns {Object} Answer with feasible, achievableProfit, shortfall and bindingConstraints
+     * @throws {Error} On an unknown question or missing inputs
+     *
+     * @example
+     * const answer = solver.solve('uniformPriceIncrease', { historical, profitGoal: 150000, projectedVolume: 4000, costs });
+     * console.log(answer.feasible ? answer.requiredIncreasePercent : answer.shortfall);
+     */
+    solve(question, inputs = {}) {
+        try {
+            if (!this.questions.includes(question)) {
+                throw new Error(`Unknown question "${question}" (use ${this.questions.join(', ')})`);
+            }
+            if (!inputs.historical || !(inputs.historical.volume > 0)) {
+                throw new Error('Historical period with volume is required');
+            }
+
+            if (question === 'minimumVolume') return this.solveMinimumVolume(inputs);
+            if (question === 'uniformPriceIncrease') return this.solveUniformPriceIncrease(inputs);
+            return this.solveBucketPrices(inputs);
+
+        } catch (error) {
+            console.error('Error solving goal seek:', error);
+            throw new Error(`Goal seek failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Minimum volume that reaches the goal at current revenue per yard
+     *
+     * @param {Object} inputs - See solve()
+     * @returns {Object} Answer with requiredVolume and contributionPerYard
+     */
+    solveMinimumVolume(inputs) {
+        const plan = this.getPlan(inputs);
+        const contributionPerYard = plan.pricePerYard - plan.manufacturingPerYard;
+        const requiredVolume = contributionPerYard > 0 ? (plan.profitGoal + plan.lumpSumCosts) / contributionPerYard : null;
+        const bindingConstraints = [];
+        let achievableVolume = requiredVolume;
+
+        if (requiredVolume === null) {
+            bindingConstraints.push({
+                constraint: 'contributionPerYard',
+                detail: `Revenue per yard ${this.formatMoney(plan.pricePerYard)} does not cover manufacturing ${this.formatMoney(plan.manufacturingPerYard)}; more volume only adds loss`
+            });
+            achievableVolume = 0;
+        } else if (inputs.maxVolume > 0 && requiredVolume > inputs.maxVolume) {
+            bindingConstraints.push({
+                constraint: 'maxVolume',
+                detail: `Needs ${this.round(requiredVolume).toLocaleString()} yards but capacity is ${inputs.maxVolume.toLocaleString()} yards`
+            });
+            achievableVolume = inputs.maxVolume;
+        }
+
+        const achievableProfit = contributionPerYard * achievableVolume - plan.lumpSumCosts;
+
+        return {
+            question: 'minimumVolume',
+            ...this.describeOutcome(plan, achievableProfit, bindingConstraints),
+            pricePerYard: this.round(plan.pricePerYard),
+            manufacturingPerYard: this.round(plan.manufacturingPerYard),
+            lumpSumCosts: this.round(plan.lumpSumCosts),
+            contributionPerYard: this.round(contributionPerYard),
+            requiredVolume: requiredVolume !== null ? this.round(requiredVolume) : null,
+            achievableVolume: this.round(achievableVolume),
+            volumeChange: requiredVolume !== null ? this.round(requiredVolume - plan.volume) : null,
+            assumptions: ['Revenue per yard stays at the historical average', 'Labor and fixed costs do not change with volume']
+        };
+    }
+
+    /**
+     * Uniform percentage price increase that reaches the goal at the projected volume
+     *
+     * @param {Object} inputs - See solve()
+     * @returns {Object} Answer with requiredIncreasePercent, maxIncreasePercent and the price per yard
+     */
+    solveUniformPriceIncrease(inputs) {
+        const plan = this.getPlan(inputs);
+        const allCustomers = this.createSegment(
+            { bucketId: 'all', bucketName: 'All customers', customerCount: 1 },
+            plan.pricePerYard,
+            plan.volume
+        );
+
+        // The uniform increase stops at the tightest limit of any bucket (e.g. the priciest one at the market ceiling)
+        const tightest = [allCustomers, ...this.getBucketSegments(this.getBuckets(inputs.buckets), plan, inputs)]
+            .reduce((lowest, segment) => segment.limit.percent < lowest.limit.percent ? segment : lowest);
+        const profitAt = percent => plan.baseProfit + this.getProfitChange(
+            [{ segment: allCustomers, percent }], plan, inputs.includeElasticity
+        );
+
+        const { percent: requiredIncreasePercent, peak } = this.findIncrease(profitAt, plan.profitGoal, tightest.limit.percent);
+        const bindingConstraints = [];
+        let appliedPercent = requiredIncreasePercent;
+
+        if (requiredIncreasePercent === null) {
+            appliedPercent = peak.percent;
+            bindingConstraints.push(peak.percent < tightest.limit.percent
+                ? this.describeProfitPeak(peak, 'increase')
+                : {
+                    constraint: tightest.limit.constraint,
+                    detail: tightest === allCustomers ? tightest.limit.detail : `${tightest.bucketName}: ${tightest.limit.detail}`
+                });
+        }
+
+        const achievableProfit = profitAt(appliedPercent);
+
+        return {
+            question: 'uniformPriceIncrease',
+            ...this.describeOutcome(plan, achievableProfit, bindingConstraints),
+            volume: plan.volume,
+            baseProfit: this.round(plan.baseProfit),
+            pricePerYard: this.round(plan.pricePerYard),
+            requiredIncreasePercent: requiredIncreasePercent !== null ? this.round(requiredIncreasePercent) : null,
+            requiredPricePerYard: requiredIncreasePercent !== null
+                ? this.round(plan.pricePerYard * (1 + requiredIncreasePercent / 100))
+                : null,
+            maxIncreasePercent: this.round(tightest.limit.percent),
+            appliedIncreasePercent: this.round(appliedPercent),
+            assumptions: this.getPriceAssumptions(inputs)
+        };
+    }
+
+    /**
+     * Per-bucket prices that reach the goal at the projected volume
+     *
+     * Buckets rise by the same percentage until a bucket hits its own limit;
+     * the remaining buckets keep rising, so capped buckets do not block the
+     * rest. The adjustments can be passed straight to calculateAdjustmentImpact.
+     *
+     * @param {Object} inputs - See solve(); buckets are required
+     * @returns {Object} Answer with per-bucket prices and adjustments {bucketId: {adjustment, adjustmentType}}
+     * @throws {Error} If no populated buckets are given
+     */
+    solveBucketPrices(inputs) {
+        const plan = this.getPlan(inputs);
+        const buckets = this.getBuckets(inputs.buckets);
+        if (buckets.length === 0) {
+            throw new Error('Per-bucket prices need at least one bucket with customers');
+        }
+
+        const segments = this.getBucketSegments(buckets, plan, inputs);
+        const maxLevel = Math.max(...segments.map(segment => segment.limit.percent));
+        const increasesAt = level => segments.map(segment => ({ segment, percent: Math.min(level, segment.limit.percent) }));
+        const profitAt = level => plan.baseProfit + this.getProfitChange(increasesAt(level), plan, inputs.includeElasticity);
+
+        const { percent: requiredLevel, peak } = this.findIncrease(profitAt, plan.profitGoal, maxLevel);
+        const level = requiredLevel !== null ? requiredLevel : peak.percent;
+        const increases = increasesAt(level);
+        const achievableProfit = profitAt(level);
+        const adjustments = {};
+
+        const bucketPrices = increases.map(({ segment, percent }) => {
+            const newPrice = segment.price * (1 + percent / 100);
+            const atLimit = requiredLevel === null ? segment.limit.percent <= level : segment.limit.percent < level;
+            adjustments[segment.bucketId] = {
+                adjustment: this.round(newPrice - segment.price),
+                adjustmentType: 'absolute'
+            };
+
+            return {
+                bucketId: segment.bucketId,
+                bucketName: segment.bucketName,
+                customerCount: segment.customerCount,
+                projectedVolume: this.round(segment.volume),
+                currentPrice: this.round(segment.price),
+                newPrice: this.round(newPrice),
+                increasePercent: this.round(percent),
+                maxIncreasePercent: this.round(segment.limit.percent),
+                limitedBy: atLimit ? segment.limit.constraint : null,
+                churnRisk: this.getChurnRisk(segment, percent)
+            };
+        });
+
+        // Short of the goal, the buckets held at their limits bind, and so does the profit peak if it comes first
+        const bindingConstraints = requiredLevel === null
+            ? [
+                ...(level < maxLevel ? [this.describeProfitPeak(peak, 'uniform increase')] : []),
+                ...segments.filter(segment => segment.limit.percent <= level).map(segment => ({
+                    constraint: segment.limit.constraint,
+                    bucketId: segment.bucketId,
+                    detail: `${segment.bucketName}: ${segment.limit.detail}`
+                }))
+            ]
+            : [];
+
+        return {
+            question: 'bucketPrices',
+            ...this.describeOutcome(plan, achievableProfit, bindingConstraints),
+            volume: plan.volume,
+            baseProfit: this.round(plan.baseProfit),
+            coveredVolumeShare: this.round(segments.reduce((sum, segment) => sum + segment.volume, 0) / plan.volume * 100),
+            uniformIncreasePercent: this.round(level),
+            buckets: bucketPrices,
+            adjustments,
+            assumptions: [
+                ...this.getPriceAssumptions(inputs),
+                'Each bucket keeps its share of customer volume; unassigned customers keep current prices'
+            ]
+        };
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Plan figures shared by every question
+     * @private
+     */
+    getPlan(inputs) {
+        const { historical } = inputs;
+        const costs = inputs.costs || {};
+        const volume = inputs.projectedVolume > 0 ? inputs.projectedVolume : historical.volume;
+        const pricePerYard = historical.revenue / historical.volume;
+        const manufacturingPerYard = costs.manufacturingPerYard || 0;
+        const lumpSumCosts = (costs.labor || 0) + (costs.fixed || 0);
+
+        return {
+            profitGoal: inputs.profitGoal || 0,
+            volume,
+            pricePerYard,
+            manufacturingPerYard,
+            lumpSumCosts,
+            baseProfit: (pricePerYard - manufacturingPerYard) * volume - lumpSumCosts
+        };
+    }
+
+    /**
+     * Buckets with customers, from a Map or an array
+     * @private
+     */
+    getBuckets(buckets) {
+        if (!buckets) return [];
+        const list = buckets instanceof Map ? Array.from(buckets.values()) : buckets;
+        return list.filter(bucket => bucket.customerCount > 0 && bucket.totalVolume > 0);
+    }
+
+    /**
+     * Buckets scaled to their share of the projected volume, with price limits
+     * @private
+     */
+    getBucketSegments(buckets, plan, inputs) {
+        if (buckets.length === 0) return [];
+
+        const bucketVolume = buckets.reduce((sum, bucket) => sum + bucket.totalVolume, 0);
+        const totalVolume = inputs.totalCustomerVolume > 0 ? Math.max(inputs.totalCustomerVolume, bucketVolume) : bucketVolume;
+
+        return buckets.map(bucket => this.createSegment(
+            bucket,
+            bucket.averagePrice,
+            plan.volume * bucket.totalVolume / totalVolume
+        ));
+    }
+
+    /**
+     * Price segment with its largest allowed percentage increase
+     * @private
+     */
+    createSegment(bucket, price, volume) {
+        const segment = {
+            bucketId: bucket.bucketId,
+            bucketName: bucket.bucketName,
+            customerCount: bucket.customerCount,
+            averageMargin: bucket.averageMargin || 0,
+            price,
+            volume
+        };
+        // Resolved on the bucket's own averages; the scaled segment volume would match other segments
+        segment.demandModel = this.pricingCalculator.getDemandModel(bucket);
+        segment.limit = this.getIncreaseLimit(segment);
+        return segment;
+    }
+
+    /**
+     * Tightest of the pricing constraints for one segment, as a percentage increase
+     * @private
+     */
+    getIncreaseLimit(segment) {
+        const { maxPriceIncrease, maxAbsoluteAdjustment, marketCeilingPrice, maxChurnRate } = this.constraints;
+        const limits = [{
+            constraint: 'maxPriceIncrease',
+            percent: maxPriceIncrease * 100,
+            detail: `Price increases are capped at ${this.round(maxPriceIncrease * 100)}%`
+        }];
+
+        if (segment.price > 0) {
+            limits.push({
+                constraint: 'maxAbsoluteAdjustment',
+                percent: maxAbsoluteAdjustment / segment.price * 100,
+                detail: `Adjustments are capped at ${this.formatMoney(maxAbsoluteAdjustment)}/yard`
+            }, {
+                constraint: 'marketCeilingPrice',
+                percent: Math.max(0, (marketCeilingPrice / segment.price - 1) * 100),
+                detail: `Market ceiling is ${this.formatMoney(marketCeilingPrice)}/yard (current ${this.formatMoney(segment.price)}/yard)`
+            }, {
+                constraint: 'maxChurnRate',
+                percent: this.findChurnLimit(segment, maxPriceIncrease * 100),
+                detail: `Churn risk may not exceed ${this.round(maxChurnRate * 100)}%`
+            });
+        }
+
+        return limits.reduce((lowest, limit) => limit.percent < lowest.percent ? limit : lowest);
+    }
+
+    /**
+     * Largest increase whose churn risk stays within maxChurnRate
+     * @private
+     */
+    findChurnLimit(segment, upperPercent) {
+        if (this.getChurnRisk(segment, upperPercent) <= this.constraints.maxChurnRate) {
+            return upperPercent;
+        }
+
+        let low = 0;
+        let high = upperPercent;
+        for (let i = 0; i < this.searchIterations; i++) {
+            const middle = (low + high) / 2;
+            if (this.getChurnRisk(segment, middle) <= this.constraints.maxChurnRate) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Churn risk of a percentage increase, from the pricing calculator's model
+     * @private
+     */
+    getChurnRisk(segment, percent) {
+        return this.getBucketImpact(segment, percent, true).churnRisk;
+    }
+
+    /**
+     * Volume multiplier of a percentage increase (1 without elasticity)
+     * @private
+     */
+    getVolumeMultiplier(segment, percent, includeElasticity) {
+        if (!includeElasticity || percent === 0) return 1;
+        return 1 + this.getBucketImpact(segment, percent, true).volumeChangePercent / 100;
+    }
+
+    /**
+     * PricingAdjustmentCalculator bucket impact for a segment
+     * @private
+     */
+    getBucketImpact(segment, percent, includeElasticity) {
+        return this.pricingCalculator.calculateBucketImpact(
+            {
+                bucketId: segment.bucketId,
+                bucketName: segment.bucketName,
+                customerCount: segment.customerCount,
+                averagePrice: segment.price,
+                totalVolume: segment.volume,
+                averageMargin: segment.averageMargin,
+                demandModel: segment.demandModel
+            },
+            { adjustment: percent, adjustmentType: 'percentage' },
+            { includeElasticity }
+        );
+    }
+
+    /**
+     * Profit change from per-segment increases on the mixed cost basis
+     * @private
+     */
+    getProfitChange(increases, plan, includeElasticity) {
+        return increases.reduce((sum, { segment, percent }) => {
+            const newVolume = segment.volume * this.getVolumeMultiplier(segment, percent, includeElasticity);
+            const newPrice = segment.price * (1 + percent / 100);
+            const revenueChange = newPrice * newVolume - segment.price * segment.volume;
+            const manufacturingChange = plan.manufacturingPerYard * (newVolume - segment.volume);
+            return sum + revenueChange - manufacturingChange;
+        }, 0);
+    }
+
+    /**
+     * Smallest increase in [0, maxPercent] whose profit reaches the goal
+     *
+     * With elasticity, profit rises with price only until lost volume
+     * outweighs the higher price, so the search scans for the
+     * profit-maximising increase first and bisects on the rising side.
+     * Returns {percent: null, peak} when even the peak falls short.
+     * @private
+     */
+    findIncrease(profitAt, profitGoal, maxPercent) {
+        if (profitAt(0) >= profitGoal) return { percent: 0, peak: null };
+
+        const grid = [];
+        for (let step = 0; step <= this.scanSteps; step++) {
+            const percent = maxPercent * step / this.scanSteps;
+            grid.push({ percent, profit: profitAt(percent) });
+        }
+        const peak = this.findProfitPeak(profitAt, grid);
+        if (peak.profit < profitGoal) return { percent: null, peak };
+
+        // First scanned increase that reaches the goal; the refined peak stands in if none does
+        const reachedAt = grid.findIndex(point => point.profit >= profitGoal);
+        let low = reachedAt > 0 ? grid[reachedAt - 1].percent : grid[peak.step - 1].percent;
+        let high = reachedAt > 0 ? grid[reachedAt].percent : peak.percent;
+        for (let i = 0; i < this.searchIterations; i++) {
+            const middle = (low + high) / 2;
+            if (profitAt(middle) >= profitGoal) {
+                high = middle;
+            } else {
+                low = middle;
+            }
+        }
+        return { percent: high, peak };
+    }
+
+    /**
+     * Profit-maximising increase, refined between the neighbours of the best scanned point
+     * @private
+     */
+    findProfitPeak(profitAt, grid) {
+        const step = grid.reduce((best, point, index) => point.profit > grid[best].profit ? index : best, 0);
+        if (step === 0 || step === grid.length - 1) {
+            return { step, ...grid[step] };
+        }
+
+        // Golden-section search; profit has a single peak between the neighbours
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let low = grid[step - 1].percent;
+        let high = grid[step + 1].percent;
+        for (let i = 0; i < this.searchIterations; i++) {
+            const left = high - ratio * (high - low);
+            const right = low + ratio * (high - low);
+            if (profitAt(left) < profitAt(right)) {
+                low = left;
+            } else {
+                high = right;
+            }
+        }
+        const percent = (low + high) / 2;
+        const profit = profitAt(percent);
+        return profit > grid[step].profit ? { step, percent, profit } : { step, ...grid[step] };
+    }
+
+    /**
+     * Binding constraint for a goal above the most profit any increase earns
+     * @private
+     */
+    describeProfitPeak(peak, label) {
+        return {
+            constraint: 'maxProfit',
+            detail: `Profit peaks at ${this.formatMoney(peak.profit)} with a ${this.round(peak.percent)}% ${label}; larger increases lose more volume than they earn`
+        };
+    }
+
+    /**
+     * Feasibility fields shared by every answer
+     * @private
+     */
+    describeOutcome(plan, achievableProfit, bindingConstraints) {
+        const feasible = bindingConstraints.length === 0;
+        return {
+            feasible,
+            profitGoal: plan.profitGoal,
+            achievableProfit: this.round(achievableProfit),
+            shortfall: feasible ? 0 : this.round(Math.max(0, plan.profitGoal - achievableProfit)),
+            bindingConstraints
+        };
+    }
+
+    /**
+     * Assumptions behind the price questions
+     * @private
+     */
+    getPriceAssumptions(inputs) {
+        return [
+            inputs.includeElasticity
+                ? `Volume responds to price with elasticity ${this.pricingCalculator.priceElasticity} unless a bucket or segment demand model is set`
+                : 'Volume stays at the projected volume',
+            'Manufacturing cost per yard, labor and fixed costs do not change with price'
+        ];
+    }
+
+    /**
+     * Format a dollar amount for constraint details
+     * @private
+     */
+    formatMoney(value) {
+        return `$${(Math.round(value * 100) / 100).toFixed(2)}`;
+    }
+
+    /**
+     * Round to cents
+     * @private
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoalSeekSolver;
+} else if (typeof window !== 'undefined') {
+    window.GoalSeekSolver = GoalSeekSolver;
+}
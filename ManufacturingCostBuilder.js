@@ -0,0 +1,509 @@
+/**
+ * ManufacturingCostBuilder - Per-yard manufacturing cost from mix designs and material prices
+ *
+ * Each mix design (concrete type) lists what goes into one cubic yard:
+ * materials with a quantity and unit (cement, aggregates, sand,
+ * admixtures, water, plant energy) and optional flat per-yard items such
+ * as mixing or quality control. Material prices come from a price list or
+ * a material price history, where the latest price on or before the first
+ * projected month is used. Escalations raise a material's price by a
+ * percentage from a given month on. The result is the cost per yard of
+ * each mix, month by month, and the cost per yard of the whole projected
+ * period weighted by the product mix and the monthly volume.
+ *
+ * @class ManufacturingCostBuilder
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class ManufacturingCostBuilder {
+    /**
+     * Creates an instance of ManufacturingCostBuilder
+     *
+     * @param {Object} options - Configuration options
+     * @param {Object} options.units - Extra units {name: {dimension, factor}}; factor converts to the dimension's base unit (lb, gallon, kwh, each)
+     */
+    constructor(options = {}) {
+        this.monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+        // Base units: lb (mass), gallon (volume), kwh (energy), each (count)
+        this.units = {
+            lb: { dimension: 'mass', factor: 1 },
+            ton: { dimension: 'mass', factor: 2000 },
+            tonne: { dimension: 'mass', factor: 2204.62 },
+            kg: { dimension: 'mass', factor: 2.20462 },
+            cwt: { dimension: 'mass', factor: 100 },
+            gallon: { dimension: 'volume', factor: 1 },
+            oz: { dimension: 'volume', factor: 1 / 128 },
+            liter: { dimension: 'volume', factor: 0.264172 },
+            cubic_yard: { dimension: 'volume', factor: 201.974 },
+            kwh: { dimension: 'energy', factor: 1 },
+            each: { dimension: 'count', factor: 1 },
+            ...options.units
+        };
+
+        this.unitAliases = {
+            lbs: 'lb', pound: 'lb', pounds: 'lb',
+            tons: 'ton', short_ton: 'ton',
+            tonnes: 'tonne', metric_ton: 'tonne',
+            kgs: 'kg',
+            gal: 'gallon', gallons: 'gallon',
+            fl_oz: 'oz', ounce: 'oz', ounces: 'oz',
+            l: 'liter', liters: 'liter', litre: 'liter', litres: 'liter',
+            yd3: 'cubic_yard', cy: 'cubic_yard', cubic_yards: 'cubic_yard',
+            kilowatt_hour: 'kwh', kilowatt_hours: 'kwh'
+        };
+    }
+
+    /**
+     * Build the projected manufacturing cost per yard
+     *
+     * @param {Object} config - Mix design inputs
+     * @param {Object} config.recipes - Mix name → components per cubic yard: {material, quantity, unit} or {name, costPerYard}
+     * @param {Array<Object>} config.materials - Prices {material, unitPrice, unit, priceDate, supplier}; several rows per material form a price history
+     * @param {Object} config.productMix - Mix name → share of projected volume (yards, percent or fractions; normalized)
+     * @param {Array<string>} config.months - Projected months ('Jan 2025'), or
+     * @param {string} config.startMonth - First projected month, with config.monthCount (default 12)
+     * @param {Object} config.monthlyVolume - Month → projected yards; sets the months when none are given (default: even)
+     * @param {Array<Object>} config.escalations - Price increases {material, percent, from}; compound when several apply
+     * @param {Object} options - Build options
+     * @param {number} options.volume - Projected yards, to report volumes and totals
+     * @returns {Object} {costPerYard, baseCostPerYard, escalationImpactPerYard, pricesAsOf, mixes, materials, months, totalCost}
+     * @throws {Error} If a mix has no recipe, a material has no usable price or units cannot be converted
+     *
+     * @example
+     * const build = builder.build({
+     *     recipes: { '4000 PSI': [{ material: 'Cement', quantity: 564, unit: 'lb' }, { name: 'Mixing', costPerYard: 2 }] },
+     *     materials: [{ material: 'Cement', unitPrice: 150, unit: 'ton', priceDate: '2024-12-01' }],
+     *     productMix: { '4000 PSI': 100 },
+     *     startMonth: 'Jan 2025',
+     *     escalations: [{ material: 'Cement', percent: 8, from: 'Jul 2025' }]
+     * });
+     * console.log(build.costPerYard); // 45.992 ($44.30 until June, then cement +8%)
+     */
+    build(config, options = {}) {
+        try {
+            if (!config || typeof config !== 'object') {
+                throw new Error('Mix design inputs must be an object');
+            }
+
+            const recipes = this.normalizeRecipes(config.recipes);
+            const productMix = this.normalizeProductMix(config.productMix, recipes);
+            const months = this.resolveMonths(config);
+            const monthShares = this.resolveMonthShares(config.monthlyVolume, months);
+            const prices = this.selectPrices(config.materials, months.length > 0 ? months[0] : null);
+            const escalations = this.normalizeEscalations(config.escalations, months);
+
+            // One pass per month (or a single undated period) with that month's escalated prices
+            const periods = months.length > 0 ? months : [null];
+            const shares = months.length > 0 ? monthShares : [1];
+            const periodCosts = periods.map(month => {
+                const factors = this.getEscalationFactors(escalations, month);
+                return productMix.map(mix => this.costRecipe(mix.name, recipes.get(mix.name), prices, factors));
+            });
+            const baseCosts = productMix.map(mix => this.costRecipe(mix.name, recipes.get(mix.name), prices, new Map()));
+
+            const mixes = productMix.map((mix, m) => {
+                const base = baseCosts[m];
+                const components = base.components.map((component, c) => ({
+                    ...component,
+                    averageCostPerYard: this.round(periodCosts.reduce((sum, costs, p) => sum + shares[p] * costs[m].components[c].costPerYard, 0))
+                }));
+                const costPerYard = periodCosts.reduce((sum, costs, p) => sum + shares[p] * costs[m].costPerYard, 0);
+
+                return {
+                    name: mix.name,
+                    share: this.round(mix.share),
+                    volume: options.volume > 0 ? this.round(mix.share * options.volume, 2) : null,
+                    baseCostPerYard: this.round(base.costPerYard),
+                    costPerYard: this.round(costPerYard),
+                    components
+                };
+            });
+
+            const costPerYard = periodCosts.reduce((sum, costs, p) =>
+                sum + shares[p] * costs.reduce((mixSum, cost, m) => mixSum + productMix[m].share * cost.costPerYard, 0), 0);
+            const baseCostPerYard = baseCosts.reduce((sum, cost, m) => sum + productMix[m].share * cost.costPerYard, 0);
+
+            return {
+                costPerYard: this.round(costPerYard),
+                baseCostPerYard: this.round(baseCostPerYard),
+                escalationImpactPerYard: this.round(costPerYard - baseCostPerYard),
+                pricesAsOf: months.length > 0 ? this.formatMonth(months[0]) : null,
+                mixes,
+                materials: this.summarizeMaterials(prices, escalations, mixes, periods, shares),
+                months: months.map((month, p) => ({
+                    month: this.formatMonth(month),
+                    volumeShare: this.round(shares[p]),
+                    volume: options.volume > 0 ? this.round(shares[p] * options.volume, 2) : null,
+                    costPerYard: this.round(periodCosts[p].reduce((sum, cost, m) => sum + productMix[m].share * cost.costPerYard, 0))
+                })),
+                totalCost: options.volume > 0 ? this.round(costPerYard * options.volume, 2) : null
+            };
+
+        } catch (error) {
+            console.error('Error building manufacturing cost:', error);
+            throw new Error(`Manufacturing cost build-up failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a quantity between two units of the same dimension
+     *
+     * @param {number} quantity - Quantity in fromUnit
+     * @param {string} fromUnit - Unit of the quantity (e.g. 'lb')
+     * @param {string} toUnit - Wanted unit (e.g. 'ton')
+     * @returns {number} Quantity in toUnit
+     * @throws {Error} If a unit is unknown or the dimensions differ
+     *
+     * @example
+     * builder.convertQuantity(564, 'lb', 'ton'); // 0.282
+     */
+    convertQuantity(quantity, fromUnit, toUnit) {
+        const from = this.resolveUnit(fromUnit);
+        const to = this.resolveUnit(toUnit);
+        if (from.dimension !== to.dimension) {
+            throw new Error(`Cannot convert ${fromUnit} (${from.dimension}) to ${toUnit} (${to.dimension})`);
+        }
+        return quantity * from.factor / to.factor;
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Recipes keyed by mix name, each a list of validated components
+     * @private
+     */
+    normalizeRecipes(recipes) {
+        if (!recipes || typeof recipes !== 'object' || Object.keys(recipes).length === 0) {
+            throw new Error('recipes must name at least one mix design');
+        }
+
+        return new Map(Object.entries(recipes).map(([name, recipe]) => {
+            const components = Array.isArray(recipe) ? recipe : (recipe && recipe.components);
+            if (!Array.isArray(components) || components.length === 0) {
+                throw new Error(`Mix ${name} has no components`);
+            }
+
+            return [name, components.map(component => {
+                if (component.costPerYard !== undefined) {
+                    if (typeof component.costPerYard !== 'number' || component.costPerYard < 0) {
+                        throw new Error(`Mix ${name}: ${component.name || 'item'} needs a non-negative costPerYard`);
+                    }
+                    return { name: component.name || 'Other', costPerYard: component.costPerYard };
+                }
+                if (!component.material || typeof component.quantity !== 'number' || component.quantity < 0 || !component.unit) {
+                    throw new Error(`Mix ${name}: components need material, a non-negative quantity and unit, or costPerYard`);
+                }
+                this.resolveUnit(component.unit);
+                return { material: component.material, quantity: component.quantity, unit: component.unit };
+            })];
+        }));
+    }
+
+    /**
+     * Product mix as {name, share} with shares summing to 1
+     * @private
+     */
+    normalizeProductMix(productMix, recipes) {
+        const entries = productMix && typeof productMix === 'object'
+            ? Object.entries(productMix)
+            : (recipes.size === 1 ? [[recipes.keys().next().value, 1]] : []);
+        if (entries.length === 0) {
+            throw new Error('productMix must give each projected mix a share of volume');
+        }
+
+        const total = entries.reduce((sum, [, share]) => sum + (share > 0 ? share : 0), 0);
+        if (!(total > 0)) {
+            throw new Error('productMix shares must add up to more than zero');
+        }
+
+        return entries.map(([name, share]) => {
+            if (!recipes.has(name)) {
+                throw new Error(`No recipe for ${name} in the product mix`);
+            }
+            if (typeof share !== 'number' || share < 0) {
+                throw new Error(`Product mix share for ${name} must be a non-negative number`);
+            }
+            return { name, share: share / total };
+        });
+    }
+
+    /**
+     * Projected months as month indexes (year × 12 + month), oldest first
+     * @private
+     */
+    resolveMonths(config) {
+        if (Array.isArray(config.months) && config.months.length > 0) {
+            // Prices are taken as of the earliest month, and escalations run forward from it
+            const months = config.months.map(month => this.parseMonth(month)).sort((a, b) => a - b);
+            months.forEach((month, position) => {
+                if (position > 0 && month === months[position - 1]) {
+                    throw new Error(`${this.formatMonth(month)} is listed twice in months`);
+                }
+            });
+            return months;
+        }
+        if (config.startMonth) {
+            const start = this.parseMonth(config.startMonth);
+            const count = config.monthCount || 12;
+            if (!Number.isInteger(count) || count < 1) {
+                throw new Error('monthCount must be a positive whole number');
+            }
+            return Array.from({ length: count }, (_, offset) => start + offset);
+        }
+        if (config.monthlyVolume && typeof config.monthlyVolume === 'object') {
+            return Object.keys(config.monthlyVolume).map(month => this.parseMonth(month)).sort((a, b) => a - b);
+        }
+        return [];
+    }
+
+    /**
+     * Each month's share of projected volume (even unless monthlyVolume is given)
+     * @private
+     */
+    resolveMonthShares(monthlyVolume, months) {
+        if (months.length === 0) {
+            return [];
+        }
+        if (!monthlyVolume) {
+            return months.map(() => 1 / months.length);
+        }
+
+        const volumes = new Map(Object.entries(monthlyVolume).map(([month, volume]) => [this.parseMonth(month), volume]));
+        const values = months.map(month => {
+            const volume = volumes.has(month) ? volumes.get(month) : 0;
+            if (typeof volume !== 'number' || volume < 0) {
+                throw new Error(`Monthly volume for ${this.formatMonth(month)} must be a non-negative number`);
+            }
+            return volume;
+        });
+        const total = values.reduce((sum, volume) => sum + volume, 0);
+        if (!(total > 0)) {
+            throw new Error('monthlyVolume must add up to more than zero');
+        }
+        return values.map(volume => volume / total);
+    }
+
+    /**
+     * Latest price per material on or before the first projected month
+     * @private
+     * @returns {Map<string, Object>} Material key → {material, unitPrice, unit, priceDate, supplier}
+     */
+    selectPrices(materials, firstMonth) {
+        if (!Array.isArray(materials) || materials.length === 0) {
+            throw new Error('materials must list at least one material price');
+        }
+
+        const prices = new Map();
+        const undated = new Set();
+        materials.forEach(row => {
+            const price = {
+                material: row.material || row.materialType || row.material_type,
+                unitPrice: row.unitPrice !== undefined ? row.unitPrice : row.unit_price,
+                unit: row.unit || row.unitType || row.unit_type,
+                priceDate: row.priceDate || row.price_date || null,
+                supplier: row.supplier || null
+            };
+            if (!price.material || typeof price.unitPrice !== 'number' || price.unitPrice < 0 || !price.unit) {
+                throw new Error('Material prices need material, a non-negative unitPrice and unit');
+            }
+            this.resolveUnit(price.unit);
+
+            const key = this.materialKey(price.material);
+            const priceMonth = price.priceDate ? this.parseMonth(price.priceDate) : null;
+            if (firstMonth !== null && priceMonth !== null && priceMonth > firstMonth) {
+                if (!prices.has(key)) undated.add(key);
+                return;
+            }
+
+            const current = prices.get(key);
+            if (!current || (current.priceDate || '') <= (price.priceDate || '')) {
+                prices.set(key, price);
+            }
+            undated.delete(key);
+        });
+
+        if (undated.size > 0) {
+            const names = materials
+                .filter(row => undated.has(this.materialKey(row.material || row.materialType || row.material_type)))
+                .map(row => row.material || row.materialType || row.material_type);
+            throw new Error(`No price on or before ${this.formatMonth(firstMonth)} for ${[...new Set(names)].join(', ')}`);
+        }
+
+        return prices;
+    }
+
+    /**
+     * Escalations with their start month resolved
+     * @private
+     */
+    normalizeEscalations(escalations, months) {
+        if (!Array.isArray(escalations) || escalations.length === 0) {
+            return [];
+        }
+        if (months.length === 0) {
+            throw new Error('Escalations need projected months (months, startMonth or monthlyVolume)');
+        }
+
+        return escalations.map(escalation => {
+            if (!escalation.material || typeof escalation.percent !== 'number' || escalation.percent <= -100) {
+                throw new Error('Escalations need a material and a percent above -100');
+            }
+            return {
+                material: escalation.material,
+                key: this.materialKey(escalation.material),
+                percent: escalation.percent,
+                from: escalation.from ? this.parseMonth(escalation.from) : months[0]
+            };
+        });
+    }
+
+    /**
+     * Compounded price multiplier per material key for one month
+     * @private
+     */
+    getEscalationFactors(escalations, month) {
+        const factors = new Map();
+        escalations.forEach(escalation => {
+            if (month !== null && escalation.from <= month) {
+                factors.set(escalation.key, (factors.get(escalation.key) || 1) * (1 + escalation.percent / 100));
+            }
+        });
+        return factors;
+    }
+
+    /**
+     * Cost of one cubic yard of a mix at the given prices and escalation factors
+     * @private
+     */
+    costRecipe(mixName, components, prices, factors) {
+        const costed = components.map(component => {
+            if (component.costPerYard !== undefined) {
+                const factor = factors.get(this.materialKey(component.name)) || 1;
+                return { name: component.name, costPerYard: this.round(component.costPerYard * factor) };
+            }
+
+            const key = this.materialKey(component.material);
+            const price = prices.get(key);
+            if (!price) {
+                throw new Error(`No price for ${component.material} (used by ${mixName})`);
+            }
+
+            let quantity;
+            try {
+                quantity = this.convertQuantity(component.quantity, component.unit, price.unit);
+            } catch (error) {
+                throw new Error(`${mixName}: ${component.material} ${error.message.charAt(0).toLowerCase()}${error.message.slice(1)}`);
+            }
+            const unitPrice = price.unitPrice * (factors.get(key) || 1);
+
+            return {
+                name: price.material,
+                material: price.material,
+                quantity: component.quantity,
+                unit: component.unit,
+                priceUnit: price.unit,
+                unitPrice: this.round(unitPrice),
+                costPerYard: this.round(quantity * unitPrice)
+            };
+        });
+
+        return {
+            components: costed,
+            costPerYard: costed.reduce((sum, component) => sum + component.costPerYard, 0)
+        };
+    }
+
+    /**
+     * Price, escalation and per-yard contribution of each priced material
+     * @private
+     */
+    summarizeMaterials(prices, escalations, mixes, periods, shares) {
+        return Array.from(prices.entries()).map(([key, price]) => {
+            const own = escalations.filter(escalation => escalation.key === key);
+            const averageUnitPrice = periods.reduce((sum, month, p) => {
+                const factor = own.reduce((product, escalation) =>
+                    month !== null && escalation.from <= month ? product * (1 + escalation.percent / 100) : product, 1);
+                return sum + shares[p] * price.unitPrice * factor;
+            }, 0);
+            const costPerYard = mixes.reduce((sum, mix) => sum + mix.share * mix.components
+                .filter(component => component.material && this.materialKey(component.material) === key)
+                .reduce((componentSum, component) => componentSum + component.averageCostPerYard, 0), 0);
+
+            return {
+                material: price.material,
+                unit: price.unit,
+                unitPrice: price.unitPrice,
+                priceDate: price.priceDate,
+                supplier: price.supplier,
+                escalations: own.map(escalation => ({ percent: escalation.percent, from: this.formatMonth(escalation.from) })),
+                averageUnitPrice: this.round(averageUnitPrice),
+                costPerYard: this.round(costPerYard)
+            };
+        }).filter(material => material.costPerYard > 0 || material.escalations.length > 0);
+    }
+
+    /**
+     * Unit definition for a unit name or alias
+     * @private
+     */
+    resolveUnit(unit) {
+        const name = String(unit).trim().toLowerCase().replace(/[\s-]+/g, '_');
+        const definition = this.units[this.unitAliases[name] || name];
+        if (!definition) {
+            throw new Error(`Unknown unit: ${unit}`);
+        }
+        return definition;
+    }
+
+    /**
+     * Month index (year × 12 + month) of 'Jan 2025', 'January 2025', '2025-01' or '2025-01-15'
+     * @private
+     */
+    parseMonth(value) {
+        const text = String(value).trim();
+        const iso = text.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?/);
+        if (iso && Number(iso[2]) >= 1 && Number(iso[2]) <= 12) {
+            return Number(iso[1]) * 12 + Number(iso[2]) - 1;
+        }
+
+        const label = text.match(/^([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{4})$/);
+        const month = label ? this.monthNames.findIndex(name => name.toLowerCase() === label[1].toLowerCase()) : -1;
+        if (month < 0) {
+            throw new Error(`Unrecognized month: ${value} (use "Jan 2025" or "2025-01")`);
+        }
+        return Number(label[2]) * 12 + month;
+    }
+
+    /**
+     * 'Jan 2025' label of a month index
+     * @private
+     */
+    formatMonth(index) {
+        return `${this.monthNames[index % 12]} ${Math.floor(index / 12)}`;
+    }
+
+    /**
+     * Case- and spacing-insensitive material key
+     * @private
+     */
+    materialKey(material) {
+        return String(material).trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Round to a number of decimals (4 by default, like material prices)
+     * @private
+     */
+    round(value, decimals = 4) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ManufacturingCostBuilder;
+} else if (typeof window !== 'undefined') {
+    window.ManufacturingCostBuilder = ManufacturingCostBuilder;
+}
@@ -1,3 +1,10 @@
+const overlapEngineModules = typeof module !== 'undefined' && module.exports
+    ? {
+        AssignmentOptimizer: require('./AssignmentOptimizer'),
+        BucketCriteriaEvaluator: require('./BucketCriteriaEvaluator')
+    }
+    : window;
+
 /**
  * OverlapResolutionEngine - Handles conflicts when customers meet multiple bucket criteria
  * 
@@ -20,6 +27,14 @@ class OverlapResolutionEngine {
      * @param {number} options.weights.value - Business value weight (default: 0.10)
      * @param {number} options.matchThreshold - Minimum match score threshold (default: 0.5)
      * @param {number} options.confidenceThreshold - Recommendation confidence threshold (default: 0.7)
+     * @param {number} options.boundaryProximity - Distance to a criteria bound, relative to the bound, that counts as near (default: 0.1)
+     * @param {Object} options.bucketBiases - Learned score offsets by bucket ID (see proposeWeightUpdate)
+     * @param {number} options.ruleWeight - Share of the match score given to rule conditions when a bucket has them (default: 0.2)
+     * @param {number} options.maxCacheEntries - Largest number of cached match explanations (default: 250000)
+     * @param {number} options.workers - Worker threads for overlap detection in Node; 0 or 1 detects in-process (default: 0)
+     * @param {number} options.workerThreshold - Fewest customers worth splitting across workers (default: 10000)
+     * @param {number|null} options.yieldInterval - Milliseconds of detection between yields to the event loop (default: 50 in browsers, null in Node)
+     * @param {Array<Object>} options.strategies - Custom resolution strategies to register (see registerStrategy)
      */
     constructor(options = {}) {
         this.weights = {
@@ -32,22 +47,44 @@ class OverlapResolutionEngine {
         
         this.matchThreshold = options.matchThreshold || 0.5;
         this.confidenceThreshold = options.confidenceThreshold || 0.7;
-        
-        // Cache for calculated match scores
+        this.boundaryProximity = options.boundaryProximity || 0.1;
+        this.ruleWeight = options.ruleWeight !== undefined ? options.ruleWeight : 0.2;
+        this.criteriaEvaluator = new overlapEngineModules.BucketCriteriaEvaluator({ boundaryProximity: this.boundaryProximity });
+        
+        this.maxCacheEntries = options.maxCacheEntries || 250000;
+        this.workers = options.workers || 0;
+        this.workerThreshold = options.workerThreshold || 10000;
+        this.yieldInterval = options.yieldInterval !== undefined
+            ? options.yieldInterval
+            : (typeof window !== 'undefined' ? 50 : null);
+        
+        // Cache for match explanations (composite score and its breakdown), stamped with content fingerprints
         this.scoreCache = new Map();
         
         // Resolution decision tracking for machine learning
         this.resolutionHistory = [];
         
+        // Resolution strategies by ID: built-ins first, then registered ones in registration order
+        this.strategies = new Map(this.getBuiltInStrategies().map(strategy => [strategy.id, strategy]));
+        
+        // Learned per-bucket score offsets, the proposal awaiting approval and applied updates
+        this.bucketBiases = { ...options.bucketBiases };
+        this.pendingWeightProposal = null;
+        this.weightHistory = [];
+        
         // Performance metrics
         this.performanceMetrics = {
             overlapDetectionTime: 0,
             scoringTime: 0,
             resolutionTime: 0,
-            cacheHitRate: 0
+            cacheHitRate: 0,
+            cacheInvalidations: 0,
+            candidatePairs: 0,
+            prunedPairs: 0
         };
         
         this.validateWeights();
+        (options.strategies || []).forEach(strategy => this.registerStrategy(strategy));
     }
 
     /**
@@ -64,6 +101,13 @@ class OverlapResolutionEngine {
     /**
      * Detects customers that meet criteria for multiple buckets
      * 
+     * Range indexes over the buckets' volume, price and margin bounds narrow
+     * each customer down to the buckets whose ranges contain it before the
+     * full criteria check and scoring. Scores are cached per customer-bucket
+     * pair and rebuilt when the customer, the bucket or the scoring settings
+     * change. In Node, options.workers > 1 splits large customer sets across
+     * worker threads.
+     * 
      * @param {Array} customers - Array of customer analytics objects
      * @param {Array} buckets - Array of customer bucket objects
      * @returns {Promise<Array>} Array of overlap resolution objects
@@ -78,20 +122,9 @@ class OverlapResolutionEngine {
         try {
             this.validateInputs(customers, buckets);
             
-            const overlaps = [];
-            
-            // Process customers in batches for better performance
-            const batchSize = 50;
-            for (let i = 0; i < customers.length; i += batchSize) {
-                const batch = customers.slice(i, i + batchSize);
-                const batchOverlaps = await this.processBatch(batch, buckets);
-                overlaps.push(...batchOverlaps);
-                
-                // Yield control to prevent UI blocking
-                if (i % 100 === 0 && i > 0) {
-                    await this.sleep(1);
-                }
-            }
+            const overlaps = this.shouldUseWorkers(customers)
+                ? await this.detectOverlapsInWorkers(customers, buckets)
+                : await this.processBatch(customers, buckets);
             
             this.performanceMetrics.overlapDetectionTime = performance.now() - startTime;
             
@@ -105,27 +138,41 @@ class OverlapResolutionEngine {
 
     /**
      * Processes a batch of customers for overlap detection
+     * 
+     * Yields to the event loop every yieldInterval milliseconds (browsers),
+     * never per pair.
      * @private
      */
     async processBatch(customers, buckets) {
         const overlaps = [];
+        const index = this.buildCriteriaIndex(buckets);
+        const bucketFingerprints = buckets.map(bucket => this.getBucketFingerprint(bucket));
+        const scoringFingerprint = this.getScoringFingerprint();
+        let lastYield = performance.now();
         
         for (const customer of customers) {
             // Skip customers already assigned to a bucket
             if (customer.bucketId) continue;
             
             const eligibleBuckets = [];
+            const candidates = this.getCandidateBuckets(index, customer);
+            const customerFingerprint = this.hashContent(this.getCustomerContent(customer));
+            this.performanceMetrics.candidatePairs += candidates.length;
+            this.performanceMetrics.prunedPairs += buckets.length - candidates.length;
             
-            for (const bucket of buckets) {
+            for (const bucketIndex of candidates) {
+                const bucket = buckets[bucketIndex];
                 if (this.customerMeetsCriteria(customer, bucket.criteria)) {
-                    const matchScore = await this.calculateMatchScores(customer, bucket);
+                    const explanation = this.getExplanation(customer, bucket,
+                        this.getPairFingerprint(customerFingerprint, bucketFingerprints[bucketIndex], scoringFingerprint));
                     
-                    if (matchScore >= this.matchThreshold) {
+                    if (explanation.score >= this.matchThreshold) {
                         eligibleBuckets.push({
                             bucketId: bucket.bucketId,
                             bucketName: bucket.bucketName,
-                            matchScore: parseFloat(matchScore.toFixed(3)),
-                            criteria: bucket.criteria
+                            matchScore: parseFloat(explanation.score.toFixed(3)),
+                            criteria: bucket.criteria,
+                            explanation
                         });
                     }
                 }
@@ -135,6 +182,11 @@ class OverlapResolutionEngine {
             if (eligibleBuckets.length > 1) {
                 overlaps.push(this.createOverlapResolution(customer, eligibleBuckets));
             }
+            
+            if (this.yieldInterval !== null && performance.now() - lastYield >= this.yieldInterval) {
+                await this.sleep(0);
+                lastYield = performance.now();
+            }
         }
         
         return overlaps;
@@ -145,6 +197,16 @@ class OverlapResolutionEngine {
      * @private
      */
     customerMeetsCriteria(customer, criteria) {
+        // Customer lists override the bounds; rule conditions add to them
+        let rulesMet = true;
+        if (this.criteriaEvaluator.hasRules(criteria)) {
+            const ruleResult = this.criteriaEvaluator.evaluate(customer, criteria);
+            if (ruleResult.listed) {
+                return ruleResult.listed === 'included';
+            }
+            rulesMet = ruleResult.met;
+        }
+        
         // Volume criteria
         if (criteria.volumeMin !== null && customer.totalVolume < criteria.volumeMin) {
             return false;
@@ -169,7 +231,7 @@ class OverlapResolutionEngine {
             return false;
         }
         
-        return true;
+        return rulesMet;
     }
 
     /**
@@ -184,40 +246,53 @@ class OverlapResolutionEngine {
      * console.log(`Match score: ${(score * 100).toFixed(1)}%`);
      */
     async calculateMatchScores(customer, bucket) {
-        const startTime = performance.now();
-        
+        const explanation = await this.explainMatch(customer, bucket);
+        return explanation.score;
+    }
+
+    /**
+     * Calculates the match score for a customer-bucket pair without waiting
+     *
+     * Same score as calculateMatchScores, for callers that score synchronously
+     * such as the scoreBucket option of CustomerBucketManager.detectAssignmentDrift.
+     *
+     * @param {Object} customer - Customer analytics object
+     * @param {Object} bucket - Customer bucket object
+     * @returns {number} Match score between 0.0 and 1.0
+     */
+    scoreMatch(customer, bucket) {
         try {
-            const cacheKey = `${customer.customerId}-${bucket.bucketId}`;
-            
-            // Check cache first
-            if (this.scoreCache.has(cacheKey)) {
-                this.performanceMetrics.cacheHitRate++;
-                return this.scoreCache.get(cacheKey);
-            }
-            
-            // Calculate individual component scores
-            const volumeScore = this.calculateVolumeScore(customer, bucket.criteria);
-            const priceScore = this.calculatePriceScore(customer, bucket.criteria);
-            const marginScore = this.calculateMarginScore(customer, bucket.criteria);
-            const valueScore = this.calculateBusinessValueScore(customer);
-            
-            // Weighted composite score
-            const compositeScore = (
-                volumeScore * this.weights.volume +
-                priceScore * this.weights.price +
-                marginScore * this.weights.margin +
-                valueScore * this.weights.value
-            );
-            
-            // Ensure score is within bounds
-            const finalScore = Math.max(0, Math.min(1, compositeScore));
-            
-            // Cache the result
-            this.scoreCache.set(cacheKey, finalScore);
-            
-            this.performanceMetrics.scoringTime += performance.now() - startTime;
-            
-            return finalScore;
+            return this.getPairExplanation(customer, bucket).score;
+
+        } catch (error) {
+            console.error('Error calculating match score:', error);
+            throw new Error(`Match scoring failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Explains the match score for a customer-bucket pair
+     * 
+     * Breaks the composite score into its volume, price, margin and business
+     * value sub-scores with their weights and weighted contributions, and
+     * measures the customer's distance to every criteria bound of the bucket.
+     * Bounds closer than boundaryProximity (relative to the bound) are
+     * flagged as near; bounds the customer falls outside are violated.
+     * Buckets with rule conditions, and customers on a bucket's include or
+     * exclude list, add a rules dimension weighted ruleWeight, with the other weights scaled down to match.
+     * 
+     * @param {Object} customer - Customer analytics object
+     * @param {Object} bucket - Customer bucket object
+     * @returns {Promise<Object>} Explanation {customerId, customerName, bucketId, bucketName, score, meetsCriteria, dimensions, boundaryAlerts}
+     * 
+     * @example
+     * const explanation = await engine.explainMatch(customer, bucket);
+     * explanation.dimensions.forEach(d => console.log(d.dimension, d.score, d.weight, d.contribution));
+     * console.log(engine.generateRecommendationReasoning(explanation));
+     */
+    async explainMatch(customer, bucket) {
+        try {
+            return this.getPairExplanation(customer, bucket);
             
         } catch (error) {
             console.error('Error calculating match score:', error);
@@ -225,6 +300,142 @@ class OverlapResolutionEngine {
         }
     }
 
+    /**
+     * Returns the cached explanation for one pair, fingerprinting it first
+     * @private
+     */
+    getPairExplanation(customer, bucket) {
+        return this.getExplanation(customer, bucket, this.getPairFingerprint(
+            this.hashContent(this.getCustomerContent(customer)),
+            this.getBucketFingerprint(bucket),
+            this.getScoringFingerprint()
+        ));
+    }
+
+    /**
+     * Returns the cached explanation for a pair, rebuilding it when its content changed
+     * 
+     * Entries are stamped with a fingerprint of the customer, the bucket and
+     * the scoring settings; a different fingerprint replaces the entry.
+     * Beyond maxCacheEntries the oldest quarter is evicted.
+     * @private
+     */
+    getExplanation(customer, bucket, fingerprint) {
+        const startTime = performance.now();
+        const cacheKey = `${customer.customerId}-${bucket.bucketId}`;
+        const cached = this.scoreCache.get(cacheKey);
+        
+        if (cached && cached.fingerprint === fingerprint) {
+            this.performanceMetrics.cacheHitRate++;
+            return cached.explanation;
+        }
+        if (cached) {
+            this.performanceMetrics.cacheInvalidations++;
+            this.scoreCache.delete(cacheKey);
+        }
+        
+        const explanation = this.buildExplanation(customer, bucket);
+        this.scoreCache.set(cacheKey, { fingerprint, explanation });
+        if (this.scoreCache.size > this.maxCacheEntries) {
+            this.evictOldestCacheEntries();
+        }
+        
+        this.performanceMetrics.scoringTime += performance.now() - startTime;
+        
+        return explanation;
+    }
+
+    /**
+     * Evicts the oldest quarter of the score cache in one pass
+     * @private
+     */
+    evictOldestCacheEntries() {
+        let remaining = Math.ceil(this.maxCacheEntries / 4);
+        for (const key of this.scoreCache.keys()) {
+            if (remaining-- <= 0) break;
+            this.scoreCache.delete(key);
+        }
+    }
+
+    /**
+     * Builds the match explanation for a customer-bucket pair
+     * @private
+     */
+    buildExplanation(customer, bucket) {
+        const criteria = bucket.criteria;
+        const dimensions = [
+            this.explainCriteriaDimension('volume', 'Volume', customer.totalVolume, criteria.volumeMin, criteria.volumeMax,
+                this.calculateVolumeScore(customer, criteria)),
+            this.explainCriteriaDimension('price', 'Price', customer.averageUnitPrice, criteria.priceMin, criteria.priceMax,
+                this.calculatePriceScore(customer, criteria)),
+            this.explainCriteriaDimension('margin', 'Margin', customer.profitMargin, criteria.profitMarginMin, criteria.profitMarginMax,
+                this.calculateMarginScore(customer, criteria))
+        ];
+        
+        const valueFactors = this.getBusinessValueFactors(customer);
+        dimensions.push({
+            dimension: 'value',
+            label: 'Business value',
+            value: customer.totalRevenue,
+            score: this.calculateBusinessValueScore(customer),
+            bounds: [],
+            factors: {
+                revenue: parseFloat(valueFactors.revenue.toFixed(3)),
+                frequency: parseFloat(valueFactors.frequency.toFixed(3)),
+                recency: valueFactors.recency
+            }
+        });
+        
+        // Rule conditions, or the customer's place on an include/exclude list
+        const ruleResult = this.criteriaEvaluator.hasRules(criteria)
+            ? this.criteriaEvaluator.evaluate(customer, criteria)
+            : null;
+        const hasRules = Boolean(ruleResult && (criteria.rules || ruleResult.listed));
+        if (hasRules) {
+            dimensions.push({
+                dimension: 'rules',
+                label: 'Rule conditions',
+                value: null,
+                score: ruleResult.score,
+                bounds: [],
+                listed: ruleResult.listed,
+                conditions: ruleResult.conditions
+            });
+        }
+        
+        // Weighted composite score, plus any learned bucket bias
+        dimensions.forEach(dimension => {
+            dimension.weight = dimension.dimension === 'rules'
+                ? this.ruleWeight
+                : this.weights[dimension.dimension] * (hasRules ? 1 - this.ruleWeight : 1);
+            dimension.contribution = dimension.score * dimension.weight;
+        });
+        const bucketBias = this.bucketBiases[bucket.bucketId] || 0;
+        const compositeScore = dimensions.reduce((sum, dimension) => sum + dimension.contribution, 0) + bucketBias;
+        
+        dimensions.forEach(dimension => {
+            dimension.score = parseFloat(dimension.score.toFixed(3));
+            dimension.contribution = parseFloat(dimension.contribution.toFixed(3));
+        });
+        
+        const explanation = {
+            customerId: customer.customerId,
+            customerName: customer.customerName,
+            bucketId: bucket.bucketId,
+            bucketName: bucket.bucketName,
+            // Ensure score is within bounds
+            score: Math.max(0, Math.min(1, compositeScore)),
+            meetsCriteria: this.customerMeetsCriteria(customer, criteria),
+            dimensions,
+            bucketBias,
+            boundaryAlerts: dimensions.flatMap(dimension => dimension.bounds
+                .filter(bound => bound.status !== 'clear')
+                .map(bound => ({ dimension: dimension.dimension, label: dimension.label, value: dimension.value, ...bound })))
+        };
+        
+        return explanation;
+    }
+
     /**
      * Calculates volume-based match score
      * @private
@@ -339,6 +550,15 @@ class OverlapResolutionEngine {
      * @private
      */
     calculateBusinessValueScore(customer) {
+        const factors = this.getBusinessValueFactors(customer);
+        return Math.min(1.0, factors.revenue + factors.frequency + factors.recency);
+    }
+
+    /**
+     * Components of the business value score
+     * @private
+     */
+    getBusinessValueFactors(customer) {
         // Normalize revenue to 0-1 scale (assuming max revenue of $100,000)
         const maxRevenue = 100000;
         const revenueScore = Math.min(1.0, customer.totalRevenue / maxRevenue);
@@ -351,7 +571,7 @@ class OverlapResolutionEngine {
         const recencyBonus = daysSinceLastOrder <= 30 ? 0.1 : 
                            daysSinceLastOrder <= 90 ? 0.05 : 0;
         
-        return Math.min(1.0, revenueScore + frequencyBonus + recencyBonus);
+        return { revenue: revenueScore, frequency: frequencyBonus, recency: recencyBonus };
     }
 
     /**
@@ -378,6 +598,11 @@ class OverlapResolutionEngine {
                 // Sort buckets by match score
                 enhanced.eligibleBuckets.sort((a, b) => b.matchScore - a.matchScore);
                 
+                // Explain every candidate (detectOverlaps already attached explanations)
+                for (const bucket of enhanced.eligibleBuckets) {
+                    bucket.explanation = bucket.explanation || await this.explainMatch(overlap.customer, bucket);
+                }
+                
                 // Select best match
                 const bestMatch = enhanced.eligibleBuckets[0];
                 enhanced.recommendedBucket = bestMatch.bucketId;
@@ -388,11 +613,11 @@ class OverlapResolutionEngine {
                 const confidence = this.calculateRecommendationConfidence(scores);
                 enhanced.confidence = parseFloat(confidence.toFixed(3));
                 
-                // Generate detailed reasoning
+                // Generate detailed reasoning from the explanation
+                enhanced.explanation = bestMatch.explanation;
                 enhanced.reasoning = this.generateRecommendationReasoning(
-                    overlap.customer, 
-                    bestMatch, 
-                    enhanced.eligibleBuckets
+                    bestMatch.explanation,
+                    enhanced.eligibleBuckets.slice(1).map(bucket => bucket.explanation)
                 );
                 
                 // Add alternative suggestions if confidence is low
@@ -402,7 +627,7 @@ class OverlapResolutionEngine {
                             bucketId: bucket.bucketId,
                             bucketName: bucket.bucketName,
                             matchScore: bucket.matchScore,
-                            reason: this.generateAlternativeReason(overlap.customer, bucket)
+                            reason: this.generateAlternativeReason(bucket.explanation, bestMatch.explanation)
                         }));
                 }
                 
@@ -438,39 +663,87 @@ class OverlapResolutionEngine {
     }
 
     /**
-     * Generates human-readable reasoning for recommendations
-     * @private
+     * Generates human-readable reasoning from a match explanation
+     * 
+     * Every statement comes from the explanation: the dimensions that carry
+     * the score (sub-score, weight and contribution), where the customer
+     * sits against the bucket's own criteria bounds, bounds that are near or
+     * violated, and the dimension that separates the bucket from the
+     * runner-up.
+     * 
+     * @param {Object} explanation - explainMatch result for the recommended bucket
+     * @param {Array<Object>} alternatives - explainMatch results for the other buckets, best first
+     * @returns {string} Reasoning text, statements separated by "; "
+     * 
+     * @example
+     * const text = engine.generateRecommendationReasoning(await engine.explainMatch(customer, bucket));
+     * // "84% match with Premium Contractors; Volume 640 yards is 140 yards above the 500 yards minimum (...)"
      */
-    generateRecommendationReasoning(customer, bestMatch, allBuckets) {
-        const reasons = [];
-        
-        // Primary strength identification
-        if (customer.totalVolume >= 500) {
-            reasons.push(`High volume customer (${customer.totalVolume.toFixed(0)} yards)`);
+    generateRecommendationReasoning(explanation, alternatives = []) {
+        const reasons = [`${(explanation.score * 100).toFixed(0)}% match with ${explanation.bucketName}`];
+        
+        // Criteria dimensions, largest contribution first
+        const constrained = explanation.dimensions.filter(dimension => dimension.bounds.length > 0);
+        constrained
+            .slice()
+            .sort((a, b) => b.contribution - a.contribution)
+            .forEach(dimension => {
+                const position = dimension.bounds
+                    .map(bound => this.describeBound(dimension, bound))
+                    .join(' and ');
+                reasons.push(`${dimension.label} ${this.formatDimensionValue(dimension.dimension, dimension.value)} is ${position} ` +
+                    `(score ${(dimension.score * 100).toFixed(0)}% × weight ${(dimension.weight * 100).toFixed(0)}% = ${dimension.contribution.toFixed(3)})`);
+            });
+        
+        const unconstrained = explanation.dimensions
+            .filter(dimension => dimension.bounds.length === 0 && !['value', 'rules'].includes(dimension.dimension));
+        if (unconstrained.length > 0) {
+            reasons.push(`No ${unconstrained.map(dimension => dimension.label.toLowerCase()).join(' or ')} criteria (full score)`);
         }
         
-        if (customer.averageUnitPrice >= 120) {
-            reasons.push(`Premium pricing ($${customer.averageUnitPrice.toFixed(2)}/yard)`);
+        const value = explanation.dimensions.find(dimension => dimension.dimension === 'value');
+        if (value) {
+            reasons.push(`Business value ${(value.score * 100).toFixed(0)}% from $${Math.round(value.value).toLocaleString()} revenue ` +
+                `(weight ${(value.weight * 100).toFixed(0)}% = ${value.contribution.toFixed(3)})`);
         }
         
-        if (customer.profitMargin >= 25) {
-            reasons.push(`Excellent margins (${customer.profitMargin.toFixed(1)}%)`);
+        const rules = explanation.dimensions.find(dimension => dimension.dimension === 'rules');
+        if (rules) {
+            reasons.push(this.describeRuleDimension(rules));
         }
         
-        if (customer.totalRevenue >= 50000) {
-            reasons.push(`High-value customer ($${customer.totalRevenue.toLocaleString()})`);
+        if (explanation.bucketBias) {
+            reasons.push(`Learned ${explanation.bucketName} bias from past overrides ` +
+                `(${explanation.bucketBias > 0 ? '+' : ''}${explanation.bucketBias.toFixed(3)})`);
         }
         
-        // Match quality
-        const matchPercent = (bestMatch.matchScore * 100).toFixed(0);
-        reasons.push(`${matchPercent}% match with ${bestMatch.bucketName}`);
-        
-        // Comparison with alternatives
-        if (allBuckets.length > 1) {
-            const scoreDiff = (bestMatch.matchScore - allBuckets[1].matchScore) * 100;
-            if (scoreDiff >= 10) {
-                reasons.push(`Significantly better than alternatives (+${scoreDiff.toFixed(0)}%)`);
-            }
+        explanation.boundaryAlerts
+            .filter(alert => alert.status === 'near')
+            .forEach(alert => {
+                reasons.push(`Close to the ${alert.label.toLowerCase()} ${alert.bound === 'min' ? 'minimum' : 'maximum'}: ` +
+                    `within ${(alert.relativeDistance * 100).toFixed(1)}% of ${this.formatDimensionValue(alert.dimension, alert.limit)}`);
+            });
+        
+        explanation.boundaryAlerts
+            .filter(alert => alert.status === 'violated')
+            .forEach(alert => {
+                reasons.push(`Outside the ${alert.label.toLowerCase()} ${alert.bound === 'min' ? 'minimum' : 'maximum'} ` +
+                    `of ${this.formatDimensionValue(alert.dimension, alert.limit)}`);
+            });
+        
+        // Comparison with the runner-up
+        const runnerUp = alternatives[0];
+        if (runnerUp) {
+            const scoreDiff = (explanation.score - runnerUp.score) * 100;
+            const gaps = explanation.dimensions.map(dimension => {
+                const other = runnerUp.dimensions.find(candidate => candidate.dimension === dimension.dimension);
+                return { label: dimension.label, gap: dimension.contribution - (other ? other.contribution : 0) };
+            });
+            const decisive = gaps.reduce((best, gap) => gap.gap > best.gap ? gap : best);
+            
+            reasons.push(decisive.gap > 0
+                ? `${scoreDiff.toFixed(0)} points ahead of ${runnerUp.bucketName}, mostly on ${decisive.label.toLowerCase()} (+${decisive.gap.toFixed(3)})`
+                : `${scoreDiff.toFixed(0)} points ahead of ${runnerUp.bucketName}`);
         }
         
         return reasons.join('; ');
@@ -514,7 +787,9 @@ class OverlapResolutionEngine {
      * Automatically resolves overlaps using specified strategy
      * 
      * @param {Array} overlaps - Array of overlap resolution objects
-     * @param {string} strategy - Resolution strategy ('HIGHEST_VALUE', 'BEST_FIT', etc.)
+     * @param {string|Array<string>} strategy - Strategy ID ('HIGHEST_VALUE', 'BEST_FIT', 'GLOBAL_OPTIMUM', a registered ID, etc.) or a tie-breaking chain of per-customer strategy IDs
+     * @param {Object} options - Options for GLOBAL_OPTIMUM (see optimizeAssignments)
+     * @param {Object} options.context - Extra data passed to strategy selectors (e.g. previous assignments)
      * @returns {Promise<Array>} Array of resolution decisions
      * 
      * @example
@@ -522,17 +797,25 @@ class OverlapResolutionEngine {
      * decisions.forEach(decision => {
      *   console.log(`${decision.customerName} assigned to ${decision.assignedBucket}`);
      * });
+     * 
+     * // Margin first, value breaks ties
+     * await engine.autoResolveByPriority(overlaps, ['MARGIN_PRIORITY', 'HIGHEST_VALUE']);
      */
-    async autoResolveByPriority(overlaps, strategy) {
+    async autoResolveByPriority(overlaps, strategy, options = {}) {
         const startTime = performance.now();
         
         try {
             this.validateStrategy(strategy);
             
+            if (strategy === 'GLOBAL_OPTIMUM') {
+                const optimization = await this.optimizeAssignments(overlaps, options);
+                return optimization.decisions;
+            }
+            
             const decisions = [];
             
             for (const overlap of overlaps) {
-                const decision = await this.applyResolutionStrategy(overlap, strategy);
+                const decision = await this.applyResolutionStrategy(overlap, strategy, options.context);
                 decisions.push(decision);
                 
                 // Track decision for learning
@@ -550,55 +833,363 @@ class OverlapResolutionEngine {
     }
 
     /**
-     * Applies specific resolution strategy to an overlap
+     * Registers a custom resolution strategy
+     * 
+     * A strategy either selects buckets itself or chains other strategies.
+     * select(customer, candidates, context) receives the eligible buckets
+     * still in play (highest match score first) and returns one of them (or
+     * its bucketId) to decide, several of them to narrow the field for the
+     * next strategy in a chain, or null to abstain. It may be async.
+     * context holds the overlap, the engine and options.context from
+     * autoResolveByPriority. A chain runs its strategies in order until one
+     * candidate is left; remaining ties go to the highest match score.
+     * 
+     * @param {Object} definition - Strategy definition
+     * @param {string} definition.id - ID used with autoResolveByPriority
+     * @param {string} definition.name - Display name
+     * @param {string} definition.description - What the strategy prefers
+     * @param {Function} definition.select - Selector (customer, candidates, context) → bucket, bucketId, buckets or null
+     * @param {Array<string>} definition.chain - Strategy IDs tried in order (instead of select)
+     * @param {string} definition.reason - Decision reason (default: "Selected by <name>")
+     * @param {Object} options - Registration options
+     * @param {boolean} options.replace - Replace a registered strategy with the same ID (default: false)
+     * @returns {Object} The strategy as listed by getAvailableStrategies
+     * @throws {Error} If the definition is incomplete, the ID is taken or the chain is invalid
+     * 
+     * @example
+     * engine.registerStrategy({
+     *     id: 'KEEP_PREVIOUS',
+     *     name: 'Keep Previous Bucket',
+     *     description: 'Keep customers in their previous bucket unless another scores 15% higher',
+     *     select: (customer, candidates, { previousAssignments }) => {
+     *         const previous = candidates.find(bucket => bucket.bucketId === previousAssignments[customer.customerId]);
+     *         return previous && candidates[0].matchScore < previous.matchScore * 1.15 ? previous : null;
+     *     }
+     * });
+     * engine.registerStrategy({ id: 'STABLE_FIT', name: 'Stable Fit', description: 'Previous bucket, then best fit', chain: ['KEEP_PREVIOUS', 'BEST_FIT'] });
+     * await engine.autoResolveByPriority(overlaps, 'STABLE_FIT', { context: { previousAssignments } });
+     */
+    registerStrategy(definition, options = {}) {
+        try {
+            if (!definition || typeof definition !== 'object') {
+                throw new Error('Strategy definition must be an object');
+            }
+            ['id', 'name', 'description'].forEach(field => {
+                if (typeof definition[field] !== 'string' || definition[field].trim().length === 0) {
+                    throw new Error(`Strategy ${field} must be a non-empty string`);
+                }
+            });
+            
+            const id = definition.id.trim();
+            const existing = this.strategies.get(id);
+            if (existing && existing.builtIn) {
+                throw new Error(`${id} is a built-in strategy and cannot be replaced`);
+            }
+            if (existing && !options.replace) {
+                throw new Error(`Strategy ${id} is already registered (pass { replace: true } to replace it)`);
+            }
+            
+            const hasSelect = typeof definition.select === 'function';
+            const hasChain = Array.isArray(definition.chain);
+            if (hasSelect === hasChain) {
+                throw new Error(`Strategy ${id} needs either a select function or a chain of strategy IDs`);
+            }
+            if (hasChain) {
+                this.validateStrategy(definition.chain);
+                this.expandStrategyChain(definition.chain, [id]);
+            }
+            
+            const strategy = {
+                id,
+                name: definition.name.trim(),
+                description: definition.description.trim(),
+                perCustomer: true,
+                select: hasSelect ? definition.select : null,
+                chain: hasChain ? [...definition.chain] : null,
+                reason: definition.reason || `Selected by ${definition.name.trim()}`
+            };
+            this.strategies.set(id, strategy);
+            
+            return this.describeStrategy(strategy);
+            
+        } catch (error) {
+            console.error('Error registering strategy:', error);
+            throw new Error(`Strategy registration failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Removes a registered strategy
+     * 
+     * @param {string} id - Strategy ID
+     * @returns {boolean} True if a strategy was removed
+     * @throws {Error} If the strategy is built in or part of another strategy's chain
+     * 
+     * @example
+     * engine.unregisterStrategy('KEEP_PREVIOUS');
+     */
+    unregisterStrategy(id) {
+        try {
+            const strategy = this.strategies.get(id);
+            if (!strategy) {
+                return false;
+            }
+            if (strategy.builtIn) {
+                throw new Error(`${id} is a built-in strategy`);
+            }
+            
+            const dependent = Array.from(this.strategies.values()).find(other => other.chain && other.chain.includes(id));
+            if (dependent) {
+                throw new Error(`${id} is part of the ${dependent.id} chain`);
+            }
+            
+            return this.strategies.delete(id);
+            
+        } catch (error) {
+            console.error('Error unregistering strategy:', error);
+            throw new Error(`Strategy removal failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Assigns all overlapping customers at once under bucket limits
+     * 
+     * Unlike the per-customer strategies, the assignment maximizes the total
+     * objective across every overlap while respecting minimum and maximum
+     * customers per bucket, a maximum share of total volume per bucket and
+     * pinned customers. Customers already in buckets (fixedAssignments)
+     * count toward the limits but are not moved.
+     * 
+     * @param {Array} overlaps - Array of overlap resolution objects
+     * @param {Object} options - Optimization options
+     * @param {string|Function} options.objective - 'match_score' (default), 'business_value' (match score × revenue) or (customer, bucket) => value
+     * @param {Object} options.constraints - Bucket limits
+     * @param {Object} options.constraints.buckets - bucketId → {minCustomers, maxCustomers, maxVolumeShare}
+     * @param {Object} options.constraints.allBuckets - Limits applied to every bucket (per-bucket limits win)
+     * @param {Object} options.constraints.pinned - customerId → bucketId
+     * @param {Array<Object>} options.fixedAssignments - Customers already assigned {customerId, bucketId, volume}
+     * @param {Array<Object>} options.buckets - Bucket names for buckets no overlap mentions {bucketId, bucketName}
+     * @param {number} options.totalVolume - Volume that shares are measured against (default: fixed plus overlapping volume)
+     * @returns {Promise<Object>} {decisions, feasible, objective, upperBound, gapPercent, buckets, bindingConstraints, violations}
+     * @throws {Error} If the options name an unknown objective or bucket
+     * 
+     * @example
+     * const result = await engine.optimizeAssignments(overlaps, {
+     *     constraints: { allBuckets: { maxVolumeShare: 0.4 }, buckets: { premium: { maxCustomers: 200 } } },
+     *     fixedAssignments
+     * });
+     * console.log(result.objective, result.bindingConstraints.map(c => c.detail));
+     */
+    async optimizeAssignments(overlaps, options = {}) {
+        const startTime = performance.now();
+        
+        try {
+            const constraints = options.constraints || {};
+            const pinned = constraints.pinned || {};
+            const fixedAssignments = options.fixedAssignments || [];
+            const scoreOf = this.getOptimizationObjective(options.objective || 'match_score');
+            
+            // Buckets from the overlaps, fixed assignments and limits
+            const bucketNames = new Map((options.buckets || []).map(bucket => [bucket.bucketId, bucket.bucketName]));
+            overlaps.forEach(overlap => overlap.eligibleBuckets.forEach(bucket => {
+                if (!bucketNames.has(bucket.bucketId)) bucketNames.set(bucket.bucketId, bucket.bucketName);
+            }));
+            fixedAssignments.forEach(assignment => {
+                if (!bucketNames.has(assignment.bucketId)) bucketNames.set(assignment.bucketId, assignment.bucketId);
+            });
+            Object.keys(constraints.buckets || {}).forEach(bucketId => {
+                if (!bucketNames.has(bucketId)) {
+                    throw new Error(`Constraint names unknown bucket ${bucketId}`);
+                }
+            });
+            
+            const totalVolume = options.totalVolume || (
+                fixedAssignments.reduce((sum, assignment) => sum + (assignment.volume || 0), 0) +
+                overlaps.reduce((sum, overlap) => sum + (overlap.customer.totalVolume || 0), 0)
+            );
+            
+            const buckets = Array.from(bucketNames).map(([bucketId, bucketName]) => {
+                const limits = { ...constraints.allBuckets, ...(constraints.buckets || {})[bucketId] };
+                const fixed = fixedAssignments.filter(assignment => assignment.bucketId === bucketId);
+                return {
+                    bucketId,
+                    bucketName,
+                    minCount: limits.minCustomers,
+                    maxCount: limits.maxCustomers,
+                    maxVolume: typeof limits.maxVolumeShare === 'number' ? limits.maxVolumeShare * totalVolume : undefined,
+                    fixedCount: fixed.length,
+                    fixedVolume: fixed.reduce((sum, assignment) => sum + (assignment.volume || 0), 0)
+                };
+            });
+            
+            const items = overlaps.map(overlap => ({
+                id: overlap.customerId,
+                volume: overlap.customer.totalVolume || 0,
+                pinnedBucketId: pinned[overlap.customerId],
+                options: overlap.eligibleBuckets.map(bucket => ({
+                    bucketId: bucket.bucketId,
+                    value: scoreOf(overlap.customer, bucket)
+                }))
+            }));
+            
+            const result = new overlapEngineModules.AssignmentOptimizer(options.optimizerOptions).solve({ items, buckets });
+            const overlapsById = new Map(overlaps.map(overlap => [overlap.customerId, overlap]));
+            const timestamp = new Date().toISOString();
+            
+            const decisions = result.assignments.map(assignment => {
+                const overlap = overlapsById.get(assignment.id);
+                const selected = overlap.eligibleBuckets.find(bucket => bucket.bucketId === assignment.bucketId);
+                const best = overlap.eligibleBuckets.reduce((top, bucket) => scoreOf(overlap.customer, bucket) > scoreOf(overlap.customer, top) ? bucket : top);
+                
+                return {
+                    customerId: overlap.customerId,
+                    customerName: overlap.customerName,
+                    assignedBucket: assignment.bucketId,
+                    assignedBucketName: bucketNames.get(assignment.bucketId),
+                    strategy: 'GLOBAL_OPTIMUM',
+                    matchScore: selected ? selected.matchScore : null,
+                    reason: assignment.pinned
+                        ? 'Pinned to this bucket'
+                        : best.bucketId === assignment.bucketId
+                            ? 'Best bucket within the bucket limits'
+                            : `Moved from ${best.bucketName} by bucket limits`,
+                    timestamp,
+                    alternatives: overlap.eligibleBuckets.filter(bucket => bucket.bucketId !== assignment.bucketId)
+                        .slice(0, 2)
+                };
+            });
+            
+            this.trackResolutionDecisions(decisions);
+            this.performanceMetrics.resolutionTime += performance.now() - startTime;
+            
+            return {
+                decisions: this.validateResolutionDecisions(decisions),
+                objectiveType: typeof options.objective === 'function' ? 'custom' : (options.objective || 'match_score'),
+                feasible: result.feasible,
+                objective: result.objective,
+                upperBound: result.upperBound,
+                gapPercent: result.gapPercent,
+                iterations: result.iterations,
+                totalVolume,
+                buckets: result.buckets.map(bucket => ({
+                    bucketId: bucket.bucketId,
+                    bucketName: bucket.bucketName,
+                    customers: bucket.customers,
+                    volume: bucket.volume,
+                    volumeShare: totalVolume > 0 ? parseFloat((bucket.volume / totalVolume * 100).toFixed(2)) : 0,
+                    limits: {
+                        minCustomers: bucket.limits.minCount,
+                        maxCustomers: bucket.limits.maxCount,
+                        maxVolumeShare: bucket.limits.maxVolume !== null && totalVolume > 0 ? bucket.limits.maxVolume / totalVolume : null
+                    }
+                })),
+                bindingConstraints: result.bindingConstraints.map(constraint => this.describeOptimizationConstraint(constraint, totalVolume)),
+                violations: result.violations.map(violation => this.describeOptimizationConstraint(violation, totalVolume))
+            };
+            
+        } catch (error) {
+            console.error('Error optimizing assignments:', error);
+            throw new Error(`Assignment optimization failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Applies a resolution strategy or chain to an overlap
+     * 
+     * Each strategy in the chain narrows the candidates until one is left.
+     * The reason comes from the last strategy that narrowed them.
      * @private
      */
-    async applyResolutionStrategy(overlap, strategy) {
+    async applyResolutionStrategy(overlap, strategy, context = {}) {
         const customer = overlap.customer;
         const buckets = overlap.eligibleBuckets;
+        const chain = this.expandStrategyChain(strategy);
         
-        let selectedBucket;
-        let reason;
+        let candidates = buckets;
+        let deciding = null;
         
-        switch (strategy) {
-            case 'HIGHEST_VALUE':
-                selectedBucket = this.selectByHighestValue(customer, buckets);
-                reason = 'Selected based on customer business value';
-                break;
-                
-            case 'BEST_FIT':
-                selectedBucket = buckets[0]; // Already sorted by match score
-                reason = 'Selected based on highest match score';
-                break;
-                
-            case 'VOLUME_PRIORITY':
-                selectedBucket = this.selectByVolumePriority(customer, buckets);
-                reason = 'Selected based on volume optimization';
-                break;
-                
-            case 'MARGIN_PRIORITY':
-                selectedBucket = this.selectByMarginPriority(customer, buckets);
-                reason = 'Selected based on profit margin optimization';
-                break;
-                
-            default:
-                throw new Error(`Unknown resolution strategy: ${strategy}`);
+        for (const id of chain) {
+            const definition = this.strategies.get(id);
+            const selection = await definition.select.call(this, customer, candidates, { ...context, overlap, engine: this });
+            const narrowed = this.normalizeStrategySelection(selection, candidates, id);
+            
+            if (narrowed) {
+                candidates = narrowed;
+                deciding = definition;
+                if (candidates.length === 1) break;
+            }
         }
         
+        const selectedBucket = candidates[0];
+        
         return {
             customerId: customer.customerId,
             customerName: customer.customerName,
             assignedBucket: selectedBucket.bucketId,
             assignedBucketName: selectedBucket.bucketName,
-            strategy: strategy,
+            strategy: Array.isArray(strategy) ? strategy.join(' > ') : strategy,
+            ...(chain.length > 1 ? { decidingStrategy: deciding ? deciding.id : null } : {}),
             matchScore: selectedBucket.matchScore,
-            reason: reason,
+            reason: deciding ? deciding.reason : 'No strategy decided; selected based on highest match score',
             timestamp: new Date().toISOString(),
             alternatives: buckets.filter(b => b.bucketId !== selectedBucket.bucketId)
                 .slice(0, 2) // Top 2 alternatives
         };
     }
 
+    /**
+     * Per-customer strategy IDs a strategy or chain runs, with composite strategies expanded
+     *
+     * `visited` holds the chain IDs being expanded on the way here (and the
+     * one being registered), so a chain that leads back to one of them is
+     * rejected instead of recursing forever.
+     * @private
+     */
+    expandStrategyChain(strategy, visited = []) {
+        const ids = Array.isArray(strategy) ? strategy : [strategy];
+        
+        return ids.flatMap(id => {
+            if (visited.includes(id)) {
+                throw new Error(`Strategy chain loops back to ${id} (${[...visited, id].join(' > ')})`);
+            }
+            const definition = this.strategies.get(id);
+            if (!definition) {
+                throw new Error(`Unknown resolution strategy: ${id}`);
+            }
+            if (!definition.perCustomer) {
+                throw new Error(`${id} does not pick buckets one customer at a time and cannot be applied per overlap`);
+            }
+            return definition.chain ? this.expandStrategyChain(definition.chain, [...visited, id]) : [id];
+        });
+    }
+
+    /**
+     * Turns a selector's return value into the candidates it keeps, or null if it abstained
+     * @private
+     */
+    normalizeStrategySelection(selection, candidates, strategyId) {
+        if (selection === null || selection === undefined) {
+            return null;
+        }
+        
+        const picks = Array.isArray(selection) ? selection : [selection];
+        if (picks.length === 0) {
+            throw new Error(`Strategy ${strategyId} returned no buckets (return null to abstain)`);
+        }
+        
+        const kept = picks.map(pick => {
+            const bucketId = typeof pick === 'string' ? pick : pick && pick.bucketId;
+            const candidate = candidates.find(bucket => bucket.bucketId === bucketId);
+            if (!candidate) {
+                throw new Error(`Strategy ${strategyId} selected ${bucketId}, which is not a remaining candidate`);
+            }
+            return candidate;
+        });
+        
+        // Keep candidate order (highest match score first) for later tie-breaks
+        return candidates.filter(candidate => kept.includes(candidate));
+    }
+
     /**
      * Tracks resolution decisions for machine learning improvement
      * 
@@ -615,7 +1206,7 @@ class OverlapResolutionEngine {
                 const trackingData = {
                     ...decision,
                     sessionId: this.generateSessionId(),
-                    userAgent: navigator.userAgent,
+                    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : 'node',
                     timestamp: new Date().toISOString(),
                     performanceMetrics: { ...this.performanceMetrics }
                 };
@@ -640,38 +1231,386 @@ class OverlapResolutionEngine {
     }
 
     /**
-     * Gets performance metrics for monitoring
+     * Records a manual resolution, noting whether it overrode the recommendation
      * 
-     * @returns {Object} Performance metrics object
+     * The decision stores every candidate's sub-scores so proposeWeightUpdate
+     * can learn from it later.
+     * 
+     * @param {Object} overlap - Overlap resolution object (customer and eligibleBuckets)
+     * @param {string} chosenBucketId - Bucket the user assigned
+     * @param {Object} details - Optional {decidedBy, note}
+     * @returns {Promise<Object>} Tracked decision
+     * @throws {Error} If the chosen bucket is not one of the eligible buckets
+     * 
+     * @example
+     * await engine.recordManualResolution(overlap, 'bucket-premium', { decidedBy: 'pricing manager' });
      */
-    getPerformanceMetrics() {
-        return {
-            ...this.performanceMetrics,
-            cacheSize: this.scoreCache.size,
-            historySize: this.resolutionHistory.length,
-            averageOverlapDetectionTime: this.performanceMetrics.overlapDetectionTime,
-            averageScoringTime: this.performanceMetrics.scoringTime,
-            averageResolutionTime: this.performanceMetrics.resolutionTime
-        };
+    async recordManualResolution(overlap, chosenBucketId, details = {}) {
+        try {
+            const chosen = overlap.eligibleBuckets.find(bucket => bucket.bucketId === chosenBucketId);
+            if (!chosen) {
+                throw new Error(`Bucket ${chosenBucketId} is not eligible for ${overlap.customerName}`);
+            }
+            
+            const candidates = [];
+            for (const bucket of overlap.eligibleBuckets) {
+                const explanation = bucket.explanation || await this.explainMatch(overlap.customer, bucket);
+                candidates.push({
+                    bucketId: bucket.bucketId,
+                    bucketName: bucket.bucketName,
+                    scores: Object.fromEntries(explanation.dimensions.map(dimension => [dimension.dimension, dimension.score]))
+                });
+            }
+            
+            const recommended = overlap.recommendedBucket
+                || overlap.eligibleBuckets.reduce((top, bucket) => bucket.matchScore > top.matchScore ? bucket : top).bucketId;
+            const decision = {
+                customerId: overlap.customerId,
+                customerName: overlap.customerName,
+                assignedBucket: chosen.bucketId,
+                assignedBucketName: chosen.bucketName,
+                strategy: 'MANUAL',
+                matchScore: chosen.matchScore,
+                recommendedBucket: recommended,
+                overridden: recommended !== chosen.bucketId,
+                candidates,
+                decidedBy: details.decidedBy || null,
+                reason: details.note || (recommended !== chosen.bucketId ? 'Manual override' : 'Accepted recommendation')
+            };
+            
+            this.trackResolutionDecisions([decision]);
+            return this.resolutionHistory[this.resolutionHistory.length - 1];
+            
+        } catch (error) {
+            console.error('Error recording manual resolution:', error);
+            throw new Error(`Recording manual resolution failed: ${error.message}`);
+        }
     }
 
     /**
-     * Clears internal caches and resets metrics
+     * Proposes scoring weights (and optional bucket biases) learned from manual decisions
      * 
-     * @returns {void}
+     * Fits a choice model to the recorded manual resolutions: each decision
+     * is a choice among the eligible buckets, and the weights (kept
+     * non-negative and summing to 1) are those under which the chosen buckets
+     * are most likely. The proposal reports how often the current and the
+     * proposed weights agree with the recorded decisions. Nothing changes
+     * until applyWeightProposal is called with the proposal.
+     * 
+     * @param {Object} options - Learning options
+     * @param {boolean} options.bucketBiases - Also learn a score offset per bucket (default: false)
+     * @param {number} options.minDecisions - Decisions needed for a proposal (default: 10)
+     * @param {number} options.maxBias - Largest allowed bucket bias (default: 0.2)
+     * @param {number} options.iterations - Fitting iterations (default: 500)
+     * @returns {Object} Proposal {proposalId, usable, reason, decisions, overrides, currentWeights, proposedWeights, weightChanges, currentBiases, proposedBiases, agreement}
+     * 
+     * @example
+     * const proposal = engine.proposeWeightUpdate({ bucketBiases: true });
+     * console.log(proposal.agreement.current, '→', proposal.agreement.proposed);
+     * if (managerApproves) engine.applyWeightProposal(proposal, { approvedBy: 'pricing manager' });
      */
-    clearCache() {
-        this.scoreCache.clear();
-        this.performanceMetrics = {
-            overlapDetectionTime: 0,
-            scoringTime: 0,
-            resolutionTime: 0,
-            cacheHitRate: 0
-        };
-    }
+    proposeWeightUpdate(options = {}) {
+        try {
+            const minDecisions = options.minDecisions || 10;
+            const dimensions = Object.keys(this.weights);
+            const samples = this.getLearningSamples(dimensions);
+            const overrides = samples.filter(sample => sample.overridden).length;
+            const currentBiases = { ...this.bucketBiases };
+            
+            const proposal = {
+                proposalId: this.generateSessionId(),
+                createdAt: new Date().toISOString(),
+                usable: false,
+                reason: null,
+                decisions: samples.length,
+                overrides,
+                currentWeights: { ...this.weights },
+                proposedWeights: { ...this.weights },
+                weightChanges: Object.fromEntries(dimensions.map(dimension => [dimension, 0])),
+                currentBiases,
+                proposedBiases: currentBiases,
+                agreement: {
+                    current: this.calculateAgreementRate(samples, this.weights, currentBiases),
+                    proposed: null
+                }
+            };
+            
+            if (samples.length < minDecisions) {
+                proposal.reason = `Needs at least ${minDecisions} manual decisions with more than one eligible bucket (found ${samples.length})`;
+                return proposal;
+            }
+            
+            const fitted = this.fitChoiceModel(samples, dimensions, {
+                learnBiases: options.bucketBiases === true,
+                maxBias: options.maxBias || 0.2,
+                iterations: options.iterations || 500
+            });
+            
+            proposal.usable = true;
+            proposal.proposedWeights = fitted.weights;
+            proposal.weightChanges = Object.fromEntries(dimensions.map(dimension => [
+                dimension,
+                parseFloat((fitted.weights[dimension] - this.weights[dimension]).toFixed(3))
+            ]));
+            proposal.proposedBiases = options.bucketBiases === true ? fitted.biases : currentBiases;
+            proposal.agreement.proposed = this.calculateAgreementRate(samples, fitted.weights, proposal.proposedBiases);
+            
+            this.pendingWeightProposal = proposal;
+            return proposal;
+            
+        } catch (error) {
+            console.error('Error proposing weight update:', error);
+            throw new Error(`Weight learning failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Applies an approved weight proposal
+     * 
+     * Only the latest proposal from proposeWeightUpdate can be applied, and
+     * only with a named approver. The weights must still sum to 1; cached
+     * scores are cleared so later matches use the new weights.
+     * 
+     * @param {Object} proposal - Proposal returned by proposeWeightUpdate
+     * @param {Object} approval - {approvedBy}
+     * @returns {Object} Applied update {proposalId, approvedBy, appliedAt, previousWeights, weights, previousBiases, biases}
+     * @throws {Error} If the proposal is stale or unusable, approval is missing, or the weights are invalid
+     * 
+     * @example
+     * engine.applyWeightProposal(proposal, { approvedBy: 'J. Rivera' });
+     */
+    applyWeightProposal(proposal, approval = {}) {
+        try {
+            if (!proposal || !this.pendingWeightProposal || proposal.proposalId !== this.pendingWeightProposal.proposalId) {
+                throw new Error('Only the latest weight proposal can be applied');
+            }
+            if (!proposal.usable) {
+                throw new Error(`Proposal is not usable: ${proposal.reason}`);
+            }
+            if (!String(approval.approvedBy || '').trim()) {
+                throw new Error('Weight changes need explicit approval (approvedBy)');
+            }
+            
+            const previousWeights = { ...this.weights };
+            const previousBiases = { ...this.bucketBiases };
+            this.weights = { ...this.pendingWeightProposal.proposedWeights };
+            try {
+                this.validateWeights();
+            } catch (error) {
+                this.weights = previousWeights;
+                throw error;
+            }
+            this.bucketBiases = { ...this.pendingWeightProposal.proposedBiases };
+            this.scoreCache.clear();
+            
+            const update = {
+                proposalId: proposal.proposalId,
+                approvedBy: String(approval.approvedBy).trim(),
+                appliedAt: new Date().toISOString(),
+                previousWeights,
+                weights: { ...this.weights },
+                previousBiases,
+                biases: { ...this.bucketBiases }
+            };
+            this.weightHistory.push(update);
+            this.pendingWeightProposal = null;
+            
+            return update;
+            
+        } catch (error) {
+            console.error('Error applying weight proposal:', error);
+            throw new Error(`Applying weight proposal failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets performance metrics for monitoring
+     * 
+     * @returns {Object} Performance metrics object
+     */
+    getPerformanceMetrics() {
+        return {
+            ...this.performanceMetrics,
+            cacheSize: this.scoreCache.size,
+            historySize: this.resolutionHistory.length,
+            averageOverlapDetectionTime: this.performanceMetrics.overlapDetectionTime,
+            averageScoringTime: this.performanceMetrics.scoringTime,
+            averageResolutionTime: this.performanceMetrics.resolutionTime
+        };
+    }
+
+    /**
+     * Clears internal caches and resets metrics
+     * 
+     * @returns {void}
+     */
+    clearCache() {
+        this.scoreCache.clear();
+        this.performanceMetrics = {
+            overlapDetectionTime: 0,
+            scoringTime: 0,
+            resolutionTime: 0,
+            cacheHitRate: 0,
+            cacheInvalidations: 0,
+            candidatePairs: 0,
+            prunedPairs: 0
+        };
+    }
+
+    /**
+     * Measures overlap detection throughput on generated data
+     * 
+     * Generates seeded customers and buckets with overlapping volume, price
+     * and margin ranges, then times detection on a fresh engine with this
+     * engine's settings and a second, cached pass over the same data (when
+     * detection ran in-process).
+     * 
+     * @param {Object} options - Benchmark options
+     * @param {number} options.customers - Generated customers (default: 50000)
+     * @param {number} options.buckets - Generated buckets (default: 20)
+     * @param {number} options.workers - Worker threads (default: this engine's workers)
+     * @param {number} options.seed - Data seed (default: 1)
+     * @returns {Promise<Object>} {customers, buckets, workers, pairs, candidatePairs, prunedPercent, overlaps, durationMs, customersPerSecond, pairsPerSecond, cachedDurationMs, cacheHits}
+     * 
+     * @example
+     * const report = await engine.benchmarkOverlapDetection({ customers: 50000, buckets: 20, workers: 4 });
+     * console.log(`${report.customersPerSecond} customers/s`);
+     */
+    async benchmarkOverlapDetection(options = {}) {
+        try {
+            const customerCount = options.customers || 50000;
+            const bucketCount = options.buckets || 20;
+            const workers = options.workers !== undefined ? options.workers : this.workers;
+            const { customers, buckets } = this.generateBenchmarkData(customerCount, bucketCount, options.seed || 1);
+            const engine = new OverlapResolutionEngine({
+                ...this.getEngineSettings(),
+                maxCacheEntries: Math.max(this.maxCacheEntries, customerCount * bucketCount),
+                workers,
+                workerThreshold: 1
+            });
+            
+            let startTime = performance.now();
+            const overlaps = await engine.detectOverlaps(customers, buckets);
+            const durationMs = performance.now() - startTime;
+            const metrics = { ...engine.performanceMetrics };
+            
+            let cachedDurationMs = null;
+            if (!engine.shouldUseWorkers(customers)) {
+                startTime = performance.now();
+                await engine.detectOverlaps(customers, buckets);
+                cachedDurationMs = parseFloat((performance.now() - startTime).toFixed(1));
+            }
+            
+            const pairs = customerCount * bucketCount;
+            return {
+                customers: customerCount,
+                buckets: bucketCount,
+                workers: engine.shouldUseWorkers(customers) ? workers : 1,
+                pairs,
+                candidatePairs: metrics.candidatePairs,
+                prunedPercent: parseFloat((metrics.prunedPairs / pairs * 100).toFixed(1)),
+                overlaps: overlaps.length,
+                durationMs: parseFloat(durationMs.toFixed(1)),
+                customersPerSecond: Math.round(customerCount / (durationMs / 1000)),
+                pairsPerSecond: Math.round(pairs / (durationMs / 1000)),
+                cachedDurationMs,
+                cacheHits: engine.performanceMetrics.cacheHitRate - metrics.cacheHitRate
+            };
+            
+        } catch (error) {
+            console.error('Error benchmarking overlap detection:', error);
+            throw new Error(`Overlap benchmark failed: ${error.message}`);
+        }
+    }
 
     // ========== Private Helper Methods ==========
 
+    /**
+     * Explains one criteria dimension: sub-score and distance to each bound
+     * @private
+     */
+    explainCriteriaDimension(dimension, label, value, min, max, score) {
+        const bounds = [];
+        
+        [['min', min], ['max', max]].forEach(([bound, limit]) => {
+            if (limit === null || limit === undefined) return;
+            
+            const distance = bound === 'min' ? value - limit : limit - value;
+            const relativeDistance = limit !== 0 ? Math.abs(distance / limit) : null;
+            let status = 'clear';
+            if (distance < 0) {
+                status = 'violated';
+            } else if (relativeDistance === null ? distance === 0 : relativeDistance <= this.boundaryProximity) {
+                status = 'near';
+            }
+            
+            bounds.push({
+                bound,
+                limit,
+                distance: parseFloat(distance.toFixed(2)),
+                relativeDistance: relativeDistance === null ? null : parseFloat(relativeDistance.toFixed(3)),
+                status
+            });
+        });
+        
+        return { dimension, label, value, score, bounds };
+    }
+
+    /**
+     * Describes the rule conditions dimension for reasoning text
+     * @private
+     */
+    describeRuleDimension(dimension) {
+        const weighting = `(score ${(dimension.score * 100).toFixed(0)}% × weight ${(dimension.weight * 100).toFixed(0)}% = ${dimension.contribution.toFixed(3)})`;
+        if (dimension.listed === 'included') {
+            return `Listed as always included ${weighting}`;
+        }
+        if (dimension.listed === 'excluded') {
+            return `Listed as never included ${weighting}`;
+        }
+        
+        const satisfied = dimension.conditions.filter(condition => condition.satisfied);
+        const details = dimension.conditions
+            .filter(condition => condition.status !== 'clear')
+            .map(condition => `${condition.text} ${condition.satisfied ? 'only just met' : 'not met'} (${condition.actual === null ? 'no value' : condition.actual})`);
+        
+        return `Rule conditions: ${satisfied.length} of ${dimension.conditions.length} met` +
+            (details.length > 0 ? `, ${details.join(', ')}` : '') + ` ${weighting}`;
+    }
+
+    /**
+     * Describes where a value sits against one bound
+     * @private
+     */
+    describeBound(dimension, bound) {
+        const side = bound.bound === 'min' ? 'minimum' : 'maximum';
+        const limit = this.formatDimensionValue(dimension.dimension, bound.limit);
+        
+        if (bound.status === 'violated') {
+            return `outside the ${limit} ${side}`;
+        }
+        
+        const distance = this.formatDimensionValue(dimension.dimension, Math.abs(bound.distance), true);
+        return `${distance} ${bound.bound === 'min' ? 'above' : 'below'} the ${limit} ${side}`;
+    }
+
+    /**
+     * Formats a dimension value (or a difference) with its unit
+     * @private
+     */
+    formatDimensionValue(dimension, value, isDifference = false) {
+        switch (dimension) {
+            case 'volume':
+                return `${value.toFixed(0)} yards`;
+            case 'price':
+                return isDifference ? `$${value.toFixed(2)}` : `$${value.toFixed(2)}/yard`;
+            case 'margin':
+                return isDifference ? `${value.toFixed(1)} points` : `${value.toFixed(1)}%`;
+            default:
+                return `$${Math.round(value).toLocaleString()}`;
+        }
+    }
+
     /**
      * Creates overlap resolution object
      * @private
@@ -821,39 +1760,497 @@ class OverlapResolutionEngine {
         }
     }
 
+    /**
+     * Per customer/bucket value maximized by optimizeAssignments
+     * @private
+     */
+    getOptimizationObjective(objective) {
+        if (typeof objective === 'function') return objective;
+        
+        switch (objective) {
+            case 'match_score':
+                return (customer, bucket) => bucket.matchScore;
+            case 'business_value':
+                // Revenue-weighted fit: displacing a large account costs more than a small one
+                return (customer, bucket) => bucket.matchScore * (customer.totalRevenue || 0);
+            default:
+                throw new Error(`Unknown optimization objective: ${objective}`);
+        }
+    }
+
+    /**
+     * Restates an optimizer constraint in optimizeAssignments terms (volume limits as shares)
+     * @private
+     */
+    describeOptimizationConstraint(constraint, totalVolume) {
+        const names = { minCount: 'minCustomers', maxCount: 'maxCustomers', maxVolume: 'maxVolumeShare' };
+        const described = { ...constraint, constraint: names[constraint.constraint] || constraint.constraint };
+        
+        if (constraint.constraint === 'maxVolume' && totalVolume > 0) {
+            described.limit = parseFloat((constraint.limit / totalVolume).toFixed(4));
+            described.actual = parseFloat((constraint.actual / totalVolume).toFixed(4));
+        }
+        return described;
+    }
+
+    /**
+     * Builds range indexes over the buckets' volume, price and margin bounds
+     * 
+     * Per dimension, bucket minimums and maximums are sorted; bit masks of
+     * every prefix of the minimums and suffix of the maximums let a lookup
+     * find the buckets whose range contains a value with two binary searches.
+     * Buckets with an include list are always candidates. The index only
+     * prunes: candidates still get the full criteria check.
+     * @private
+     */
+    buildCriteriaIndex(buckets) {
+        const words = Math.max(1, Math.ceil(buckets.length / 32));
+        const maskOf = indexes => {
+            const mask = new Uint32Array(words);
+            indexes.forEach(index => {
+                mask[index >>> 5] |= 1 << (index & 31);
+            });
+            return mask;
+        };
+        const bound = value => typeof value === 'number' && !Number.isNaN(value) ? value : null;
+        
+        const dimensions = [
+            ['totalVolume', 'volumeMin', 'volumeMax'],
+            ['averageUnitPrice', 'priceMin', 'priceMax'],
+            ['profitMargin', 'profitMarginMin', 'profitMarginMax']
+        ].map(([field, minKey, maxKey]) => {
+            const mins = buckets
+                .map((bucket, index) => ({ index, value: bound(bucket.criteria[minKey]) ?? -Infinity }))
+                .sort((a, b) => a.value - b.value);
+            const maxs = buckets
+                .map((bucket, index) => ({ index, value: bound(bucket.criteria[maxKey]) ?? Infinity }))
+                .sort((a, b) => a.value - b.value);
+            
+            return {
+                field,
+                minValues: mins.map(entry => entry.value),
+                maxValues: maxs.map(entry => entry.value),
+                prefixMasks: mins.map((entry, k) => maskOf(mins.slice(0, k).map(item => item.index)))
+                    .concat([maskOf(mins.map(item => item.index))]),
+                suffixMasks: maxs.map((entry, k) => maskOf(maxs.slice(k).map(item => item.index)))
+                    .concat([maskOf([])])
+            };
+        });
+        
+        return {
+            bucketCount: buckets.length,
+            words,
+            dimensions,
+            allMask: maskOf(buckets.map((bucket, index) => index)),
+            alwaysMask: maskOf(buckets
+                .map((bucket, index) => Array.isArray(bucket.criteria.includeCustomers) && bucket.criteria.includeCustomers.length > 0 ? index : -1)
+                .filter(index => index >= 0))
+        };
+    }
+
+    /**
+     * Indexes of the buckets whose ranges contain the customer, in bucket order
+     * @private
+     */
+    getCandidateBuckets(index, customer) {
+        const mask = index.allMask.slice();
+        
+        index.dimensions.forEach(dimension => {
+            const value = customer[dimension.field];
+            if (typeof value !== 'number' || Number.isNaN(value)) return;
+            
+            // Buckets with minimum <= value form a prefix, maximum >= value a suffix
+            const prefix = this.upperBound(dimension.minValues, value);
+            const suffix = this.lowerBound(dimension.maxValues, value);
+            for (let word = 0; word < index.words; word++) {
+                mask[word] &= dimension.prefixMasks[prefix][word] & dimension.suffixMasks[suffix][word];
+            }
+        });
+        
+        const candidates = [];
+        for (let bucketIndex = 0; bucketIndex < index.bucketCount; bucketIndex++) {
+            const word = bucketIndex >>> 5;
+            const bit = 1 << (bucketIndex & 31);
+            if ((mask[word] & bit) || (index.alwaysMask[word] & bit)) {
+                candidates.push(bucketIndex);
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Count of sorted values <= target
+     * @private
+     */
+    upperBound(values, target) {
+        let low = 0;
+        let high = values.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (values[middle] <= target) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    /**
+     * Index of the first sorted value >= target
+     * @private
+     */
+    lowerBound(values, target) {
+        let low = 0;
+        let high = values.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (values[middle] < target) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    /**
+     * Customer content that affects scoring (the current assignment does not)
+     * @private
+     */
+    getCustomerContent(customer) {
+        const { bucketId, ...content } = customer;
+        return content;
+    }
+
+    /**
+     * Fingerprint of a bucket's scored content (name, criteria and bias)
+     * @private
+     */
+    getBucketFingerprint(bucket) {
+        return this.hashContent({
+            bucketName: bucket.bucketName,
+            criteria: bucket.criteria,
+            bias: this.bucketBiases[bucket.bucketId] || 0
+        });
+    }
+
+    /**
+     * Fingerprint of the engine's scoring settings
+     * @private
+     */
+    getScoringFingerprint() {
+        return this.hashContent({
+            weights: this.weights,
+            ruleWeight: this.ruleWeight,
+            boundaryProximity: this.boundaryProximity
+        });
+    }
+
+    /**
+     * Cache fingerprint of a customer-bucket pair
+     * @private
+     */
+    getPairFingerprint(customerFingerprint, bucketFingerprint, scoringFingerprint) {
+        return `${customerFingerprint}:${bucketFingerprint}:${scoringFingerprint}`;
+    }
+
+    /**
+     * FNV-1a hash of a value's canonical JSON (object keys sorted)
+     * @private
+     */
+    hashContent(value) {
+        const canonical = JSON.stringify(value, (key, item) => (
+            item && typeof item === 'object' && !Array.isArray(item)
+                ? Object.keys(item).sort().reduce((sorted, name) => {
+                    sorted[name] = item[name];
+                    return sorted;
+                }, {})
+                : item
+        ));
+        
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < canonical.length; i++) {
+            hash ^= canonical.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * Whether detection should fan out to worker threads
+     * @private
+     */
+    shouldUseWorkers(customers) {
+        return this.workers > 1 && customers.length >= this.workerThreshold && this.getWorkerThreads() !== null;
+    }
+
+    /**
+     * Node's worker_threads module, or null outside Node
+     * @private
+     */
+    getWorkerThreads() {
+        if (typeof module === 'undefined' || !module.exports || typeof require !== 'function') {
+            return null;
+        }
+        try {
+            return require('worker_threads');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Splits customers across worker threads, each running processBatch
+     * 
+     * Workers score with this engine's settings; their overlaps point back
+     * to the caller's customer objects and their metrics are added to ours.
+     * @private
+     */
+    async detectOverlapsInWorkers(customers, buckets) {
+        const { Worker } = this.getWorkerThreads();
+        const chunkSize = Math.ceil(customers.length / this.workers);
+        const settings = this.getEngineSettings();
+        const script = `
+            const { parentPort, workerData } = require('worker_threads');
+            const OverlapResolutionEngine = require(${JSON.stringify(__filename)});
+            const engine = new OverlapResolutionEngine(workerData.settings);
+            engine.processBatch(workerData.customers, workerData.buckets)
+                .then(overlaps => parentPort.postMessage({ overlaps, metrics: engine.performanceMetrics }))
+                .catch(error => parentPort.postMessage({ error: error.message }));
+        `;
+        
+        const chunks = [];
+        for (let i = 0; i < customers.length; i += chunkSize) {
+            chunks.push(customers.slice(i, i + chunkSize));
+        }
+        
+        const results = await Promise.all(chunks.map(chunk => new Promise((resolve, reject) => {
+            const worker = new Worker(script, { eval: true, workerData: { settings, customers: chunk, buckets } });
+            worker.once('message', message => {
+                worker.terminate();
+                if (message.error) reject(new Error(message.error));
+                else resolve({ chunk, ...message });
+            });
+            worker.once('error', reject);
+        })));
+        
+        const overlaps = [];
+        results.forEach(({ chunk, overlaps: chunkOverlaps, metrics }) => {
+            const customersById = new Map(chunk.map(customer => [customer.customerId, customer]));
+            chunkOverlaps.forEach(overlap => {
+                overlap.customer = customersById.get(overlap.customerId);
+                overlaps.push(overlap);
+            });
+            ['scoringTime', 'cacheHitRate', 'cacheInvalidations', 'candidatePairs', 'prunedPairs'].forEach(metric => {
+                this.performanceMetrics[metric] += metrics[metric];
+            });
+        });
+        
+        return overlaps;
+    }
+
+    /**
+     * Constructor options that reproduce this engine's scoring in another engine
+     * @private
+     */
+    getEngineSettings() {
+        return {
+            weights: { ...this.weights },
+            matchThreshold: this.matchThreshold,
+            confidenceThreshold: this.confidenceThreshold,
+            boundaryProximity: this.boundaryProximity,
+            bucketBiases: { ...this.bucketBiases },
+            ruleWeight: this.ruleWeight,
+            maxCacheEntries: this.maxCacheEntries,
+            yieldInterval: null
+        };
+    }
+
+    /**
+     * Seeded benchmark customers and buckets with overlapping ranges
+     * @private
+     */
+    generateBenchmarkData(customerCount, bucketCount, seed) {
+        // mulberry32
+        let state = seed >>> 0;
+        const random = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        
+        const customers = [];
+        for (let i = 0; i < customerCount; i++) {
+            const totalVolume = Math.round(Math.exp(2 + random() * 6) * 10) / 10;
+            const averageUnitPrice = Math.round((95 + random() * 70) * 100) / 100;
+            customers.push({
+                customerId: `bench-customer-${i + 1}`,
+                customerName: `Benchmark Customer ${i + 1}`,
+                totalVolume,
+                averageUnitPrice,
+                profitMargin: Math.round((-5 + random() * 45) * 10) / 10,
+                totalRevenue: Math.round(totalVolume * averageUnitPrice),
+                deliveryCount: 1 + Math.floor(random() * 60),
+                lastOrderDate: '2024-03-01',
+                bucketId: null
+            });
+        }
+        
+        const buckets = [];
+        for (let i = 0; i < bucketCount; i++) {
+            const volumeMin = Math.round(Math.exp(2 + random() * 5));
+            const priceMin = Math.round(95 + random() * 50);
+            const marginMin = Math.round(-5 + random() * 30);
+            buckets.push({
+                bucketId: `bench-bucket-${i + 1}`,
+                bucketName: `Benchmark Bucket ${i + 1}`,
+                criteria: {
+                    volumeMin,
+                    volumeMax: i % 3 === 0 ? null : Math.round(volumeMin * (2 + random() * 8)),
+                    priceMin: i % 2 === 0 ? priceMin : null,
+                    priceMax: i % 2 === 0 ? priceMin + Math.round(10 + random() * 30) : null,
+                    profitMarginMin: i % 4 === 1 ? marginMin : null,
+                    profitMarginMax: null
+                }
+            });
+        }
+        
+        return { customers, buckets };
+    }
+
+    /**
+     * Manual decisions with candidate sub-scores, as learning samples
+     * @private
+     */
+    getLearningSamples(dimensions) {
+        return this.resolutionHistory
+            .filter(decision => decision.strategy === 'MANUAL' && Array.isArray(decision.candidates) && decision.candidates.length > 1)
+            .map(decision => ({
+                chosen: decision.candidates.findIndex(candidate => candidate.bucketId === decision.assignedBucket),
+                overridden: decision.overridden === true,
+                candidates: decision.candidates.map(candidate => ({
+                    bucketId: candidate.bucketId,
+                    features: dimensions.map(dimension => candidate.scores[dimension] || 0)
+                }))
+            }))
+            .filter(sample => sample.chosen >= 0);
+    }
+
+    /**
+     * Share of samples whose chosen bucket scores highest under the weights
+     * @private
+     */
+    calculateAgreementRate(samples, weights, biases) {
+        if (samples.length === 0) return null;
+        
+        const dimensions = Object.keys(this.weights);
+        const agreed = samples.filter(sample => {
+            const utilities = sample.candidates.map(candidate => (biases[candidate.bucketId] || 0) +
+                candidate.features.reduce((sum, feature, d) => sum + feature * weights[dimensions[d]], 0));
+            const best = utilities.indexOf(Math.max(...utilities));
+            return best === sample.chosen;
+        }).length;
+        
+        return parseFloat((agreed / samples.length * 100).toFixed(1));
+    }
+
+    /**
+     * Conditional logit fit: weights on the simplex by exponentiated gradient,
+     * L2-regularized bucket biases and a fitted sharpness
+     * @private
+     */
+    fitChoiceModel(samples, dimensions, settings) {
+        let weights = dimensions.map(dimension => Math.max(this.weights[dimension], 0.01));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        weights = weights.map(weight => weight / total);
+        const startWeights = [...weights];
+        const biases = settings.learnBiases ? { ...this.bucketBiases } : {};
+        let logSharpness = Math.log(10);
+        const learningRate = 0.5;
+        const weightPenalty = 0.2;
+        const biasPenalty = 0.1;
+        
+        for (let iteration = 0; iteration < settings.iterations; iteration++) {
+            const sharpness = Math.exp(logSharpness);
+            const weightGradient = new Array(dimensions.length).fill(0);
+            const biasGradient = {};
+            let sharpnessGradient = 0;
+            
+            samples.forEach(sample => {
+                const utilities = sample.candidates.map(candidate => (biases[candidate.bucketId] || 0) +
+                    candidate.features.reduce((sum, feature, d) => sum + feature * weights[d], 0));
+                const top = Math.max(...utilities);
+                const exponents = utilities.map(utility => Math.exp(sharpness * (utility - top)));
+                const normalizer = exponents.reduce((sum, value) => sum + value, 0);
+                
+                sample.candidates.forEach((candidate, c) => {
+                    const residual = (c === sample.chosen ? 1 : 0) - exponents[c] / normalizer;
+                    candidate.features.forEach((feature, d) => {
+                        weightGradient[d] += sharpness * residual * feature;
+                    });
+                    if (settings.learnBiases) {
+                        biasGradient[candidate.bucketId] = (biasGradient[candidate.bucketId] || 0) + sharpness * residual;
+                    }
+                    sharpnessGradient += residual * sharpness * utilities[c];
+                });
+            });
+            
+            // Exponentiated gradient keeps the weights positive and summing to 1;
+            // the log-ratio term pulls toward the current weights when decisions are uninformative
+            weights = weights.map((weight, d) => weight * Math.exp(learningRate *
+                (weightGradient[d] / samples.length - weightPenalty * Math.log(weight / startWeights[d]))));
+            const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+            weights = weights.map(weight => weight / weightSum);
+            
+            Object.keys(biasGradient).forEach(bucketId => {
+                const bias = biases[bucketId] || 0;
+                const step = learningRate * 0.1 * (biasGradient[bucketId] / samples.length - biasPenalty * bias);
+                biases[bucketId] = Math.max(-settings.maxBias, Math.min(settings.maxBias, bias + step));
+            });
+            
+            logSharpness = Math.max(Math.log(1), Math.min(Math.log(200), logSharpness + 0.05 * sharpnessGradient / samples.length));
+        }
+        
+        // Round to three decimals; the largest weight absorbs the rounding so the sum stays exactly 1
+        const rounded = weights.map(weight => Math.round(weight * 1000) / 1000);
+        const largest = rounded.indexOf(Math.max(...rounded));
+        rounded[largest] = Math.round((1 - rounded.reduce((sum, weight, d) => d === largest ? sum : sum + weight, 0)) * 1000) / 1000;
+        
+        return {
+            weights: Object.fromEntries(dimensions.map((dimension, d) => [dimension, rounded[d]])),
+            biases: Object.fromEntries(Object.entries(biases)
+                .map(([bucketId, bias]) => [bucketId, Math.round(bias * 1000) / 1000])
+                .filter(([, bias]) => bias !== 0)),
+            sharpness: Math.exp(logSharpness)
+        };
+    }
+
     /**
      * Strategy-specific selection methods
+     * 
+     * Each returns every bucket tied for the best score, so a later
+     * strategy in a chain can break the tie.
      * @private
      */
     selectByHighestValue(customer, buckets) {
         // Prioritize buckets that maximize business value
-        const valueScores = buckets.map(bucket => {
-            const revenueWeight = customer.totalRevenue / 100000; // Normalize to 0-1
-            const volumeWeight = customer.totalVolume / 1000; // Normalize to 0-1
-            const combinedValue = (bucket.matchScore * 0.6) + (revenueWeight * 0.25) + (volumeWeight * 0.15);
-            return { bucket, value: combinedValue };
-        });
-        
-        valueScores.sort((a, b) => b.value - a.value);
-        return valueScores[0].bucket;
+        const revenueWeight = customer.totalRevenue / 100000; // Normalize to 0-1
+        const volumeWeight = customer.totalVolume / 1000; // Normalize to 0-1
+        return this.selectTopBuckets(buckets, bucket =>
+            (bucket.matchScore * 0.6) + (revenueWeight * 0.25) + (volumeWeight * 0.15));
     }
 
     selectByVolumePriority(customer, buckets) {
         // Prioritize high-volume bucket assignments
-        return buckets.reduce((best, current) => {
-            const bestVolumeScore = this.calculateVolumeScore(customer, best.criteria);
-            const currentVolumeScore = this.calculateVolumeScore(customer, current.criteria);
-            return currentVolumeScore > bestVolumeScore ? current : best;
-        });
+        return this.selectTopBuckets(buckets, bucket => this.calculateVolumeScore(customer, bucket.criteria));
     }
 
     selectByMarginPriority(customer, buckets) {
         // Prioritize high-margin bucket assignments
-        return buckets.reduce((best, current) => {
-            const bestMarginScore = this.calculateMarginScore(customer, best.criteria);
-            const currentMarginScore = this.calculateMarginScore(customer, current.criteria);
-            return currentMarginScore > bestMarginScore ? current : best;
-        });
+        return this.selectTopBuckets(buckets, bucket => this.calculateMarginScore(customer, bucket.criteria));
+    }
+
+    selectTopBuckets(buckets, scoreOf) {
+        const scores = buckets.map(scoreOf);
+        const best = Math.max(...scores);
+        return buckets.filter((bucket, index) => scores[index] >= best - 1e-9);
     }
 
     /**
@@ -875,9 +2272,21 @@ class OverlapResolutionEngine {
     }
 
     validateStrategy(strategy) {
-        const validStrategies = ['HIGHEST_VALUE', 'BEST_FIT', 'VOLUME_PRIORITY', 'MARGIN_PRIORITY', 'MANUAL'];
-        if (!validStrategies.includes(strategy)) {
-            throw new Error(`Invalid strategy: ${strategy}. Valid strategies: ${validStrategies.join(', ')}`);
+        if (Array.isArray(strategy)) {
+            if (strategy.length === 0) {
+                throw new Error('A strategy chain needs at least one strategy');
+            }
+            strategy.forEach(id => {
+                this.validateStrategy(id);
+                if (!this.strategies.get(id).perCustomer) {
+                    throw new Error(`${id} cannot be part of a strategy chain`);
+                }
+            });
+            return;
+        }
+        
+        if (!this.strategies.has(strategy)) {
+            throw new Error(`Invalid strategy: ${strategy}. Valid strategies: ${Array.from(this.strategies.keys()).join(', ')}`);
         }
     }
 
@@ -942,23 +2351,82 @@ class OverlapResolutionEngine {
     }
 
     getAvailableStrategies() {
+        return Array.from(this.strategies.values()).map(strategy => this.describeStrategy(strategy));
+    }
+
+    describeStrategy(strategy) {
+        return strategy.builtIn
+            ? { id: strategy.id, name: strategy.name, description: strategy.description }
+            : {
+                id: strategy.id,
+                name: strategy.name,
+                description: strategy.description,
+                custom: true,
+                ...(strategy.chain ? { chain: [...strategy.chain] } : {})
+            };
+    }
+
+    getBuiltInStrategies() {
         return [
-            { id: 'BEST_FIT', name: 'Best Match Score', description: 'Use highest composite match score' },
-            { id: 'HIGHEST_VALUE', name: 'Business Value', description: 'Prioritize high-revenue customers' },
-            { id: 'VOLUME_PRIORITY', name: 'Volume Focus', description: 'Optimize volume-based assignments' },
-            { id: 'MARGIN_PRIORITY', name: 'Margin Focus', description: 'Optimize profit margin assignments' },
-            { id: 'MANUAL', name: 'Manual Review', description: 'Review each conflict individually' }
-        ];
+            {
+                id: 'BEST_FIT', name: 'Best Match Score', description: 'Use highest composite match score',
+                select: (customer, buckets) => this.selectTopBuckets(buckets, bucket => bucket.matchScore),
+                reason: 'Selected based on highest match score'
+            },
+            {
+                id: 'HIGHEST_VALUE', name: 'Business Value', description: 'Prioritize high-revenue customers',
+                select: (customer, buckets) => this.selectByHighestValue(customer, buckets),
+                reason: 'Selected based on customer business value'
+            },
+            {
+                id: 'VOLUME_PRIORITY', name: 'Volume Focus', description: 'Optimize volume-based assignments',
+                select: (customer, buckets) => this.selectByVolumePriority(customer, buckets),
+                reason: 'Selected based on volume optimization'
+            },
+            {
+                id: 'MARGIN_PRIORITY', name: 'Margin Focus', description: 'Optimize profit margin assignments',
+                select: (customer, buckets) => this.selectByMarginPriority(customer, buckets),
+                reason: 'Selected based on profit margin optimization'
+            },
+            { id: 'GLOBAL_OPTIMUM', name: 'Balanced Optimum', description: 'Assign all overlaps at once within bucket size and volume limits', perCustomer: false },
+            { id: 'MANUAL', name: 'Manual Review', description: 'Review each conflict individually', perCustomer: false }
+        ].map(strategy => ({ perCustomer: true, chain: null, ...strategy, builtIn: true }));
     }
 
-    generateAlternativeReason(customer, bucket) {
-        if (bucket.matchScore >= 0.8) {
-            return 'Excellent alternative with strong match score';
-        } else if (bucket.matchScore >= 0.6) {
-            return 'Good alternative worth considering';
+    /**
+     * Explains an alternative from the same weighted contributions as
+     * generateRecommendationReasoning: where the bucket scores most, and
+     * the dimension that puts it behind the recommended bucket
+     * @private
+     */
+    generateAlternativeReason(explanation, recommended) {
+        const strongest = explanation.dimensions.reduce((best, dimension) =>
+            dimension.contribution > best.contribution ? dimension : best);
+        const reasons = [`${(explanation.score * 100).toFixed(0)}% match, strongest on ${strongest.label.toLowerCase()} ` +
+            `(score ${(strongest.score * 100).toFixed(0)}% × weight ${(strongest.weight * 100).toFixed(0)}% = ${strongest.contribution.toFixed(3)})`];
+
+        if (explanation.bucketId === recommended.bucketId) {
+            reasons.push('recommended');
         } else {
-            return 'Lower match but may have strategic value';
+            const scoreDiff = (recommended.score - explanation.score) * 100;
+            const gaps = recommended.dimensions.map(dimension => {
+                const own = explanation.dimensions.find(candidate => candidate.dimension === dimension.dimension);
+                return { label: dimension.label, gap: dimension.contribution - (own ? own.contribution : 0) };
+            });
+            const decisive = gaps.reduce((best, gap) => gap.gap > best.gap ? gap : best);
+            reasons.push(decisive.gap > 0
+                ? `${scoreDiff.toFixed(0)} points behind ${recommended.bucketName}, mostly on ${decisive.label.toLowerCase()} (-${decisive.gap.toFixed(3)})`
+                : `${scoreDiff.toFixed(0)} points behind ${recommended.bucketName}`);
         }
+
+        explanation.boundaryAlerts
+            .filter(alert => alert.status === 'violated')
+            .forEach(alert => {
+                reasons.push(`outside the ${alert.label.toLowerCase()} ${alert.bound === 'min' ? 'minimum' : 'maximum'} ` +
+                    `of ${this.formatDimensionValue(alert.dimension, alert.limit)}`);
+            });
+
+        return reasons.join('; ');
     }
 
     validateResolutionDecisions(decisions) {
@@ -981,13 +2449,16 @@ class OverlapResolutionEngine {
 
     analyzeResolutionPatterns() {
         // Simple pattern analysis for future enhancement
+        const manualDecisions = this.resolutionHistory.filter(decision => decision.strategy === 'MANUAL');
         const patterns = {
             mostUsedStrategy: this.findMostUsedStrategy(),
+            overrideRate: manualDecisions.length > 0
+                ? parseFloat((manualDecisions.filter(decision => decision.overridden).length / manualDecisions.length * 100).toFixed(1))
+                : null,
             averageConfidence: this.calculateHistoricalConfidence(),
             resolutionTime: this.calculateAverageResolutionTime()
         };
         
-        console.log('Resolution patterns:', patterns);
         return patterns;
     }
 
@@ -0,0 +1,526 @@
+const rolloutPlannerModules = typeof module !== 'undefined' && module.exports
+    ? {
+        PricingAdjustmentCalculator: require('./PricingAdjustmentCalculator'),
+        VolumeForecaster: require('./VolumeForecaster')
+    }
+    : window;
+
+/**
+ * PriceRolloutPlanner - Phased price increases with effective dates
+ *
+ * Schedules bucket price adjustments as a timeline (e.g. +3% on March 1
+ * and +2% on June 1) and projects revenue, profit and cumulative goal
+ * progress month by month. Phases stack: a percentage applies to the
+ * price after the earlier phases. Customers on contract keep their price
+ * until renewal and then take every phase that is already in effect.
+ * Phases starting mid-month count for the days they are in effect.
+ * Customer price exceptions set on the pricing calculator (exemptions,
+ * fixed contract prices until their end date, increase caps) are applied
+ * to each customer's price day by day.
+ *
+ * Each month's volume follows the plan's seasonal shape. Labor and fixed
+ * costs are spread evenly over the months. Price response uses the same
+ * bucket demand models as the full-period impact, so with everything in
+ * effect from day one the months add up to calculateAdjustmentImpact.
+ *
+ * @class PriceRolloutPlanner
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class PriceRolloutPlanner {
+    /**
+     * Creates an instance of PriceRolloutPlanner
+     *
+     * @param {Object} options - Configuration options
+     * @param {PricingAdjustmentCalculator} options.pricingCalculator - Supplies demand models and bucket impact math
+     */
+    constructor(options = {}) {
+        this.pricingCalculator = options.pricingCalculator || new rolloutPlannerModules.PricingAdjustmentCalculator();
+        this.monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    }
+
+    /**
+     * Project a phased price rollout month by month
+     *
+     * Buckets without phases keep their own adjustment, in effect from the
+     * first day of the plan (contract customers still wait for renewal).
+     *
+     * @param {Object} plan - Plan figures
+     * @param {Object} plan.projection - ProfitPlanCalculator.calculateProjections result
+     * @param {Array<Object>} plan.months - [{month, volume}] seasonal shape of the plan period, scaled to the projected volume
+     * @param {Map|Array<Object>} plan.buckets - Populated buckets
+     * @param {Object} plan.adjustments - bucketId → {adjustment, adjustmentType}, for buckets without phases
+     * @param {Array<Object>} plan.customers - Customers {customerId, customerName, totalVolume} of the buckets
+     * @param {Object} rollout - Rollout schedule
+     * @param {Array<Object>} rollout.phases - [{bucket, effective, adjustment, adjustmentType}]; bucket is a name or ID, effective a month label ('Mar 2025') or date ('2025-03-15')
+     * @param {Object} rollout.contractRenewals - Customer ID or name → renewal month or date; no increase before it
+     * @returns {Object} {months, phases, total, immediate, phasingCost, warnings}
+     * @throws {Error} On unknown buckets or customers, bad dates or adjustments
+     *
+     * @example
+     * const rollout = planner.plan({ projection, months, buckets, adjustments, customers }, {
+     *     phases: [
+     *         { bucket: 'Standard', effective: 'Mar 2025', adjustment: 3, adjustmentType: 'percentage' },
+     *         { bucket: 'Standard', effective: 'Jun 2025', adjustment: 2, adjustmentType: 'percentage' }
+     *     ],
+     *     contractRenewals: { 'Metro Development': '2025-07-01' }
+     * });
+     * console.log(rollout.total.profit, rollout.total.goalMetMonth);
+     */
+    plan(plan, rollout = {}) {
+        try {
+            const projection = plan && plan.projection;
+            if (!projection || !(projection.volume > 0)) {
+                throw new Error('Projection with a positive volume is required');
+            }
+
+            const months = this.scaleMonths(plan.months, projection.volume);
+            const buckets = plan.buckets instanceof Map ? Array.from(plan.buckets.values()) : (plan.buckets || []);
+            const customers = new Map((plan.customers || []).map(customer => [customer.customerId, customer]));
+            const planStart = months[0].firstDay;
+            const planEnd = months[months.length - 1].lastDay;
+            const warnings = [];
+
+            const phases = this.resolvePhases(rollout.phases || [], buckets, plan.adjustments || {}, planStart);
+            const renewals = this.resolveRenewals(rollout.contractRenewals || {}, customers);
+
+            phases.filter(phase => phase.day > planEnd).forEach(phase => {
+                warnings.push(`${phase.bucketName} ${this.describeAdjustment(phase)} from ${phase.effectiveDate} starts after the plan ends`);
+            });
+            renewals.forEach((renewal, customerId) => {
+                if (renewal.day > planEnd) {
+                    warnings.push(`${customers.get(customerId).customerName} renews on ${renewal.renewalDate}, after the plan ends: no increase for them`);
+                }
+            });
+
+            const costBasis = {
+                manufacturingPerYard: projection.manufacturingPerYard,
+                labor: projection.labor,
+                fixed: projection.fixed,
+                volume: projection.volume
+            };
+            const bucketPlans = buckets.map(bucket => this.getBucketCustomers(bucket, customers));
+
+            const phased = this.projectMonths(months, buckets, bucketPlans, phases, renewals, projection, costBasis);
+            const immediate = this.projectMonths(months, buckets, bucketPlans, phases, new Map(), projection, costBasis, true);
+
+            const profitGoal = projection.profitGoal || 0;
+            let cumulativeProfit = 0;
+            let goalMetMonth = null;
+            phased.forEach(month => {
+                cumulativeProfit += month.profit;
+                month.cumulativeProfit = this.round(cumulativeProfit, 2);
+                month.goalProgress = profitGoal > 0 ? this.round(cumulativeProfit / profitGoal * 100, 1) : null;
+                if (profitGoal > 0 && goalMetMonth === null && cumulativeProfit >= profitGoal) {
+                    goalMetMonth = month.month;
+                }
+            });
+
+            const sum = (list, key) => list.reduce((total, month) => total + month[key], 0);
+            const total = {
+                volume: this.round(sum(phased, 'volume'), 2),
+                baseRevenue: this.round(sum(phased, 'baseRevenue'), 2),
+                baseProfit: this.round(sum(phased, 'baseProfit'), 2),
+                revenueChange: this.round(sum(phased, 'revenueChange'), 2),
+                profitChange: this.round(sum(phased, 'profitChange'), 2),
+                revenue: this.round(sum(phased, 'revenue'), 2),
+                profit: this.round(sum(phased, 'profit'), 2),
+                profitGoal,
+                goalProgress: profitGoal > 0 ? this.round(cumulativeProfit / profitGoal * 100, 1) : null,
+                goalMetMonth
+            };
+            const immediateProfitChange = this.round(sum(immediate, 'profitChange'), 2);
+
+            return {
+                months: phased,
+                phases: phases.map(phase => ({
+                    bucketId: phase.bucketId,
+                    bucketName: phase.bucketName,
+                    effectiveDate: phase.effectiveDate,
+                    month: this.formatMonth(this.getMonthIndex(phase.day)),
+                    adjustment: phase.adjustment,
+                    adjustmentType: phase.adjustmentType,
+                    source: phase.source,
+                    exemptUntilRenewal: bucketPlans[buckets.findIndex(bucket => bucket.bucketId === phase.bucketId)].customers
+                        .filter(({ customer }) => renewals.has(customer.customerId) && renewals.get(customer.customerId).day > phase.day)
+                        .map(({ customer }) => ({
+                            customerId: customer.customerId,
+                            customerName: customer.customerName,
+                            renewalDate: renewals.get(customer.customerId).renewalDate
+                        }))
+                })),
+                total,
+                immediate: {
+                    profitChange: immediateProfitChange,
+                    profit: this.round(total.baseProfit + immediateProfitChange, 2)
+                },
+                phasingCost: this.round(immediateProfitChange - total.profitChange, 2),
+                warnings
+            };
+
+        } catch (error) {
+            console.error('Error planning price rollout:', error);
+            throw new Error(`Price rollout planning failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Seasonal shape of the plan period from the selected historical months
+     *
+     * The months are the selected ones moved past the end of the history
+     * (as VolumeForecaster matches them), each weighted by the volume of
+     * the same calendar month in the selection.
+     *
+     * @param {Object} historical - ProfitPlanCalculator.summarizeHistoricalPeriod result
+     * @param {Object} historicalData - Monthly data keyed by month label
+     * @returns {Array<Object>} [{month, volume}] oldest first
+     *
+     * @example
+     * planner.getSeasonalMonths(historical, historicalData); // [{month: 'Jan 2025', volume: 1320}, ...]
+     */
+    getSeasonalMonths(historical, historicalData) {
+        const volumeByName = {};
+        historical.months.forEach(month => {
+            const name = month.split(' ')[0];
+            volumeByName[name] = volumeByName[name] || [];
+            volumeByName[name].push(historicalData[month].volume);
+        });
+
+        return new rolloutPlannerModules.VolumeForecaster()
+            .getMatchingFutureMonths(historical.months, historicalData)
+            .map(month => {
+                const volumes = volumeByName[month.split(' ')[0]];
+                return { month, volume: volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length };
+            });
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Plan months oldest first with their days, scaled to the projected volume
+     * @private
+     */
+    scaleMonths(months, volume) {
+        if (!Array.isArray(months) || months.length === 0) {
+            throw new Error('Plan months are required');
+        }
+
+        const parsed = months.map(entry => {
+            if (!entry || !(entry.volume >= 0)) {
+                throw new Error(`${entry && entry.month} needs a non-negative volume`);
+            }
+            const index = this.parseMonth(entry.month);
+            return { month: this.formatMonth(index), index, shape: entry.volume };
+        }).sort((a, b) => a.index - b.index);
+
+        parsed.forEach((entry, position) => {
+            if (position > 0 && entry.index === parsed[position - 1].index) {
+                throw new Error(`${entry.month} is listed twice`);
+            }
+        });
+
+        const shapeTotal = parsed.reduce((sum, entry) => sum + entry.shape, 0);
+        if (!(shapeTotal > 0)) {
+            throw new Error('Plan months have no volume');
+        }
+
+        return parsed.map(entry => ({
+            month: entry.month,
+            index: entry.index,
+            firstDay: this.getDayNumber(Math.floor(entry.index / 12), entry.index % 12, 1),
+            lastDay: this.getDayNumber(Math.floor(entry.index / 12), entry.index % 12 + 1, 1) - 1,
+            volume: volume * entry.shape / shapeTotal
+        }));
+    }
+
+    /**
+     * Phases with bucket and effective day, plus each unphased bucket's own
+     * adjustment from the plan start, in effective order
+     * @private
+     */
+    resolvePhases(phaseList, buckets, adjustments, planStart) {
+        if (!Array.isArray(phaseList)) {
+            throw new Error('Rollout phases must be a list');
+        }
+
+        const phases = phaseList.map((phase, position) => {
+            const bucket = buckets.find(candidate => candidate.bucketId === phase.bucket || candidate.bucketName === phase.bucket);
+            if (!bucket) {
+                throw new Error(`Phase ${position + 1} names an unknown or empty bucket "${phase.bucket}"`);
+            }
+            if (typeof phase.adjustment !== 'number' || !isFinite(phase.adjustment)) {
+                throw new Error(`Phase ${position + 1} needs a numeric adjustment`);
+            }
+            const adjustmentType = phase.adjustmentType || 'percentage';
+            if (!['percentage', 'absolute'].includes(adjustmentType)) {
+                throw new Error(`Phase ${position + 1} adjustmentType must be percentage or absolute`);
+            }
+
+            return {
+                bucketId: bucket.bucketId,
+                bucketName: bucket.bucketName,
+                effectiveDate: phase.effective,
+                day: this.parseDate(phase.effective, `Phase ${position + 1}`),
+                adjustment: phase.adjustment,
+                adjustmentType,
+                source: 'phase',
+                order: position
+            };
+        });
+
+        const phasedBuckets = new Set(phases.map(phase => phase.bucketId));
+        buckets.forEach(bucket => {
+            const adjustment = adjustments[bucket.bucketId];
+            if (!phasedBuckets.has(bucket.bucketId) && adjustment && adjustment.adjustment !== 0) {
+                phases.push({
+                    bucketId: bucket.bucketId,
+                    bucketName: bucket.bucketName,
+                    effectiveDate: this.formatDate(planStart),
+                    day: planStart,
+                    adjustment: adjustment.adjustment,
+                    adjustmentType: adjustment.adjustmentType,
+                    source: 'bucket',
+                    order: phases.length
+                });
+            }
+        });
+
+        return phases.sort((a, b) => a.day - b.day || a.order - b.order);
+    }
+
+    /**
+     * Contract renewal day per customer ID
+     * @private
+     */
+    resolveRenewals(contractRenewals, customers) {
+        const renewals = new Map();
+        Object.entries(contractRenewals).forEach(([key, date]) => {
+            const customer = customers.get(key) || Array.from(customers.values()).find(candidate => candidate.customerName === key);
+            if (!customer) {
+                throw new Error(`Contract renewal for unknown customer "${key}"`);
+            }
+            renewals.set(customer.customerId, { renewalDate: date, day: this.parseDate(date, `Renewal of ${key}`) });
+        });
+        return renewals;
+    }
+
+    /**
+     * A bucket's customers with their share of its volume
+     * @private
+     */
+    getBucketCustomers(bucket, customers) {
+        const members = (bucket.assignedCustomers || [])
+            .map(customerId => customers.get(customerId))
+            .filter(customer => customer !== undefined);
+        const volume = members.reduce((sum, customer) => sum + (customer.totalVolume || 0), 0);
+
+        return {
+            customers: members.map(customer => ({
+                customer,
+                share: volume > 0 ? (customer.totalVolume || 0) / volume : 1 / members.length
+            }))
+        };
+    }
+
+    /**
+     * Month rows: base projection plus each bucket's impact at its average
+     * price change over the month's days
+     * @private
+     */
+    projectMonths(months, buckets, bucketPlans, phases, renewals, projection, costBasis, immediate = false) {
+        const lumpSumPerMonth = (projection.labor + projection.fixed) / months.length;
+
+        return months.map(month => {
+            const baseRevenue = projection.averageRevenuePerYard * month.volume;
+            const baseProfit = baseRevenue - projection.manufacturingPerYard * month.volume - lumpSumPerMonth;
+            const share = month.volume / projection.volume;
+
+            const bucketRows = buckets.map((bucket, position) => {
+                const bucketPhases = phases.filter(phase => phase.bucketId === bucket.bucketId);
+                const members = bucketPlans[position].customers;
+                const customersOf = members.length > 0 ? members : [{ customer: null, share: 1 }];
+
+                // Volume-weighted price change over the month's days
+                let priceChange = 0;
+                let exempt = 0;
+                customersOf.forEach(({ customer, share: customerShare }) => {
+                    const renewal = !immediate && customer && renewals.has(customer.customerId)
+                        ? renewals.get(customer.customerId).day
+                        : -Infinity;
+                    const basePrice = customer ? this.getCustomerPrice(customer, bucket) : bucket.averagePrice || 0;
+                    let days = 0;
+                    for (let day = month.firstDay; day <= month.lastDay; day++) {
+                        days += this.getPriceChange(customer, basePrice, bucketPhases, day, renewal, immediate);
+                    }
+                    priceChange += customerShare * days / (month.lastDay - month.firstDay + 1);
+                    if (renewal > month.firstDay && bucketPhases.some(phase => phase.day <= month.lastDay && phase.day < renewal)) {
+                        exempt++;
+                    }
+                });
+
+                const impact = priceChange !== 0
+                    ? this.pricingCalculator.calculateBucketImpact(
+                        { ...bucket, totalVolume: (bucket.totalVolume || 0) * share },
+                        { adjustment: priceChange, adjustmentType: 'absolute' },
+                        // Price exceptions are already in the customers' price changes
+                        { costBasis, customerExceptions: false }
+                    )
+                    : { revenueChange: 0, profitChange: 0 };
+
+                return {
+                    bucketId: bucket.bucketId,
+                    bucketName: bucket.bucketName,
+                    priceChange: this.round(priceChange, 2),
+                    revenueChange: this.round(impact.revenueChange, 2),
+                    profitChange: this.round(impact.profitChange, 2),
+                    exemptCustomers: exempt
+                };
+            });
+
+            const revenueChange = bucketRows.reduce((sum, row) => sum + row.revenueChange, 0);
+            const profitChange = bucketRows.reduce((sum, row) => sum + row.profitChange, 0);
+            return {
+                month: month.month,
+                volume: this.round(month.volume, 2),
+                baseRevenue: this.round(baseRevenue, 2),
+                baseProfit: this.round(baseProfit, 2),
+                revenueChange: this.round(revenueChange, 2),
+                profitChange: this.round(profitChange, 2),
+                revenue: this.round(baseRevenue + revenueChange, 2),
+                profit: this.round(baseProfit + profitChange, 2),
+                buckets: bucketRows
+            };
+        });
+    }
+
+    /**
+     * Price change per yard on a day after the phases in effect for a
+     * customer and their price exception
+     * @private
+     */
+    getPriceChange(customer, basePrice, bucketPhases, day, renewal, immediate) {
+        let price = basePrice;
+        bucketPhases.forEach(phase => {
+            if (immediate || (phase.day <= day && renewal <= day)) {
+                price = phase.adjustmentType === 'percentage'
+                    ? price * (1 + phase.adjustment / 100)
+                    : price + phase.adjustment;
+            }
+        });
+
+        const billed = customer
+            ? this.pricingCalculator.getCustomerPrice(customer.customerId, basePrice, Math.max(0.01, price), day)
+            : price;
+        return billed - basePrice;
+    }
+
+    /**
+     * Customer's own average price per yard
+     * @private
+     */
+    getCustomerPrice(customer, bucket) {
+        if (customer.totalRevenue > 0 && customer.totalVolume > 0) {
+            return customer.totalRevenue / customer.totalVolume;
+        }
+        return customer.averageUnitPrice || bucket.averagePrice || 0;
+    }
+
+    /**
+     * Day number of a month label ('Mar 2025', first day) or ISO date ('2025-03-15')
+     * @private
+     */
+    parseDate(value, label) {
+        const text = String(value || '').trim();
+        const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+        if (iso) {
+            const year = Number(iso[1]);
+            const month = Number(iso[2]) - 1;
+            const day = Number(iso[3]);
+            const date = new Date(Date.UTC(year, month, day));
+            if (date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+                throw new Error(`${label}: invalid date "${text}"`);
+            }
+            return this.getDayNumber(year, month, day);
+        }
+
+        try {
+            const index = this.parseMonth(text);
+            return this.getDayNumber(Math.floor(index / 12), index % 12, 1);
+        } catch (error) {
+            throw new Error(`${label}: date must be a month like "Mar 2025" or a date like "2025-03-01", not "${text}"`);
+        }
+    }
+
+    /**
+     * Month index (year * 12 + month) of a 'Mon YYYY' label
+     * @private
+     */
+    parseMonth(month) {
+        const [name, year] = String(month).split(' ');
+        const monthIndex = this.monthNames.indexOf(name);
+        if (monthIndex < 0 || !/^\d{4}$/.test(year || '')) {
+            throw new Error(`Month "${month}" must look like "Jan 2025"`);
+        }
+        return Number(year) * 12 + monthIndex;
+    }
+
+    /**
+     * Month label of a month index
+     * @private
+     */
+    formatMonth(index) {
+        return `${this.monthNames[index % 12]} ${Math.floor(index / 12)}`;
+    }
+
+    /**
+     * Days since the epoch (month may overflow into the next year)
+     * @private
+     */
+    getDayNumber(year, month, day) {
+        return Date.UTC(year, month, day) / 86400000;
+    }
+
+    /**
+     * Month index of a day number
+     * @private
+     */
+    getMonthIndex(dayNumber) {
+        const date = new Date(dayNumber * 86400000);
+        return date.getUTCFullYear() * 12 + date.getUTCMonth();
+    }
+
+    /**
+     * ISO date of a day number
+     * @private
+     */
+    formatDate(dayNumber) {
+        return new Date(dayNumber * 86400000).toISOString().slice(0, 10);
+    }
+
+    /**
+     * '+3%' or '+$2.00/yd'
+     * @private
+     */
+    describeAdjustment(phase) {
+        const sign = phase.adjustment > 0 ? '+' : '';
+        return phase.adjustmentType === 'percentage'
+            ? `${sign}${phase.adjustment}%`
+            : `${sign}$${phase.adjustment.toFixed(2)}/yd`;
+    }
+
+    /**
+     * Round to a number of decimals
+     * @private
+     */
+    round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceRolloutPlanner;
+} else if (typeof window !== 'undefined') {
+    window.PriceRolloutPlanner = PriceRolloutPlanner;
+}
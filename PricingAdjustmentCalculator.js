@@ -0,0 +1,1899 @@
+/**
+ * @class PricingAdjustmentCalculator
+ * @description Handles revenue impact analysis and pricing recommendations for Step 5
+ * @version 1.0.0
+ * @author Claude Code Implementation
+ */
+class PricingAdjustmentCalculator {
+    constructor() {
+        /** @type {number} Price elasticity coefficient for demand impact estimation */
+        this.priceElasticity = -0.3;
+        
+        /** @type {Object} Business constraints for pricing adjustments */
+        this.constraints = {
+            maxPriceIncrease: 1.0,      // 100% increase maximum
+            minPriceDecrease: -0.5,     // 50% decrease maximum
+            maxAbsoluteAdjustment: 100, // $100 maximum absolute adjustment
+            marketCeilingPrice: 200,    // $200/yard competitive ceiling
+            minimumMargin: 0.05,        // 5% minimum profit margin
+            maxChurnRate: 0.15          // 15% maximum acceptable customer churn
+        };
+        
+        /** @type {Object} Strategy weights for different approaches */
+        this.strategyWeights = {
+            proportional: { risk: 0.2, impact: 0.6, feasibility: 0.8 },
+            volumeBased: { risk: 0.4, impact: 0.8, feasibility: 0.7 },
+            marginBased: { risk: 0.3, impact: 0.7, feasibility: 0.9 },
+            riskMinimized: { risk: 0.1, impact: 0.4, feasibility: 1.0 }
+        };
+        
+        /** @type {Array} Cache for calculation results */
+        this.calculationCache = new Map();
+
+        /** @type {Object|null} Mixed cost basis for bucket costs per yard (see setCostBasis) */
+        this.costBasis = null;
+
+        /** @type {Map<string, Object>} Demand models by bucket ID (see setDemandModel) */
+        this.demandModels = new Map();
+
+        /** @type {Array<Object>} Customer segment demand models {name, criteria, model}; first match wins */
+        this.segmentDemandModels = [];
+
+        /** @type {Map<string, Object>} Price exceptions by customer ID (see setCustomerExceptions) */
+        this.customerExceptions = new Map();
+
+        /** @type {Map<string, Object>} Customer records for customer-level bucket impact */
+        this.exceptionCustomers = new Map();
+
+        /** @type {Object|null} Plan period {startDay, endDay} that contract end dates are measured against */
+        this.exceptionPeriod = null;
+        
+        this.initializeAnalytics();
+    }
+
+    /**
+     * Initialize analytics tracking
+     * @private
+     */
+    initializeAnalytics() {
+        /** @type {Object} Performance metrics tracking */
+        this.metrics = {
+            calculationsPerformed: 0,
+            totalRevenueAnalyzed: 0,
+            strategiesGenerated: 0,
+            averageCalculationTime: 0
+        };
+    }
+
+    /**
+     * Set the Step 3 mixed cost basis used to cost every bucket
+     *
+     * Each yard carries the variable manufacturing cost plus its share of the
+     * labor and fixed budgets (allocated by volume). The allocated labor and
+     * fixed dollars stay put when volume changes; only manufacturing follows
+     * volume. Pass null to fall back to costs implied by each bucket's margin.
+     * @param {Object|null} costBasis - {manufacturingPerYard, labor, fixed, volume}
+     * @returns {Object|null} Normalized cost basis
+     * @throws {Error} If the cost basis has no positive volume or negative costs
+     * @example
+     * calculator.setCostBasis({ manufacturingPerYard: 43, labor: 70000, fixed: 37000, volume: 4000 });
+     */
+    setCostBasis(costBasis) {
+        this.costBasis = costBasis ? this.normalizeCostBasis(costBasis) : null;
+        return this.costBasis;
+    }
+
+    /**
+     * Set the demand model (elasticity and churn curves) for one bucket
+     *
+     * Elasticity is either a constant or a step curve whose bands apply to
+     * successive slices of the price change, so the response stays
+     * continuous across thresholds. Churn is either linear in the increase
+     * (capped) or a step function of it. Pass null to clear the bucket's model.
+     * @param {string} bucketId - Bucket ID
+     * @param {Object|null} model - {elasticity, churn, volumeMultiplierRange, source}
+     * @param {number|Object} model.elasticity - Constant, or {type: 'steps', steps: [{upTo, elasticity}]} (upTo in %, null for the last band)
+     * @param {Object} model.churn - {type: 'linear', rate, max} or {type: 'steps', steps: [{threshold, churn}]} (threshold in %)
+     * @param {Object} model.volumeMultiplierRange - {min, max} bounds on the volume multiplier (default 0.5-1.5)
+     * @param {string} model.source - Where the parameters came from (e.g. an estimate)
+     * @returns {Object|null} Normalized model
+     * @throws {Error} If the model is invalid
+     * @example
+     * calculator.setDemandModel(bucketId, {
+     *     elasticity: { type: 'steps', steps: [{ upTo: 5, elasticity: -0.1 }, { upTo: null, elasticity: -0.8 }] },
+     *     churn: { type: 'steps', steps: [{ threshold: 5, churn: 0.02 }, { threshold: 10, churn: 0.12 }] }
+     * });
+     */
+    setDemandModel(bucketId, model) {
+        if (!bucketId) {
+            throw new Error('Bucket ID is required for a demand model');
+        }
+
+        if (!model) {
+            this.demandModels.delete(bucketId);
+            return null;
+        }
+
+        const normalized = this.normalizeDemandModel(model);
+        this.demandModels.set(bucketId, normalized);
+        return normalized;
+    }
+
+    /**
+     * Set the demand model for a customer segment
+     *
+     * Segments match buckets by average volume per customer, average price
+     * and average margin; a bucket's own model takes precedence.
+     * @param {string} name - Segment name (replaces an existing segment of the same name)
+     * @param {Object} criteria - {volumeMin, volumeMax, priceMin, priceMax, marginMin, marginMax}; omitted bounds are open
+     * @param {Object|null} model - Demand model (see setDemandModel); null removes the segment
+     * @returns {Object|null} Normalized model
+     * @throws {Error} If the name or model is invalid
+     * @example
+     * calculator.setSegmentDemandModel('Contractors', { volumeMin: 500 }, { elasticity: -0.6 });
+     */
+    setSegmentDemandModel(name, criteria = {}, model) {
+        const segmentName = String(name || '').trim();
+        if (!segmentName) {
+            throw new Error('Segment name must be a non-empty string');
+        }
+
+        this.segmentDemandModels = this.segmentDemandModels.filter(segment => segment.name !== segmentName);
+        if (!model) return null;
+
+        const normalized = this.normalizeDemandModel(model);
+        this.segmentDemandModels.push({ name: segmentName, criteria: { ...criteria }, model: normalized });
+        return normalized;
+    }
+
+    /**
+     * Set customer-level price exceptions
+     *
+     * Buckets with an excepted customer are then priced customer by
+     * customer: exempt customers keep their price, a fixed (contract) price
+     * replaces the adjusted one, and maxIncrease caps the increase. A
+     * contract end date holds the exception (or, on its own, the current
+     * price) until that day and lets the bucket price apply after it, for
+     * the share of the plan period that is left. Without a period the
+     * contract covers the whole plan. Pass an empty object to clear.
+     * @param {Object} exceptions - Customer ID → {exempt, fixedPrice, maxIncrease, maxIncreaseType, contractEndDate, note}
+     * @param {Array<Object>} customers - Customer records {customerId, customerName, totalVolume, totalRevenue, averageUnitPrice}
+     * @param {Object} options - Options
+     * @param {string} options.periodStart - First plan month ('Jan 2025') or date
+     * @param {string} options.periodEnd - Last plan month ('Mar 2025') or date
+     * @returns {Map<string, Object>} Normalized exceptions
+     * @throws {Error} If an exception is invalid or names an unknown customer
+     * @example
+     * calculator.setCustomerExceptions({
+     *     'customer-3': { fixedPrice: 128.5, contractEndDate: '2025-02-28' },
+     *     'customer-9': { maxIncrease: 2, maxIncreaseType: 'percentage' }
+     * }, customers, { periodStart: 'Jan 2025', periodEnd: 'Mar 2025' });
+     */
+    setCustomerExceptions(exceptions = {}, customers = [], options = {}) {
+        const records = new Map(customers.map(customer => [customer.customerId, customer]));
+        const normalized = new Map();
+
+        Object.entries(exceptions).forEach(([customerId, exception]) => {
+            if (!records.has(customerId)) {
+                throw new Error(`Price exception for unknown customer "${customerId}"`);
+            }
+            normalized.set(customerId, this.normalizeCustomerException(exception, records.get(customerId).customerName || customerId));
+        });
+
+        let period = null;
+        if (options.periodStart || options.periodEnd) {
+            period = {
+                startDay: this.parseExceptionDate(options.periodStart, 'Period start', false),
+                endDay: this.parseExceptionDate(options.periodEnd, 'Period end', true)
+            };
+            if (period.endDay < period.startDay) {
+                throw new Error('Period end is before its start');
+            }
+        }
+
+        this.customerExceptions = normalized;
+        this.exceptionCustomers = records;
+        this.exceptionPeriod = period;
+        return normalized;
+    }
+
+    /**
+     * Price a customer is billed after the exceptions, for a day of the plan
+     *
+     * @param {string} customerId - Customer ID
+     * @param {number} currentPrice - Customer's current price per yard
+     * @param {number} adjustedPrice - Price after the bucket adjustment
+     * @param {number|null} day - Day number (days since 1970-01-01); null means under contract
+     * @returns {number} Billable price per yard
+     * @example
+     * calculator.getCustomerPrice('customer-9', 120, 126); // 122.4 with a 2% cap
+     */
+    getCustomerPrice(customerId, currentPrice, adjustedPrice, day = null) {
+        const exception = this.customerExceptions.get(customerId);
+        if (!exception) return adjustedPrice;
+
+        // Every rule holds until the contract ends; the bucket price applies after it
+        const underContract = exception.contractEndDay === undefined || day === null || day <= exception.contractEndDay;
+        if (!underContract) return adjustedPrice;
+
+        if (exception.exempt) return currentPrice;
+        if (exception.fixedPrice !== undefined) return exception.fixedPrice;
+        if (exception.maxIncrease !== undefined) {
+            const cap = exception.maxIncreaseType === 'absolute'
+                ? currentPrice + exception.maxIncrease
+                : currentPrice * (1 + exception.maxIncrease / 100);
+            return Math.min(adjustedPrice, cap);
+        }
+        // A contract end date on its own holds the current price
+        return currentPrice;
+    }
+
+    /**
+     * Resolve the demand model for a bucket
+     *
+     * Precedence: the bucket's own demandModel field, the model set for its
+     * ID, the first matching segment, then the default (priceElasticity with
+     * linear churn).
+     * @param {Object} bucket - Customer bucket data
+     * @returns {Object} {source, elasticity, churn, volumeMultiplierRange}
+     */
+    getDemandModel(bucket) {
+        if (bucket.demandModel) {
+            return { source: bucket.demandModel.source || 'bucket', ...this.normalizeDemandModel(bucket.demandModel) };
+        }
+
+        if (bucket.bucketId && this.demandModels.has(bucket.bucketId)) {
+            return { source: 'bucket', ...this.demandModels.get(bucket.bucketId) };
+        }
+
+        const segment = this.segmentDemandModels.find(candidate => this.matchesSegment(bucket, candidate.criteria));
+        if (segment) {
+            return { source: `segment:${segment.name}`, ...segment.model };
+        }
+
+        return { source: 'default', ...this.normalizeDemandModel({ elasticity: this.priceElasticity }) };
+    }
+
+    /**
+     * Calculate comprehensive adjustment impact across all buckets
+     * @param {Map<string, Object>} buckets - Customer buckets from CustomerBucketManager
+     * @param {Object} adjustments - Price adjustments per bucket {bucketId: {adjustment, type}}
+     * @param {Object} options - Calculation options
+     * @param {Object} options.costBasis - Mixed cost basis for this calculation (default: setCostBasis value)
+     * @returns {Object} Complete impact analysis
+     */
+    calculateAdjustmentImpact(buckets, adjustments = {}, options = {}) {
+        const startTime = performance.now();
+        
+        try {
+            const {
+                includeElasticity = true,
+                scenarioType = 'realistic',
+                includeChurnImpact = true,
+                costBasis = this.costBasis
+            } = options;
+
+            let totalCurrentRevenue = 0;
+            let totalProjectedRevenue = 0;
+            let totalCurrentProfit = 0;
+            let totalProjectedProfit = 0;
+            let totalVolumeImpact = 0;
+            let averageChurnRisk = 0;
+            const bucketImpacts = new Map();
+
+            // Calculate impact for each bucket
+            for (const [bucketId, bucket] of buckets) {
+                const bucketAdjustment = adjustments[bucketId] || { adjustment: 0, adjustmentType: 'absolute' };
+                
+                const impact = this.calculateBucketImpact(bucket, bucketAdjustment, {
+                    includeElasticity,
+                    scenarioType,
+                    includeChurnImpact,
+                    costBasis
+                });
+
+                bucketImpacts.set(bucketId, impact);
+                
+                totalCurrentRevenue += impact.currentRevenue;
+                totalProjectedRevenue += impact.projectedRevenue;
+                totalCurrentProfit += impact.currentProfit;
+                totalProjectedProfit += impact.projectedProfit;
+                totalVolumeImpact += impact.volumeChange;
+                averageChurnRisk += impact.churnRisk * bucket.customerCount;
+            }
+
+            // Calculate weighted average churn risk
+            const totalCustomers = Array.from(buckets.values())
+                .reduce((sum, bucket) => sum + bucket.customerCount, 0);
+            averageChurnRisk = totalCustomers > 0 ? averageChurnRisk / totalCustomers : 0;
+
+            // Calculate aggregate metrics
+            const revenueChange = totalProjectedRevenue - totalCurrentRevenue;
+            const profitChange = totalProjectedProfit - totalCurrentProfit;
+            const revenueChangePercent = totalCurrentRevenue > 0 
+                ? (revenueChange / totalCurrentRevenue) * 100 
+                : 0;
+            const profitChangePercent = totalCurrentProfit > 0 
+                ? (profitChange / totalCurrentProfit) * 100 
+                : 0;
+
+            const result = {
+                summary: {
+                    totalCurrentRevenue,
+                    totalProjectedRevenue,
+                    totalCurrentProfit,
+                    totalProjectedProfit,
+                    revenueChange,
+                    profitChange,
+                    revenueChangePercent,
+                    profitChangePercent,
+                    volumeImpact: totalVolumeImpact,
+                    averageChurnRisk: Math.round(averageChurnRisk * 1000) / 1000
+                },
+                bucketImpacts,
+                riskAssessment: this.assessOverallRisk(bucketImpacts, averageChurnRisk),
+                recommendations: this.generateImpactRecommendations(bucketImpacts),
+                calculatedAt: new Date().toISOString(),
+                calculationTime: performance.now() - startTime
+            };
+
+            // Update metrics
+            this.metrics.calculationsPerformed++;
+            this.metrics.totalRevenueAnalyzed += totalCurrentRevenue;
+            this.updateAverageCalculationTime(performance.now() - startTime);
+
+            return result;
+
+        } catch (error) {
+            throw new Error(`Adjustment impact calculation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Calculate revenue and profit impact for individual bucket
+     *
+     * Profit is price minus cost per yard: variable manufacturing on the new
+     * volume plus the bucket's allocated labor and fixed costs, which do not
+     * shrink when elasticity reduces volume.
+     * @param {Object} bucket - Customer bucket data
+     * @param {Object} adjustment - Price adjustment {adjustment, adjustmentType}
+     * @param {Object} options - Calculation options
+     * @param {Object} options.costBasis - Mixed cost basis (default: setCostBasis value)
+     * @param {boolean} options.customerExceptions - Price customers with exceptions one by one (default true)
+     * @returns {Object} Detailed bucket impact analysis; with exceptions also customerImpacts and exceptionImpact
+     */
+    calculateBucketImpact(bucket, adjustment, options = {}) {
+        const {
+            includeElasticity = true,
+            scenarioType = 'realistic',
+            includeChurnImpact = true,
+            costBasis = this.costBasis,
+            customerExceptions = true
+        } = options;
+
+        // Validate inputs
+        if (!bucket || typeof bucket !== 'object') {
+            throw new Error('Invalid bucket data provided');
+        }
+        
+        if (!adjustment || typeof adjustment.adjustment !== 'number') {
+            throw new Error('Invalid adjustment data provided');
+        }
+
+        if (customerExceptions && this.hasCustomerExceptions(bucket)) {
+            return this.calculateCustomerLevelImpact(bucket, adjustment, options);
+        }
+
+        // Calculate current metrics
+        const currentPrice = bucket.averagePrice || 0;
+        const currentVolume = bucket.totalVolume || 0;
+        const currentRevenue = currentPrice * currentVolume;
+        const cost = this.getBucketCostPerYard(bucket, costBasis);
+
+        // Calculate new price after adjustment
+        const newPrice = this.getAdjustedPrice(currentPrice, adjustment);
+
+        // Calculate price change percentage
+        const priceChangePercent = currentPrice > 0 
+            ? ((newPrice - currentPrice) / currentPrice) * 100 
+            : 0;
+
+        // Calculate volume impact using the bucket's demand model
+        const demandModel = this.getDemandModel(bucket);
+        const { volumeMultiplier, churnRisk } = this.getDemandResponse(demandModel, priceChangePercent, includeElasticity, scenarioType);
+
+        // Calculate projected metrics
+        const projectedVolume = currentVolume * volumeMultiplier;
+        const projectedRevenue = newPrice * projectedVolume;
+
+        return this.buildBucketImpact(bucket, adjustment, {
+            currentPrice,
+            currentVolume,
+            currentRevenue,
+            newPrice,
+            priceChangePercent,
+            projectedVolume,
+            projectedRevenue,
+            churnRisk,
+            cost,
+            demandModel,
+            includeElasticity,
+            scenarioType
+        });
+    }
+
+    /**
+     * Assemble a bucket impact from its current and projected figures
+     * @private
+     */
+    buildBucketImpact(bucket, adjustment, figures) {
+        const {
+            currentPrice,
+            currentVolume,
+            currentRevenue,
+            newPrice,
+            priceChangePercent,
+            projectedVolume,
+            projectedRevenue,
+            churnRisk,
+            cost,
+            demandModel,
+            includeElasticity,
+            scenarioType
+        } = figures;
+
+        const allocatedFixedCosts = cost.allocatedPerYard * currentVolume;
+        const currentProfit = currentRevenue - cost.variablePerYard * currentVolume - allocatedFixedCosts;
+        const currentMargin = currentRevenue > 0 ? (currentProfit / currentRevenue) * 100 : 0;
+
+        // Variable cost follows volume; allocated labor and fixed costs do not
+        const projectedProfit = projectedRevenue - cost.variablePerYard * projectedVolume - allocatedFixedCosts;
+        const projectedMargin = projectedRevenue > 0 ? (projectedProfit / projectedRevenue) * 100 : 0;
+
+        // Calculate changes
+        const revenueChange = projectedRevenue - currentRevenue;
+        const profitChange = projectedProfit - currentProfit;
+        const volumeChange = projectedVolume - currentVolume;
+
+        // Assess risk factors
+        const riskFactors = this.assessBucketRisk(bucket, adjustment, newPrice, churnRisk);
+
+        return {
+            bucketId: bucket.bucketId,
+            bucketName: bucket.bucketName,
+            customerCount: bucket.customerCount,
+            
+            // Current state
+            currentPrice: Math.round(currentPrice * 100) / 100,
+            currentVolume: Math.round(currentVolume * 10) / 10,
+            currentRevenue: Math.round(currentRevenue * 100) / 100,
+            currentProfit: Math.round(currentProfit * 100) / 100,
+            currentMargin: Math.round(currentMargin * 100) / 100,
+            
+            // Projected state
+            newPrice: Math.round(newPrice * 100) / 100,
+            projectedVolume: Math.round(projectedVolume * 10) / 10,
+            projectedRevenue: Math.round(projectedRevenue * 100) / 100,
+            projectedProfit: Math.round(projectedProfit * 100) / 100,
+            projectedMargin: Math.round(projectedMargin * 100) / 100,
+
+            // Cost model
+            costPerYard: Math.round((cost.variablePerYard + cost.allocatedPerYard) * 100) / 100,
+            variableCostPerYard: Math.round(cost.variablePerYard * 100) / 100,
+            allocatedCostPerYard: Math.round(cost.allocatedPerYard * 100) / 100,
+            allocatedFixedCosts: Math.round(allocatedFixedCosts * 100) / 100,
+            costSource: cost.source,
+            
+            // Changes
+            priceChange: Math.round((newPrice - currentPrice) * 100) / 100,
+            priceChangePercent: Math.round(priceChangePercent * 100) / 100,
+            revenueChange: Math.round(revenueChange * 100) / 100,
+            profitChange: Math.round(profitChange * 100) / 100,
+            volumeChange: Math.round(volumeChange * 10) / 10,
+            volumeChangePercent: currentVolume > 0 
+                ? Math.round(((projectedVolume - currentVolume) / currentVolume) * 10000) / 100
+                : 0,
+            
+            // Risk assessment
+            churnRisk: Math.round(churnRisk * 1000) / 1000,
+            riskFactors,
+            riskLevel: this.calculateRiskLevel(riskFactors),
+            
+            // Metadata
+            elasticityApplied: includeElasticity,
+            demandModel,
+            scenarioType,
+            adjustmentType: adjustment.adjustmentType,
+            originalAdjustment: adjustment.adjustment
+        };
+    }
+
+    /**
+     * Calculate progress toward profit goal achievement
+     * @param {number} currentProfit - Current projected profit before adjustments
+     * @param {number} projectedProfit - Projected profit after adjustments
+     * @param {number} goalProfit - Target profit goal
+     * @returns {Object} Goal achievement analysis
+     */
+    calculateGoalAchievement(currentProfit, projectedProfit, goalProfit) {
+        if (typeof currentProfit !== 'number' || typeof projectedProfit !== 'number' || typeof goalProfit !== 'number') {
+            throw new Error('All profit values must be numbers');
+        }
+
+        const currentGap = goalProfit - currentProfit;
+        const projectedGap = goalProfit - projectedProfit;
+        const gapReduction = currentGap - projectedGap;
+        
+        const currentAchievement = goalProfit > 0 ? (currentProfit / goalProfit) * 100 : 0;
+        const projectedAchievement = goalProfit > 0 ? (projectedProfit / goalProfit) * 100 : 0;
+        const achievementImprovement = projectedAchievement - currentAchievement;
+
+        // Calculate confidence level based on gap size and realism
+        let confidenceLevel = 'high';
+        if (Math.abs(projectedGap) > goalProfit * 0.1) {
+            confidenceLevel = projectedGap > 0 ? 'medium' : 'low';
+        }
+
+        // Determine status and recommendations
+        let status, recommendation;
+        if (projectedProfit >= goalProfit) {
+            status = 'goal_achieved';
+            recommendation = 'Goal achieved! Consider optimizing for customer retention.';
+        } else if (gapReduction > currentGap * 0.5) {
+            status = 'significant_progress';
+            recommendation = 'Significant progress toward goal. Consider additional strategies.';
+        } else if (gapReduction > currentGap * 0.2) {
+            status = 'moderate_progress';
+            recommendation = 'Moderate progress. Explore additional revenue opportunities.';
+        } else {
+            status = 'minimal_progress';
+            recommendation = 'Minimal impact. Consider alternative strategies or adjust goal.';
+        }
+
+        return {
+            goalProfit: Math.round(goalProfit * 100) / 100,
+            currentProfit: Math.round(currentProfit * 100) / 100,
+            projectedProfit: Math.round(projectedProfit * 100) / 100,
+            
+            currentGap: Math.round(currentGap * 100) / 100,
+            projectedGap: Math.round(projectedGap * 100) / 100,
+            gapReduction: Math.round(gapReduction * 100) / 100,
+            gapReductionPercent: currentGap !== 0 ? Math.round((gapReduction / Math.abs(currentGap)) * 10000) / 100 : 0,
+            
+            currentAchievement: Math.round(currentAchievement * 100) / 100,
+            projectedAchievement: Math.round(projectedAchievement * 100) / 100,
+            achievementImprovement: Math.round(achievementImprovement * 100) / 100,
+            
+            status,
+            confidenceLevel,
+            recommendation,
+            
+            isGoalAchieved: projectedProfit >= goalProfit,
+            additionalRevenueNeeded: Math.max(0, projectedGap),
+            
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Calculate the direct revenue impact of bucket adjustments per customer
+     *
+     * Applies each bucket's price adjustment to the assigned customers' own
+     * average price and volume, without elasticity, honouring customer price
+     * exceptions. This is the figure the Step 5 pricing impact panel adds
+     * to the projected profit.
+     * @param {Map<string, Object>} buckets - Buckets with adjustments {priceAdjustment, adjustmentType}
+     * @param {Array<Object>} customers - Customer analytics with bucketId assignments
+     * @returns {Object} Current revenue of assigned customers and the revenue impact
+     */
+    calculateRevenueImpact(buckets, customers) {
+        let revenueImpact = 0;
+        let totalCurrentRevenue = 0;
+
+        buckets.forEach((bucket, bucketId) => {
+            const assignedCustomers = customers.filter(c => c.bucketId === bucketId);
+
+            assignedCustomers.forEach(customer => {
+                const currentRevenue = customer.totalRevenue;
+                totalCurrentRevenue += currentRevenue;
+
+                if (bucket.adjustments.priceAdjustment !== 0) {
+                    let newPrice = customer.averageUnitPrice;
+
+                    if (bucket.adjustments.adjustmentType === 'percentage') {
+                        newPrice = newPrice * (1 + bucket.adjustments.priceAdjustment / 100);
+                    } else {
+                        newPrice = newPrice + bucket.adjustments.priceAdjustment;
+                    }
+                    newPrice = this.getCustomerPeriodPrice(customer.customerId, customer.averageUnitPrice, newPrice);
+
+                    const newRevenue = customer.totalVolume * newPrice;
+                    revenueImpact += (newRevenue - currentRevenue);
+                }
+            });
+        });
+
+        return { totalCurrentRevenue, revenueImpact };
+    }
+
+    /**
+     * Generate comprehensive pricing recommendations
+     * @param {number} profitGap - Gap between goal and projected profit
+     * @param {Map<string, Object>} buckets - Customer buckets
+     * @param {Object} options - Strategy options
+     * @param {Object} options.costBasis - Mixed cost basis for this calculation (default: setCostBasis value)
+     * @returns {Object} Pricing strategy recommendations
+     */
+    generatePricingRecommendations(profitGap, buckets, options = {}) {
+        const {
+            maxRiskLevel = 'medium',
+            preferredStrategy = 'auto',
+            includeAlternatives = true,
+            costBasis = this.costBasis
+        } = options;
+        const impactOptions = { costBasis };
+
+        if (!buckets || buckets.size === 0) {
+            throw new Error('No customer buckets provided for recommendations');
+        }
+
+        // Calculate total current revenue and volume for baseline
+        const totalRevenue = Array.from(buckets.values())
+            .reduce((sum, bucket) => sum + (bucket.averagePrice * bucket.totalVolume), 0);
+        const totalVolume = Array.from(buckets.values())
+            .reduce((sum, bucket) => sum + bucket.totalVolume, 0);
+
+        const strategies = [];
+
+        // Generate different strategies
+        if (profitGap > 0) {
+            // Need to increase profit
+            strategies.push(
+                this.calculateProportionalIncrease(profitGap, totalRevenue, buckets, impactOptions),
+                this.calculateVolumeBasedStrategy(profitGap, buckets, impactOptions),
+                this.calculateMarginBasedStrategy(profitGap, buckets, impactOptions),
+                this.calculateRiskMinimizedStrategy(profitGap, buckets, impactOptions)
+            );
+        } else if (profitGap < 0) {
+            // Profit exceeds goal - could optimize for retention or market share
+            strategies.push(this.generateOptimizationStrategies(Math.abs(profitGap), buckets));
+        }
+
+        // Filter strategies by risk level
+        const acceptableStrategies = strategies.filter(strategy => 
+            this.compareRiskLevels(strategy.riskLevel, maxRiskLevel) <= 0
+        );
+
+        // Select primary recommendation
+        let primaryStrategy;
+        if (preferredStrategy === 'auto') {
+            primaryStrategy = this.selectOptimalStrategy(acceptableStrategies);
+        } else {
+            primaryStrategy = acceptableStrategies.find(s => s.strategyType === preferredStrategy) 
+                || acceptableStrategies[0];
+        }
+
+        const result = {
+            profitGap: Math.round(profitGap * 100) / 100,
+            totalRevenue,
+            totalVolume,
+            
+            primaryRecommendation: primaryStrategy,
+            alternativeStrategies: includeAlternatives ? acceptableStrategies.filter(s => s !== primaryStrategy) : [],
+            
+            implementationNotes: this.generateImplementationNotes(primaryStrategy),
+            riskWarnings: this.generateRiskWarnings(primaryStrategy),
+            
+            generatedAt: new Date().toISOString()
+        };
+
+        this.metrics.strategiesGenerated++;
+        return result;
+    }
+
+    /**
+     * Calculate proportional price increase across all buckets
+     * @param {number} profitGap - Required additional profit
+     * @param {number} totalRevenue - Current total revenue
+     * @param {Map<string, Object>} buckets - Customer buckets
+     * @param {Object} impactOptions - Options passed to calculateBucketImpact
+     * @returns {Object} Proportional increase strategy
+     */
+    calculateProportionalIncrease(profitGap, totalRevenue, buckets, impactOptions = {}) {
+        // Find the increase whose profit change (after elasticity) closes the gap
+        const maxIncrease = this.constraints.maxPriceIncrease * 100;
+        const profitChangeAt = percent => Array.from(buckets.values()).reduce((sum, bucket) =>
+            sum + this.calculateBucketImpact(bucket, { adjustment: percent, adjustmentType: 'percentage' }, impactOptions).profitChange, 0);
+        const feasible = totalRevenue > 0 && profitChangeAt(maxIncrease) >= profitGap;
+        const proportionalIncrease = feasible ? this.findRequiredIncrease(profitChangeAt, profitGap, maxIncrease) : maxIncrease;
+
+        const adjustments = new Map();
+        const bucketImpacts = new Map();
+        let totalRisk = 0;
+        let totalProfitIncrease = 0;
+
+        // Apply same percentage increase to all buckets
+        for (const [bucketId, bucket] of buckets) {
+            const adjustment = {
+                adjustment: proportionalIncrease,
+                adjustmentType: 'percentage'
+            };
+
+            const impact = this.calculateBucketImpact(bucket, adjustment, impactOptions);
+            
+            adjustments.set(bucketId, adjustment);
+            bucketImpacts.set(bucketId, impact);
+            totalRisk += impact.churnRisk * bucket.customerCount;
+            totalProfitIncrease += impact.profitChange;
+        }
+
+        const avgRisk = Array.from(buckets.values())
+            .reduce((sum, bucket) => sum + bucket.customerCount, 0) > 0
+            ? totalRisk / Array.from(buckets.values()).reduce((sum, bucket) => sum + bucket.customerCount, 0)
+            : 0;
+
+        return {
+            strategyType: 'proportional',
+            name: 'Proportional Price Increase',
+            description: `Apply ${proportionalIncrease.toFixed(1)}% price increase across all customer segments equally`,
+            
+            adjustments,
+            bucketImpacts,
+            
+            expectedProfitIncrease: Math.round(totalProfitIncrease * 100) / 100,
+            remainingGap: Math.max(0, Math.round((profitGap - totalProfitIncrease) * 100) / 100),
+            requiredPriceIncrease: proportionalIncrease,
+            
+            riskLevel: this.categorizeRisk(avgRisk),
+            averageChurnRisk: Math.round(avgRisk * 1000) / 1000,
+            feasible,
+            
+            pros: [
+                'Fair and consistent across all customers',
+                'Simple to implement and communicate',
+                'Maintains relative pricing relationships'
+            ],
+            cons: [
+                'May not optimize for customer value differences',
+                'One-size-fits-all approach may miss opportunities',
+                feasible ? null : 'Required increase exceeds maximum constraints'
+            ].filter(Boolean),
+            
+            implementationComplexity: 'low',
+            timeToImplement: '1-2 weeks',
+            
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Calculate volume-based pricing strategy targeting high-volume customers
+     * @param {number} profitGap - Required additional profit
+     * @param {Map<string, Object>} buckets - Customer buckets
+     * @param {Object} impactOptions - Options passed to calculateBucketImpact
+     * @returns {Object} Volume-based strategy
+     */
+    calculateVolumeBasedStrategy(profitGap, buckets, impactOptions = {}) {
+        // Sort buckets by volume (descending)
+        const sortedBuckets = Array.from(buckets.entries())
+            .sort(([,a], [,b]) => b.totalVolume - a.totalVolume);
+
+        const adjustments = new Map();
+        const bucketImpacts = new Map();
+        let remainingGap = profitGap;
+        let totalRisk = 0;
+        let customerCount = 0;
+
+        // Apply higher increases to higher volume buckets first
+        for (const [bucketId, bucket] of sortedBuckets) {
+            if (remainingGap <= 0) break;
+            
+            // Calculate volume-based increase (higher volume = higher increase)
+            const volumeRank = bucket.totalVolume / sortedBuckets[0][1].totalVolume;
+            const baseIncrease = Math.min(15, (remainingGap / (bucket.averagePrice * bucket.totalVolume)) * 100);
+            const volumeWeightedIncrease = baseIncrease * (0.5 + 0.5 * volumeRank);
+            
+            const adjustment = {
+                adjustment: Math.min(volumeWeightedIncrease, this.constraints.maxPriceIncrease * 100),
+                adjustmentType: 'percentage'
+            };
+            
+            const impact = this.calculateBucketImpact(bucket, adjustment, impactOptions);
+            
+            adjustments.set(bucketId, adjustment);
+            bucketImpacts.set(bucketId, impact);
+            
+            remainingGap -= impact.profitChange;
+            totalRisk += impact.churnRisk * bucket.customerCount;
+            customerCount += bucket.customerCount;
+        }
+
+        const avgRisk = customerCount > 0 ? totalRisk / customerCount : 0;
+        const gapClosed = profitGap - Math.max(0, remainingGap);
+
+        return {
+            strategyType: 'volumeBased',
+            name: 'Volume-Based Price Optimization',
+            description: 'Apply higher price increases to high-volume customers for maximum revenue impact',
+            
+            adjustments,
+            bucketImpacts,
+            
+            expectedProfitIncrease: gapClosed,
+            remainingGap: Math.max(0, remainingGap),
+            gapClosurePercent: profitGap > 0 ? (gapClosed / profitGap) * 100 : 100,
+            
+            riskLevel: this.categorizeRisk(avgRisk),
+            averageChurnRisk: Math.round(avgRisk * 1000) / 1000,
+            feasible: remainingGap <= profitGap * 0.1,
+            
+            pros: [
+                'Maximum revenue impact per customer',
+                'Focuses on most valuable relationships',
+                'Leverages customer dependency on volume'
+            ],
+            cons: [
+                'Higher risk of losing major customers',
+                'May damage long-term relationships',
+                'Requires careful customer communication'
+            ],
+            
+            implementationComplexity: 'medium',
+            timeToImplement: '2-4 weeks',
+            
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Calculate margin-based pricing strategy focusing on high-margin opportunities
+     * @param {number} profitGap - Required additional profit
+     * @param {Map<string, Object>} buckets - Customer buckets
+     * @param {Object} impactOptions - Options passed to calculateBucketImpact
+     * @returns {Object} Margin-based strategy
+     */
+    calculateMarginBasedStrategy(profitGap, buckets, impactOptions = {}) {
+        // Sort buckets by profit margin (descending)
+        const sortedBuckets = Array.from(buckets.entries())
+            .sort(([,a], [,b]) => b.averageMargin - a.averageMargin);
+
+        const adjustments = new Map();
+        const bucketImpacts = new Map();
+        let remainingGap = profitGap;
+        let totalRisk = 0;
+        let customerCount = 0;
+
+        // Apply increases prioritizing higher-margin buckets
+        for (const [bucketId, bucket] of sortedBuckets) {
+            if (remainingGap <= 0) break;
+            
+            // Calculate margin-based increase potential
+            const marginRank = bucket.averageMargin / (sortedBuckets[0][1].averageMargin || 1);
+            const currentRevenue = bucket.averagePrice * bucket.totalVolume;
+            const maxPotentialIncrease = Math.min(20, (remainingGap / currentRevenue) * 100);
+            const marginWeightedIncrease = maxPotentialIncrease * marginRank;
+            
+            const adjustment = {
+                adjustment: Math.min(marginWeightedIncrease, this.constraints.maxPriceIncrease * 100),
+                adjustmentType: 'percentage'
+            };
+            
+            const impact = this.calculateBucketImpact(bucket, adjustment, impactOptions);
+            
+            adjustments.set(bucketId, adjustment);
+            bucketImpacts.set(bucketId, impact);
+            
+            remainingGap -= impact.profitChange;
+            totalRisk += impact.churnRisk * bucket.customerCount;
+            customerCount += bucket.customerCount;
+        }
+
+        const avgRisk = customerCount > 0 ? totalRisk / customerCount : 0;
+        const gapClosed = profitGap - Math.max(0, remainingGap);
+
+        return {
+            strategyType: 'marginBased',
+            name: 'Margin Optimization Strategy',
+            description: 'Focus price increases on highest-margin customer segments',
+            
+            adjustments,
+            bucketImpacts,
+            
+            expectedProfitIncrease: gapClosed,
+            remainingGap: Math.max(0, remainingGap),
+            gapClosurePercent: profitGap > 0 ? (gapClosed / profitGap) * 100 : 100,
+            
+            riskLevel: this.categorizeRisk(avgRisk),
+            averageChurnRisk: Math.round(avgRisk * 1000) / 1000,
+            feasible: remainingGap <= profitGap * 0.15,
+            
+            pros: [
+                'Builds on existing profitable relationships',
+                'Lower risk of customer loss',
+                'Optimizes margin efficiency'
+            ],
+            cons: [
+                'May not generate maximum revenue',
+                'Limited by existing margin distribution',
+                'Could miss volume opportunities'
+            ],
+            
+            implementationComplexity: 'low',
+            timeToImplement: '1-3 weeks',
+            
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Calculate risk-minimized pricing strategy with conservative adjustments
+     * @param {number} profitGap - Required additional profit
+     * @param {Map<string, Object>} buckets - Customer buckets
+     * @param {Object} impactOptions - Options passed to calculateBucketImpact
+     * @returns {Object} Risk-minimized strategy
+     */
+    calculateRiskMinimizedStrategy(profitGap, buckets, impactOptions = {}) {
+        const adjustments = new Map();
+        const bucketImpacts = new Map();
+        let totalRisk = 0;
+        let totalProfitIncrease = 0;
+        let customerCount = 0;
+
+        // Apply conservative increases to all buckets
+        const conservativeIncreasePercent = 3; // 3% increase maximum per bucket
+        
+        for (const [bucketId, bucket] of buckets) {
+            // Even more conservative for high-churn risk segments
+            let bucketIncrease = conservativeIncreasePercent;
+            
+            // Reduce increase for price-sensitive segments (high volume, low margin)
+            if (bucket.averageMargin < 15 && bucket.totalVolume > 100) {
+                bucketIncrease = Math.max(1, bucketIncrease / 2);
+            }
+            
+            const adjustment = {
+                adjustment: bucketIncrease,
+                adjustmentType: 'percentage'
+            };
+            
+            const impact = this.calculateBucketImpact(bucket, adjustment, {
+                ...impactOptions,
+                scenarioType: 'pessimistic' // Use pessimistic scenario for conservative estimate
+            });
+            
+            adjustments.set(bucketId, adjustment);
+            bucketImpacts.set(bucketId, impact);
+            
+            totalProfitIncrease += impact.profitChange;
+            totalRisk += impact.churnRisk * bucket.customerCount;
+            customerCount += bucket.customerCount;
+        }
+
+        const avgRisk = customerCount > 0 ? totalRisk / customerCount : 0;
+        const gapClosed = Math.min(totalProfitIncrease, profitGap);
+        const remainingGap = Math.max(0, profitGap - totalProfitIncrease);
+
+        return {
+            strategyType: 'riskMinimized',
+            name: 'Conservative Growth Strategy',
+            description: 'Minimize customer churn risk with small, sustainable price increases',
+            
+            adjustments,
+            bucketImpacts,
+            
+            expectedProfitIncrease: gapClosed,
+            remainingGap,
+            gapClosurePercent: profitGap > 0 ? (gapClosed / profitGap) * 100 : 100,
+            
+            riskLevel: 'low',
+            averageChurnRisk: Math.round(avgRisk * 1000) / 1000,
+            feasible: true,
+            
+            pros: [
+                'Minimal customer churn risk',
+                'Sustainable long-term approach',
+                'Easy to implement and explain',
+                'Preserves customer relationships'
+            ],
+            cons: [
+                'Limited profit impact',
+                'May not close large profit gaps',
+                'Slower path to goal achievement'
+            ],
+            
+            implementationComplexity: 'very_low',
+            timeToImplement: '1-2 weeks',
+            multiPhaseRecommendation: remainingGap > profitGap * 0.5,
+            
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Validate pricing constraints and business rules
+     * @param {Map<string, Object>} adjustments - Proposed pricing adjustments
+     * @param {Map<string, Object>} buckets - Customer buckets
+     * @returns {Object} Validation results with warnings and errors
+     */
+    validatePricingConstraints(adjustments, buckets) {
+        const warnings = [];
+        const errors = [];
+        const bucketValidation = new Map();
+
+        for (const [bucketId, adjustment] of adjustments) {
+            const bucket = buckets.get(bucketId);
+            if (!bucket) {
+                errors.push(`Bucket not found: ${bucketId}`);
+                continue;
+            }
+
+            const validation = {
+                bucketId,
+                bucketName: bucket.bucketName,
+                isValid: true,
+                warnings: [],
+                errors: []
+            };
+
+            // Validate adjustment magnitude
+            if (adjustment.adjustmentType === 'percentage') {
+                if (adjustment.adjustment > this.constraints.maxPriceIncrease * 100) {
+                    validation.errors.push(`Price increase ${adjustment.adjustment.toFixed(1)}% exceeds maximum ${(this.constraints.maxPriceIncrease * 100).toFixed(1)}%`);
+                    validation.isValid = false;
+                }
+                if (adjustment.adjustment < this.constraints.minPriceDecrease * 100) {
+                    validation.errors.push(`Price decrease ${adjustment.adjustment.toFixed(1)}% exceeds minimum ${(this.constraints.minPriceDecrease * 100).toFixed(1)}%`);
+                    validation.isValid = false;
+                }
+            } else {
+                if (Math.abs(adjustment.adjustment) > this.constraints.maxAbsoluteAdjustment) {
+                    validation.errors.push(`Absolute adjustment $${adjustment.adjustment.toFixed(2)} exceeds maximum $${this.constraints.maxAbsoluteAdjustment}`);
+                    validation.isValid = false;
+                }
+            }
+
+            // Calculate new price and validate
+            const currentPrice = bucket.averagePrice || 0;
+            let newPrice;
+            if (adjustment.adjustmentType === 'percentage') {
+                newPrice = currentPrice * (1 + (adjustment.adjustment / 100));
+            } else {
+                newPrice = currentPrice + adjustment.adjustment;
+            }
+
+            // Market ceiling warning
+            if (newPrice > this.constraints.marketCeilingPrice) {
+                validation.warnings.push(`New price $${newPrice.toFixed(2)}/yard may exceed market competitive ceiling of $${this.constraints.marketCeilingPrice}/yard`);
+            }
+
+            // Minimum price check
+            if (newPrice < 1) {
+                validation.errors.push(`New price $${newPrice.toFixed(2)}/yard is below minimum viable price`);
+                validation.isValid = false;
+            }
+
+            // Calculate potential impact for additional warnings
+            const impact = this.calculateBucketImpact(bucket, adjustment, { scenarioType: 'pessimistic' });
+            
+            // High churn risk warning
+            if (impact.churnRisk > this.constraints.maxChurnRate) {
+                validation.warnings.push(`High churn risk ${(impact.churnRisk * 100).toFixed(1)}% for ${bucket.customerCount} customers`);
+            }
+
+            // Large volume impact warning
+            if (Math.abs(impact.volumeChangePercent) > 20) {
+                validation.warnings.push(`Significant volume impact: ${impact.volumeChangePercent.toFixed(1)}% change expected`);
+            }
+
+            bucketValidation.set(bucketId, validation);
+            
+            // Aggregate warnings and errors
+            warnings.push(...validation.warnings.map(w => `${bucket.bucketName}: ${w}`));
+            errors.push(...validation.errors.map(e => `${bucket.bucketName}: ${e}`));
+        }
+
+        const isValid = errors.length === 0;
+        const riskLevel = errors.length > 0 ? 'high' : warnings.length > 0 ? 'medium' : 'low';
+
+        return {
+            isValid,
+            riskLevel,
+            totalWarnings: warnings.length,
+            totalErrors: errors.length,
+            
+            warnings,
+            errors,
+            bucketValidation,
+            
+            recommendation: isValid 
+                ? (warnings.length > 0 ? 'Proceed with caution - monitor customer response closely' : 'Adjustments are within acceptable constraints')
+                : 'Address errors before implementing pricing changes',
+            
+            validatedAt: new Date().toISOString()
+        };
+    }
+
+    // Helper Methods
+
+    /**
+     * Assess overall risk across all bucket impacts
+     * @private
+     */
+    assessOverallRisk(bucketImpacts, averageChurnRisk) {
+        let totalHighRisk = 0;
+        let totalMediumRisk = 0;
+        let totalCustomers = 0;
+        let maxPriceIncrease = 0;
+
+        for (const impact of bucketImpacts.values()) {
+            totalCustomers += impact.customerCount;
+            
+            if (impact.riskLevel === 'high') {
+                totalHighRisk += impact.customerCount;
+            } else if (impact.riskLevel === 'medium') {
+                totalMediumRisk += impact.customerCount;
+            }
+            
+            maxPriceIncrease = Math.max(maxPriceIncrease, Math.abs(impact.priceChangePercent));
+        }
+
+        const highRiskPercent = totalCustomers > 0 ? (totalHighRisk / totalCustomers) * 100 : 0;
+        const mediumRiskPercent = totalCustomers > 0 ? (totalMediumRisk / totalCustomers) * 100 : 0;
+
+        let overallRisk = 'low';
+        if (highRiskPercent > 25 || averageChurnRisk > 0.1 || maxPriceIncrease > 25) {
+            overallRisk = 'high';
+        } else if (highRiskPercent > 10 || mediumRiskPercent > 50 || maxPriceIncrease > 15) {
+            overallRisk = 'medium';
+        }
+
+        return {
+            level: overallRisk,
+            highRiskCustomers: totalHighRisk,
+            mediumRiskCustomers: totalMediumRisk,
+            highRiskPercent: Math.round(highRiskPercent * 10) / 10,
+            mediumRiskPercent: Math.round(mediumRiskPercent * 10) / 10,
+            averageChurnRisk: Math.round(averageChurnRisk * 1000) / 1000,
+            maxPriceIncrease: Math.round(maxPriceIncrease * 10) / 10
+        };
+    }
+
+    /**
+     * Generate recommendations based on impact analysis
+     * @private
+     */
+    generateImpactRecommendations(bucketImpacts) {
+        const recommendations = [];
+        
+        for (const impact of bucketImpacts.values()) {
+            if (impact.riskLevel === 'high') {
+                recommendations.push(`Consider reducing price increase for ${impact.bucketName} (${impact.customerCount} customers at risk)`);
+            }
+            
+            if (impact.churnRisk > 0.15) {
+                recommendations.push(`High churn risk in ${impact.bucketName} - implement customer retention strategies`);
+            }
+            
+            if (impact.volumeChangePercent < -25) {
+                recommendations.push(`Significant volume decline expected in ${impact.bucketName} - consider alternative approaches`);
+            }
+            
+            if (impact.newPrice > this.constraints.marketCeilingPrice) {
+                recommendations.push(`${impact.bucketName} pricing above market ceiling - competitive risk`);
+            }
+        }
+
+        if (recommendations.length === 0) {
+            recommendations.push('Pricing adjustments appear reasonable with acceptable risk levels');
+        }
+
+        return recommendations;
+    }
+
+    /**
+     * Assess risk factors for individual bucket
+     * @private
+     */
+    assessBucketRisk(bucket, adjustment, newPrice, churnRisk) {
+        const risks = [];
+        
+        // Price increase magnitude risk
+        if (adjustment.adjustmentType === 'percentage' && adjustment.adjustment > 20) {
+            risks.push('large_price_increase');
+        } else if (adjustment.adjustmentType === 'absolute' && Math.abs(adjustment.adjustment) > 50) {
+            risks.push('large_absolute_increase');
+        }
+        
+        // Market position risk
+        if (newPrice > this.constraints.marketCeilingPrice) {
+            risks.push('above_market_ceiling');
+        }
+        
+        // Customer retention risk
+        if (churnRisk > 0.1) {
+            risks.push('high_churn_probability');
+        }
+        
+        // Volume sensitivity risk
+        if (bucket.totalVolume > 1000 && adjustment.adjustment > 10) {
+            risks.push('high_volume_sensitivity');
+        }
+        
+        // Low margin vulnerability
+        if (bucket.averageMargin < 10 && adjustment.adjustment > 5) {
+            risks.push('low_margin_vulnerability');
+        }
+
+        return risks;
+    }
+
+    /**
+     * Calculate risk level based on risk factors
+     * @private
+     */
+    calculateRiskLevel(riskFactors) {
+        if (riskFactors.includes('large_price_increase') || 
+            riskFactors.includes('high_churn_probability') || 
+            riskFactors.includes('above_market_ceiling')) {
+            return 'high';
+        }
+        
+        if (riskFactors.length >= 2) {
+            return 'medium';
+        }
+        
+        return riskFactors.length > 0 ? 'low' : 'minimal';
+    }
+
+    /**
+     * Categorize risk based on numeric risk score
+     * @private
+     */
+    categorizeRisk(riskScore) {
+        if (riskScore >= 0.15) return 'high';
+        if (riskScore >= 0.08) return 'medium';
+        if (riskScore >= 0.03) return 'low';
+        return 'minimal';
+    }
+
+    /**
+     * Validate and derive per-yard figures for a mixed cost basis
+     * @private
+     */
+    normalizeCostBasis(costBasis) {
+        const manufacturingPerYard = costBasis.manufacturingPerYard || 0;
+        const labor = costBasis.labor || 0;
+        const fixed = costBasis.fixed || 0;
+        const volume = costBasis.volume || 0;
+
+        if (!(volume > 0)) {
+            throw new Error('Cost basis volume must be a positive number');
+        }
+        if (manufacturingPerYard < 0 || labor < 0 || fixed < 0) {
+            throw new Error('Cost basis costs cannot be negative');
+        }
+
+        return {
+            manufacturingPerYard,
+            labor,
+            fixed,
+            volume,
+            lumpSumPerYard: (labor + fixed) / volume
+        };
+    }
+
+    /**
+     * Cost per yard of a bucket: variable part and allocated labor/fixed part
+     *
+     * A bucket's own manufacturingPerYard (e.g. from its mix designs)
+     * replaces the plant-wide figure. Without a cost basis the cost is the
+     * one implied by the bucket's margin, all of it treated as variable.
+     * @private
+     */
+    getBucketCostPerYard(bucket, costBasis) {
+        if (costBasis) {
+            const normalized = costBasis.lumpSumPerYard !== undefined ? costBasis : this.normalizeCostBasis(costBasis);
+            return {
+                variablePerYard: typeof bucket.manufacturingPerYard === 'number'
+                    ? bucket.manufacturingPerYard
+                    : normalized.manufacturingPerYard,
+                allocatedPerYard: normalized.lumpSumPerYard,
+                source: 'mixed_cost_basis'
+            };
+        }
+
+        const price = bucket.averagePrice || 0;
+        return {
+            variablePerYard: price * (1 - (bucket.averageMargin || 0) / 100),
+            allocatedPerYard: 0,
+            source: 'bucket_margin'
+        };
+    }
+
+    /**
+     * Validate a demand model and fill in defaults
+     * @private
+     */
+    normalizeDemandModel(model) {
+        if (typeof model !== 'object') {
+            throw new Error('Demand model must be an object');
+        }
+
+        const elasticity = model.elasticity === undefined ? this.priceElasticity : model.elasticity;
+        if (typeof elasticity === 'number') {
+            if (!isFinite(elasticity)) {
+                throw new Error('Elasticity must be a finite number');
+            }
+        } else if (!elasticity || elasticity.type !== 'steps' || !this.isValidStepCurve(elasticity.steps, 'upTo', 'elasticity')) {
+            throw new Error('Elasticity must be a number or {type: "steps", steps: [{upTo, elasticity}]} with ascending upTo');
+        }
+
+        const churn = model.churn || { type: 'linear', rate: 0.4, max: 0.25 };
+        if (churn.type === 'linear') {
+            if (!(churn.rate >= 0) || !(churn.max >= 0 && churn.max <= 1)) {
+                throw new Error('Linear churn needs rate >= 0 and max between 0 and 1');
+            }
+        } else if (churn.type !== 'steps' || !this.isValidStepCurve(churn.steps, 'threshold', 'churn')
+            || churn.steps.some(step => !(step.churn >= 0 && step.churn <= 1))) {
+            throw new Error('Churn must be {type: "linear", rate, max} or {type: "steps", steps: [{threshold, churn}]} with churn between 0 and 1');
+        }
+
+        const range = { min: 0.5, max: 1.5, ...model.volumeMultiplierRange };
+        if (!(range.min >= 0) || !(range.max >= range.min)) {
+            throw new Error('Volume multiplier range needs 0 <= min <= max');
+        }
+
+        const normalized = {
+            elasticity: typeof elasticity === 'number' ? elasticity : { type: 'steps', steps: elasticity.steps.map(step => ({ ...step })) },
+            churn: churn.type === 'linear'
+                ? { type: 'linear', rate: churn.rate, max: churn.max }
+                : { type: 'steps', steps: churn.steps.map(step => ({ ...step })) },
+            volumeMultiplierRange: { min: range.min, max: range.max }
+        };
+        if (model.description) normalized.description = String(model.description);
+        return normalized;
+    }
+
+    /**
+     * Steps are non-empty, numeric and ascending on their key (a null key only last)
+     * @private
+     */
+    isValidStepCurve(steps, key, valueKey) {
+        if (!Array.isArray(steps) || steps.length === 0) return false;
+
+        return steps.every((step, index) => {
+            if (typeof step[valueKey] !== 'number' || !isFinite(step[valueKey])) return false;
+            if (step[key] === null || step[key] === undefined) return key === 'upTo' && index === steps.length - 1;
+            if (typeof step[key] !== 'number' || step[key] < 0) return false;
+            return index === 0 || (typeof steps[index - 1][key] === 'number' && step[key] > steps[index - 1][key]);
+        });
+    }
+
+    /**
+     * Percentage volume change for a price change under an elasticity curve
+     *
+     * Step curves apply each band's elasticity to the part of the price
+     * change inside that band; changes beyond the last band use its value.
+     * @private
+     */
+    getVolumeChangePercent(elasticity, priceChangePercent) {
+        if (typeof elasticity === 'number') {
+            return elasticity * priceChangePercent;
+        }
+
+        const magnitude = Math.abs(priceChangePercent);
+        let volumeChange = 0;
+        let bandStart = 0;
+        for (const step of elasticity.steps) {
+            const bandEnd = typeof step.upTo === 'number' ? step.upTo : Infinity;
+            volumeChange += step.elasticity * Math.max(0, Math.min(magnitude, bandEnd) - bandStart);
+            if (magnitude <= bandEnd) return volumeChange * Math.sign(priceChangePercent);
+            bandStart = bandEnd;
+        }
+
+        const lastElasticity = elasticity.steps[elasticity.steps.length - 1].elasticity;
+        volumeChange += lastElasticity * (magnitude - bandStart);
+        return volumeChange * Math.sign(priceChangePercent);
+    }
+
+    /**
+     * Churn risk for a price increase under a churn curve
+     * @private
+     */
+    getChurnRisk(churn, priceChangePercent) {
+        if (churn.type === 'linear') {
+            return Math.min(priceChangePercent / 100 * churn.rate, churn.max);
+        }
+
+        const reached = churn.steps.filter(step => priceChangePercent >= step.threshold);
+        return reached.length > 0 ? reached[reached.length - 1].churn : 0;
+    }
+
+    /**
+     * Volume multiplier and churn risk for a price change under a demand model
+     * @private
+     */
+    getDemandResponse(demandModel, priceChangePercent, includeElasticity, scenarioType) {
+        let volumeMultiplier = 1;
+        let churnRisk = 0;
+
+        if (includeElasticity && Math.abs(priceChangePercent) > 0.1) {
+            // Elasticity is negative: demand falls as price rises
+            volumeMultiplier = 1 + this.getVolumeChangePercent(demandModel.elasticity, priceChangePercent) / 100;
+
+            // Apply scenario adjustments
+            switch (scenarioType) {
+                case 'optimistic':
+                    volumeMultiplier = Math.max(volumeMultiplier, 0.9); // Limit downside
+                    break;
+                case 'pessimistic':
+                    volumeMultiplier = Math.min(volumeMultiplier, 1.1); // Limit upside
+                    break;
+                case 'realistic':
+                default:
+                    // Use calculated elasticity as-is
+                    break;
+            }
+
+            // Calculate churn risk based on price increase magnitude
+            if (priceChangePercent > 0) {
+                churnRisk = this.getChurnRisk(demandModel.churn, priceChangePercent);
+            }
+        }
+
+        // Ensure volume multiplier stays within the model's bounds
+        volumeMultiplier = Math.max(
+            demandModel.volumeMultiplierRange.min,
+            Math.min(demandModel.volumeMultiplierRange.max, volumeMultiplier)
+        );
+
+        return { volumeMultiplier, churnRisk };
+    }
+
+    /**
+     * Price after a bucket adjustment, never below one cent
+     * @private
+     */
+    getAdjustedPrice(price, adjustment) {
+        const newPrice = adjustment.adjustmentType === 'percentage'
+            ? price * (1 + (adjustment.adjustment / 100))
+            : price + adjustment.adjustment;
+        return Math.max(0.01, newPrice); // Minimum price
+    }
+
+    /**
+     * Whether any of a bucket's customers has a price exception
+     * @private
+     */
+    hasCustomerExceptions(bucket) {
+        return this.customerExceptions.size > 0
+            && Array.isArray(bucket.assignedCustomers)
+            && bucket.assignedCustomers.some(customerId => this.customerExceptions.has(customerId));
+    }
+
+    /**
+     * Bucket impact priced customer by customer, honouring price exceptions
+     *
+     * Customer volumes are scaled to the bucket's volume, so a bucket scaled
+     * to a month or a simulated volume keeps each customer's share. The
+     * demand model applies to each customer's own price change.
+     * @private
+     */
+    calculateCustomerLevelImpact(bucket, adjustment, options) {
+        const {
+            includeElasticity = true,
+            scenarioType = 'realistic',
+            costBasis = this.costBasis
+        } = options;
+
+        const members = bucket.assignedCustomers
+            .map(customerId => this.exceptionCustomers.get(customerId))
+            .filter(customer => customer !== undefined && customer.totalVolume > 0);
+        const memberVolume = members.reduce((sum, customer) => sum + customer.totalVolume, 0);
+        const currentVolume = bucket.totalVolume || 0;
+        const scale = memberVolume > 0 ? currentVolume / memberVolume : 0;
+        const cost = this.getBucketCostPerYard(bucket, costBasis);
+        const demandModel = this.getDemandModel(bucket);
+
+        const customerImpacts = members.map(customer => {
+            const price = customer.totalRevenue > 0
+                ? customer.totalRevenue / customer.totalVolume
+                : customer.averageUnitPrice || 0;
+            const volume = customer.totalVolume * scale;
+            const adjustedPrice = this.getAdjustedPrice(price, adjustment);
+            const newPrice = Math.max(0.01, this.getCustomerPeriodPrice(customer.customerId, price, adjustedPrice));
+            const priceChangePercent = price > 0 ? (newPrice - price) / price * 100 : 0;
+            const { volumeMultiplier, churnRisk } = this.getDemandResponse(demandModel, priceChangePercent, includeElasticity, scenarioType);
+            const projectedVolume = volume * volumeMultiplier;
+
+            return {
+                customerId: customer.customerId,
+                customerName: customer.customerName,
+                exception: this.customerExceptions.get(customer.customerId) || null,
+                currentPrice: price,
+                adjustedPrice,
+                newPrice,
+                volume,
+                projectedVolume,
+                revenueChange: newPrice * projectedVolume - price * volume,
+                profitChange: (newPrice - cost.variablePerYard) * projectedVolume - (price - cost.variablePerYard) * volume,
+                churnRisk
+            };
+        });
+
+        const sum = key => customerImpacts.reduce((total, impact) => total + impact[key], 0);
+        const currentRevenue = customerImpacts.reduce((total, impact) => total + impact.currentPrice * impact.volume, 0);
+        const projectedVolume = sum('projectedVolume');
+        const projectedRevenue = customerImpacts.reduce((total, impact) => total + impact.newPrice * impact.projectedVolume, 0);
+        const currentPrice = currentVolume > 0 ? currentRevenue / currentVolume : 0;
+        const newPrice = projectedVolume > 0 ? projectedRevenue / projectedVolume : currentPrice;
+
+        const impact = this.buildBucketImpact(bucket, adjustment, {
+            currentPrice,
+            currentVolume,
+            currentRevenue,
+            newPrice,
+            priceChangePercent: currentPrice > 0 ? (newPrice - currentPrice) / currentPrice * 100 : 0,
+            projectedVolume,
+            projectedRevenue,
+            churnRisk: customerImpacts.length > 0 ? sum('churnRisk') / customerImpacts.length : 0,
+            cost,
+            demandModel,
+            includeElasticity,
+            scenarioType
+        });
+
+        // What the exceptions cost against pricing the whole bucket at its average
+        const uniform = this.calculateBucketImpact(bucket, adjustment, { ...options, customerExceptions: false });
+        const round = value => Math.round(value * 100) / 100;
+
+        return {
+            ...impact,
+            customerImpacts: customerImpacts
+                .filter(item => item.exception)
+                .map(item => ({
+                    customerId: item.customerId,
+                    customerName: item.customerName,
+                    exception: this.describeCustomerException(item.exception),
+                    currentPrice: round(item.currentPrice),
+                    adjustedPrice: round(item.adjustedPrice),
+                    newPrice: round(item.newPrice),
+                    volume: Math.round(item.volume * 10) / 10,
+                    revenueChange: round(item.revenueChange),
+                    profitChange: round(item.profitChange)
+                })),
+            exceptionImpact: {
+                customers: customerImpacts.filter(item => item.exception).length,
+                revenueChange: round(impact.revenueChange - uniform.revenueChange),
+                profitChange: round(impact.profitChange - uniform.profitChange)
+            }
+        };
+    }
+
+    /**
+     * Customer's average billable price over the plan period
+     *
+     * With a contract end date inside the period, the contract price holds
+     * for the days up to it and the adjusted price for the rest.
+     * @private
+     */
+    getCustomerPeriodPrice(customerId, currentPrice, adjustedPrice) {
+        const exception = this.customerExceptions.get(customerId);
+        const period = this.exceptionPeriod;
+        if (!exception || exception.contractEndDay === undefined || !period) {
+            return this.getCustomerPrice(customerId, currentPrice, adjustedPrice, null);
+        }
+
+        const days = period.endDay - period.startDay + 1;
+        const contractDays = Math.min(days, Math.max(0, exception.contractEndDay - period.startDay + 1));
+        const contractPrice = this.getCustomerPrice(customerId, currentPrice, adjustedPrice, null);
+        const afterPrice = this.getCustomerPrice(customerId, currentPrice, adjustedPrice, Infinity);
+        return (contractPrice * contractDays + afterPrice * (days - contractDays)) / days;
+    }
+
+    /**
+     * Customer price exception as given, without the parsed contract end day
+     * @private
+     */
+    describeCustomerException(exception) {
+        const { contractEndDay, ...described } = exception;
+        return described;
+    }
+
+    /**
+     * Validate a customer price exception
+     * @private
+     */
+    normalizeCustomerException(exception, label) {
+        if (!exception || typeof exception !== 'object') {
+            throw new Error(`${label}: price exception must be an object`);
+        }
+
+        const normalized = {};
+        if (exception.exempt) normalized.exempt = true;
+        if (exception.fixedPrice !== undefined) {
+            if (!(typeof exception.fixedPrice === 'number' && exception.fixedPrice > 0)) {
+                throw new Error(`${label}: fixedPrice must be a positive number`);
+            }
+            if (normalized.exempt) {
+                throw new Error(`${label}: use either exempt or fixedPrice, not both`);
+            }
+            normalized.fixedPrice = exception.fixedPrice;
+        }
+        if (exception.maxIncrease !== undefined) {
+            if (!(typeof exception.maxIncrease === 'number' && exception.maxIncrease >= 0)) {
+                throw new Error(`${label}: maxIncrease must be a number >= 0`);
+            }
+            const type = exception.maxIncreaseType || 'percentage';
+            if (!['percentage', 'absolute'].includes(type)) {
+                throw new Error(`${label}: maxIncreaseType must be percentage or absolute`);
+            }
+            if (normalized.exempt || normalized.fixedPrice !== undefined) {
+                throw new Error(`${label}: maxIncrease cannot be combined with exempt or fixedPrice`);
+            }
+            normalized.maxIncrease = exception.maxIncrease;
+            normalized.maxIncreaseType = type;
+        }
+        if (exception.contractEndDate !== undefined) {
+            normalized.contractEndDate = String(exception.contractEndDate);
+            normalized.contractEndDay = this.parseExceptionDate(exception.contractEndDate, `${label} contractEndDate`, true);
+        }
+        if (exception.note) normalized.note = String(exception.note);
+
+        if (!normalized.exempt && normalized.fixedPrice === undefined && normalized.maxIncrease === undefined
+            && normalized.contractEndDay === undefined) {
+            throw new Error(`${label}: price exception needs exempt, fixedPrice, maxIncrease or contractEndDate`);
+        }
+        return normalized;
+    }
+
+    /**
+     * Day number (days since 1970-01-01) of a date ('2025-03-15') or month
+     * ('Mar 2025': its first day, or its last with endOfMonth)
+     * @private
+     */
+    parseExceptionDate(value, label, endOfMonth) {
+        const text = String(value || '').trim();
+        const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+        if (iso) {
+            const date = new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+            if (date.getUTCMonth() !== Number(iso[2]) - 1 || date.getUTCDate() !== Number(iso[3])) {
+                throw new Error(`${label}: invalid date "${text}"`);
+            }
+            return date.getTime() / 86400000;
+        }
+
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const [name, year] = text.split(' ');
+        const month = monthNames.indexOf(name);
+        if (month < 0 || !/^\d{4}$/.test(year || '')) {
+            throw new Error(`${label}: date must be a month like "Mar 2025" or a date like "2025-03-31", not "${text}"`);
+        }
+        return endOfMonth
+            ? Date.UTC(Number(year), month + 1, 1) / 86400000 - 1
+            : Date.UTC(Number(year), month, 1) / 86400000;
+    }
+
+    /**
+     * Whether a bucket's averages fall inside a segment's bounds
+     * @private
+     */
+    matchesSegment(bucket, criteria) {
+        const customerCount = bucket.customerCount || 0;
+        const values = {
+            volume: customerCount > 0 ? (bucket.totalVolume || 0) / customerCount : 0,
+            price: bucket.averagePrice || 0,
+            margin: bucket.averageMargin || 0
+        };
+
+        return Object.keys(values).every(field => {
+            const min = criteria[`${field}Min`];
+            const max = criteria[`${field}Max`];
+            return (typeof min !== 'number' || values[field] >= min)
+                && (typeof max !== 'number' || values[field] <= max);
+        });
+    }
+
+    /**
+     * Smallest percentage increase whose profit change reaches the target
+     * @private
+     */
+    findRequiredIncrease(profitChangeAt, targetProfitChange, maxIncrease) {
+        let low = 0;
+        let high = maxIncrease;
+        for (let i = 0; i < 50; i++) {
+            const middle = (low + high) / 2;
+            if (profitChangeAt(middle) >= targetProfitChange) {
+                high = middle;
+            } else {
+                low = middle;
+            }
+        }
+        return Math.ceil(high * 100) / 100;
+    }
+
+    /**
+     * Select optimal strategy from available options
+     * @private
+     */
+    selectOptimalStrategy(strategies) {
+        if (strategies.length === 0) return null;
+        
+        // Score strategies based on multiple factors
+        const scoredStrategies = strategies.map(strategy => {
+            const weights = this.strategyWeights[strategy.strategyType] || { risk: 0.3, impact: 0.5, feasibility: 0.2 };
+            
+            let riskScore = 1;
+            switch (strategy.riskLevel) {
+                case 'high': riskScore = 0.2; break;
+                case 'medium': riskScore = 0.6; break;
+                case 'low': riskScore = 0.8; break;
+                default: riskScore = 1;
+            }
+            
+            const impactScore = strategy.gapClosurePercent ? strategy.gapClosurePercent / 100 : 0;
+            const feasibilityScore = strategy.feasible ? 1 : 0;
+            
+            const totalScore = (riskScore * weights.risk) + 
+                             (impactScore * weights.impact) + 
+                             (feasibilityScore * weights.feasibility);
+            
+            return { strategy, score: totalScore };
+        });
+        
+        // Return strategy with highest score
+        return scoredStrategies.sort((a, b) => b.score - a.score)[0].strategy;
+    }
+
+    /**
+     * Generate implementation notes for strategy
+     * @private
+     */
+    generateImplementationNotes(strategy) {
+        if (!strategy) return [];
+        
+        const notes = [];
+        if (strategy.timeToImplement) {
+            notes.push(`Implement ${strategy.name.toLowerCase()} over ${strategy.timeToImplement}`);
+        }
+        if (strategy.implementationComplexity) {
+            notes.push(`Expected complexity: ${strategy.implementationComplexity}`);
+        }
+        
+        if (strategy.riskLevel !== 'low' && strategy.riskLevel !== 'minimal') {
+            notes.push('Monitor customer feedback closely during implementation');
+        }
+        
+        if (strategy.averageChurnRisk > 0.05) {
+            notes.push('Consider customer retention initiatives alongside price changes');
+        }
+        
+        if (strategy.multiPhaseRecommendation) {
+            notes.push('Consider implementing in multiple phases to reduce risk');
+        }
+        
+        return notes;
+    }
+
+    /**
+     * Generate risk warnings for strategy
+     * @private
+     */
+    generateRiskWarnings(strategy) {
+        if (!strategy) return [];
+        
+        const warnings = [];
+        
+        if (strategy.riskLevel === 'high') {
+            warnings.push('HIGH RISK: Significant potential for customer churn');
+        }
+        
+        if (strategy.averageChurnRisk > 0.1) {
+            warnings.push(`Customer churn risk: ${(strategy.averageChurnRisk * 100).toFixed(1)}%`);
+        }
+        
+        if (strategy.remainingGap > 0) {
+            warnings.push(`Strategy will not fully close profit gap - $${strategy.remainingGap.toLocaleString()} remaining`);
+        }
+        
+        return warnings;
+    }
+
+    /**
+     * Compare risk levels for filtering
+     * @private
+     */
+    compareRiskLevels(level1, level2) {
+        const levels = { minimal: 0, low: 1, medium: 2, high: 3 };
+        return levels[level1] - levels[level2];
+    }
+
+    /**
+     * Update average calculation time metric
+     * @private
+     */
+    updateAverageCalculationTime(newTime) {
+        const currentAvg = this.metrics.averageCalculationTime;
+        const count = this.metrics.calculationsPerformed;
+        this.metrics.averageCalculationTime = ((currentAvg * (count - 1)) + newTime) / count;
+    }
+
+    /**
+     * Generate optimization strategies for surplus profit situations
+     * @private
+     */
+    generateOptimizationStrategies(surplus, buckets) {
+        // When profit exceeds goal, focus on customer retention and market share
+        return {
+            strategyType: 'optimization',
+            name: 'Retention & Growth Optimization',
+            description: 'Optimize pricing for customer retention and market expansion',
+            
+            expectedProfitIncrease: 0, // Maintain current profit
+            surplusAmount: surplus,
+            
+            riskLevel: 'low',
+            feasible: true,
+            
+            pros: [
+                'Strengthen customer relationships',
+                'Improve market competitive position',
+                'Build long-term customer loyalty'
+            ],
+            cons: [
+                'Reduces short-term profit margins',
+                'May not maximize immediate revenue'
+            ],
+            
+            recommendedActions: [
+                'Consider small price reductions for volume customers',
+                'Invest surplus in customer service improvements',
+                'Explore market expansion opportunities'
+            ],
+            
+            implementationComplexity: 'low',
+            timeToImplement: '2-4 weeks',
+            
+            calculatedAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Get calculation performance metrics
+     * @returns {Object} Performance metrics
+     */
+    getMetrics() {
+        return {
+            ...this.metrics,
+            cacheSize: this.calculationCache.size,
+            averageCalculationTime: Math.round(this.metrics.averageCalculationTime * 100) / 100
+        };
+    }
+
+    /**
+     * Clear calculation cache
+     */
+    clearCache() {
+        this.calculationCache.clear();
+    }
+
+    /**
+     * Reset all metrics
+     */
+    resetMetrics() {
+        this.metrics = {
+            calculationsPerformed: 0,
+            totalRevenueAnalyzed: 0,
+            strategiesGenerated: 0,
+            averageCalculationTime: 0
+        };
+        this.clearCache();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingAdjustmentCalculator;
+} else if (typeof window !== 'undefined') {
+    window.PricingAdjustmentCalculator = PricingAdjustmentCalculator;
+}
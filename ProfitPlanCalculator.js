@@ -0,0 +1,252 @@
+/**
+ * ProfitPlanCalculator - Historical period, profit goal and mixed cost basis math
+ *
+ * Pure calculations behind Steps 1-4: totals for the selected months, goal
+ * metrics, historical cost basis and the projected revenue/profit for a
+ * future period. Manufacturing is costed per yard while labor and fixed
+ * costs are budgeted as lump sums, matching the mixed cost basis used
+ * throughout the analyzer. The projected volume can be a single number
+ * or a percentile of a VolumeForecaster forecast. No DOM access, so the
+ * same figures can be produced in the browser and in Node.
+ *
+ * @class ProfitPlanCalculator
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class ProfitPlanCalculator {
+    /**
+     * Total the historical figures for the selected months
+     * @param {Array<string>} selectedMonths Month labels ('Jan 2024')
+     * @param {Object} historicalData Monthly data keyed by month label
+     * @returns {Object} Period totals with cost breakdown
+     * @throws {Error} If a selected month has no historical data
+     * @example
+     * const historical = calculator.summarizeHistoricalPeriod(['Jan 2024'], historicalData);
+     * console.log(historical.profit, historical.margin);
+     */
+    summarizeHistoricalPeriod(selectedMonths, historicalData) {
+        try {
+            const summary = {
+                months: [...selectedMonths],
+                volume: 0,
+                revenue: 0,
+                costs: 0,
+                profit: 0,
+                margin: 0,
+                costBreakdown: { manufacturing: 0, labor: 0, fixed: 0 }
+            };
+
+            selectedMonths.forEach(month => {
+                const data = historicalData[month];
+                if (!data) {
+                    throw new Error(`No historical data for ${month}`);
+                }
+
+                summary.volume += data.volume;
+                summary.revenue += data.revenue;
+                summary.costs += data.costs;
+                summary.profit += (data.revenue - data.costs);
+
+                summary.costBreakdown.manufacturing += data.manufacturing;
+                summary.costBreakdown.labor += data.labor;
+                summary.costBreakdown.fixed += data.fixed;
+            });
+
+            summary.margin = summary.revenue > 0 ? (summary.profit / summary.revenue * 100) : 0;
+            return summary;
+
+        } catch (error) {
+            console.error('Error summarizing historical period:', error);
+            throw new Error(`Historical summary failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compare a profit goal and projected volume against the historical period
+     * @param {Object} historical Result of summarizeHistoricalPeriod
+     * @param {Object} goal Goal inputs
+     * @param {number} goal.profitGoal Target profit for the future period
+     * @param {number} goal.projectedVolume Projected volume in yards
+     * @param {Object} goal.volumeForecast VolumeForecaster.forecast result, used when no projectedVolume is given
+     * @param {number} goal.forecastPercentile Forecast percentile to plan with (default 50)
+     * @returns {Object} Goal metrics; hasRequiredInputs is false when they cannot be computed
+     * @example
+     * const metrics = calculator.calculateGoalMetrics(historical, { profitGoal: 500000, projectedVolume: 12000 });
+     * console.log(metrics.requiredMargin);
+     */
+    calculateGoalMetrics(historical, goal = {}) {
+        const profitGoal = goal.profitGoal || 0;
+        const forecastPercentile = !(goal.projectedVolume > 0) && goal.volumeForecast
+            ? (goal.forecastPercentile || 50)
+            : null;
+        const projectedVolume = forecastPercentile !== null
+            ? this.getForecastVolume(goal.volumeForecast, forecastPercentile)
+            : (goal.projectedVolume || 0);
+        const hasRequiredInputs = profitGoal > 0 && projectedVolume > 0 && historical.revenue > 0;
+
+        if (!hasRequiredInputs) {
+            return { hasRequiredInputs, profitGoal, projectedVolume };
+        }
+
+        // Volume comparison
+        const volumeDifference = projectedVolume - historical.volume;
+        const volumePercentage = historical.volume > 0 ? ((volumeDifference / historical.volume) * 100) : 0;
+
+        // Profit target comparison
+        const goalDifference = profitGoal - historical.profit;
+        const goalPercentage = historical.profit > 0 ? ((goalDifference / historical.profit) * 100) : 0;
+
+        // Required margin (assuming same revenue per yard)
+        const averageRevenuePerYard = historical.revenue / historical.volume;
+        const projectedRevenue = averageRevenuePerYard * projectedVolume;
+
+        return {
+            hasRequiredInputs,
+            profitGoal,
+            projectedVolume,
+            ...(forecastPercentile !== null ? { forecastPercentile } : {}),
+            volumeDifference,
+            volumePercentage,
+            goalDifference,
+            goalPercentage,
+            profitPerYard: profitGoal / projectedVolume,
+            historicalProfitPerYard: historical.profit / historical.volume,
+            averageRevenuePerYard,
+            projectedRevenue,
+            requiredMargin: profitGoal / projectedRevenue * 100
+        };
+    }
+
+    /**
+     * Volume of a forecast period at a percentile
+     *
+     * The period percentile comes from the combined monthly variances, as
+     * VolumeForecaster totals its intervals.
+     * @param {Object} volumeForecast VolumeForecaster.forecast result
+     * @param {number} percentile Percentile, 5 to 95 in steps of 5 (50 is the point forecast)
+     * @returns {number} Volume in yards
+     * @throws {Error} If the forecast has no such percentile
+     * @example
+     * const cautiousVolume = calculator.getForecastVolume(forecast, 10);
+     */
+    getForecastVolume(volumeForecast, percentile = 50) {
+        const volume = volumeForecast && volumeForecast.total && volumeForecast.total.volumePercentiles
+            ? volumeForecast.total.volumePercentiles[percentile]
+            : undefined;
+        if (volume === undefined) {
+            throw new Error(`Forecast has no P${percentile} volume (use 5 to 95 in steps of 5)`);
+        }
+        return volume;
+    }
+
+    /**
+     * Derive the mixed cost basis of the historical period
+     * @param {Object} historical Result of summarizeHistoricalPeriod
+     * @returns {Object} Manufacturing per yard plus labor/fixed totals and monthly averages
+     */
+    getHistoricalCostBasis(historical) {
+        const monthCount = historical.months.length;
+        const breakdown = historical.costBreakdown;
+
+        return {
+            manufacturingPerYard: historical.volume > 0 ? breakdown.manufacturing / historical.volume : 0,
+            manufacturingTotal: breakdown.manufacturing,
+            laborTotal: breakdown.labor,
+            laborPerMonth: monthCount > 0 ? breakdown.labor / monthCount : 0,
+            fixedTotal: breakdown.fixed,
+            fixedPerMonth: monthCount > 0 ? breakdown.fixed / monthCount : 0,
+            totalCosts: historical.costs
+        };
+    }
+
+    /**
+     * Project revenue, costs and profit for the future period
+     *
+     * Revenue assumes the historical average revenue per yard. When no
+     * projected volume is given, a volume forecast percentile is used, and
+     * without a forecast the historical volume.
+     * @param {Object} historical Result of summarizeHistoricalPeriod
+     * @param {Object} plan Future period inputs
+     * @param {number} plan.projectedVolume Projected volume in yards
+     * @param {Object} plan.volumeForecast VolumeForecaster.forecast result (optional)
+     * @param {number} plan.forecastPercentile Forecast percentile to plan with (default 50)
+     * @param {number} plan.profitGoal Target profit
+     * @param {number} plan.manufacturingPerYard Manufacturing cost per yard
+     * @param {number} plan.labor Labor budget for the period
+     * @param {number} plan.fixed Fixed cost budget for the period
+     * @returns {Object} Projected costs, revenue, profit and goal comparison
+     * @example
+     * const projection = calculator.calculateProjections(historical, {
+     *     projectedVolume: 12000, profitGoal: 500000, manufacturingPerYard: 72, labor: 300000, fixed: 180000
+     * });
+     * console.log(projection.profitGap);
+     */
+    calculateProjections(historical, plan = {}) {
+        const manufacturingPerYard = plan.manufacturingPerYard || 0;
+        const labor = plan.labor || 0;
+        const fixed = plan.fixed || 0;
+        const profitGoal = plan.profitGoal || 0;
+
+        // Use projected volume for calculations, else the forecast, else the historical volume
+        const forecastPercentile = !(plan.projectedVolume > 0) && plan.volumeForecast
+            ? (plan.forecastPercentile || 50)
+            : null;
+        const volume = plan.projectedVolume > 0
+            ? plan.projectedVolume
+            : (forecastPercentile !== null ? this.getForecastVolume(plan.volumeForecast, forecastPercentile) : historical.volume);
+
+        // Manufacturing is per yard, labor and fixed are lump sums
+        const manufacturingTotal = manufacturingPerYard * volume;
+        const totalProjectedCosts = manufacturingTotal + labor + fixed;
+
+        // Projected revenue keeps historical pricing
+        const averageRevenuePerYard = historical.revenue > 0 && historical.volume > 0
+            ? historical.revenue / historical.volume
+            : 0;
+        const projectedRevenue = averageRevenuePerYard * volume;
+        const projectedProfit = projectedRevenue - totalProjectedCosts;
+        const projectedMargin = projectedRevenue > 0 ? (projectedProfit / projectedRevenue * 100) : 0;
+
+        // Month by month volume at the same percentile
+        const forecast = forecastPercentile !== null
+            ? {
+                forecastPercentile,
+                monthlyVolume: plan.volumeForecast.months.map(month => ({
+                    month: month.month,
+                    volume: month.volumePercentiles[forecastPercentile],
+                    revenue: month.volumePercentiles[forecastPercentile] * averageRevenuePerYard
+                }))
+            }
+            : {};
+
+        return {
+            volume,
+            volumeSource: forecastPercentile !== null
+                ? 'forecast'
+                : (volume === plan.projectedVolume ? 'projected' : 'historical'),
+            ...forecast,
+            manufacturingPerYard,
+            manufacturingTotal,
+            labor,
+            laborPerYard: volume > 0 ? labor / volume : 0,
+            fixed,
+            fixedPerYard: volume > 0 ? fixed / volume : 0,
+            totalProjectedCosts,
+            averageRevenuePerYard,
+            projectedRevenue,
+            projectedProfit,
+            projectedMargin,
+            profitGoal,
+            goalDifference: projectedProfit - profitGoal,
+            profitGap: profitGoal - projectedProfit,
+            goalAchievement: profitGoal > 0 ? (projectedProfit / profitGoal) * 100 : null
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfitPlanCalculator;
+} else if (typeof window !== 'undefined') {
+    window.ProfitPlanCalculator = ProfitPlanCalculator;
+}
@@ -0,0 +1,515 @@
+const riskSimulatorModules = typeof module !== 'undefined' && module.exports
+    ? {
+        ProfitPlanCalculator: require('./ProfitPlanCalculator'),
+        PricingAdjustmentCalculator: require('./PricingAdjustmentCalculator')
+    }
+    : window;
+
+/**
+ * ProfitRiskSimulator - Monte Carlo simulation of the profit plan
+ *
+ * Samples the uncertain plan inputs (projected volume, manufacturing cost
+ * per yard, labor and fixed budgets, price elasticity per bucket and how
+ * much of the modelled churn actually happens) from the distributions the
+ * user gives, and runs every draw through the same projection and bucket
+ * pricing impact math as the point estimate. The result is the profit
+ * distribution with P10/P50/P90, the probability of meeting the profit
+ * goal and a tornado ranking of the inputs that move profit the most.
+ *
+ * Distributions: a plain number (fixed), {type: 'normal', mean, sd, min,
+ * max}, {type: 'triangular', min, mode, max} or {type: 'uniform', min,
+ * max}. A missing mean or mode defaults to the plan's value.
+ *
+ * @class ProfitRiskSimulator
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class ProfitRiskSimulator {
+    /**
+     * Creates an instance of ProfitRiskSimulator
+     *
+     * @param {Object} options - Configuration options
+     * @param {PricingAdjustmentCalculator} options.pricingCalculator - Supplies demand models and bucket impact math
+     * @param {ProfitPlanCalculator} options.planCalculator - Supplies the projection math
+     */
+    constructor(options = {}) {
+        this.pricingCalculator = options.pricingCalculator || new riskSimulatorModules.PricingAdjustmentCalculator();
+        this.planCalculator = options.planCalculator || new riskSimulatorModules.ProfitPlanCalculator();
+
+        this.defaultIterations = 5000;
+        this.maxIterations = 100000;
+        this.histogramBins = 20;
+        this.distributionTypes = ['normal', 'triangular', 'uniform'];
+
+        // Standard normal quantile of 0.9, for P10/P90 of normal inputs
+        this.z90 = 1.2815515655446004;
+
+        /** @type {Object} Labels of the simulated plan inputs */
+        this.inputLabels = {
+            volume: 'Projected volume',
+            manufacturingPerYard: 'Manufacturing $/yard',
+            labor: 'Labor budget',
+            fixed: 'Fixed budget',
+            churn: 'Churn realized'
+        };
+    }
+
+    /**
+     * Simulate the plan's profit under uncertain inputs
+     *
+     * Each draw projects the period at the sampled volume and costs, scales
+     * the buckets' volume to the sampled volume and prices them with the
+     * sampled elasticities. Churn is the share of each bucket's modelled
+     * churn risk that is lost as volume (0 when not simulated, as in the
+     * point estimate).
+     *
+     * @param {Object} plan - Plan figures
+     * @param {Object} plan.historical - ProfitPlanCalculator.summarizeHistoricalPeriod result
+     * @param {number} plan.profitGoal - Target profit
+     * @param {number} plan.projectedVolume - Projected volume in yards
+     * @param {Object} plan.costs - {manufacturingPerYard, labor, fixed}
+     * @param {Map|Array<Object>} plan.buckets - Populated buckets (optional)
+     * @param {Object} plan.adjustments - bucketId → {adjustment, adjustmentType}
+     * @param {Object} options - Simulation options
+     * @param {Object} options.inputs - Distributions for volume, manufacturingPerYard, labor, fixed, churn and elasticity (one distribution for all buckets, or bucket name → distribution)
+     * @param {number} options.iterations - Draws (default 5000)
+     * @param {number} options.seed - Random seed, so runs are repeatable (default 1)
+     * @returns {Object} {iterations, seed, baseProfit (point estimate at the plan's values), profitGoal, profit {mean, standardDeviation, min, p10, p50, p90, max}, probabilityOfMeetingGoal, histogram, tornado, inputs}
+     * @throws {Error} On invalid distributions or plan inputs
+     *
+     * @example
+     * const risk = simulator.simulate({ historical, profitGoal: 150000, projectedVolume: 4000, costs, buckets, adjustments }, {
+     *     inputs: { volume: { type: 'triangular', min: 3400, max: 4300 }, elasticity: { type: 'uniform', min: -0.8, max: -0.1 } }
+     * });
+     * console.log(risk.profit.p10, risk.probabilityOfMeetingGoal, risk.tornado[0].label);
+     */
+    simulate(plan, options = {}) {
+        try {
+            if (!plan || !plan.historical || !(plan.historical.volume > 0)) {
+                throw new Error('Historical period with volume is required');
+            }
+
+            const iterations = options.iterations !== undefined ? options.iterations : this.defaultIterations;
+            if (!Number.isInteger(iterations) || iterations < 100 || iterations > this.maxIterations) {
+                throw new Error(`iterations must be a whole number from 100 to ${this.maxIterations}`);
+            }
+            const seed = options.seed !== undefined ? options.seed : 1;
+
+            const model = this.buildModel(plan);
+            const inputs = this.buildInputs(model, options.inputs || {});
+            const simulated = inputs.filter(input => input.distribution !== null);
+            if (simulated.length === 0) {
+                throw new Error('inputs need at least one distribution to simulate');
+            }
+
+            // Draw every input once per iteration, in a fixed order, so a seed gives the same run
+            const random = this.createRandom(seed);
+            const samples = simulated.map(() => new Array(iterations));
+            const profits = new Array(iterations);
+            for (let iteration = 0; iteration < iterations; iteration++) {
+                const values = {};
+                inputs.forEach(input => {
+                    values[input.key] = input.distribution === null ? input.base : this.sample(input.distribution, random);
+                });
+                simulated.forEach((input, position) => {
+                    samples[position][iteration] = values[input.key];
+                });
+                profits[iteration] = this.evaluate(model, inputs, values);
+            }
+
+            const sorted = [...profits].sort((a, b) => a - b);
+            const profitGoal = plan.profitGoal || 0;
+            const planValues = {};
+            inputs.forEach(input => {
+                planValues[input.key] = input.planValue;
+            });
+
+            return {
+                iterations,
+                seed,
+                baseProfit: this.round(this.evaluate(model, inputs, planValues), 2),
+                profitGoal,
+                profit: {
+                    mean: this.round(this.mean(profits), 2),
+                    standardDeviation: this.round(this.standardDeviation(profits), 2),
+                    min: this.round(sorted[0], 2),
+                    p10: this.round(this.percentile(sorted, 10), 2),
+                    p50: this.round(this.percentile(sorted, 50), 2),
+                    p90: this.round(this.percentile(sorted, 90), 2),
+                    max: this.round(sorted[sorted.length - 1], 2)
+                },
+                probabilityOfMeetingGoal: profitGoal > 0
+                    ? this.round(profits.filter(profit => profit >= profitGoal).length / iterations * 100, 1)
+                    : null,
+                histogram: this.buildHistogram(sorted),
+                tornado: this.buildTornado(model, inputs, simulated, samples, profits),
+                inputs: simulated.map(input => ({
+                    input: input.key,
+                    label: input.label,
+                    distribution: input.distribution,
+                    planValue: input.planValue !== undefined ? input.planValue : input.modelledValue,
+                    p10: this.round(this.quantile(input.distribution, 0.1), 4),
+                    p50: this.round(this.quantile(input.distribution, 0.5), 4),
+                    p90: this.round(this.quantile(input.distribution, 0.9), 4)
+                }))
+            };
+
+        } catch (error) {
+            console.error('Error simulating profit risk:', error);
+            throw new Error(`Risk simulation failed: ${error.message}`);
+        }
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Plan figures and buckets with their resolved demand models
+     * @private
+     */
+    buildModel(plan) {
+        const costs = plan.costs || {};
+        const buckets = plan.buckets instanceof Map ? Array.from(plan.buckets.values()) : (plan.buckets || []);
+        const adjustments = plan.adjustments || {};
+
+        return {
+            historical: plan.historical,
+            profitGoal: plan.profitGoal || 0,
+            volume: plan.projectedVolume > 0 ? plan.projectedVolume : plan.historical.volume,
+            manufacturingPerYard: costs.manufacturingPerYard || 0,
+            labor: costs.labor || 0,
+            fixed: costs.fixed || 0,
+            buckets: buckets.map(bucket => ({
+                bucket,
+                demandModel: this.pricingCalculator.getDemandModel(bucket),
+                adjustment: adjustments[bucket.bucketId] || { adjustment: 0, adjustmentType: 'absolute' }
+            }))
+        };
+    }
+
+    /**
+     * One entry per plan input {key, label, planValue, base, distribution,
+     * bucketIds}; base is the median the tornado holds inputs at
+     * @private
+     */
+    buildInputs(model, inputs) {
+        const known = ['volume', 'manufacturingPerYard', 'labor', 'fixed', 'churn', 'elasticity'];
+        const unknown = Object.keys(inputs).filter(key => !known.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown simulation input(s): ${unknown.join(', ')} (use ${known.join(', ')})`);
+        }
+
+        const entries = ['volume', 'manufacturingPerYard', 'labor', 'fixed', 'churn'].map(key => {
+            const planValue = typeof inputs[key] === 'number' ? inputs[key] : (key === 'churn' ? 0 : model[key]);
+            const distribution = this.normalizeDistribution(inputs[key], planValue, this.inputLabels[key]);
+            return {
+                key,
+                label: this.inputLabels[key],
+                planValue,
+                base: distribution ? this.quantile(distribution, 0.5) : planValue,
+                distribution
+            };
+        });
+
+        // One elasticity for every bucket, or one per bucket name
+        const elasticity = inputs.elasticity;
+        if (elasticity !== undefined && model.buckets.length > 0) {
+            const shared = typeof elasticity === 'number' || (elasticity && elasticity.type !== undefined);
+            const names = new Set(model.buckets.map(entry => entry.bucket.bucketName));
+            if (!shared) {
+                const unknownBuckets = Object.keys(elasticity).filter(name => !names.has(name));
+                if (unknownBuckets.length > 0) {
+                    throw new Error(`Elasticity given for unknown bucket(s): ${unknownBuckets.join(', ')}`);
+                }
+            }
+
+            const groups = shared
+                ? [{ key: 'elasticity', label: 'Elasticity', entries: model.buckets, definition: elasticity }]
+                : Object.keys(elasticity).map(name => ({
+                    key: `elasticity:${name}`,
+                    label: `Elasticity (${name})`,
+                    entries: model.buckets.filter(entry => entry.bucket.bucketName === name),
+                    definition: elasticity[name]
+                }));
+
+            groups.forEach(group => {
+                const modelled = group.entries.map(entry => entry.demandModel.elasticity);
+                const modelledValue = modelled.every(value => typeof value === 'number') ? this.mean(modelled) : undefined;
+                const distribution = this.normalizeDistribution(group.definition, modelledValue, group.label);
+                // The plan keeps each bucket's own model unless a fixed elasticity is given
+                const planValue = typeof group.definition === 'number' ? group.definition : undefined;
+                entries.push({
+                    key: group.key,
+                    label: group.label,
+                    planValue,
+                    modelledValue,
+                    base: distribution ? this.quantile(distribution, 0.5) : planValue,
+                    distribution,
+                    bucketIds: group.entries.map(entry => entry.bucket.bucketId)
+                });
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Validated distribution, or null for a fixed input
+     * @private
+     */
+    normalizeDistribution(definition, planValue, label) {
+        if (definition === undefined || typeof definition === 'number') {
+            return null;
+        }
+        if (!definition || !this.distributionTypes.includes(definition.type)) {
+            throw new Error(`${label}: distribution type must be one of ${this.distributionTypes.join(', ')}`);
+        }
+
+        const finite = value => typeof value === 'number' && isFinite(value);
+        if (definition.type === 'normal') {
+            const mean = definition.mean !== undefined ? definition.mean : planValue;
+            if (!finite(mean) || !finite(definition.sd) || definition.sd < 0) {
+                throw new Error(`${label}: normal distribution needs sd >= 0 and a mean`);
+            }
+            const distribution = { type: 'normal', mean, sd: definition.sd };
+            if (definition.min !== undefined) distribution.min = definition.min;
+            if (definition.max !== undefined) distribution.max = definition.max;
+            return distribution;
+        }
+
+        if (definition.type === 'triangular') {
+            const mode = definition.mode !== undefined ? definition.mode : planValue;
+            if (![definition.min, mode, definition.max].every(finite) || !(definition.min <= mode && mode <= definition.max)) {
+                throw new Error(`${label}: triangular distribution needs min <= mode <= max`);
+            }
+            return { type: 'triangular', min: definition.min, mode, max: definition.max };
+        }
+
+        if (!finite(definition.min) || !finite(definition.max) || definition.min > definition.max) {
+            throw new Error(`${label}: uniform distribution needs min <= max`);
+        }
+        return { type: 'uniform', min: definition.min, max: definition.max };
+    }
+
+    /**
+     * Plan profit for one set of input values: projected profit plus the
+     * buckets' pricing impact, less the margin on churned volume
+     * @private
+     */
+    evaluate(model, inputs, values) {
+        const volume = Math.max(0, values.volume);
+        const costs = {
+            manufacturingPerYard: Math.max(0, values.manufacturingPerYard),
+            labor: Math.max(0, values.labor),
+            fixed: Math.max(0, values.fixed)
+        };
+        const projection = this.planCalculator.calculateProjections(model.historical, {
+            projectedVolume: volume,
+            profitGoal: model.profitGoal,
+            ...costs
+        });
+        if (model.buckets.length === 0 || !(volume > 0)) {
+            return projection.projectedProfit;
+        }
+
+        const elasticityByBucket = new Map();
+        inputs.filter(input => input.bucketIds).forEach(input => {
+            if (values[input.key] !== undefined) {
+                input.bucketIds.forEach(bucketId => elasticityByBucket.set(bucketId, values[input.key]));
+            }
+        });
+
+        const costBasis = { ...costs, volume };
+        const scale = volume / model.volume;
+        const churn = Math.min(1, Math.max(0, values.churn));
+
+        return model.buckets.reduce((profit, entry) => {
+            const bucketId = entry.bucket.bucketId;
+            const impact = this.pricingCalculator.calculateBucketImpact({
+                ...entry.bucket,
+                totalVolume: (entry.bucket.totalVolume || 0) * scale,
+                demandModel: elasticityByBucket.has(bucketId)
+                    ? { ...entry.demandModel, elasticity: elasticityByBucket.get(bucketId) }
+                    : entry.demandModel
+            }, entry.adjustment, { costBasis });
+
+            const churnLoss = churn * impact.churnRisk * impact.projectedVolume * (impact.newPrice - impact.variableCostPerYard);
+            return profit + impact.profitChange - churnLoss;
+        }, projection.projectedProfit);
+    }
+
+    /**
+     * Inputs ranked by profit swing between their P10 and P90 (the others
+     * at their medians), with each input's share of the simulated variance
+     * @private
+     */
+    buildTornado(model, inputs, simulated, samples, profits) {
+        const medians = {};
+        inputs.forEach(input => {
+            medians[input.key] = input.base;
+        });
+
+        const correlations = simulated.map((input, position) => this.correlation(samples[position], profits));
+        const explained = correlations.reduce((sum, value) => sum + value * value, 0);
+
+        return simulated.map((input, position) => {
+            const low = this.quantile(input.distribution, 0.1);
+            const high = this.quantile(input.distribution, 0.9);
+            const lowProfit = this.evaluate(model, inputs, { ...medians, [input.key]: low });
+            const highProfit = this.evaluate(model, inputs, { ...medians, [input.key]: high });
+
+            return {
+                input: input.key,
+                label: input.label,
+                low: { value: this.round(low, 4), profit: this.round(lowProfit, 2) },
+                high: { value: this.round(high, 4), profit: this.round(highProfit, 2) },
+                swing: this.round(Math.abs(highProfit - lowProfit), 2),
+                correlation: this.round(correlations[position], 3),
+                varianceShare: explained > 0 ? this.round(correlations[position] * correlations[position] / explained * 100, 1) : 0
+            };
+        }).sort((a, b) => b.swing - a.swing);
+    }
+
+    /**
+     * Equal-width profit histogram
+     * @private
+     */
+    buildHistogram(sorted) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = (max - min) / this.histogramBins;
+        if (!(width > 0)) {
+            return [{ from: this.round(min, 2), to: this.round(max, 2), count: sorted.length }];
+        }
+
+        const counts = new Array(this.histogramBins).fill(0);
+        sorted.forEach(value => {
+            counts[Math.min(this.histogramBins - 1, Math.floor((value - min) / width))]++;
+        });
+        return counts.map((count, bin) => ({
+            from: this.round(min + bin * width, 2),
+            to: this.round(min + (bin + 1) * width, 2),
+            count
+        }));
+    }
+
+    /**
+     * Draw from a distribution
+     * @private
+     */
+    sample(distribution, random) {
+        if (distribution.type === 'normal') {
+            // Box-Muller
+            const u = 1 - random();
+            const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+            return this.clamp(distribution.mean + distribution.sd * z, distribution);
+        }
+        return this.quantile(distribution, random());
+    }
+
+    /**
+     * Value at cumulative probability p (normal: only 0.1, 0.5 and 0.9)
+     * @private
+     */
+    quantile(distribution, p) {
+        if (distribution.type === 'normal') {
+            const z = p === 0.5 ? 0 : (p < 0.5 ? -this.z90 : this.z90);
+            return this.clamp(distribution.mean + distribution.sd * z, distribution);
+        }
+        if (distribution.type === 'uniform') {
+            return distribution.min + p * (distribution.max - distribution.min);
+        }
+
+        const { min, mode, max } = distribution;
+        if (max === min) return min;
+        const split = (mode - min) / (max - min);
+        return p < split
+            ? min + Math.sqrt(p * (max - min) * (mode - min))
+            : max - Math.sqrt((1 - p) * (max - min) * (max - mode));
+    }
+
+    /**
+     * Keep a normal draw inside its optional min/max
+     * @private
+     */
+    clamp(value, distribution) {
+        const lower = distribution.min !== undefined ? Math.max(distribution.min, value) : value;
+        return distribution.max !== undefined ? Math.min(distribution.max, lower) : lower;
+    }
+
+    /**
+     * Percentile of sorted values with linear interpolation
+     * @private
+     */
+    percentile(sorted, p) {
+        const position = (sorted.length - 1) * p / 100;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Pearson correlation (0 when either side is constant)
+     * @private
+     */
+    correlation(xs, ys) {
+        const meanX = this.mean(xs);
+        const meanY = this.mean(ys);
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        for (let i = 0; i < xs.length; i++) {
+            covariance += (xs[i] - meanX) * (ys[i] - meanY);
+            varianceX += (xs[i] - meanX) * (xs[i] - meanX);
+            varianceY += (ys[i] - meanY) * (ys[i] - meanY);
+        }
+        return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+    }
+
+    /**
+     * Mean of a list
+     * @private
+     */
+    mean(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    /**
+     * Population standard deviation
+     * @private
+     */
+    standardDeviation(values) {
+        const mean = this.mean(values);
+        return Math.sqrt(this.mean(values.map(value => (value - mean) * (value - mean))));
+    }
+
+    /**
+     * Seeded pseudo-random generator (mulberry32) so simulations are repeatable
+     * @private
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Round to a number of decimals
+     * @private
+     */
+    round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfitRiskSimulator;
+} else if (typeof window !== 'undefined') {
+    window.ProfitRiskSimulator = ProfitRiskSimulator;
+}
@@ -0,0 +1,738 @@
+/**
+ * SalesLedgerImporter - Imports dispatch/invoice exports into analyzer data structures
+ *
+ * Parses CSV or XLSX sales ledgers whose columns follow the `sales` table in
+ * DATABASE_SCHEMA.sql, maps them onto the analyzer fields, reports rows that
+ * cannot be used, and rolls the accepted rows up into the monthly
+ * volume/revenue/cost buckets (same shape as `historicalData`) and the
+ * per-customer analytics consumed by CustomerBucketManager and
+ * OverlapResolutionEngine.
+ *
+ * @class SalesLedgerImporter
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class SalesLedgerImporter {
+    /**
+     * Creates an instance of SalesLedgerImporter
+     *
+     * @param {Object} options - Configuration options
+     * @param {Object} options.costAssumptions - Costs used when the ledger has no cost columns
+     * @param {number} options.costAssumptions.manufacturingPerYard - Manufacturing $/yard (default: 70, schema base_cost_per_yard)
+     * @param {number} options.costAssumptions.laborPerMonth - Labor lump sum added to every imported month (default: 0)
+     * @param {number} options.costAssumptions.fixedPerMonth - Fixed lump sum added to every imported month (default: 0)
+     * @param {Object} options.xlsx - SheetJS instance used for XLSX parsing (default: global XLSX or require('xlsx'))
+     */
+    constructor(options = {}) {
+        this.costAssumptions = {
+            manufacturingPerYard: 70,
+            laborPerMonth: 0,
+            fixedPerMonth: 0,
+            ...options.costAssumptions
+        };
+
+        this.xlsx = options.xlsx || null;
+
+        /** @type {Array<Object>} Ledger fields the importer understands */
+        this.fields = [
+            { key: 'sale_date', label: 'Sale Date', required: true, aliases: ['date', 'invoice date', 'ticket date', 'delivery date'] },
+            { key: 'customer', label: 'Customer', required: true, aliases: ['customer name', 'company', 'company name', 'account'] },
+            { key: 'concrete_yards', label: 'Concrete Yards', required: true, aliases: ['yards', 'cubic yards', 'volume', 'quantity', 'qty'] },
+            { key: 'unit_price', label: 'Unit Price ($/yd)', required: true, aliases: ['price', 'price per yard', 'rate', 'unit price'] },
+            { key: 'surcharges', label: 'Surcharges', required: false, multiple: true, aliases: ['surcharge', 'fuel surcharge', 'overtime charges', 'additional charges'] },
+            { key: 'customer_id', label: 'Customer ID', required: false, aliases: ['customer number', 'account number', 'account id'] },
+            { key: 'sale_number', label: 'Sale / Invoice Number', required: false, aliases: ['invoice', 'invoice number', 'ticket', 'ticket number'] },
+            { key: 'concrete_type', label: 'Concrete Type', required: false, aliases: ['mix', 'mix design', 'product'] },
+            { key: 'project_type', label: 'Project Type', required: false, aliases: ['project', 'job type', 'market segment'] },
+            { key: 'region', label: 'Region', required: false, aliases: ['territory', 'area', 'branch', 'plant'] },
+            { key: 'manufacturing_cost', label: 'Manufacturing Cost ($)', required: false, aliases: ['material cost', 'production cost'] },
+            { key: 'labor_cost', label: 'Labor Cost ($)', required: false, aliases: ['delivery cost', 'driver cost'] },
+            { key: 'fixed_cost', label: 'Fixed Cost ($)', required: false, aliases: ['overhead', 'overhead cost'] }
+        ];
+    }
+
+    /**
+     * Parses CSV text into headers and row objects
+     *
+     * @param {string} text - Raw CSV content (comma, semicolon or tab delimited)
+     * @returns {{headers: Array<string>, rows: Array<Object>, rowNumbers: Array<number>}} Parsed table
+     *
+     * @example
+     * const table = importer.parseCSV(fs.readFileSync('ledger.csv', 'utf8'));
+     * console.log(table.headers);
+     */
+    parseCSV(text) {
+        if (typeof text !== 'string') {
+            throw new Error('CSV content must be a string');
+        }
+
+        const content = text.replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(content);
+        const records = [];
+        // File line each record starts on; quoted fields can span lines
+        const lineNumbers = [];
+
+        let record = [];
+        let value = '';
+        let inQuotes = false;
+        let line = 1;
+        let recordLine = 1;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    if (char === '\n' || (char === '\r' && content[i + 1] !== '\n')) line++;
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                record.push(value);
+                records.push(record);
+                lineNumbers.push(recordLine);
+                line++;
+                recordLine = line;
+                record = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        if (value !== '' || record.length > 0) {
+            record.push(value);
+            records.push(record);
+            lineNumbers.push(recordLine);
+        }
+
+        return this.recordsToTable(records, lineNumbers);
+    }
+
+    /**
+     * Parses an XLSX workbook (first sheet) into headers and row objects
+     *
+     * @param {ArrayBuffer|Uint8Array} data - Workbook bytes
+     * @returns {{headers: Array<string>, rows: Array<Object>, rowNumbers: Array<number>}} Parsed table
+     */
+    parseXLSX(data) {
+        const xlsx = this.resolveXlsxLibrary();
+
+        const workbook = xlsx.read(data, { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        if (!sheet) {
+            throw new Error('Workbook does not contain any sheets');
+        }
+
+        const records = xlsx.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+        return this.recordsToTable(records);
+    }
+
+    /**
+     * Suggests a column mapping by matching headers against field names and aliases
+     *
+     * @param {Array<string>} headers - Column headers from the parsed file
+     * @returns {Object} Mapping of field key to header (array of headers for multi-column fields)
+     */
+    suggestColumnMapping(headers) {
+        const normalized = headers.map(header => this.normalizeHeader(header));
+        const mapping = {};
+
+        for (const field of this.fields) {
+            const candidates = [field.key, field.label, ...field.aliases].map(name => this.normalizeHeader(name));
+            const matches = headers.filter((header, index) => candidates.includes(normalized[index]));
+
+            if (matches.length === 0) continue;
+            mapping[field.key] = field.multiple ? matches : matches[0];
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Validates that every required field is mapped to an existing column
+     *
+     * @param {Object} mapping - Field key to header mapping
+     * @param {Array<string>} headers - Available headers
+     * @throws {Error} If a required field is unmapped or a mapped column is missing
+     */
+    validateMapping(mapping, headers) {
+        if (!mapping || typeof mapping !== 'object') {
+            throw new Error('Column mapping must be an object');
+        }
+
+        for (const field of this.fields) {
+            const columns = this.getMappedColumns(mapping, field.key);
+
+            if (field.required && columns.length === 0) {
+                throw new Error(`Required field "${field.label}" is not mapped to a column`);
+            }
+
+            for (const column of columns) {
+                if (!headers.includes(column)) {
+                    throw new Error(`Column "${column}" mapped to "${field.label}" does not exist in the file`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Imports a parsed table: normalizes rows, reports rejects and builds rollups
+     *
+     * @param {{headers: Array<string>, rows: Array<Object>, rowNumbers: Array<number>}} table - Output of parseCSV/parseXLSX
+     * @param {Object} mapping - Field key to header mapping (default: suggested mapping)
+     * @returns {Object} Import result with transactions, rejectedRows, monthlyData, customerAnalytics and summary
+     *
+     * @example
+     * const table = importer.parseCSV(csvText);
+     * const result = importer.importTable(table, importer.suggestColumnMapping(table.headers));
+     * console.log(`${result.summary.importedRows} rows imported, ${result.summary.rejectedRows} rejected`);
+     */
+    importTable(table, mapping = null) {
+        try {
+            if (!table || !Array.isArray(table.headers) || !Array.isArray(table.rows)) {
+                throw new Error('Table must contain headers and rows arrays');
+            }
+
+            const columnMapping = mapping || this.suggestColumnMapping(table.headers);
+            this.validateMapping(columnMapping, table.headers);
+
+            const { transactions, rejectedRows } = this.normalizeRows(table.rows, columnMapping, table.rowNumbers);
+            const monthlyData = this.rollupMonthly(transactions);
+            const customerAnalytics = this.rollupCustomers(transactions);
+
+            return {
+                transactions,
+                rejectedRows,
+                monthlyData,
+                customerAnalytics,
+                mapping: columnMapping,
+                summary: {
+                    totalRows: table.rows.length,
+                    importedRows: transactions.length,
+                    rejectedRows: rejectedRows.length,
+                    months: Object.keys(monthlyData),
+                    customerCount: customerAnalytics.length,
+                    totalVolume: this.round(transactions.reduce((sum, t) => sum + t.concreteYards, 0)),
+                    totalRevenue: this.round(transactions.reduce((sum, t) => sum + t.revenue, 0))
+                }
+            };
+
+        } catch (error) {
+            console.error('Error importing sales ledger:', error);
+            throw new Error(`Sales ledger import failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Converts raw rows into normalized transactions, collecting rows that fail validation
+     *
+     * @param {Array<Object>} rows - Row objects keyed by header
+     * @param {Object} mapping - Field key to header mapping
+     * @param {Array<number>} rowNumbers - Source line number of each row (default: header on line 1, no blank lines)
+     * @returns {{transactions: Array<Object>, rejectedRows: Array<Object>}} Accepted and rejected rows
+     */
+    normalizeRows(rows, mapping, rowNumbers = null) {
+        const transactions = [];
+        const rejectedRows = [];
+        const seenSaleNumbers = new Set();
+
+        // Rows without a customer ID take the ID the same customer has on other
+        // rows, and generated IDs stay clear of every ID given in the file
+        const generatedIds = new Map();
+        const explicitIds = new Set();
+        rows.forEach(row => {
+            const customerIdValue = this.readField(row, mapping, 'customer_id');
+            if (this.isBlank(customerIdValue)) return;
+            const customerId = String(customerIdValue).trim();
+            const nameKey = this.getCustomerNameKey(String(this.readField(row, mapping, 'customer') ?? '').trim());
+            explicitIds.add(customerId);
+            if (nameKey && !generatedIds.has(nameKey)) {
+                generatedIds.set(nameKey, customerId);
+            }
+        });
+
+        rows.forEach((row, index) => {
+            const rowNumber = rowNumbers ? rowNumbers[index] : index + 2;
+            const errors = [];
+
+            const saleDate = this.parseDate(this.readField(row, mapping, 'sale_date'));
+            if (!saleDate) errors.push('sale_date is missing or not a valid date');
+
+            const customerName = String(this.readField(row, mapping, 'customer') ?? '').trim();
+            if (!customerName) errors.push('customer is missing');
+
+            const concreteYards = this.parseNumber(this.readField(row, mapping, 'concrete_yards'));
+            if (concreteYards === null) {
+                errors.push('concrete_yards is missing or not a number');
+            } else if (concreteYards <= 0) {
+                errors.push('concrete_yards must be greater than 0');
+            }
+
+            const unitPrice = this.parseNumber(this.readField(row, mapping, 'unit_price'));
+            if (unitPrice === null) {
+                errors.push('unit_price is missing or not a number');
+            } else if (unitPrice <= 0) {
+                errors.push('unit_price must be greater than 0');
+            }
+
+            let surcharges = 0;
+            for (const column of this.getMappedColumns(mapping, 'surcharges')) {
+                const raw = row[column];
+                if (this.isBlank(raw)) continue;
+                const amount = this.parseNumber(raw);
+                if (amount === null) {
+                    errors.push(`surcharge column "${column}" is not a number`);
+                } else {
+                    surcharges += amount;
+                }
+            }
+
+            const costs = {};
+            for (const key of ['manufacturing_cost', 'labor_cost', 'fixed_cost']) {
+                const raw = this.readField(row, mapping, key);
+                if (this.isBlank(raw)) {
+                    costs[key] = null;
+                    continue;
+                }
+                costs[key] = this.parseNumber(raw);
+                if (costs[key] === null) errors.push(`${key} is not a number`);
+            }
+
+            const saleNumber = this.isBlank(this.readField(row, mapping, 'sale_number'))
+                ? null
+                : String(this.readField(row, mapping, 'sale_number')).trim();
+            if (saleNumber !== null) {
+                if (seenSaleNumbers.has(saleNumber)) {
+                    errors.push(`duplicate sale_number ${saleNumber}`);
+                }
+                seenSaleNumbers.add(saleNumber);
+            }
+
+            if (errors.length > 0) {
+                rejectedRows.push({ rowNumber, errors, row });
+                return;
+            }
+
+            const customerIdValue = this.readField(row, mapping, 'customer_id');
+            const concreteRevenue = concreteYards * unitPrice;
+
+            transactions.push({
+                rowNumber,
+                saleNumber,
+                saleDate,
+                month: this.formatMonthLabel(saleDate),
+                customerId: this.isBlank(customerIdValue)
+                    ? this.generateCustomerId(customerName, generatedIds, explicitIds)
+                    : String(customerIdValue).trim(),
+                customerName,
+                concreteType: this.readText(row, mapping, 'concrete_type'),
+                projectType: this.readText(row, mapping, 'project_type'),
+                region: this.readText(row, mapping, 'region'),
+                concreteYards,
+                unitPrice,
+                surcharges,
+                concreteRevenue,
+                revenue: concreteRevenue + surcharges,
+                manufacturingCost: costs.manufacturing_cost !== null
+                    ? costs.manufacturing_cost
+                    : concreteYards * this.costAssumptions.manufacturingPerYard,
+                laborCost: costs.labor_cost || 0,
+                fixedCost: costs.fixed_cost || 0
+            });
+        });
+
+        return { transactions, rejectedRows };
+    }
+
+    /**
+     * Rolls transactions up into monthly buckets shaped like `historicalData`
+     *
+     * Labor and fixed lump sums from costAssumptions are added once per month
+     * on top of any per-row labor/fixed costs.
+     *
+     * @param {Array<Object>} transactions - Normalized transactions
+     * @returns {Object} Month label ('Jan 2024') to {volume, revenue, costs, manufacturing, labor, fixed}
+     */
+    rollupMonthly(transactions) {
+        const months = new Map();
+
+        for (const transaction of this.sortChronologically(transactions)) {
+            if (!months.has(transaction.month)) {
+                months.set(transaction.month, {
+                    volume: 0,
+                    revenue: 0,
+                    costs: 0,
+                    manufacturing: 0,
+                    labor: this.costAssumptions.laborPerMonth,
+                    fixed: this.costAssumptions.fixedPerMonth
+                });
+            }
+
+            const bucket = months.get(transaction.month);
+            bucket.volume += transaction.concreteYards;
+            bucket.revenue += transaction.revenue;
+            bucket.manufacturing += transaction.manufacturingCost;
+            bucket.labor += transaction.laborCost;
+            bucket.fixed += transaction.fixedCost;
+        }
+
+        const monthlyData = {};
+        for (const [month, bucket] of months) {
+            monthlyData[month] = {
+                volume: this.round(bucket.volume),
+                revenue: this.round(bucket.revenue),
+                costs: this.round(bucket.manufacturing + bucket.labor + bucket.fixed),
+                manufacturing: this.round(bucket.manufacturing),
+                labor: this.round(bucket.labor),
+                fixed: this.round(bucket.fixed)
+            };
+        }
+
+        return monthlyData;
+    }
+
+    /**
+     * Rolls transactions up into per-customer analytics
+     *
+     * Monthly labor/fixed lump sums are allocated to customers by their share
+     * of that month's volume, so customer profit adds up to monthly profit.
+     * Days since last order count back from the latest sale in the period;
+     * the concrete type mix is each type's share of the customer's volume and
+     * the region is where most of it was delivered.
+     *
+     * @param {Array<Object>} transactions - Normalized transactions
+     * @param {Object} options - Rollup options
+     * @param {Array<string>} options.months - Only include these month labels (default: all)
+     * @returns {Array<Object>} Customer analytics objects
+     */
+    rollupCustomers(transactions, options = {}) {
+        const monthFilter = Array.isArray(options.months) && options.months.length > 0
+            ? new Set(options.months)
+            : null;
+        const included = this.sortChronologically(transactions)
+            .filter(t => !monthFilter || monthFilter.has(t.month));
+
+        const monthlyVolume = new Map();
+        for (const transaction of included) {
+            monthlyVolume.set(transaction.month, (monthlyVolume.get(transaction.month) || 0) + transaction.concreteYards);
+        }
+        const lumpSumPerMonth = this.costAssumptions.laborPerMonth + this.costAssumptions.fixedPerMonth;
+        const periodEnd = included.length > 0 ? included[included.length - 1].saleDate : null;
+
+        const customers = new Map();
+        for (const transaction of included) {
+            if (!customers.has(transaction.customerId)) {
+                customers.set(transaction.customerId, {
+                    customerId: transaction.customerId,
+                    customerName: transaction.customerName,
+                    totalVolume: 0,
+                    concreteRevenue: 0,
+                    totalRevenue: 0,
+                    totalCost: 0,
+                    deliveryCount: 0,
+                    lastOrderDate: transaction.saleDate,
+                    typeVolume: new Map(),
+                    regionVolume: new Map(),
+                    projectTypes: new Set()
+                });
+            }
+
+            const customer = customers.get(transaction.customerId);
+            const volumeShare = transaction.concreteYards / monthlyVolume.get(transaction.month);
+
+            customer.totalVolume += transaction.concreteYards;
+            customer.concreteRevenue += transaction.concreteRevenue;
+            customer.totalRevenue += transaction.revenue;
+            customer.totalCost += transaction.manufacturingCost + transaction.laborCost +
+                transaction.fixedCost + lumpSumPerMonth * volumeShare;
+            customer.deliveryCount++;
+            if (transaction.concreteType) {
+                customer.typeVolume.set(transaction.concreteType, (customer.typeVolume.get(transaction.concreteType) || 0) + transaction.concreteYards);
+            }
+            if (transaction.region) {
+                customer.regionVolume.set(transaction.region, (customer.regionVolume.get(transaction.region) || 0) + transaction.concreteYards);
+            }
+            if (transaction.projectType) {
+                customer.projectTypes.add(transaction.projectType);
+            }
+            if (transaction.saleDate > customer.lastOrderDate) {
+                customer.lastOrderDate = transaction.saleDate;
+            }
+        }
+
+        return Array.from(customers.values()).map(customer => {
+            const totalProfit = customer.totalRevenue - customer.totalCost;
+
+            return {
+                customerId: customer.customerId,
+                customerName: customer.customerName,
+                totalVolume: this.round(customer.totalVolume),
+                averageUnitPrice: this.round(customer.concreteRevenue / customer.totalVolume),
+                totalRevenue: this.round(customer.totalRevenue),
+                totalProfit: this.round(totalProfit),
+                profitMargin: this.round(customer.totalRevenue > 0 ? (totalProfit / customer.totalRevenue) * 100 : 0),
+                averageOrderSize: this.round(customer.totalVolume / customer.deliveryCount),
+                deliveryCount: customer.deliveryCount,
+                deliveriesPerMonth: this.round(customer.deliveryCount / Math.max(1, monthlyVolume.size)),
+                lastOrderDate: customer.lastOrderDate,
+                daysSinceLastOrder: Math.round((Date.parse(periodEnd) - Date.parse(customer.lastOrderDate)) / 86400000),
+                concreteTypeMix: Object.fromEntries(Array.from(customer.typeVolume, ([type, volume]) => [
+                    type,
+                    this.round(volume / customer.totalVolume * 100)
+                ])),
+                projectTypes: Array.from(customer.projectTypes),
+                region: customer.regionVolume.size > 0
+                    ? Array.from(customer.regionVolume).reduce((top, entry) => entry[1] > top[1] ? entry : top)[0]
+                    : null,
+                bucketId: null
+            };
+        });
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Resolves the SheetJS library used for XLSX parsing
+     * @private
+     */
+    resolveXlsxLibrary() {
+        if (this.xlsx) return this.xlsx;
+
+        if (typeof XLSX !== 'undefined') {
+            this.xlsx = XLSX;
+        } else if (typeof require !== 'undefined') {
+            try {
+                this.xlsx = require('xlsx');
+            } catch (error) {
+                this.xlsx = null;
+            }
+        }
+
+        if (!this.xlsx) {
+            throw new Error('XLSX support requires the SheetJS (xlsx) library; export the ledger as CSV instead');
+        }
+
+        return this.xlsx;
+    }
+
+    /**
+     * Converts an array of records (first record = headers) into row objects
+     * @private
+     * @param {Array<Array>} records - Records in file order
+     * @param {Array<number>} lineNumbers - File line each record starts on (default: one line per record)
+     */
+    recordsToTable(records, lineNumbers = null) {
+        // Keep 1-based file line numbers so rejected rows can be found in the source file
+        const nonEmpty = records
+            .map((record, index) => ({ record, lineNumber: lineNumbers ? lineNumbers[index] : index + 1 }))
+            .filter(({ record }) => record.some(cell => !this.isBlank(cell)));
+        if (nonEmpty.length === 0) {
+            throw new Error('File does not contain a header row');
+        }
+
+        const headers = nonEmpty[0].record.map(header => String(header).trim());
+        const dataRecords = nonEmpty.slice(1);
+        const rows = dataRecords.map(({ record }) => {
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = record[index] !== undefined ? record[index] : '';
+            });
+            return row;
+        });
+
+        return { headers, rows, rowNumbers: dataRecords.map(({ lineNumber }) => lineNumber) };
+    }
+
+    /**
+     * Picks the most frequent delimiter on the header line
+     * @private
+     */
+    detectDelimiter(content) {
+        const headerLine = content.split(/\r?\n/)[0] || '';
+        const candidates = [',', ';', '\t'];
+
+        return candidates
+            .map(delimiter => ({ delimiter, count: headerLine.split(delimiter).length - 1 }))
+            .sort((a, b) => b.count - a.count)[0].delimiter;
+    }
+
+    /**
+     * Returns the header(s) mapped to a field as an array
+     * @private
+     */
+    getMappedColumns(mapping, key) {
+        const value = mapping[key];
+        if (value === undefined || value === null || value === '') return [];
+        return (Array.isArray(value) ? value : [value]).filter(column => column !== '');
+    }
+
+    /**
+     * Reads the first mapped column for a field
+     * @private
+     */
+    readField(row, mapping, key) {
+        const columns = this.getMappedColumns(mapping, key);
+        return columns.length > 0 ? row[columns[0]] : undefined;
+    }
+
+    /**
+     * Reads an optional text field (null when blank)
+     * @private
+     */
+    readText(row, mapping, key) {
+        const value = this.readField(row, mapping, key);
+        return this.isBlank(value) ? null : String(value).trim();
+    }
+
+    /**
+     * Parses currency/number cells ("$1,234.50", "(12.00)")
+     * @private
+     */
+    parseNumber(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+        if (this.isBlank(value)) return null;
+
+        let text = String(value).trim();
+        const negative = /^\(.*\)$/.test(text);
+        text = text.replace(/[()$,\s]/g, '');
+
+        if (!/^-?\d*\.?\d+$/.test(text)) return null;
+
+        const number = parseFloat(text);
+        return negative ? -number : number;
+    }
+
+    /**
+     * Parses a sale date into an ISO date string (YYYY-MM-DD)
+     *
+     * Accepts Date objects, ISO dates, US M/D/YYYY dates and Excel serial numbers.
+     * @private
+     */
+    parseDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : this.toIsoDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+        }
+
+        if (typeof value === 'number') {
+            // Excel serial date (days since 1899-12-30)
+            if (value < 1 || value > 2958465) return null;
+            const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000);
+            return this.toIsoDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+        }
+
+        if (this.isBlank(value)) return null;
+        const text = String(value).trim();
+
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (match) {
+            return this.toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+        }
+
+        match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+        if (match) {
+            const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+            return this.toIsoDate(year, Number(match[1]), Number(match[2]));
+        }
+
+        return null;
+    }
+
+    /**
+     * Builds a validated YYYY-MM-DD string
+     * @private
+     */
+    toIsoDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Formats an ISO date as the month label used by `historicalData` ('Jan 2024')
+     * @private
+     */
+    formatMonthLabel(isoDate) {
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const [year, month] = isoDate.split('-');
+        return `${monthNames[Number(month) - 1]} ${year}`;
+    }
+
+    /**
+     * Derives a stable customer ID from the customer name
+     *
+     * Names that differ only in case or spacing share an ID. Different names
+     * with the same slug ('A&B Concrete', 'A-B Concrete') are kept apart with
+     * a numbered suffix, in the order they first appear, and so is a slug
+     * that is already an explicit ID.
+     * @private
+     * @param {string} customerName - Trimmed customer name
+     * @param {Map<string, string>} generatedIds - Normalized name to ID, shared across one import
+     * @param {Set<string>} reservedIds - IDs given explicitly in the file
+     */
+    generateCustomerId(customerName, generatedIds = new Map(), reservedIds = new Set()) {
+        const nameKey = this.getCustomerNameKey(customerName);
+        if (generatedIds.has(nameKey)) return generatedIds.get(nameKey);
+
+        const slug = nameKey.replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        const baseId = `customer-${slug || 'unnamed'}`;
+        const takenIds = new Set([...generatedIds.values(), ...reservedIds]);
+        let customerId = baseId;
+        for (let counter = 2; takenIds.has(customerId); counter++) {
+            customerId = `${baseId}-${counter}`;
+        }
+
+        generatedIds.set(nameKey, customerId);
+        return customerId;
+    }
+
+    /**
+     * Customer name with case and spacing normalized, for matching rows of one customer
+     * @private
+     */
+    getCustomerNameKey(customerName) {
+        return customerName.toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Sorts transactions by date, keeping file order for same-day rows
+     * @private
+     */
+    sortChronologically(transactions) {
+        return [...transactions].sort((a, b) =>
+            a.saleDate === b.saleDate ? a.rowNumber - b.rowNumber : (a.saleDate < b.saleDate ? -1 : 1));
+    }
+
+    normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    isBlank(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SalesLedgerImporter;
+} else if (typeof window !== 'undefined') {
+    window.SalesLedgerImporter = SalesLedgerImporter;
+}
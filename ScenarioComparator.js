@@ -0,0 +1,265 @@
+const comparatorModules = typeof module !== 'undefined' && module.exports
+    ? { ConcreteAnalysisPipeline: require('./ConcreteAnalysisPipeline') }
+    : window;
+
+/**
+ * ScenarioComparator - Side-by-side comparison of named what-if scenarios
+ *
+ * Every scenario branches from the same historical baseline (data, selected
+ * months, buckets and assignments) and changes only the forward-looking
+ * inputs: future costs, projected volume, profit goal and bucket price
+ * adjustments. Each scenario is costed with calculateProjections and
+ * calculateAdjustmentImpact, then laid out against the baseline with the
+ * change in revenue, costs, profit, margin, goal achievement and churn risk.
+ *
+ * @class ScenarioComparator
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class ScenarioComparator {
+    /**
+     * Creates an instance of ScenarioComparator
+     *
+     * @param {Object} options - Configuration options
+     * @param {Object} options.pipelineOptions - Options passed to ConcreteAnalysisPipeline
+     */
+    constructor(options = {}) {
+        this.pipelineOptions = options.pipelineOptions || {};
+
+        /** @type {Array<string>} Scenario fields shared by every branch */
+        this.baselineFields = [
+            'historicalData', 'transactions', 'costAssumptions', 'sampleSeed',
+            'selectedMonths', 'buckets', 'assignments'
+        ];
+
+        /** @type {Array<Object>} Compared figures in display order {key, label, unit} */
+        this.metrics = [
+            { key: 'volume', label: 'Projected Volume', unit: 'yards' },
+            { key: 'revenue', label: 'Projected Revenue', unit: 'currency' },
+            { key: 'manufacturingTotal', label: 'Manufacturing Costs', unit: 'currency' },
+            { key: 'labor', label: 'Labor Costs', unit: 'currency' },
+            { key: 'fixed', label: 'Fixed Costs', unit: 'currency' },
+            { key: 'costs', label: 'Total Costs', unit: 'currency' },
+            { key: 'profit', label: 'Projected Profit', unit: 'currency' },
+            { key: 'margin', label: 'Projected Margin', unit: 'percent' },
+            { key: 'goalAchievement', label: 'Goal Achievement', unit: 'percent' },
+            { key: 'churnRisk', label: 'Average Churn Risk', unit: 'percent' }
+        ];
+    }
+
+    /**
+     * Run a baseline and its variants through the pipeline and compare them
+     *
+     * @param {Object} baseline - ConcreteAnalysisPipeline scenario, plus an optional name
+     * @param {Array<Object>} variants - Named overrides {name, description, costs, projectedVolume, forecast, profitGoal, adjustments, pricingOptions}
+     * @returns {Promise<Object>} Comparison (see buildComparison)
+     * @throws {Error} If a variant changes the shared baseline or names an unknown bucket
+     *
+     * @example
+     * const comparison = await comparator.compare(scenario, [
+     *     { name: 'Diesel +15%', costs: { manufacturingPerYard: 49.45 } },
+     *     { name: 'Hire two drivers', costs: { labor: 190000 } }
+     * ]);
+     * console.log(comparison.scenarios[1].deltas.profit.change);
+     */
+    async compare(baseline, variants = []) {
+        try {
+            if (!baseline || typeof baseline !== 'object') {
+                throw new Error('Baseline scenario must be an object');
+            }
+
+            const baselineName = baseline.name || 'Baseline';
+            const scenarios = [
+                { ...baseline, name: baselineName },
+                ...variants.map(variant => this.branchScenario(baseline, variant))
+            ];
+
+            const names = new Set();
+            scenarios.forEach(scenario => {
+                if (names.has(scenario.name)) {
+                    throw new Error(`Duplicate scenario name "${scenario.name}"`);
+                }
+                names.add(scenario.name);
+            });
+
+            const pipeline = new comparatorModules.ConcreteAnalysisPipeline(this.pipelineOptions);
+            const entries = [];
+            for (const scenario of scenarios) {
+                const result = await pipeline.run(scenario);
+                entries.push(this.summarizeScenario(
+                    { name: scenario.name, description: scenario.description },
+                    result.projection,
+                    result.adjustmentImpact
+                ));
+            }
+
+            return this.buildComparison(entries);
+
+        } catch (error) {
+            console.error('Error comparing scenarios:', error);
+            throw new Error(`Scenario comparison failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply a variant's overrides to the baseline scenario
+     *
+     * Costs and bucket adjustments are merged field by field, so a variant
+     * only lists what it changes.
+     *
+     * @param {Object} baseline - ConcreteAnalysisPipeline scenario
+     * @param {Object} variant - Named overrides
+     * @returns {Object} Pipeline scenario for the variant
+     * @throws {Error} If the variant is unnamed, changes a baseline field or adjusts an unknown bucket
+     */
+    branchScenario(baseline, variant) {
+        if (!variant || !String(variant.name || '').trim()) {
+            throw new Error('Every scenario needs a name');
+        }
+
+        const sharedFields = this.baselineFields.filter(field => variant[field] !== undefined);
+        if (sharedFields.length > 0) {
+            throw new Error(`Scenario "${variant.name}" cannot change the shared baseline (${sharedFields.join(', ')})`);
+        }
+
+        const bucketNames = new Set((baseline.buckets || []).map(bucket => bucket.name));
+        const unknownBuckets = Object.keys(variant.adjustments || {}).filter(name => !bucketNames.has(name));
+        if (unknownBuckets.length > 0) {
+            throw new Error(`Scenario "${variant.name}" adjusts unknown bucket(s): ${unknownBuckets.join(', ')}`);
+        }
+
+        const costs = { ...baseline.costs, ...variant.costs };
+        // A variant can change only part of the mix design, e.g. its escalations
+        if (baseline.costs && baseline.costs.mixDesign && variant.costs && variant.costs.mixDesign) {
+            costs.mixDesign = { ...baseline.costs.mixDesign, ...variant.costs.mixDesign };
+        }
+        // Likewise a forecast variant can change only the planning percentile
+        const forecast = typeof baseline.forecast === 'object' && typeof variant.forecast === 'object'
+            ? { ...baseline.forecast, ...variant.forecast }
+            : (variant.forecast !== undefined ? variant.forecast : baseline.forecast);
+
+        return {
+            ...baseline,
+            ...variant,
+            name: String(variant.name).trim(),
+            costs,
+            forecast,
+            adjustments: { ...baseline.adjustments, ...variant.adjustments }
+        };
+    }
+
+    /**
+     * Reduce one scenario's projection and pricing impact to the compared figures
+     *
+     * Pricing changes are added on top of the cost projection, the same way
+     * the pipeline reports goal achievement with adjustments. The volume
+     * lost or gained to elasticity moves the manufacturing cost (the
+     * variable cost in the bucket impacts), so the cost rows add up to the
+     * total costs.
+     *
+     * @param {Object} scenario - {name, description}
+     * @param {Object} projection - ProfitPlanCalculator.calculateProjections result
+     * @param {Object} adjustmentImpact - PricingAdjustmentCalculator.calculateAdjustmentImpact result (or null)
+     * @returns {Object} Scenario entry {name, description, profitGoal, riskLevel, figures}
+     */
+    summarizeScenario(scenario, projection, adjustmentImpact = null) {
+        const impact = adjustmentImpact ? adjustmentImpact.summary : null;
+        const revenue = projection.projectedRevenue + (impact ? impact.revenueChange : 0);
+        const profit = projection.projectedProfit + (impact ? impact.profitChange : 0);
+        const manufacturingTotal = this.round(projection.manufacturingTotal + (impact ? impact.revenueChange - impact.profitChange : 0));
+        const labor = this.round(projection.labor);
+        const fixed = this.round(projection.fixed);
+
+        return {
+            name: scenario.name,
+            description: scenario.description || '',
+            profitGoal: projection.profitGoal,
+            riskLevel: adjustmentImpact ? adjustmentImpact.riskAssessment.level : 'none',
+            figures: {
+                volume: this.round(projection.volume + (impact ? impact.volumeImpact : 0)),
+                revenue: this.round(revenue),
+                manufacturingTotal,
+                labor,
+                fixed,
+                costs: this.round(manufacturingTotal + labor + fixed),
+                profit: this.round(profit),
+                margin: this.round(revenue > 0 ? profit / revenue * 100 : 0),
+                goalAchievement: projection.profitGoal > 0 ? this.round(profit / projection.profitGoal * 100) : null,
+                churnRisk: this.round((impact ? impact.averageChurnRisk : 0) * 100)
+            }
+        };
+    }
+
+    /**
+     * Lay scenario entries side by side with deltas against the first (baseline)
+     *
+     * @param {Array<Object>} entries - summarizeScenario results, baseline first
+     * @returns {Object} {baseline, metrics, scenarios: [{name, description, isBaseline, profitGoal, riskLevel, figures, deltas}]}
+     * @throws {Error} If there is no baseline entry
+     */
+    buildComparison(entries) {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error('Comparison needs at least a baseline scenario');
+        }
+
+        const baseline = entries[0];
+
+        return {
+            baseline: baseline.name,
+            metrics: this.metrics.map(metric => ({ ...metric })),
+            scenarios: entries.map((entry, index) => ({
+                ...entry,
+                isBaseline: index === 0,
+                deltas: this.calculateDeltas(entry.figures, baseline.figures)
+            }))
+        };
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Change of each figure against the baseline
+     *
+     * Percent metrics change in percentage points, so they carry no
+     * relative change.
+     * @private
+     */
+    calculateDeltas(figures, baselineFigures) {
+        const deltas = {};
+
+        this.metrics.forEach(({ key, unit }) => {
+            const value = figures[key];
+            const baselineValue = baselineFigures[key];
+
+            if (value === null || baselineValue === null) {
+                deltas[key] = { change: null, percentChange: null };
+                return;
+            }
+
+            const change = this.round(value - baselineValue);
+            deltas[key] = {
+                change,
+                percentChange: unit !== 'percent' && baselineValue !== 0
+                    ? this.round(change / Math.abs(baselineValue) * 100)
+                    : null
+            };
+        });
+
+        return deltas;
+    }
+
+    /**
+     * Round to cents
+     * @private
+     */
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioComparator;
+} else if (typeof window !== 'undefined') {
+    window.ScenarioComparator = ScenarioComparator;
+}
@@ -0,0 +1,412 @@
+/**
+ * ScenarioStore - Versioned scenario documents with persistence and migrations
+ *
+ * A scenario document captures every step's inputs and results: the
+ * historical data (or imported ledger), selected months, profit goal,
+ * projected volume, future cost inputs, customer buckets with their
+ * adjustments and assignments, and the calculated figures. Documents carry
+ * a schemaVersion; loading runs the migration chain so scenarios saved by
+ * older versions still open after the data model changes.
+ *
+ * Storage uses IndexedDB when available, then localStorage, then memory
+ * (Node). Documents can also be written to and read from files.
+ *
+ * @class ScenarioStore
+ * @version 1.1.0
+ * @author Concrete Analyzer Team
+ */
+class ScenarioStore {
+    /**
+     * Creates an instance of ScenarioStore
+     *
+     * @param {Object} options - Configuration options
+     * @param {string} options.backend - 'indexedDB', 'localStorage' or 'memory' (default: best available)
+     * @param {string} options.databaseName - IndexedDB database name (default: 'concrete-analyzer')
+     * @param {string} options.keyPrefix - localStorage key prefix (default: 'concrete-analyzer:scenario:')
+     */
+    constructor(options = {}) {
+        /** @type {string} Identifies scenario documents in files and storage */
+        this.FORMAT = 'concrete-analyzer-scenario';
+
+        /** @type {number} Schema version written by createDocument */
+        this.SCHEMA_VERSION = 2;
+
+        /** @type {Array<Object>} Ordered migrations {from, to, migrate}; add one per schema change */
+        this.migrations = [
+            { from: 0, to: 1, migrate: document => this.migrateFromBucketState(document) },
+            { from: 1, to: 2, migrate: document => this.migrateToPriceSchedules(document) }
+        ];
+
+        this.databaseName = options.databaseName || 'concrete-analyzer';
+        this.storeName = 'scenarios';
+        this.keyPrefix = options.keyPrefix || 'concrete-analyzer:scenario:';
+        this.backend = options.backend || this.detectBackend();
+        this.memoryStore = new Map();
+        this.databasePromise = null;
+    }
+
+    /**
+     * Create a scenario document at the current schema version
+     *
+     * @param {Object} scenario - Scenario content
+     * @param {string} scenario.name - Scenario name (storage key)
+     * @param {number} scenario.currentStep - Step the scenario was saved on
+     * @param {Object} scenario.data - {historicalData, ledger, sampleSeed}
+     * @param {Object} scenario.inputs - {selectedMonths, profitGoal, projectedVolume, costs}
+     * @param {Object} scenario.customerPricing - {buckets, assignments, resolvedOverlaps, bucketManagerState, rollout, customerExceptions}
+     * @param {Object} scenario.customerPricing.rollout - Phased rollout {phases, contractRenewals} (PriceRolloutPlanner.plan options)
+     * @param {Object} scenario.customerPricing.customerExceptions - Customer ID → price exception (PricingAdjustmentCalculator.setCustomerExceptions)
+     * @param {Object} scenario.results - Calculated figures at save time
+     * @returns {Object} Scenario document
+     *
+     * @example
+     * const document = store.createDocument({ name: 'Q3 plan', inputs: { selectedMonths: ['Jul 2024'], profitGoal: 50000 } });
+     * await store.save(document);
+     */
+    createDocument(scenario = {}) {
+        const name = String(scenario.name || '').trim();
+        if (!name) {
+            throw new Error('Scenario name must be a non-empty string');
+        }
+
+        const inputs = scenario.inputs || {};
+        const customerPricing = scenario.customerPricing || {};
+
+        return {
+            format: this.FORMAT,
+            schemaVersion: this.SCHEMA_VERSION,
+            name,
+            savedAt: new Date().toISOString(),
+            currentStep: scenario.currentStep || 1,
+            data: {
+                historicalData: null,
+                ledger: null,
+                sampleSeed: null,
+                ...scenario.data
+            },
+            inputs: {
+                selectedMonths: inputs.selectedMonths || [],
+                profitGoal: inputs.profitGoal || 0,
+                projectedVolume: inputs.projectedVolume || 0,
+                costs: {
+                    manufacturingPerYard: null,
+                    labor: null,
+                    fixed: null,
+                    ...inputs.costs
+                }
+            },
+            customerPricing: {
+                buckets: customerPricing.buckets || [],
+                assignments: customerPricing.assignments || {},
+                resolvedOverlaps: customerPricing.resolvedOverlaps || [],
+                bucketManagerState: customerPricing.bucketManagerState || null,
+                rollout: {
+                    phases: [],
+                    contractRenewals: {},
+                    ...customerPricing.rollout
+                },
+                customerExceptions: customerPricing.customerExceptions || {}
+            },
+            results: scenario.results || {}
+        };
+    }
+
+    /**
+     * Upgrade a document to the current schema version
+     *
+     * @param {Object} document - Scenario document of any known version
+     * @returns {Object} Document at SCHEMA_VERSION
+     * @throws {Error} If the document is not a scenario or its version is unsupported
+     */
+    migrate(document) {
+        try {
+            if (!document || typeof document !== 'object') {
+                throw new Error('Scenario document must be an object');
+            }
+
+            let migrated = { ...document };
+            let version = this.getSchemaVersion(migrated);
+
+            if (version > this.SCHEMA_VERSION) {
+                throw new Error(`Scenario schema ${version} is newer than supported version ${this.SCHEMA_VERSION}`);
+            }
+
+            while (version < this.SCHEMA_VERSION) {
+                const step = this.migrations.find(migration => migration.from === version);
+                if (!step) {
+                    throw new Error(`No migration from scenario schema ${version}`);
+                }
+                migrated = { ...step.migrate(migrated), format: this.FORMAT, schemaVersion: step.to };
+                version = step.to;
+            }
+
+            return migrated;
+
+        } catch (error) {
+            console.error('Error migrating scenario:', error);
+            throw new Error(`Scenario migration failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save a document under its name
+     *
+     * @param {Object} document - Scenario document
+     * @returns {Promise<Object>} Summary {name, savedAt, schemaVersion}
+     */
+    async save(document) {
+        const migrated = this.migrate(document);
+
+        try {
+            if (this.backend === 'indexedDB') {
+                await this.runTransaction('readwrite', store => store.put(migrated));
+            } else if (this.backend === 'localStorage') {
+                localStorage.setItem(this.keyPrefix + migrated.name, JSON.stringify(migrated));
+            } else {
+                this.memoryStore.set(migrated.name, JSON.parse(JSON.stringify(migrated)));
+            }
+
+            return this.summarize(migrated);
+
+        } catch (error) {
+            console.error('Error saving scenario:', error);
+            throw new Error(`Saving scenario failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a saved document by name, migrated to the current schema
+     *
+     * @param {string} name - Scenario name
+     * @returns {Promise<Object|null>} Document, or null when not found
+     */
+    async load(name) {
+        let document;
+
+        if (this.backend === 'indexedDB') {
+            document = await this.runTransaction('readonly', store => store.get(name));
+        } else if (this.backend === 'localStorage') {
+            const text = localStorage.getItem(this.keyPrefix + name);
+            document = text ? JSON.parse(text) : null;
+        } else {
+            document = this.memoryStore.has(name) ? JSON.parse(JSON.stringify(this.memoryStore.get(name))) : null;
+        }
+
+        return document ? this.migrate(document) : null;
+    }
+
+    /**
+     * List saved scenarios, most recently saved first
+     *
+     * Documents are migrated first, so the summaries match what load returns.
+     *
+     * @returns {Promise<Array<Object>>} Summaries {name, savedAt, schemaVersion, currentStep}
+     */
+    async list() {
+        let documents;
+
+        if (this.backend === 'indexedDB') {
+            documents = await this.runTransaction('readonly', store => store.getAll());
+        } else if (this.backend === 'localStorage') {
+            documents = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key.startsWith(this.keyPrefix)) {
+                    documents.push(JSON.parse(localStorage.getItem(key)));
+                }
+            }
+        } else {
+            documents = Array.from(this.memoryStore.values());
+        }
+
+        return documents
+            .map(document => this.summarize(this.migrate(document)))
+            .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    }
+
+    /**
+     * Delete a saved scenario
+     *
+     * @param {string} name - Scenario name
+     * @returns {Promise<void>}
+     */
+    async remove(name) {
+        if (this.backend === 'indexedDB') {
+            await this.runTransaction('readwrite', store => store.delete(name));
+        } else if (this.backend === 'localStorage') {
+            localStorage.removeItem(this.keyPrefix + name);
+        } else {
+            this.memoryStore.delete(name);
+        }
+    }
+
+    /**
+     * Serialize a document for download
+     *
+     * @param {Object} document - Scenario document
+     * @returns {Object} {filename, content, mimeType}
+     */
+    toFile(document) {
+        const migrated = this.migrate(document);
+        const slug = migrated.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scenario';
+
+        return {
+            filename: `${slug}.scenario.json`,
+            content: JSON.stringify(migrated, null, 2),
+            mimeType: 'application/json'
+        };
+    }
+
+    /**
+     * Parse a downloaded scenario file (or a legacy bucket export)
+     *
+     * @param {string} text - File content
+     * @returns {Object} Document at SCHEMA_VERSION
+     * @throws {Error} If the content is not valid JSON or not a scenario
+     */
+    fromFile(text) {
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Scenario file is not valid JSON: ${error.message}`);
+        }
+        return this.migrate(document);
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * Schema version of a document; legacy bucket exports are version 0
+     * @private
+     */
+    getSchemaVersion(document) {
+        if (document.format === this.FORMAT && Number.isInteger(document.schemaVersion)) {
+            return document.schemaVersion;
+        }
+
+        if (typeof document.version === 'string' && Array.isArray(document.buckets)) {
+            return 0;
+        }
+
+        throw new Error('Not a scenario document');
+    }
+
+    /**
+     * Schema 0 → 1: wrap a CustomerBucketManager.exportState() file into a scenario
+     * @private
+     */
+    migrateFromBucketState(state) {
+        const bucketState = { ...state };
+        delete bucketState.format;
+        delete bucketState.schemaVersion;
+
+        // The page used to pass its whole bucket object as criteria; that object is the real bucket
+        const bucketIds = new Map();
+        const buckets = state.buckets.map(([bucketId, bucket]) => {
+            const pageBucket = bucket.criteria && bucket.criteria.criteria ? { ...bucket.criteria } : bucket;
+            bucketIds.set(bucketId, pageBucket.bucketId || bucketId);
+            return pageBucket;
+        });
+        const assignments = {};
+        (state.customerToBucket || []).forEach(([customerId, bucketId]) => {
+            assignments[customerId] = bucketIds.get(bucketId) || bucketId;
+        });
+
+        const document = this.createDocument({
+            name: state.name || `Imported buckets ${String(state.exportedAt || '').slice(0, 10)}`.trim(),
+            customerPricing: {
+                buckets,
+                assignments,
+                bucketManagerState: bucketState
+            }
+        });
+        document.savedAt = state.exportedAt || document.savedAt;
+        return document;
+    }
+
+    /**
+     * Schema 1 → 2: documents gain the phased rollout (no phases, no contract
+     * renewals) and customer price exceptions (none)
+     * @private
+     */
+    migrateToPriceSchedules(document) {
+        const customerPricing = document.customerPricing || {};
+        return {
+            ...document,
+            customerPricing: {
+                ...customerPricing,
+                rollout: {
+                    phases: [],
+                    contractRenewals: {},
+                    ...customerPricing.rollout
+                },
+                customerExceptions: customerPricing.customerExceptions || {}
+            }
+        };
+    }
+
+    /**
+     * Storage listing entry for a document
+     * @private
+     */
+    summarize(document) {
+        return {
+            name: document.name,
+            savedAt: document.savedAt,
+            schemaVersion: document.schemaVersion,
+            currentStep: document.currentStep
+        };
+    }
+
+    /**
+     * Best storage backend in this environment
+     * @private
+     */
+    detectBackend() {
+        if (typeof indexedDB !== 'undefined') return 'indexedDB';
+        if (typeof localStorage !== 'undefined') return 'localStorage';
+        return 'memory';
+    }
+
+    /**
+     * Open (once) the IndexedDB database
+     * @private
+     */
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'name' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.databasePromise;
+    }
+
+    /**
+     * Run one request in an IndexedDB transaction and resolve with its result
+     * @private
+     */
+    async runTransaction(mode, operation) {
+        const database = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioStore;
+} else if (typeof window !== 'undefined') {
+    window.ScenarioStore = ScenarioStore;
+}
@@ -0,0 +1,587 @@
+/**
+ * VolumeForecaster - Seasonal month-by-month volume and revenue forecast
+ *
+ * Forecasts monthly volume from the monthly history (at least two full
+ * years) with one of two seasonal models:
+ * - Decomposition: linear trend times a seasonal index per calendar month
+ * - Holt-Winters: exponential smoothing of level, trend and multiplicative
+ *   seasonality, with the smoothing constants fitted to the history
+ * Each forecast month comes with prediction intervals and volume
+ * percentiles, and the model is backtested by forecasting the last months
+ * of the history from the months before them. 'auto' picks the model with
+ * the lower backtest error. Revenue is forecast at the recent revenue per
+ * yard, so the forecast can stand in for the projected volume of the plan.
+ *
+ * @class VolumeForecaster
+ * @version 1.0.0
+ * @author Concrete Analyzer Team
+ */
+class VolumeForecaster {
+    /**
+     * Creates an instance of VolumeForecaster
+     *
+     * @param {Object} options - Configuration options
+     * @param {Array<number>} options.levels - Prediction interval levels in percent (default [80, 95])
+     * @param {number} options.minimumHistory - Months of history required (default 24, two seasons)
+     */
+    constructor(options = {}) {
+        this.monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        this.seasonLength = 12;
+        this.minimumHistory = Math.max(options.minimumHistory || 24, 2 * this.seasonLength);
+        this.levels = options.levels || [80, 95];
+        this.methods = ['auto', 'decomposition', 'holt-winters'];
+
+        /** @type {Array<number>} Volume percentiles reported for each month and the period */
+        this.percentiles = Array.from({ length: 19 }, (_, index) => (index + 1) * 5);
+
+        // Smoothing constants searched when fitting Holt-Winters
+        this.smoothingGrid = {
+            alpha: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9],
+            beta: [0.01, 0.05, 0.1, 0.2, 0.3],
+            gamma: [0.05, 0.1, 0.2, 0.3, 0.5]
+        };
+    }
+
+    /**
+     * Forecast monthly volume and revenue for the target months
+     *
+     * Monthly forecast errors are treated as independent: the period's
+     * standard deviation is the square root of the summed monthly variances,
+     * so its intervals and percentiles are narrower than the sums of the
+     * monthly ones.
+     *
+     * @param {Object} historicalData - Monthly data keyed by month label ('Jan 2024'), consecutive months
+     * @param {Object} options - Forecast options
+     * @param {Array<string>} options.months - Months to forecast (after the history), or
+     * @param {string} options.startMonth - First month to forecast, with options.monthCount (default 12), or
+     * @param {Array<string>} options.matchMonths - Forecast the same calendar months in the first year after the history
+     * @param {string} options.method - 'auto' (default), 'decomposition' or 'holt-winters'
+     * @param {number} options.holdout - Months held out for the backtest (default: up to 12, 0 to skip)
+     * @param {Array<number>} options.levels - Prediction interval levels in percent
+     * @param {number} options.revenuePerYard - Revenue per yard (default: the last 12 months of history)
+     * @returns {Object} {method, parameters, revenuePerYard, history, months, total, backtest, candidates}
+     * @throws {Error} If the history is too short or has gaps, or the target months are not after it
+     *
+     * @example
+     * const forecast = forecaster.forecast(historicalData, { matchMonths: ['Jan 2024', 'Feb 2024', 'Mar 2024'] });
+     * console.log(forecast.total.volume, forecast.total.volumePercentiles[10]);
+     */
+    forecast(historicalData, options = {}) {
+        try {
+            const history = this.getHistorySeries(historicalData);
+            if (history.length < this.minimumHistory) {
+                throw new Error(`Needs at least ${this.minimumHistory} consecutive months of history (has ${history.length})`);
+            }
+
+            const method = options.method || 'auto';
+            if (!this.methods.includes(method)) {
+                throw new Error(`Unknown forecast method: ${method} (use ${this.methods.join(', ')})`);
+            }
+
+            const levels = this.validateLevels(options.levels || this.levels);
+            const lastMonth = history[history.length - 1].index;
+            const targets = this.resolveTargetMonths(options, lastMonth);
+
+            const holdout = options.holdout !== undefined
+                ? options.holdout
+                : Math.min(this.seasonLength, history.length - this.minimumHistory);
+            if (!Number.isInteger(holdout) || holdout < 0 || history.length - holdout < this.minimumHistory) {
+                throw new Error(`holdout must be a whole number leaving at least ${this.minimumHistory} months to fit`);
+            }
+
+            // Backtest every candidate model; 'auto' keeps the one with the lowest error
+            const candidates = (method === 'auto' ? ['decomposition', 'holt-winters'] : [method]).map(name => ({
+                method: name,
+                backtest: holdout > 0 ? this.runBacktest(name, history, holdout, levels) : null
+            }));
+            const chosen = candidates.reduce((best, candidate) =>
+                candidate.backtest && best.backtest && candidate.backtest.mape < best.backtest.mape ? candidate : best);
+
+            const model = this.fitModel(chosen.method, history.map(month => month.volume), history[0].index);
+            const revenuePerYard = options.revenuePerYard !== undefined
+                ? options.revenuePerYard
+                : this.getRecentRevenuePerYard(history);
+
+            const predictions = targets.map(target => model.predict(target - lastMonth));
+            const months = targets.map((target, position) =>
+                this.describeMonth(target, predictions[position], revenuePerYard, levels));
+
+            return {
+                method: chosen.method,
+                parameters: model.parameters,
+                revenuePerYard: this.round(revenuePerYard, 2),
+                history: {
+                    months: history.length,
+                    firstMonth: history[0].month,
+                    lastMonth: history[history.length - 1].month
+                },
+                months,
+                total: this.sumMonths(months, predictions, revenuePerYard, levels),
+                backtest: chosen.backtest,
+                candidates: candidates.map(candidate => ({
+                    method: candidate.method,
+                    mape: candidate.backtest ? candidate.backtest.mape : null
+                }))
+            };
+
+        } catch (error) {
+            console.error('Error forecasting volume:', error);
+            throw new Error(`Volume forecast failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * The same calendar months in the first year after the history ends
+     *
+     * Selecting Jan-Mar 2024 from a history that ends in Dec 2024 gives
+     * Jan-Mar 2025, so the forecast covers the period the plan is for.
+     *
+     * @param {Array<string>} months - Month labels, e.g. the selected historical months
+     * @param {Object} historicalData - Monthly data keyed by month label
+     * @returns {Array<string>} Future month labels
+     *
+     * @example
+     * forecaster.getMatchingFutureMonths(['Nov 2024', 'Dec 2024'], historicalData); // ['Nov 2025', 'Dec 2025']
+     */
+    getMatchingFutureMonths(months, historicalData) {
+        const lastMonth = Math.max(...Object.keys(historicalData).map(month => this.parseMonth(month)));
+        return this.shiftPastHistory(months.map(month => this.parseMonth(month)), lastMonth)
+            .sort((a, b) => a - b)
+            .map(index => this.formatMonth(index));
+    }
+
+    // ========== Private Helper Methods ==========
+
+    /**
+     * History as consecutive months {index, month, volume, revenue}, oldest first
+     * @private
+     */
+    getHistorySeries(historicalData) {
+        if (!historicalData || typeof historicalData !== 'object') {
+            throw new Error('Historical data must be an object keyed by month');
+        }
+
+        const series = Object.entries(historicalData)
+            .map(([month, data]) => {
+                if (!data || typeof data.volume !== 'number' || data.volume < 0) {
+                    throw new Error(`${month} needs a non-negative volume`);
+                }
+                return { index: this.parseMonth(month), month, volume: data.volume, revenue: data.revenue || 0 };
+            })
+            .sort((a, b) => a.index - b.index);
+
+        series.forEach((entry, position) => {
+            if (position > 0 && entry.index !== series[position - 1].index + 1) {
+                throw new Error(`History has a gap: no data for ${this.formatMonth(series[position - 1].index + 1)}`);
+            }
+        });
+
+        return series;
+    }
+
+    /**
+     * Month indexes to forecast, all after the last month of history
+     * @private
+     */
+    resolveTargetMonths(options, lastMonth) {
+        let targets;
+        if (Array.isArray(options.months) && options.months.length > 0) {
+            targets = options.months.map(month => this.parseMonth(month));
+        } else if (options.startMonth) {
+            const start = this.parseMonth(options.startMonth);
+            const count = options.monthCount || this.seasonLength;
+            if (!Number.isInteger(count) || count < 1) {
+                throw new Error('monthCount must be a positive whole number');
+            }
+            targets = Array.from({ length: count }, (_, offset) => start + offset);
+        } else if (Array.isArray(options.matchMonths) && options.matchMonths.length > 0) {
+            targets = this.shiftPastHistory(options.matchMonths.map(month => this.parseMonth(month)), lastMonth);
+        } else {
+            targets = Array.from({ length: this.seasonLength }, (_, offset) => lastMonth + 1 + offset);
+        }
+
+        targets = [...new Set(targets)].sort((a, b) => a - b);
+        if (targets[0] <= lastMonth) {
+            throw new Error(`Forecast months must come after the history (${this.formatMonth(targets[0])} is not after ${this.formatMonth(lastMonth)})`);
+        }
+        return targets;
+    }
+
+    /**
+     * Move month indexes forward by whole years until all are after lastMonth
+     * @private
+     */
+    shiftPastHistory(indexes, lastMonth) {
+        const years = Math.max(1, Math.ceil((lastMonth + 1 - Math.min(...indexes)) / this.seasonLength));
+        return indexes.map(index => index + years * this.seasonLength);
+    }
+
+    /**
+     * Interval levels as numbers between 0 and 100
+     * @private
+     */
+    validateLevels(levels) {
+        if (!Array.isArray(levels) || levels.length === 0 || levels.some(level => !(level > 0 && level < 100))) {
+            throw new Error('levels must be percentages between 0 and 100');
+        }
+        return [...levels].sort((a, b) => a - b);
+    }
+
+    /**
+     * Fit a model; predict(h) gives the volume h months after the last value
+     * and its relative standard error
+     * @private
+     */
+    fitModel(method, values, firstMonth) {
+        return method === 'holt-winters'
+            ? this.fitHoltWinters(values, firstMonth)
+            : this.fitDecomposition(values, firstMonth);
+    }
+
+    /**
+     * Linear trend × seasonal index per calendar month, refined over two passes
+     * @private
+     */
+    fitDecomposition(values, firstMonth) {
+        const n = values.length;
+        const calendar = i => (firstMonth + i) % this.seasonLength;
+        let trend = this.fitLine(values);
+        let seasonal = [];
+
+        for (let pass = 0; pass < 2; pass++) {
+            const ratios = Array.from({ length: this.seasonLength }, () => []);
+            values.forEach((value, i) => {
+                const trendValue = trend.intercept + trend.slope * i;
+                ratios[calendar(i)].push(trendValue > 0 ? value / trendValue : 1);
+            });
+            const raw = ratios.map(list => this.mean(list));
+            const scale = this.mean(raw);
+            seasonal = raw.map(ratio => scale > 0 ? ratio / scale : 1);
+            trend = this.fitLine(values.map((value, i) => seasonal[calendar(i)] > 0 ? value / seasonal[calendar(i)] : value));
+        }
+
+        // Relative residuals; 2 trend and 11 free seasonal parameters are fitted
+        const residuals = values.map((value, i) => {
+            const fitted = (trend.intercept + trend.slope * i) * seasonal[calendar(i)];
+            return fitted > 0 ? value / fitted - 1 : 0;
+        });
+        const sigma = Math.sqrt(residuals.reduce((sum, error) => sum + error * error, 0) / Math.max(1, n - 13));
+        const meanIndex = (n - 1) / 2;
+        const spread = values.reduce((sum, _, i) => sum + Math.pow(i - meanIndex, 2), 0);
+
+        return {
+            parameters: {
+                trendPerMonth: this.round(trend.slope, 2),
+                seasonalIndices: this.describeSeasonal(seasonal)
+            },
+            predict: h => {
+                const i = n - 1 + h;
+                return {
+                    volume: Math.max(0, (trend.intercept + trend.slope * i) * seasonal[calendar(i)]),
+                    standardError: sigma * Math.sqrt(1 + 1 / n + Math.pow(i - meanIndex, 2) / spread)
+                };
+            }
+        };
+    }
+
+    /**
+     * Holt-Winters (additive trend, multiplicative season) with the smoothing
+     * constants that minimize the one-step errors
+     * @private
+     */
+    fitHoltWinters(values, firstMonth) {
+        let best = null;
+        this.smoothingGrid.alpha.forEach(alpha => {
+            this.smoothingGrid.beta.forEach(beta => {
+                this.smoothingGrid.gamma.forEach(gamma => {
+                    const run = this.runHoltWinters(values, firstMonth, alpha, beta, gamma);
+                    if (!best || run.sse < best.sse) {
+                        best = run;
+                    }
+                });
+            });
+        });
+
+        // One-step errors are counted after the first season, which seeds the model
+        const sigma = Math.sqrt(best.sse / Math.max(1, values.length - this.seasonLength - 3));
+        const { alpha, beta, gamma, level, trend, seasonal } = best;
+
+        return {
+            parameters: {
+                alpha,
+                beta,
+                gamma,
+                trendPerMonth: this.round(trend, 2),
+                seasonalIndices: this.describeSeasonal(seasonal)
+            },
+            predict: h => {
+                let variance = 1;
+                for (let j = 1; j < h; j++) {
+                    variance += Math.pow(alpha * (1 + j * beta) + (j % this.seasonLength === 0 ? gamma : 0), 2);
+                }
+                const month = (firstMonth + values.length - 1 + h) % this.seasonLength;
+                return {
+                    volume: Math.max(0, (level + h * trend) * seasonal[month]),
+                    standardError: sigma * Math.sqrt(variance)
+                };
+            }
+        };
+    }
+
+    /**
+     * One Holt-Winters pass over the values
+     * @private
+     * @returns {Object} {alpha, beta, gamma, level, trend, seasonal, sse}
+     */
+    runHoltWinters(values, firstMonth, alpha, beta, gamma) {
+        const m = this.seasonLength;
+        const firstMean = this.mean(values.slice(0, m));
+        let trend = (this.mean(values.slice(m, 2 * m)) - firstMean) / m;
+        // Start one month before the history so level + trend is the first month's level
+        let level = firstMean - (m - 1) / 2 * trend - trend;
+
+        const seasonal = new Array(m);
+        values.slice(0, m).forEach((value, i) => {
+            const baseline = firstMean + (i - (m - 1) / 2) * trend;
+            seasonal[(firstMonth + i) % m] = baseline > 0 ? Math.max(value / baseline, 0.001) : 1;
+        });
+
+        let sse = 0;
+        values.forEach((value, i) => {
+            const month = (firstMonth + i) % m;
+            const season = seasonal[month];
+            const forecast = (level + trend) * season;
+            if (i >= m) {
+                const error = forecast > 0 ? value / forecast - 1 : 0;
+                sse += error * error;
+            }
+
+            const previousLevel = level;
+            level = alpha * value / season + (1 - alpha) * (level + trend);
+            trend = beta * (level - previousLevel) + (1 - beta) * trend;
+            seasonal[month] = level > 0 ? Math.max(gamma * value / level + (1 - gamma) * season, 0.001) : season;
+        });
+
+        return { alpha, beta, gamma, level, trend, seasonal, sse };
+    }
+
+    /**
+     * Forecast the last months of the history from the months before them
+     * @private
+     */
+    runBacktest(method, history, holdout, levels) {
+        const training = history.slice(0, history.length - holdout);
+        const model = this.fitModel(method, training.map(month => month.volume), training[0].index);
+        const z = this.normalQuantile(0.5 + levels[0] / 200);
+
+        const months = history.slice(history.length - holdout).map((month, offset) => {
+            const prediction = model.predict(offset + 1);
+            const lower = Math.max(0, prediction.volume * (1 - z * prediction.standardError));
+            const upper = prediction.volume * (1 + z * prediction.standardError);
+            return {
+                month: month.month,
+                actual: month.volume,
+                forecast: this.round(prediction.volume, 1),
+                error: this.round(prediction.volume - month.volume, 1),
+                percentError: month.volume > 0 ? this.round((prediction.volume - month.volume) / month.volume * 100, 2) : null,
+                withinInterval: month.volume >= lower && month.volume <= upper
+            };
+        });
+
+        const scored = months.filter(month => month.percentError !== null);
+        return {
+            holdout,
+            trainedThrough: training[training.length - 1].month,
+            mape: this.round(this.mean(scored.map(month => Math.abs(month.percentError))), 2),
+            bias: this.round(this.mean(scored.map(month => month.percentError)), 2),
+            mae: this.round(this.mean(months.map(month => Math.abs(month.error))), 1),
+            rmse: this.round(Math.sqrt(this.mean(months.map(month => month.error * month.error))), 1),
+            intervalLevel: levels[0],
+            intervalCoverage: this.round(months.filter(month => month.withinInterval).length / months.length * 100, 1),
+            months
+        };
+    }
+
+    /**
+     * Forecast entry for one month: volume, revenue, intervals and percentiles
+     * @private
+     */
+    describeMonth(index, prediction, revenuePerYard, levels) {
+        const { volume, standardError } = prediction;
+        const at = z => Math.max(0, volume * (1 + z * standardError));
+
+        const volumePercentiles = {};
+        this.percentiles.forEach(percentile => {
+            volumePercentiles[percentile] = this.round(at(this.normalQuantile(percentile / 100)), 1);
+        });
+
+        return {
+            month: this.formatMonth(index),
+            volume: this.round(volume, 1),
+            revenue: this.round(volume * revenuePerYard, 2),
+            standardError: this.round(standardError, 4),
+            intervals: levels.map(level => {
+                const z = this.normalQuantile(0.5 + level / 200);
+                return {
+                    level,
+                    lower: this.round(at(-z), 1),
+                    upper: this.round(at(z), 1),
+                    revenueLower: this.round(at(-z) * revenuePerYard, 2),
+                    revenueUpper: this.round(at(z) * revenuePerYard, 2)
+                };
+            }),
+            volumePercentiles
+        };
+    }
+
+    /**
+     * Period totals: summed volume and revenue, with intervals and percentiles
+     * from the combined monthly variances (independent monthly errors)
+     * @private
+     */
+    sumMonths(months, predictions, revenuePerYard, levels) {
+        const sum = select => this.round(months.reduce((total, month) => total + select(month), 0), 2);
+        const volume = sum(month => month.volume);
+        const standardDeviation = Math.sqrt(predictions.reduce((total, prediction) =>
+            total + Math.pow(prediction.volume * prediction.standardError, 2), 0));
+        const at = z => Math.max(0, volume + z * standardDeviation);
+
+        const volumePercentiles = {};
+        this.percentiles.forEach(percentile => {
+            volumePercentiles[percentile] = this.round(at(this.normalQuantile(percentile / 100)), 1);
+        });
+
+        return {
+            volume,
+            revenue: sum(month => month.revenue),
+            standardDeviation: this.round(standardDeviation, 1),
+            intervals: levels.map(level => {
+                const z = this.normalQuantile(0.5 + level / 200);
+                return {
+                    level,
+                    lower: this.round(at(-z), 1),
+                    upper: this.round(at(z), 1),
+                    revenueLower: this.round(at(-z) * revenuePerYard, 2),
+                    revenueUpper: this.round(at(z) * revenuePerYard, 2)
+                };
+            }),
+            volumePercentiles
+        };
+    }
+
+    /**
+     * Revenue per yard over the last 12 months of history
+     * @private
+     */
+    getRecentRevenuePerYard(history) {
+        const recent = history.slice(-this.seasonLength);
+        const volume = recent.reduce((sum, month) => sum + month.volume, 0);
+        return volume > 0 ? recent.reduce((sum, month) => sum + month.revenue, 0) / volume : 0;
+    }
+
+    /**
+     * Seasonal indices keyed by calendar month name
+     * @private
+     */
+    describeSeasonal(seasonal) {
+        const indices = {};
+        this.monthNames.forEach((name, month) => {
+            indices[name] = this.round(seasonal[month], 3);
+        });
+        return indices;
+    }
+
+    /**
+     * Least squares line through the values over 0..n-1
+     * @private
+     */
+    fitLine(values) {
+        const n = values.length;
+        const meanX = (n - 1) / 2;
+        const meanY = this.mean(values);
+        let covariance = 0;
+        let variance = 0;
+        values.forEach((value, i) => {
+            covariance += (i - meanX) * (value - meanY);
+            variance += (i - meanX) * (i - meanX);
+        });
+        const slope = variance > 0 ? covariance / variance : 0;
+        return { slope, intercept: meanY - slope * meanX };
+    }
+
+    /**
+     * Standard normal quantile (Acklam's rational approximation)
+     * @private
+     */
+    normalQuantile(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const tail = 0.02425;
+
+        if (p < tail) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - tail) {
+            return -this.normalQuantile(1 - p);
+        }
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Month index (year × 12 + month) of 'Jan 2025', 'January 2025' or '2025-01'
+     * @private
+     */
+    parseMonth(value) {
+        const text = String(value).trim();
+        const iso = text.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?$/);
+        if (iso && Number(iso[2]) >= 1 && Number(iso[2]) <= 12) {
+            return Number(iso[1]) * 12 + Number(iso[2]) - 1;
+        }
+
+        const label = text.match(/^([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{4})$/);
+        const month = label ? this.monthNames.findIndex(name => name.toLowerCase() === label[1].toLowerCase()) : -1;
+        if (month < 0) {
+            throw new Error(`Unrecognized month: ${value} (use "Jan 2025" or "2025-01")`);
+        }
+        return Number(label[2]) * 12 + month;
+    }
+
+    /**
+     * 'Jan 2025' label of a month index
+     * @private
+     */
+    formatMonth(index) {
+        return `${this.monthNames[index % 12]} ${Math.floor(index / 12)}`;
+    }
+
+    /**
+     * Mean of a list (0 when empty)
+     * @private
+     */
+    mean(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    /**
+     * Round to a number of decimals
+     * @private
+     */
+    round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VolumeForecaster;
+} else if (typeof window !== 'undefined') {
+    window.VolumeForecaster = VolumeForecaster;
+}
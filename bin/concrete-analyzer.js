@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+/**
+ * concrete-analyzer - Run a profit analysis from a scenario file
+ *
+ * Usage:
+ *   concrete-analyzer <scenario.json|scenario.yaml> [options]
+ *
+ * Options:
+ *   --historical <file>  Monthly historical data (JSON keyed by month label)
+ *   --ledger <file>      Sales ledger export (CSV or XLSX)
+ *   --format <format>    text (default), json, markdown or html
+ *   --output <file>      Write the report to a file instead of stdout
+ *   --journal <file>     Write the bucket change journal (JSON) for audit or replay
+ *   --benchmark-overlaps Time overlap detection on generated data (no scenario needed)
+ *   --customers <n>      Benchmark customers (default 50000)
+ *   --buckets <n>        Benchmark buckets (default 20)
+ *   --workers <n>        Worker threads for the benchmark (default 1)
+ *   --help               Show usage
+ *
+ * Data files may also be named in the scenario under "data"; paths there
+ * are resolved relative to the scenario file. A "variants" list adds a
+ * side-by-side comparison of named what-if scenarios branched from the
+ * same baseline. Output contains no timestamps or timings, so results of
+ * the same scenario diff cleanly.
+ *
+ * @version 1.1.0
+ * @author Concrete Analyzer Team
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ConcreteAnalysisPipeline = require('../ConcreteAnalysisPipeline');
+const AnalysisReportFormatter = require('../AnalysisReportFormatter');
+const ScenarioComparator = require('../ScenarioComparator');
+const SalesLedgerImporter = require('../SalesLedgerImporter');
+const OverlapResolutionEngine = require('../OverlapResolutionEngine');
+
+const USAGE = `Usage: concrete-analyzer <scenario.json|scenario.yaml> [options]
+
+Options:
+  --historical <file>  Monthly historical data (JSON keyed by month label)
+  --ledger <file>      Sales ledger export (CSV or XLSX)
+  --format <format>    text (default), json, markdown or html
+  --output <file>      Write the report to a file instead of stdout
+  --journal <file>     Write the bucket change journal (JSON) for audit or replay
+  --benchmark-overlaps Time overlap detection on generated data (no scenario needed)
+  --customers <n>      Benchmark customers (default 50000)
+  --buckets <n>        Benchmark buckets (default 20)
+  --workers <n>        Worker threads for the benchmark (default 1)
+  --help               Show usage`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ * @throws {Error} On unknown options or missing values
+ */
+function parseArguments(argv) {
+    const options = {
+        scenario: null,
+        historical: null,
+        ledger: null,
+        format: 'text',
+        output: null,
+        journal: null,
+        help: false,
+        benchmark: false,
+        customers: null,
+        buckets: null,
+        workers: null
+    };
+    const valueOptions = {
+        '--historical': 'historical',
+        '--ledger': 'ledger',
+        '--format': 'format',
+        '--output': 'output',
+        '--journal': 'journal',
+        '--customers': 'customers',
+        '--buckets': 'buckets',
+        '--workers': 'workers'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--benchmark-overlaps') {
+            options.benchmark = true;
+        } else if (valueOptions[arg]) {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Option ${arg} requires a value`);
+            }
+            options[valueOptions[arg]] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (!options.scenario) {
+            options.scenario = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!['text', 'json', 'markdown', 'html'].includes(options.format)) {
+        throw new Error(`Unsupported format "${options.format}" (use text, json, markdown or html)`);
+    }
+
+    ['customers', 'buckets', 'workers'].forEach(key => {
+        if (options[key] === null) return;
+        const value = Number(options[key]);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Option --${key} needs a positive whole number`);
+        }
+        options[key] = value;
+    });
+
+    return options;
+}
+
+/**
+ * Read a JSON or YAML file
+ * @param {string} filePath - File to read
+ * @returns {Object} Parsed content
+ * @throws {Error} If the file cannot be parsed or YAML support is missing
+ */
+function readStructuredFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    if (/\.ya?ml$/i.test(filePath)) {
+        let yaml;
+        try {
+            yaml = require('js-yaml');
+        } catch (error) {
+            throw new Error('YAML scenarios need the js-yaml package (npm install js-yaml); use JSON otherwise');
+        }
+        return yaml.load(text);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Import a sales ledger file into transactions
+ * @param {string} filePath - CSV or XLSX file
+ * @param {Object} data - Scenario data section (mapping, costAssumptions)
+ * @returns {Object} SalesLedgerImporter.importTable result
+ */
+function importLedger(filePath, data) {
+    const importer = new SalesLedgerImporter({ costAssumptions: data.costAssumptions });
+    const table = /\.xlsx?$/i.test(filePath)
+        ? importer.parseXLSX(fs.readFileSync(filePath))
+        : importer.parseCSV(fs.readFileSync(filePath, 'utf8'));
+
+    return importer.importTable(table, data.mapping || null);
+}
+
+/**
+ * Build the pipeline scenario from the scenario file and data options
+ * @param {Object} options - Parsed command-line options
+ * @returns {Object} Scenario, comparison variants and the ledger import summary (if any)
+ */
+function loadScenario(options) {
+    const scenarioPath = path.resolve(options.scenario);
+    const scenarioDir = path.dirname(scenarioPath);
+    const scenario = readStructuredFile(scenarioPath);
+
+    if (!scenario || typeof scenario !== 'object') {
+        throw new Error(`Scenario ${options.scenario} must contain an object`);
+    }
+
+    const data = scenario.data || {};
+    const historicalPath = options.historical
+        ? path.resolve(options.historical)
+        : data.historical && path.resolve(scenarioDir, data.historical);
+    const ledgerPath = options.ledger
+        ? path.resolve(options.ledger)
+        : data.ledger && path.resolve(scenarioDir, data.ledger);
+
+    const pipelineScenario = { ...scenario };
+    const variants = scenario.variants || [];
+    let ledgerImport = null;
+    delete pipelineScenario.data;
+    delete pipelineScenario.variants;
+
+    if (!Array.isArray(variants)) {
+        throw new Error('Scenario "variants" must be a list');
+    }
+
+    if (historicalPath) {
+        pipelineScenario.historicalData = readStructuredFile(historicalPath);
+    }
+
+    if (ledgerPath) {
+        ledgerImport = importLedger(ledgerPath, data);
+        pipelineScenario.transactions = ledgerImport.transactions;
+        pipelineScenario.costAssumptions = data.costAssumptions;
+    }
+
+    return { scenario: pipelineScenario, variants, ledgerImport };
+}
+
+/**
+ * Render the pipeline result in the requested format
+ * @param {Object} result - ConcreteAnalysisPipeline.run result
+ * @param {Object} ledgerImport - Ledger import result, if a ledger was used
+ * @param {string} format - text, json, markdown or html
+ * @param {Object} comparison - ScenarioComparator comparison, if the scenario has variants
+ * @returns {string} Report output
+ */
+function renderOutput(result, ledgerImport, format, comparison = null) {
+    const formatter = new AnalysisReportFormatter();
+
+    if (format === 'json') {
+        const output = {
+            selectedMonths: result.selectedMonths,
+            historical: result.historical,
+            goalMetrics: result.goalMetrics,
+            projection: result.projection,
+            customerStats: result.customerStats,
+            buckets: result.buckets,
+            assignments: result.assignments,
+            overlapResolutions: result.overlapResolutions,
+            assignmentOptimization: result.assignmentOptimization,
+            weightProposal: result.weightProposal,
+            bucketSuggestions: result.bucketSuggestions,
+            pricingImpact: result.pricingImpact,
+            adjustmentImpact: result.adjustmentImpact,
+            goalAchievement: result.goalAchievement,
+            recommendations: result.recommendations,
+            goalSeek: result.goalSeek,
+            demandEstimates: result.demandEstimates
+        };
+        if (result.volumeForecast) {
+            output.volumeForecast = result.volumeForecast;
+        }
+        if (result.manufacturingCost) {
+            output.manufacturingCost = result.manufacturingCost;
+        }
+        if (result.rollout) {
+            output.rollout = result.rollout;
+        }
+        if (result.riskSimulation) {
+            output.riskSimulation = result.riskSimulation;
+        }
+        if (ledgerImport) {
+            output.ledgerImport = { summary: ledgerImport.summary, rejectedRows: ledgerImport.rejectedRows };
+        }
+        if (comparison) {
+            output.comparison = comparison;
+        }
+        return JSON.stringify(formatter.toSerializable(output), null, 2) + '\n';
+    }
+
+    if (format === 'markdown') {
+        return formatter.formatMarkdown({ ...result, comparison });
+    }
+
+    if (format === 'html') {
+        return formatter.formatHTML({ ...result, comparison });
+    }
+
+    const sections = [formatter.formatText(result)];
+
+    if (result.volumeForecast) {
+        sections.push(formatter.formatVolumeForecastText(result.volumeForecast, result.projection));
+    }
+
+    if (result.manufacturingCost) {
+        sections.push(formatter.formatManufacturingCostText(result.manufacturingCost));
+    }
+
+    if (ledgerImport && ledgerImport.rejectedRows.length > 0) {
+        sections.push(`⚠️ LEDGER IMPORT:\n• ${ledgerImport.rejectedRows.length} of ${ledgerImport.summary.totalRows} rows rejected`);
+    }
+
+    if (result.assignmentOptimization) {
+        sections.push(formatter.formatAssignmentOptimizationText(result.assignmentOptimization));
+    }
+
+    if (result.weightProposal) {
+        sections.push(formatter.formatWeightProposalText(result.weightProposal));
+    }
+
+    if (result.bucketSuggestions) {
+        sections.push(formatter.formatBucketSuggestionsText(result.bucketSuggestions));
+    }
+
+    sections.push(formatter.formatRecommendationsText(result.recommendations, result.buckets));
+
+    if (result.adjustmentImpact) {
+        sections.push(formatter.formatDemandModelsText(result.adjustmentImpact, result.demandEstimates));
+    }
+
+    if (result.adjustmentImpact) {
+        const exceptions = formatter.formatCustomerExceptionsText(result.adjustmentImpact);
+        if (exceptions) {
+            sections.push(exceptions);
+        }
+    }
+
+    if (result.goalSeek) {
+        sections.push(formatter.formatGoalSeekText(result.goalSeek));
+    }
+
+    if (result.rollout) {
+        sections.push(formatter.formatRolloutText(result.rollout));
+    }
+
+    if (result.riskSimulation) {
+        sections.push(formatter.formatRiskSimulationText(result.riskSimulation));
+    }
+
+    if (comparison) {
+        sections.push(formatter.formatComparisonText(comparison));
+    }
+    return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Run the overlap detection benchmark and print its throughput
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} Exit code
+ */
+async function runOverlapBenchmark(options) {
+    try {
+        const engine = new OverlapResolutionEngine();
+        const report = await engine.benchmarkOverlapDetection({
+            customers: options.customers || 50000,
+            buckets: options.buckets || 20,
+            workers: options.workers || 1
+        });
+        const output = options.format === 'json'
+            ? JSON.stringify(report, null, 2) + '\n'
+            : [
+                `Overlap detection benchmark: ${report.customers.toLocaleString()} customers × ${report.buckets} buckets (${report.workers} worker${report.workers === 1 ? '' : 's'})`,
+                `• Range indexes pruned ${report.prunedPercent}% of ${report.pairs.toLocaleString()} pairs (${report.candidatePairs.toLocaleString()} scored)`,
+                `• ${report.overlaps.toLocaleString()} overlapping customers in ${report.durationMs} ms`,
+                `• Throughput: ${report.customersPerSecond.toLocaleString()} customers/s, ${report.pairsPerSecond.toLocaleString()} pairs/s`,
+                report.cachedDurationMs !== null
+                    ? `• Cached rerun: ${report.cachedDurationMs} ms (${report.cacheHits.toLocaleString()} cache hits)`
+                    : '• Cached rerun: skipped (the score caches live in the workers)'
+            ].join('\n') + '\n';
+
+        if (options.output) {
+            fs.writeFileSync(options.output, output);
+        } else {
+            process.stdout.write(output);
+        }
+        return 0;
+
+    } catch (error) {
+        process.stderr.write(`concrete-analyzer: ${error.message}\n`);
+        return 1;
+    }
+}
+
+/**
+ * Entry point
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (options.benchmark) {
+        return runOverlapBenchmark(options);
+    }
+
+    if (options.help || !options.scenario) {
+        process.stdout.write(`${USAGE}\n`);
+        return options.help ? 0 : 2;
+    }
+
+    try {
+        const { scenario, variants, ledgerImport } = loadScenario(options);
+        const pipeline = new ConcreteAnalysisPipeline();
+        const result = await pipeline.run(scenario);
+        const comparison = variants.length > 0
+            ? await new ScenarioComparator().compare(scenario, variants)
+            : null;
+        const output = renderOutput(result, ledgerImport, options.format, comparison);
+
+        if (options.journal) {
+            fs.writeFileSync(options.journal, JSON.stringify(result.bucketJournal, null, 2) + '\n');
+        }
+        if (options.output) {
+            fs.writeFileSync(options.output, output);
+        } else {
+            process.stdout.write(output);
+        }
+        return 0;
+
+    } catch (error) {
+        process.stderr.write(`concrete-analyzer: ${error.message}\n`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArguments, loadScenario, renderOutput };
@@ -0,0 +1,183 @@
+/**
+ * AnalysisReportFormatter - Markdown and HTML report output
+ *
+ * Runs the pipeline on a small ledger whose customer and bucket names carry
+ * Markdown and HTML syntax, then checks the rendered reports.
+ */
+const AnalysisReportFormatter = require('../AnalysisReportFormatter');
+const ConcreteAnalysisPipeline = require('../ConcreteAnalysisPipeline');
+const SalesLedgerImporter = require('../SalesLedgerImporter');
+
+const BUCKET_NAME = 'Big <b>& "Bold"</b> | Buyers';
+const OVERLAP_CUSTOMER = 'Smith & Sons <Ready|Mix>';
+const EXCEPTION_CUSTOMER = 'O\'Brien "Concrete" *Co*';
+
+const LEDGER = [
+    'sale_date,customer,concrete_yards,unit_price',
+    '2024-01-05,Smith & Sons <Ready|Mix>,120,128',
+    '2024-02-07,Smith & Sons <Ready|Mix>,90,130',
+    '2024-01-09,"O\'Brien ""Concrete"" *Co*",40,142',
+    '2024-02-11,"O\'Brien ""Concrete"" *Co*",35,140',
+    '2024-01-15,Plain Builders,60,135',
+    '2024-02-20,Plain Builders,70,134'
+].join('\n');
+
+/**
+ * Split a Markdown table row into cells, keeping escaped pipes inside cells
+ */
+function markdownCells(line) {
+    return line.slice(2, -2).split(/(?<!\\)\s\|\s/);
+}
+
+describe('AnalysisReportFormatter', () => {
+    const formatter = new AnalysisReportFormatter();
+    let analysis;
+
+    beforeAll(async () => {
+        const importer = new SalesLedgerImporter();
+        const { transactions } = importer.importTable(importer.parseCSV(LEDGER));
+
+        const result = await new ConcreteAnalysisPipeline().run({
+            transactions,
+            profitGoal: 20000,
+            projectedVolume: 400,
+            costs: { manufacturingPerYard: 70, labor: 5000, fixed: 3000 },
+            buckets: [
+                { name: BUCKET_NAME, criteria: { volumeMin: 100 } },
+                { name: 'Everyone_else', criteria: { volumeMax: 1000 } }
+            ],
+            adjustments: {
+                [BUCKET_NAME]: { adjustment: 3, adjustmentType: 'percentage' },
+                Everyone_else: { adjustment: 2, adjustmentType: 'absolute' }
+            },
+            customerExceptions: {
+                [EXCEPTION_CUSTOMER]: { maxIncrease: 1 }
+            }
+        });
+        analysis = { ...result, generatedAt: '2025-01-02' };
+    });
+
+    describe('formatMarkdown', () => {
+        let markdown;
+
+        beforeAll(() => {
+            markdown = formatter.formatMarkdown(analysis);
+        });
+
+        it('should lay out the report sections in order', () => {
+            const headings = markdown.split('\n').filter(line => line.startsWith('#'));
+
+            expect(headings).toEqual([
+                '# Concrete Profit Analysis Report',
+                '## Historical Performance',
+                '## Cost Projections',
+                '## Goal Achievement',
+                '## Bucket Pricing Adjustments',
+                '## Customer Price Exceptions',
+                '## Overlap Resolutions'
+            ]);
+            expect(markdown).toContain('**Analysis Period:** Jan 2024, Feb 2024');
+            expect(markdown).toContain('**Generated:** 2025-01-02');
+        });
+
+        it('should report the cost projections with the mixed cost basis', () => {
+            expect(markdown).toContain('| Manufacturing | per yard | $29,050.00 | $70.00 | $28,000.00 | $70.00 |');
+            expect(markdown).toContain('| Labor | lump sum | $0.00 | $0.00 | $5,000.00 | $12.50 |');
+            expect(markdown).toContain('| Total |  | $29,050.00 | $70.00 | $36,000.00 | $90.00 |');
+        });
+
+        it('should escape bucket names so table cells stay intact', () => {
+            const row = markdown.split('\n').find(line => line.startsWith('| Big'));
+
+            expect(row).toContain('Big \\<b\\>& "Bold"\\</b\\> \\| Buyers');
+            expect(markdownCells(row)).toHaveLength(9);
+            expect(markdown).not.toContain('<b>');
+        });
+
+        it('should escape customer names in overlap resolutions and exceptions', () => {
+            const lines = markdown.split('\n');
+            const overlapRow = lines.find(line => line.startsWith('| Smith'));
+            const exceptionRow = lines.find(line => line.startsWith('| O\'Brien'));
+
+            expect(overlapRow).toContain('Smith & Sons \\<Ready\\|Mix\\>');
+            expect(markdownCells(overlapRow)).toHaveLength(5);
+            expect(exceptionRow).toContain('O\'Brien "Concrete" \\*Co\\*');
+            expect(markdownCells(exceptionRow)).toHaveLength(8);
+            expect(markdown).toContain('| Everyone\\_else | 1 |');
+        });
+
+        it('should render the same analysis identically', () => {
+            expect(formatter.formatMarkdown(analysis)).toBe(markdown);
+        });
+    });
+
+    describe('formatHTML', () => {
+        let html;
+
+        beforeAll(() => {
+            html = formatter.formatHTML(analysis);
+        });
+
+        it('should produce a self-contained printable document', () => {
+            expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+            expect(html).toContain('<title>Concrete Profit Analysis Report - Jan 2024, Feb 2024</title>');
+            expect(html).toContain('@media print');
+            expect(html).not.toMatch(/<(link|script|img)\b/);
+            expect(html.trim().endsWith('</html>')).toBe(true);
+        });
+
+        it('should include every report section', () => {
+            const headings = [...html.matchAll(/<h2>([^<]*)<\/h2>/g)].map(match => match[1]);
+
+            expect(headings).toEqual([
+                'Historical Performance',
+                'Cost Projections',
+                'Goal Achievement',
+                'Bucket Pricing Adjustments',
+                'Customer Price Exceptions',
+                'Overlap Resolutions'
+            ]);
+            expect(html).toContain('<tr><td>Profit Goal</td><td>$20,000.00</td></tr>');
+        });
+
+        it('should escape bucket names', () => {
+            expect(html).toContain('<td>Big &lt;b&gt;&amp; &quot;Bold&quot;&lt;/b&gt; | Buyers</td>');
+            expect(html).toContain('<strong>Big &lt;b&gt;&amp; &quot;Bold&quot;&lt;/b&gt; | Buyers:</strong>');
+            expect(html).not.toContain('<b>');
+        });
+
+        it('should escape customer names', () => {
+            expect(html).toContain('<td>Smith &amp; Sons &lt;Ready|Mix&gt;</td>');
+            expect(html).toContain('<td>O&#39;Brien &quot;Concrete&quot; *Co*</td>');
+            expect(html).not.toContain(OVERLAP_CUSTOMER);
+            expect(html).not.toContain(EXCEPTION_CUSTOMER);
+        });
+
+        it('should render the same analysis identically', () => {
+            expect(formatter.formatHTML(analysis)).toBe(html);
+        });
+    });
+
+    describe('formatRecommendationsText', () => {
+        it('should put the sign of a negative profit gap before the dollar sign', () => {
+            const text = formatter.formatRecommendationsText({
+                profitGap: -141616.67,
+                primaryRecommendation: null
+            });
+
+            expect(text).toContain('• Profit Gap: -$141,616.67');
+        });
+    });
+
+    describe('buildReport', () => {
+        it('should leave out optional sections that were not run', () => {
+            const { adjustmentImpact, pricingImpact, overlapResolutions, ...baseAnalysis } = analysis;
+            const report = formatter.buildReport(baseAnalysis);
+
+            expect(report.bucketAdjustments).toEqual([]);
+            expect(report.customerExceptions).toBeNull();
+            expect(report.goal.adjustedProfit).toBeNull();
+            expect(formatter.formatMarkdown(baseAnalysis)).toContain('_No customer buckets with assigned customers._');
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * AssignmentOptimizer - bucket assignments under customer and volume limits
+ */
+const AssignmentOptimizer = require('../AssignmentOptimizer');
+
+const item = (id, volume, values, pinnedBucketId) => ({
+    id,
+    volume,
+    options: Object.entries(values).map(([bucketId, value]) => ({ bucketId, value })),
+    ...(pinnedBucketId ? { pinnedBucketId } : {})
+});
+
+const bucketOf = (result, id) => result.assignments.find(assignment => assignment.id === id).bucketId;
+
+describe('AssignmentOptimizer', () => {
+    const optimizer = new AssignmentOptimizer();
+
+    describe('solve', () => {
+        it('should give every customer its best bucket without limits', () => {
+            const result = optimizer.solve({
+                items: [item('c1', 100, { a: 0.9, b: 0.5 }), item('c2', 50, { a: 0.4, b: 0.7 })],
+                buckets: [{ bucketId: 'a' }, { bucketId: 'b' }]
+            });
+
+            expect(result.feasible).toBe(true);
+            expect(result.assignments.map(assignment => assignment.bucketId)).toEqual(['a', 'b']);
+            expect(result.objective).toBeCloseTo(1.6, 6);
+            expect(result.bindingConstraints).toEqual([]);
+        });
+
+        it('should move the customer that costs least when a bucket is full', () => {
+            const result = optimizer.solve({
+                items: [
+                    item('c1', 100, { a: 0.9, b: 0.5 }),
+                    item('c2', 100, { a: 0.8, b: 0.7 }),
+                    item('c3', 100, { a: 0.85, b: 0.4 })
+                ],
+                buckets: [{ bucketId: 'a', maxCount: 2 }, { bucketId: 'b' }]
+            });
+
+            expect(result.feasible).toBe(true);
+            expect(bucketOf(result, 'c2')).toBe('b');
+            expect(result.objective).toBeCloseTo(2.45, 6);
+            expect(result.upperBound).toBeGreaterThanOrEqual(result.objective - 1e-6);
+            expect(result.bindingConstraints).toEqual([expect.objectContaining({
+                constraint: 'maxCount',
+                bucketId: 'a',
+                limit: 2,
+                actual: 2,
+                displacedCustomers: ['c2'],
+                objectiveCost: 0.1
+            })]);
+        });
+
+        it('should keep bucket volume within its limit, counting customers already in it', () => {
+            const result = optimizer.solve({
+                items: [item('c1', 300, { a: 0.9, b: 0.6 }), item('c2', 150, { a: 0.8, b: 0.7 })],
+                buckets: [{ bucketId: 'a', maxVolume: 500, fixedVolume: 200 }, { bucketId: 'b' }]
+            });
+
+            expect(result.feasible).toBe(true);
+            expect(bucketOf(result, 'c1')).toBe('a');
+            expect(bucketOf(result, 'c2')).toBe('b');
+            expect(result.buckets[0].volume).toBe(500);
+            expect(result.bindingConstraints[0].constraint).toBe('maxVolume');
+        });
+
+        it('should fill a bucket up to its minimum count', () => {
+            const result = optimizer.solve({
+                items: [item('c1', 100, { a: 0.9, b: 0.5 }), item('c2', 100, { a: 0.8, b: 0.75 })],
+                buckets: [{ bucketId: 'a' }, { bucketId: 'b', minCount: 1 }]
+            });
+
+            expect(bucketOf(result, 'c2')).toBe('b');
+            expect(result.bindingConstraints[0]).toEqual(expect.objectContaining({ constraint: 'minCount', bucketId: 'b' }));
+        });
+
+        it('should keep pinned customers in their bucket', () => {
+            const result = optimizer.solve({
+                items: [item('c1', 100, { a: 0.9, b: 0.5 }, 'b')],
+                buckets: [{ bucketId: 'a' }, { bucketId: 'b' }]
+            });
+
+            expect(result.assignments[0]).toEqual({ id: 'c1', bucketId: 'b', value: 0.5, pinned: true });
+            expect(result.bindingConstraints[0].constraint).toBe('pinned');
+        });
+
+        it('should report the violated limits when no assignment fits them', () => {
+            const result = optimizer.solve({
+                items: [item('c1', 100, { a: 0.9 }), item('c2', 100, { a: 0.8 })],
+                buckets: [{ bucketId: 'a', maxCount: 1 }]
+            });
+
+            expect(result.feasible).toBe(false);
+            expect(result.upperBound).toBeNull();
+            expect(result.violations).toEqual([{ constraint: 'maxCount', bucketId: 'a', limit: 1, actual: 2 }]);
+        });
+
+        it('should reject customers without eligible buckets or with unknown ones', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(() => optimizer.solve({ items: [item('c1', 100, {})], buckets: [{ bucketId: 'a' }] }))
+                .toThrow('Customer c1 has no eligible buckets');
+            expect(() => optimizer.solve({ items: [item('c1', 100, { z: 0.5 })], buckets: [{ bucketId: 'a' }] }))
+                .toThrow('Customer c1 is eligible for unknown bucket z');
+            console.error.mockRestore();
+        });
+    });
+});
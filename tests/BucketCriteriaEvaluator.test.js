@@ -0,0 +1,128 @@
+/**
+ * BucketCriteriaEvaluator - rule groups, field conditions and customer lists
+ */
+const BucketCriteriaEvaluator = require('../BucketCriteriaEvaluator');
+
+const CUSTOMER = {
+    customerId: 'customer-1',
+    customerName: 'ABC Construction',
+    totalVolume: 400,
+    averageUnitPrice: 128,
+    region: 'North',
+    projectTypes: ['Commercial', 'Residential'],
+    concreteTypeMix: { '4000 PSI': 60, '3000 PSI': 40 },
+    creditHold: null
+};
+
+describe('BucketCriteriaEvaluator', () => {
+    const evaluator = new BucketCriteriaEvaluator();
+    const met = (rules, customer = CUSTOMER) => evaluator.evaluate(customer, { rules }).met;
+
+    describe('evaluate', () => {
+        it('should need every child of an all group and one child of an any group', () => {
+            const north = { field: 'region', op: '==', value: 'north' };
+            const small = { field: 'totalVolume', op: '<', value: 100 };
+
+            expect(met({ all: [north, { field: 'totalVolume', op: '>=', value: 300 }] })).toBe(true);
+            expect(met({ all: [north, small] })).toBe(false);
+            expect(met({ any: [small, north] })).toBe(true);
+            expect(met({ any: [small, { field: 'region', op: 'in', value: ['South', 'East'] }] })).toBe(false);
+        });
+
+        it('should negate a group under not, and negate it back under a nested not', () => {
+            const residential = { field: 'projectTypes', op: 'contains', value: 'residential' };
+            const rules = { all: [{ field: 'region', op: '==', value: 'North' }, { not: { any: [residential, { field: 'totalVolume', op: '>', value: 1000 }] } }] };
+            const result = evaluator.evaluate(CUSTOMER, { rules });
+
+            expect(result.met).toBe(false);
+            expect(result.conditions.map(condition => [condition.path, condition.met, condition.negated, condition.satisfied, condition.status])).toEqual([
+                ['rules.all[0]', true, false, true, 'clear'],
+                ['rules.all[1].not.any[0]', true, true, false, 'violated'],
+                ['rules.all[1].not.any[1]', false, true, true, 'clear']
+            ]);
+
+            expect(met({ not: { not: residential } })).toBe(true);
+            expect(met({ not: { not: { not: residential } } })).toBe(false);
+            expect(evaluator.evaluate(CUSTOMER, { rules: { not: { not: residential } } }).conditions[0].negated).toBe(false);
+        });
+
+        it('should read any customer field, including dotted paths into nested objects', () => {
+            expect(met({ field: 'concreteTypeMix.4000 PSI', op: 'between', value: [50, 70] })).toBe(true);
+            expect(met({ field: 'projectTypes', op: 'notContains', value: 'Industrial' })).toBe(true);
+            expect(met({ field: 'customerName', op: 'contains', value: 'construction' })).toBe(true);
+            expect(met({ field: 'averageUnitPrice', op: 'notIn', value: [120, 128] })).toBe(false);
+        });
+
+        it('should treat missing fields as not met except for exists false', () => {
+            expect(met({ field: 'salesRep', op: '!=', value: 'Dana' })).toBe(false);
+            expect(met({ field: 'creditHold', op: 'exists', value: false })).toBe(true);
+            expect(met({ field: 'region', op: 'exists', value: true })).toBe(true);
+            expect(met({ not: { field: 'salesRep', op: '==', value: 'Dana' } })).toBe(true);
+        });
+
+        it('should score conditions met near their threshold lower', () => {
+            const result = evaluator.evaluate(CUSTOMER, { rules: { all: [
+                { field: 'totalVolume', op: '>=', value: 380 },
+                { field: 'region', op: '==', value: 'North' }
+            ] } });
+
+            // 20 yards over a 380 threshold is 5.3% of it: closeness 1 - 0.053 / 0.1, score 1 - 0.2 × 0.474
+            expect(result.conditions[0]).toEqual(expect.objectContaining({ status: 'near', score: 0.905 }));
+            expect(result.score).toBeCloseTo((0.905 + 1) / 2, 3);
+        });
+    });
+
+    describe('customer lists', () => {
+        const notNorth = { field: 'region', op: '!=', value: 'North' };
+
+        it('should qualify included customers whatever the rules say', () => {
+            const result = evaluator.evaluate(CUSTOMER, { rules: notNorth, includeCustomers: ['customer-1'] });
+
+            expect(result).toEqual(expect.objectContaining({ met: true, score: 1, listed: 'included' }));
+            expect(result.conditions.map(condition => condition.met)).toEqual([false]);
+        });
+
+        it('should never qualify excluded customers, even when they are also included', () => {
+            expect(evaluator.evaluate(CUSTOMER, { excludeCustomers: ['customer-1'] }))
+                .toEqual({ met: false, score: 0, listed: 'excluded', conditions: [] });
+            expect(evaluator.evaluate(CUSTOMER, { includeCustomers: ['customer-1'], excludeCustomers: ['customer-1'] }).listed)
+                .toBe('excluded');
+            expect(evaluator.matches({ ...CUSTOMER, customerId: 'customer-2' }, { excludeCustomers: ['customer-1'] })).toBe(true);
+        });
+
+        it('should reject a customer on both lists when validating', () => {
+            expect(() => evaluator.validate({ includeCustomers: ['customer-1', 'customer-2'], excludeCustomers: ['customer-2'] }))
+                .toThrow('Customers cannot be both included and excluded: customer-2');
+        });
+    });
+
+    describe('validate', () => {
+        it('should reject malformed groups, operators and values with their path', () => {
+            expect(() => evaluator.validate({ rules: { all: [] } })).toThrow('rules.all: must be a non-empty array of rules');
+            expect(() => evaluator.validate({ rules: { any: [{ not: { field: 'region', op: 'like', value: 'N' } }] } }))
+                .toThrow('rules.any[0].not: unknown operator "like"');
+            expect(() => evaluator.validate({ rules: { field: 'totalVolume', op: 'between', value: [500, 100] } }))
+                .toThrow('rules: totalVolume between needs a [min, max] pair of numbers with min ≤ max');
+            expect(() => evaluator.validate({ rules: { all: [{ field: 'region', op: '==', value: 'North' }], not: { field: 'region', op: '==', value: 'South' } } }))
+                .toThrow('rules: a rule is either one group (all, any or not) or one condition');
+            expect(() => evaluator.validate({ rules: { field: 'salesRep', op: '==', value: 'Dana' } }, { fields: new Set(['region']) }))
+                .toThrow('rules: unknown customer field "salesRep"');
+        });
+
+        it('should reject rules nested deeper than maxDepth', () => {
+            const shallow = new BucketCriteriaEvaluator({ maxDepth: 2 });
+            const rules = { not: { not: { not: { field: 'region', op: 'exists', value: true } } } };
+
+            expect(() => shallow.validate({ rules })).toThrow('rules.not.not.not: rules are nested deeper than 2 levels');
+        });
+    });
+
+    describe('describe', () => {
+        it('should describe nested groups with parentheses', () => {
+            expect(evaluator.describe({ all: [
+                { field: 'region', op: 'in', value: ['North', 'East'] },
+                { not: { any: [{ field: 'projectTypes', op: 'contains', value: 'Residential' }, { field: 'totalVolume', op: '<=', value: 50 }] } }
+            ] })).toBe('region in North, East AND NOT (projectTypes contains Residential OR totalVolume ≤ 50)');
+        });
+    });
+});
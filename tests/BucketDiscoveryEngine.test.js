@@ -0,0 +1,69 @@
+/**
+ * BucketDiscoveryEngine - clustering-based bucket suggestions
+ */
+const BucketDiscoveryEngine = require('../BucketDiscoveryEngine');
+const CustomerBucketManager = require('../CustomerBucketManager');
+
+// Two volume groups with the same prices and margins; averages carry fractions of a cent
+const CUSTOMERS = [40.2, 44.7, 51.3, 55.9, 60.1, 410.4, 436.8, 452.2, 470.5, 498.9].map((totalVolume, index) => ({
+    customerId: `customer-${index + 1}`,
+    customerName: `Customer ${index + 1}`,
+    totalVolume,
+    averageUnitPrice: 126.385 + (index % 3) * 0.002,
+    profitMargin: 28 + (index % 2),
+    totalRevenue: totalVolume * 126.385
+}));
+
+describe('BucketDiscoveryEngine', () => {
+    const engine = new BucketDiscoveryEngine();
+
+    describe('discover', () => {
+        let discovery;
+
+        beforeAll(() => {
+            discovery = engine.discover(CUSTOMERS, { k: 2, minBucketSize: 2 });
+        });
+
+        it('should share the boundary between neighbouring ranges and keep the lower end exclusive', () => {
+            const [upper, lower] = discovery.suggestions;
+
+            expect(upper.criteria.volumeMin).toBe(lower.criteria.volumeMax);
+            expect(lower.criteria.rules).toEqual({ all: [{ field: 'totalVolume', op: '<', value: lower.criteria.volumeMax }] });
+            expect(upper.criteria.rules).toBeUndefined();
+        });
+
+        it('should name suggestions after the dimensions their ranges cut', () => {
+            expect(discovery.suggestions.map(suggestion => [suggestion.name, suggestion.dimensions])).toEqual([
+                ['High Volume', ['volume']],
+                ['Low Volume', ['volume']]
+            ]);
+        });
+
+        it('should suggest one bucket for all customers when k is 1', () => {
+            const [single] = engine.discover(CUSTOMERS, { k: 1 }).suggestions;
+
+            expect(single.name).toBe('All Customers');
+            expect(single.customerIds).toHaveLength(CUSTOMERS.length);
+        });
+    });
+
+    describe('accepted suggestions', () => {
+        it('should place customers on and just below a boundary in exactly one bucket', () => {
+            const { suggestions } = engine.discover(CUSTOMERS, { k: 2, minBucketSize: 2 });
+            const boundary = suggestions[0].criteria.volumeMin;
+            const manager = new CustomerBucketManager();
+            manager.loadCustomerData([
+                ...CUSTOMERS,
+                { ...CUSTOMERS[0], customerId: 'customer-11', customerName: 'Customer 11', totalVolume: boundary },
+                { ...CUSTOMERS[0], customerId: 'customer-12', customerName: 'Customer 12', totalVolume: boundary - 0.004 }
+            ]);
+
+            const [highVolume, lowVolume] = manager.acceptBucketSuggestions(suggestions, { assignCustomers: true });
+
+            expect(manager.getUnassignedCustomers()).toEqual([]);
+            expect(manager.detectBucketOverlaps()).toHaveLength(0);
+            expect(manager.getCustomerBucket('customer-11').bucketId).toBe(highVolume);
+            expect(manager.getCustomerBucket('customer-12').bucketId).toBe(lowVolume);
+        });
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * CustomerAnalyticsEngine - seeded sample data
+ */
+const CustomerAnalyticsEngine = require('../CustomerAnalyticsEngine');
+
+const MONTHS = ['Jan 2024', 'Feb 2024', 'Mar 2024'];
+
+describe('CustomerAnalyticsEngine', () => {
+    describe('generateSampleTransactions', () => {
+        it('should produce identical transactions and analytics for the same seed', () => {
+            const first = new CustomerAnalyticsEngine({ sampleSeed: 2024 });
+            const second = new CustomerAnalyticsEngine({ sampleSeed: 2024 });
+
+            expect(second.generateSampleTransactions(MONTHS)).toEqual(first.generateSampleTransactions(MONTHS));
+            expect(second.analyzeCustomers(MONTHS)).toEqual(first.analyzeCustomers(MONTHS));
+        });
+
+        it('should produce different transactions and analytics for a different seed', () => {
+            const first = new CustomerAnalyticsEngine({ sampleSeed: 2024 });
+            const other = new CustomerAnalyticsEngine({ sampleSeed: 2025 });
+
+            expect(other.generateSampleTransactions(MONTHS)).not.toEqual(first.generateSampleTransactions(MONTHS));
+            expect(other.analyzeCustomers(MONTHS)).not.toEqual(first.analyzeCustomers(MONTHS));
+        });
+
+        it('should not depend on the order the months are selected in', () => {
+            const engine = new CustomerAnalyticsEngine({ sampleSeed: 2024 });
+
+            expect(engine.generateSampleTransactions(['Mar 2024', 'Jan 2024', 'Feb 2024']))
+                .toEqual(engine.generateSampleTransactions(MONTHS));
+        });
+
+        it('should refuse to generate sample data without a seed', () => {
+            expect(() => new CustomerAnalyticsEngine().generateSampleTransactions(MONTHS))
+                .toThrow('Sample customer data requires an explicit numeric sampleSeed');
+        });
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * CustomerBucketManager - bucket change previews, assignment drift and the mutation journal
+ */
+const CustomerBucketManager = require('../CustomerBucketManager');
+
+const CUSTOMERS = [
+    { customerId: 'customer-1', customerName: 'ABC Construction', totalVolume: 150, averageUnitPrice: 128, profitMargin: 32, totalRevenue: 19200 },
+    { customerId: 'customer-2', customerName: 'XYZ Builders', totalVolume: 60, averageUnitPrice: 140, profitMargin: 38, totalRevenue: 8400 },
+    { customerId: 'customer-3', customerName: 'Skyline Projects', totalVolume: 420, averageUnitPrice: 118, profitMargin: 25, totalRevenue: 49560 }
+];
+
+describe('CustomerBucketManager', () => {
+    let manager;
+    let bucketIds;
+
+    beforeEach(() => {
+        manager = new CustomerBucketManager();
+        manager.loadCustomerData(CUSTOMERS);
+        bucketIds = {
+            highVolume: manager.createBucket('High Volume', { volumeMin: 100, volumeMax: 200 }),
+            standard: manager.createBucket('Standard', { volumeMax: 200 }),
+            key: manager.createBucket('Key Accounts', { volumeMin: 300 })
+        };
+        manager.assignCustomerToBucket('customer-1', bucketIds.highVolume);
+        manager.assignCustomerToBucket('customer-2', bucketIds.standard);
+        manager.assignCustomerToBucket('customer-3', bucketIds.key);
+    });
+
+    describe('previewBucketChanges', () => {
+        it('should report buckets whose members change because another bucket was edited', () => {
+            const preview = manager.previewBucketChanges({ action: 'update', bucketId: bucketIds.highVolume, criteria: { volumeMin: 160 } });
+            const statuses = Object.fromEntries(preview.bucketImpacts.map(impact => [impact.bucketName, impact.status]));
+
+            expect(statuses).toEqual({ 'High Volume': 'updated', Standard: 'membersChanged' });
+            expect(preview.entering.map(move => [move.customerId, move.bucketName])).toEqual([['customer-1', 'Standard']]);
+        });
+
+        it('should leave out buckets that keep their members', () => {
+            const preview = manager.previewBucketChanges({ action: 'update', bucketId: bucketIds.key, criteria: { volumeMin: 350 } });
+
+            expect(preview.bucketImpacts.map(impact => [impact.bucketName, impact.status])).toEqual([['Key Accounts', 'updated']]);
+        });
+    });
+
+    describe('assignment drift', () => {
+        // customer-1 drops below High Volume's minimum and customer-2 is gone
+        const reload = () => manager.loadCustomerData([
+            { ...CUSTOMERS[0], totalVolume: 90, totalRevenue: 11520 },
+            CUSTOMERS[2]
+        ]);
+
+        it('should keep assignments on reload and report customers that no longer qualify', () => {
+            reload();
+            const report = manager.detectAssignmentDrift();
+
+            expect(manager.getCustomerBucket('customer-1').bucketId).toBe(bucketIds.highVolume);
+            expect(report.checked).toBe(2);
+            expect(report.drifted).toEqual([expect.objectContaining({
+                customerId: 'customer-1',
+                bucketName: 'High Volume',
+                reason: 'no_longer_qualifies',
+                detail: 'Volume 90 yards is below the 100 yards minimum',
+                bestBucketName: 'Standard'
+            })]);
+            expect(manager.lastDriftReport.drifted.map(entry => entry.customerId)).toEqual(['customer-1']);
+            expect(manager.getAssignmentChangeLog()).toEqual([expect.objectContaining({
+                customerId: 'customer-2',
+                action: 'unassign',
+                fromBucketName: 'Standard',
+                reason: 'customer_missing',
+                decidedBy: 'system'
+            })]);
+        });
+
+        it('should report customers that fit another bucket clearly better', () => {
+            const scoreBucket = (customer, bucket) => (bucket.bucketId === bucketIds.standard ? 0.9 : 0.5);
+            const report = manager.detectAssignmentDrift({ scoreBucket });
+
+            expect(report.drifted.map(entry => [entry.customerId, entry.reason, entry.bestBucketName])).toEqual([
+                ['customer-1', 'better_bucket', 'Standard']
+            ]);
+        });
+
+        it('should keep, re-resolve or unassign drifted customers and log each decision', () => {
+            reload();
+            const [drift] = manager.detectAssignmentDrift().drifted;
+
+            const [sticky] = manager.resolveAssignmentDrift([drift], 'sticky', { decidedBy: 'pricing manager' });
+            expect(sticky).toEqual(expect.objectContaining({ action: 'sticky', fromBucketName: 'High Volume', toBucketName: 'High Volume', decidedBy: 'pricing manager' }));
+            expect(manager.getCustomerBucket('customer-1').bucketId).toBe(bucketIds.highVolume);
+
+            const [reresolved] = manager.resolveAssignmentDrift([drift], 'reresolve');
+            expect(reresolved).toEqual(expect.objectContaining({ toBucketName: 'Standard', reason: 'no_longer_qualifies' }));
+            expect(manager.getCustomerBucket('customer-1').bucketId).toBe(bucketIds.standard);
+
+            manager.resolveAssignmentDrift(['customer-1'], 'unassign');
+            expect(manager.getCustomerBucket('customer-1')).toBeNull();
+            expect(manager.getAssignmentChangeLog().map(record => [record.customerId, record.action, record.reason])).toEqual([
+                ['customer-2', 'unassign', 'customer_missing'],
+                ['customer-1', 'sticky', 'no_longer_qualifies'],
+                ['customer-1', 'reresolve', 'no_longer_qualifies'],
+                ['customer-1', 'unassign', 'manual']
+            ]);
+        });
+
+        it('should resolve nothing when any entry of the batch is invalid', () => {
+            reload();
+
+            expect(() => manager.resolveAssignmentDrift(['customer-1', 'customer-2', 'customer-3'], 'unassign'))
+                .toThrow('Customer is not assigned: customer-2');
+            expect(() => manager.resolveAssignmentDrift(['customer-1'], 'move')).toThrow('Unknown drift action: move');
+            expect(manager.getCustomerBucket('customer-1').bucketId).toBe(bucketIds.highVolume);
+            expect(manager.getCustomerBucket('customer-3').bucketId).toBe(bucketIds.key);
+            expect(manager.getAssignmentChangeLog()).toHaveLength(1);
+        });
+    });
+
+    describe('journal', () => {
+        it('should record one entry per outermost mutation', () => {
+            manager.removeCustomerFromAllBuckets('customer-2');
+            manager.assignAllUnassignedToBucket(bucketIds.standard);
+
+            const journal = manager.getJournal();
+            expect(journal.map(entry => entry.operation)).toEqual([
+                'createBucket', 'createBucket', 'createBucket',
+                'assignCustomerToBucket', 'assignCustomerToBucket', 'assignCustomerToBucket',
+                'removeCustomerFromAllBuckets', 'assignAllUnassignedToBucket'
+            ]);
+            expect(journal[0]).toEqual(expect.objectContaining({ entryId: 'entry-1', args: ['High Volume', { volumeMin: 100, volumeMax: 200 }], result: bucketIds.highVolume }));
+            expect(journal[7].events.customerAssigned).toBe(1);
+        });
+
+        it('should undo and redo mutations and journal both', () => {
+            manager.assignCustomerToBucket('customer-1', bucketIds.standard);
+
+            expect(manager.undo().operation).toBe('assignCustomerToBucket');
+            expect(manager.getCustomerBucket('customer-1').bucketId).toBe(bucketIds.highVolume);
+            expect(manager.canRedo()).toBe(true);
+
+            manager.redo();
+            expect(manager.getCustomerBucket('customer-1').bucketId).toBe(bucketIds.standard);
+            expect(manager.getJournal().slice(-2).map(entry => [entry.operation, entry.target])).toEqual([['undo', 'entry-7'], ['redo', 'entry-7']]);
+        });
+
+        it('should drop the redo steps when a new mutation follows an undo', () => {
+            manager.deleteBucket(bucketIds.key);
+            manager.undo();
+            manager.applyPricingAdjustment(bucketIds.key, 5, 'percentage');
+
+            expect(manager.canRedo()).toBe(false);
+            expect(() => manager.redo()).toThrow('Nothing to redo');
+            expect(manager.getBucket(bucketIds.key)).not.toBeNull();
+        });
+
+        it('should rebuild the same state by replaying an exported journal', () => {
+            manager.deleteBucket(bucketIds.key);
+            manager.undo();
+            manager.applyPricingAdjustment(bucketIds.highVolume, 3, 'absolute');
+            const journal = manager.exportJournal();
+
+            const audit = new CustomerBucketManager();
+            audit.loadCustomerData(CUSTOMERS);
+            const replay = audit.replayJournal(journal);
+
+            expect(replay).toEqual({ entries: journal.entries.length, checksum: journal.checksum, matches: true });
+            expect(audit.getAllBuckets()).toEqual(manager.getAllBuckets());
+            expect(audit.getJournal()).toEqual(manager.getJournal());
+            expect(audit.undo().operation).toBe('applyPricingAdjustment');
+        });
+
+        it('should roll back a mutation that fails halfway so the journal still replays', () => {
+            // customer-1 moves to Standard before scoring customer-3 throws
+            const scoreBucket = (customer, bucket) => {
+                if (customer.customerId === 'customer-3') {
+                    throw new Error('Scorer unavailable');
+                }
+                return bucket.bucketId === bucketIds.standard ? 1 : 0.5;
+            };
+            expect(() => manager.resolveAssignmentDrift(['customer-1', 'customer-3'], 'reresolve', { scoreBucket }))
+                .toThrow('Scorer unavailable');
+
+            expect(manager.getCustomerBucket('customer-1').bucketId).toBe(bucketIds.highVolume);
+            expect(manager.getAssignmentChangeLog()).toEqual([]);
+            expect(manager.getJournal()).toHaveLength(6);
+
+            const audit = new CustomerBucketManager();
+            audit.loadCustomerData(CUSTOMERS);
+            expect(audit.replayJournal(manager.exportJournal()).matches).toBe(true);
+            expect(audit.getAllBuckets()).toEqual(manager.getAllBuckets());
+        });
+
+        it('should refuse a journal whose replay does not match its checksum', () => {
+            const journal = { ...manager.exportJournal(), checksum: 'tampered' };
+            const audit = new CustomerBucketManager();
+            audit.loadCustomerData(CUSTOMERS);
+
+            expect(() => audit.replayJournal(journal)).toThrow('Replayed state does not match the journal');
+        });
+
+        it('should start a new journal when customer data is reloaded', () => {
+            manager.loadCustomerData(CUSTOMERS);
+
+            expect(manager.getJournal()).toEqual([]);
+            expect(manager.canUndo()).toBe(false);
+            expect(() => manager.undo()).toThrow('Nothing to undo');
+        });
+    });
+});
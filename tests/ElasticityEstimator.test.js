@@ -0,0 +1,83 @@
+/**
+ * ElasticityEstimator - within-customer log-log elasticity fit
+ */
+const ElasticityEstimator = require('../ElasticityEstimator');
+
+const MONTHS = ['Jan 2024', 'Feb 2024', 'Mar 2024', 'Apr 2024'];
+const PRICE_STEPS = [1, 1.04, 0.97, 1.08];
+
+// volume = level × (price / base)^-0.8 exactly; the bigger buyer also pays more,
+// so pooled across customers price and volume rise together
+const syntheticObservations = (elasticity = -0.8, noise = () => 1) => [
+    { customerId: 'customer-1', basePrice: 110, level: 80 },
+    { customerId: 'customer-2', basePrice: 125, level: 400 },
+    { customerId: 'customer-3', basePrice: 140, level: 900 }
+].flatMap(customer => MONTHS.map((month, index) => ({
+    customerId: customer.customerId,
+    month,
+    price: customer.basePrice * PRICE_STEPS[index],
+    volume: customer.level * Math.pow(PRICE_STEPS[index], elasticity) * noise(customer, index)
+})));
+
+describe('ElasticityEstimator', () => {
+    const estimator = new ElasticityEstimator();
+
+    describe('estimate', () => {
+        it('should recover the elasticity of an exact constant-elasticity series', () => {
+            expect(estimator.estimate(syntheticObservations())).toEqual({
+                elasticity: -0.8,
+                usable: true,
+                reason: null,
+                observations: 12,
+                customers: 3,
+                rSquared: 1,
+                standardError: 0
+            });
+        });
+
+        it('should stay close to the true elasticity with noisy volumes', () => {
+            const wobble = [1.02, 0.98, 1.01, 0.99];
+            const estimate = estimator.estimate(syntheticObservations(-1.2, (customer, index) => wobble[(index + customer.level) % 4]));
+
+            expect(estimate.elasticity).toBeCloseTo(-1.2, 0);
+            expect(estimate.rSquared).toBeGreaterThan(0.5);
+            expect(estimate.rSquared).toBeLessThan(1);
+            expect(estimate.standardError).toBeGreaterThan(0);
+        });
+
+        it('should leave out customers whose price never changed', () => {
+            const steady = MONTHS.map(month => ({ customerId: 'customer-9', month, price: 120, volume: 50 }));
+            const estimate = estimator.estimate([...syntheticObservations(), ...steady]);
+
+            expect(estimate.customers).toBe(3);
+            expect(estimate.elasticity).toBe(-0.8);
+        });
+
+        it('should report an unusable estimate with too few observations', () => {
+            const estimate = estimator.estimate(syntheticObservations().filter(observation => observation.customerId === 'customer-1'));
+
+            expect(estimate).toEqual(expect.objectContaining({ elasticity: null, usable: false, observations: 4, customers: 1 }));
+            expect(estimate.reason).toBe('Needs at least 6 monthly observations with price changes from repeat customers (found 4)');
+        });
+    });
+
+    describe('estimateFromTransactions', () => {
+        it('should fit monthly volume-weighted prices for the chosen customers', () => {
+            const transactions = syntheticObservations().flatMap(observation => [
+                // Two deliveries a month whose volume-weighted price is the observation price
+                { customerId: observation.customerId, month: observation.month, concreteYards: observation.volume / 2, unitPrice: observation.price - 1 },
+                { customerId: observation.customerId, month: observation.month, concreteYards: observation.volume / 2, unitPrice: observation.price + 1 }
+            ]);
+
+            const observations = estimator.buildObservations(transactions, { customerIds: ['customer-2'], months: MONTHS.slice(0, 2) });
+            expect(observations.map(observation => [observation.month, observation.price])).toEqual([
+                ['Jan 2024', 125],
+                ['Feb 2024', 130]
+            ]);
+
+            expect(estimator.estimateFromTransactions(transactions).elasticity).toBe(-0.8);
+            expect(estimator.estimateFromTransactions(transactions, { customerIds: ['customer-1', 'customer-3'] }))
+                .toEqual(expect.objectContaining({ elasticity: -0.8, observations: 8, customers: 2 }));
+        });
+    });
+});
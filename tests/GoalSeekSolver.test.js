@@ -0,0 +1,149 @@
+/**
+ * GoalSeekSolver - volume, uniform increase and per-bucket prices for a profit goal
+ */
+const GoalSeekSolver = require('../GoalSeekSolver');
+const PricingAdjustmentCalculator = require('../PricingAdjustmentCalculator');
+
+// $120/yard over 4,000 yards; base profit (120 - 43) × 4,000 - 107,000 = 201,000
+const HISTORICAL = { volume: 4000, revenue: 480000 };
+const COSTS = { manufacturingPerYard: 43, labor: 70000, fixed: 37000 };
+
+// Premium sits $10 under the $200 market ceiling
+const BUCKETS = [
+    { bucketId: 'bucket-1', bucketName: 'Premium', averagePrice: 190, totalVolume: 1000, customerCount: 5 },
+    { bucketId: 'bucket-2', bucketName: 'Standard', averagePrice: 100, totalVolume: 3000, customerCount: 20 }
+];
+const BUCKET_HISTORICAL = { volume: 4000, revenue: 490000 };
+
+describe('GoalSeekSolver', () => {
+    let solver;
+
+    beforeEach(() => {
+        solver = new GoalSeekSolver();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // Volume falls 1.2% per 1% increase, so profit peaks near a 10% increase
+    const elasticSolver = () => {
+        const pricingCalculator = new PricingAdjustmentCalculator();
+        pricingCalculator.priceElasticity = -1.2;
+        return new GoalSeekSolver({ pricingCalculator });
+    };
+
+    describe('solve', () => {
+        it('should refuse unknown questions', () => {
+            expect(() => solver.solve('maximumPrice', { historical: HISTORICAL }))
+                .toThrow('Goal seek failed: Unknown question "maximumPrice" (use minimumVolume, uniformPriceIncrease, bucketPrices)');
+        });
+
+        it('should refuse a historical period without volume', () => {
+            expect(() => solver.solve('minimumVolume', { historical: { volume: 0, revenue: 0 } }))
+                .toThrow('Goal seek failed: Historical period with volume is required');
+        });
+    });
+
+    describe('minimumVolume', () => {
+        it('should find the volume that covers the goal and the lump sum costs', () => {
+            const answer = solver.solve('minimumVolume', { historical: HISTORICAL, profitGoal: 200000, costs: COSTS });
+
+            expect(answer.feasible).toBe(true);
+            expect(answer.contributionPerYard).toBe(77);
+            expect(answer.requiredVolume).toBeCloseTo(307000 / 77, 2);
+            expect(answer.bindingConstraints).toEqual([]);
+        });
+
+        it('should report the shortfall when the volume exceeds capacity', () => {
+            const answer = solver.solve('minimumVolume', { historical: HISTORICAL, profitGoal: 200000, costs: COSTS, maxVolume: 3000 });
+
+            expect(answer.feasible).toBe(false);
+            expect(answer.achievableVolume).toBe(3000);
+            expect(answer.achievableProfit).toBe(124000);
+            expect(answer.shortfall).toBe(76000);
+            expect(answer.bindingConstraints.map(constraint => constraint.constraint)).toEqual(['maxVolume']);
+        });
+    });
+
+    describe('uniformPriceIncrease', () => {
+        it('should find the increase that reaches the goal at the projected volume', () => {
+            const answer = solver.solve('uniformPriceIncrease', { historical: HISTORICAL, profitGoal: 249000, costs: COSTS });
+
+            expect(answer.feasible).toBe(true);
+            expect(answer.requiredIncreasePercent).toBe(10);
+            expect(answer.requiredPricePerYard).toBe(132);
+        });
+
+        it('should find a goal below the profit peak when larger increases lose profit', () => {
+            const answer = elasticSolver().solve('uniformPriceIncrease', {
+                historical: HISTORICAL, profitGoal: 205000, costs: COSTS, includeElasticity: true
+            });
+
+            expect(answer.feasible).toBe(true);
+            expect(answer.requiredIncreasePercent).toBeGreaterThan(0);
+            expect(answer.requiredIncreasePercent).toBeLessThan(9);
+            expect(answer.achievableProfit).toBeCloseTo(205000, 0);
+        });
+
+        it('should report a goal above the profit peak as unreachable', () => {
+            const answer = elasticSolver().solve('uniformPriceIncrease', {
+                historical: HISTORICAL, profitGoal: 215000, costs: COSTS, includeElasticity: true
+            });
+
+            expect(answer.feasible).toBe(false);
+            expect(answer.requiredIncreasePercent).toBeNull();
+            expect(answer.appliedIncreasePercent).toBeGreaterThan(9);
+            expect(answer.appliedIncreasePercent).toBeLessThan(answer.maxIncreasePercent);
+            expect(answer.shortfall).toBeCloseTo(215000 - answer.achievableProfit, 2);
+            expect(answer.bindingConstraints).toEqual([{
+                constraint: 'maxProfit',
+                detail: `Profit peaks at $${answer.achievableProfit.toFixed(2)} with a ${answer.appliedIncreasePercent}% increase; larger increases lose more volume than they earn`
+            }]);
+        });
+    });
+
+    describe('bucketPrices', () => {
+        it('should keep raising the other buckets once one reaches its limit', () => {
+            const answer = solver.solve('bucketPrices', { historical: BUCKET_HISTORICAL, profitGoal: 251000, costs: COSTS, buckets: BUCKETS });
+
+            expect(answer.feasible).toBe(true);
+            expect(answer.uniformIncreasePercent).toBe(10);
+            expect(answer.buckets.map(bucket => [bucket.bucketName, bucket.newPrice, bucket.limitedBy])).toEqual([
+                ['Premium', 200, 'marketCeilingPrice'],
+                ['Standard', 110, null]
+            ]);
+            expect(answer.adjustments).toEqual({
+                'bucket-1': { adjustment: 10, adjustmentType: 'absolute' },
+                'bucket-2': { adjustment: 10, adjustmentType: 'absolute' }
+            });
+        });
+
+        it('should report every bucket limit when the goal is out of reach', () => {
+            const answer = solver.solve('bucketPrices', { historical: BUCKET_HISTORICAL, profitGoal: 1000000, costs: COSTS, buckets: BUCKETS });
+
+            expect(answer.feasible).toBe(false);
+            expect(answer.bindingConstraints.map(constraint => [constraint.bucketId, constraint.constraint])).toEqual([
+                ['bucket-1', 'marketCeilingPrice'],
+                ['bucket-2', 'maxChurnRate']
+            ]);
+        });
+
+        it('should stop at the profit peak when larger increases lose profit', () => {
+            const answer = elasticSolver().solve('bucketPrices', {
+                historical: BUCKET_HISTORICAL, profitGoal: 260000, costs: COSTS, buckets: BUCKETS, includeElasticity: true
+            });
+
+            expect(answer.feasible).toBe(false);
+            expect(answer.bindingConstraints.map(constraint => constraint.constraint)).toEqual(['maxProfit', 'marketCeilingPrice']);
+            expect(answer.buckets.map(bucket => bucket.limitedBy)).toEqual(['marketCeilingPrice', null]);
+            expect(answer.buckets[1].increasePercent).toBe(answer.uniformIncreasePercent);
+        });
+
+        it('should refuse to price without populated buckets', () => {
+            expect(() => solver.solve('bucketPrices', { historical: HISTORICAL, profitGoal: 250000, costs: COSTS, buckets: [] }))
+                .toThrow('Goal seek failed: Per-bucket prices need at least one bucket with customers');
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * ManufacturingCostBuilder - per-yard manufacturing cost from mix designs
+ */
+const ManufacturingCostBuilder = require('../ManufacturingCostBuilder');
+
+const RECIPES = {
+    '4000 PSI': [{ material: 'Cement', quantity: 564, unit: 'lb' }, { name: 'Mixing', costPerYard: 2 }],
+    '3000 PSI': [{ material: 'Cement', quantity: 470, unit: 'lb' }, { material: 'Sand', quantity: 0.6, unit: 'ton' }]
+};
+
+const MATERIALS = [
+    { material: 'Cement', unitPrice: 140, unit: 'ton', priceDate: '2024-06-01' },
+    { material: 'Cement', unitPrice: 150, unit: 'ton', priceDate: '2024-12-01' },
+    { material: 'Cement', unitPrice: 165, unit: 'ton', priceDate: '2025-03-01' },
+    { material: 'Sand', unitPrice: 20, unit: 'ton', priceDate: '2024-11-15' }
+];
+
+describe('ManufacturingCostBuilder', () => {
+    const builder = new ManufacturingCostBuilder();
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('build', () => {
+        it('should cost a recipe at the latest price before the first projected month', () => {
+            const build = builder.build({
+                recipes: { '4000 PSI': RECIPES['4000 PSI'] },
+                materials: MATERIALS,
+                productMix: { '4000 PSI': 100 },
+                startMonth: 'Jan 2025'
+            });
+
+            expect(build.pricesAsOf).toBe('Jan 2025');
+            expect(build.costPerYard).toBeCloseTo(44.3, 4);
+            expect(build.mixes[0].components.map(component => [component.name, component.costPerYard])).toEqual([
+                ['Cement', 42.3],
+                ['Mixing', 2]
+            ]);
+            expect(build.months).toHaveLength(12);
+        });
+
+        it('should average an escalation over the months it applies to', () => {
+            const build = builder.build({
+                recipes: { '4000 PSI': RECIPES['4000 PSI'] },
+                materials: MATERIALS,
+                productMix: { '4000 PSI': 100 },
+                startMonth: 'Jan 2025',
+                escalations: [{ material: 'Cement', percent: 8, from: 'Jul 2025' }]
+            }, { volume: 1000 });
+
+            expect(build.baseCostPerYard).toBeCloseTo(44.3, 4);
+            expect(build.costPerYard).toBeCloseTo(45.992, 4);
+            expect(build.escalationImpactPerYard).toBeCloseTo(1.692, 4);
+            expect(build.months[5].costPerYard).toBeCloseTo(44.3, 4);
+            expect(build.months[6].costPerYard).toBeCloseTo(47.684, 4);
+            expect(build.totalCost).toBeCloseTo(45992, 2);
+        });
+
+        it('should weight mixes by the product mix and months by their volume', () => {
+            const build = builder.build({
+                recipes: RECIPES,
+                materials: MATERIALS,
+                productMix: { '4000 PSI': 60, '3000 PSI': 40 },
+                monthlyVolume: { 'Jan 2025': 300, 'Feb 2025': 100 },
+                escalations: [{ material: 'Sand', percent: 10, from: 'Feb 2025' }]
+            });
+            // 3000 PSI: cement 0.235 t × $150 + sand 0.6 t × $20 (× 1.1 in February)
+            const mix3000 = month => 35.25 + 12 * (month === 'Feb 2025' ? 1.1 : 1);
+
+            expect(build.mixes.map(mix => [mix.name, mix.share])).toEqual([['4000 PSI', 0.6], ['3000 PSI', 0.4]]);
+            expect(build.months.map(month => month.volumeShare)).toEqual([0.75, 0.25]);
+            expect(build.mixes[1].costPerYard).toBeCloseTo(0.75 * mix3000('Jan 2025') + 0.25 * mix3000('Feb 2025'), 4);
+            expect(build.costPerYard).toBeCloseTo(0.6 * 44.3 + 0.4 * build.mixes[1].costPerYard, 4);
+        });
+
+        it('should take listed months in calendar order', () => {
+            const build = builder.build({
+                recipes: { '4000 PSI': RECIPES['4000 PSI'] },
+                materials: MATERIALS,
+                productMix: { '4000 PSI': 100 },
+                months: ['Mar 2025', 'Jan 2025', 'Feb 2025'],
+                escalations: [{ material: 'Cement', percent: 8, from: 'Feb 2025' }]
+            });
+
+            expect(build.pricesAsOf).toBe('Jan 2025');
+            expect(build.months.map(month => [month.month, month.costPerYard])).toEqual([
+                ['Jan 2025', expect.closeTo(44.3, 4)],
+                ['Feb 2025', expect.closeTo(47.684, 4)],
+                ['Mar 2025', expect.closeTo(47.684, 4)]
+            ]);
+            expect(() => builder.build({
+                recipes: { '4000 PSI': RECIPES['4000 PSI'] },
+                materials: MATERIALS,
+                productMix: { '4000 PSI': 100 },
+                months: ['Jan 2025', 'Feb 2025', 'Jan 2025']
+            })).toThrow('Jan 2025 is listed twice in months');
+        });
+
+        it('should refuse materials priced only after the first projected month', () => {
+            expect(() => builder.build({
+                recipes: { '4000 PSI': RECIPES['4000 PSI'] },
+                materials: MATERIALS,
+                productMix: { '4000 PSI': 100 },
+                startMonth: 'Jan 2024'
+            })).toThrow('No price on or before Jan 2024 for Cement');
+        });
+
+        it('should refuse a mix without a recipe', () => {
+            expect(() => builder.build({
+                recipes: { '4000 PSI': RECIPES['4000 PSI'] },
+                materials: MATERIALS,
+                productMix: { '5000 PSI': 100 },
+                startMonth: 'Jan 2025'
+            })).toThrow('No recipe for 5000 PSI in the product mix');
+        });
+    });
+
+    describe('convertQuantity', () => {
+        it('should convert within a dimension', () => {
+            expect(builder.convertQuantity(564, 'lb', 'ton')).toBeCloseTo(0.282, 10);
+            expect(builder.convertQuantity(2, 'gallons', 'oz')).toBeCloseTo(256, 10);
+        });
+
+        it('should refuse to convert between dimensions', () => {
+            expect(() => builder.convertQuantity(1, 'lb', 'gallon')).toThrow('Cannot convert lb (mass) to gallon (volume)');
+        });
+    });
+});
@@ -0,0 +1,233 @@
+/**
+ * OverlapResolutionEngine - resolution strategies, explanations, learned weights and overlap detection
+ */
+const OverlapResolutionEngine = require('../OverlapResolutionEngine');
+
+const CUSTOMERS = [
+    { customerId: 'customer-1', customerName: 'ABC Construction', totalVolume: 180, averageUnitPrice: 128, profitMargin: 32, totalRevenue: 23040, deliveryCount: 12, lastOrderDate: '2024-03-20' },
+    { customerId: 'customer-2', customerName: 'XYZ Builders', totalVolume: 60, averageUnitPrice: 140, profitMargin: 38, totalRevenue: 8400, deliveryCount: 5, lastOrderDate: '2024-03-08' }
+];
+
+const BUCKETS = [
+    { bucketId: 'bucket-1', bucketName: 'High Volume', criteria: { volumeMin: 100, volumeMax: null, priceMin: null, priceMax: null, profitMarginMin: null, profitMarginMax: null } },
+    { bucketId: 'bucket-2', bucketName: 'Standard', criteria: { volumeMin: null, volumeMax: 200, priceMin: null, priceMax: null, profitMarginMin: null, profitMarginMax: null } }
+];
+
+describe('OverlapResolutionEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new OverlapResolutionEngine();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('registerStrategy', () => {
+        const chained = (id, chain) => ({ id, name: id, description: `Chain ${chain.join(', ')}`, chain });
+
+        it('should reject a chain that contains itself', () => {
+            expect(() => engine.registerStrategy(chained('C', ['C'])))
+                .toThrow('Invalid strategy: C');
+
+            engine.registerStrategy(chained('C', ['BEST_FIT']));
+            expect(() => engine.registerStrategy(chained('C', ['C']), { replace: true }))
+                .toThrow('Strategy chain loops back to C (C > C)');
+        });
+
+        it('should reject a chain that loops back through another chain', async () => {
+            engine.registerStrategy(chained('C', ['BEST_FIT']));
+            engine.registerStrategy(chained('D', ['C']));
+
+            expect(() => engine.registerStrategy(chained('C', ['D']), { replace: true }))
+                .toThrow('Strategy chain loops back to C (C > D > C)');
+
+            // The rejected replacement leaves both strategies usable
+            const overlaps = await engine.detectOverlaps(CUSTOMERS, BUCKETS);
+            const decisions = await engine.autoResolveByPriority(overlaps, 'D');
+            expect(decisions.map(decision => decision.assignedBucketName)).toEqual(['High Volume']);
+        });
+
+        it('should allow a strategy to appear in two branches of a chain', () => {
+            engine.registerStrategy(chained('C', ['BEST_FIT']));
+            engine.registerStrategy(chained('D', ['C']));
+
+            expect(engine.registerStrategy(chained('E', ['C', 'D'])).id).toBe('E');
+        });
+    });
+
+    describe('generateRecommendations', () => {
+        it('should explain alternatives from the weighted contributions', async () => {
+            const explaining = new OverlapResolutionEngine({ confidenceThreshold: 1.1 });
+            const [recommendation] = await explaining.generateRecommendations(await explaining.detectOverlaps(CUSTOMERS, BUCKETS));
+            const [recommended, alternative] = recommendation.eligibleBuckets.map(bucket => bucket.explanation);
+            const strongest = alternative.dimensions.reduce((best, dimension) =>
+                dimension.contribution > best.contribution ? dimension : best);
+
+            expect(recommendation.alternatives).toHaveLength(2);
+            expect(recommendation.alternatives[0].reason).toMatch(/; recommended$/);
+            expect(recommendation.alternatives[1].reason).toContain(
+                `${(alternative.score * 100).toFixed(0)}% match, strongest on ${strongest.label.toLowerCase()}`);
+            expect(recommendation.alternatives[1].reason).toContain(
+                `${((recommended.score - alternative.score) * 100).toFixed(0)} points behind ${recommended.bucketName}`);
+        });
+    });
+
+    describe('weight learning', () => {
+        // Managers keep choosing the better-margin bucket over the better-volume one
+        const recordDecisions = (count = 12) => engine.trackResolutionDecisions(Array.from({ length: count }, (_, index) => ({
+            customerId: `customer-${index + 1}`,
+            strategy: 'MANUAL',
+            assignedBucket: 'bucket-2',
+            recommendedBucket: 'bucket-1',
+            overridden: true,
+            candidates: [
+                { bucketId: 'bucket-1', scores: { volume: 0.9, price: 0.5, margin: 0.2 + index * 0.01, value: 0.5 } },
+                { bucketId: 'bucket-2', scores: { volume: 0.4, price: 0.5, margin: 0.9 - index * 0.01, value: 0.5 } }
+            ]
+        })));
+        const sum = weights => Object.values(weights).reduce((total, weight) => total + weight, 0);
+
+        it('should propose weights without changing the live ones', async () => {
+            const before = await engine.explainMatch(CUSTOMERS[0], BUCKETS[0]);
+            recordDecisions();
+
+            const proposal = engine.proposeWeightUpdate();
+
+            expect(proposal.usable).toBe(true);
+            expect(proposal.decisions).toBe(12);
+            expect(proposal.overrides).toBe(12);
+            expect(proposal.proposedWeights.margin).toBeGreaterThan(proposal.currentWeights.margin);
+            expect(proposal.agreement.proposed).toBeGreaterThan(proposal.agreement.current);
+            expect(engine.weights).toEqual({ volume: 0.35, price: 0.30, margin: 0.25, value: 0.10 });
+            expect((await engine.explainMatch(CUSTOMERS[0], BUCKETS[0])).score).toBe(before.score);
+        });
+
+        it('should not propose anything from too few decisions', () => {
+            recordDecisions(3);
+
+            const proposal = engine.proposeWeightUpdate();
+
+            expect(proposal.usable).toBe(false);
+            expect(proposal.reason).toBe('Needs at least 10 manual decisions with more than one eligible bucket (found 3)');
+            expect(proposal.proposedWeights).toEqual(engine.weights);
+        });
+
+        it('should fit non-negative weights that sum to exactly 1', () => {
+            recordDecisions();
+            const dimensions = Object.keys(engine.weights);
+
+            const fitted = engine.fitChoiceModel(engine.getLearningSamples(dimensions), dimensions, { learnBiases: true, maxBias: 0.2, iterations: 200 });
+
+            expect(Object.keys(fitted.weights)).toEqual(dimensions);
+            expect(Object.values(fitted.weights).every(weight => weight >= 0)).toBe(true);
+            expect(sum(fitted.weights)).toBeCloseTo(1, 10);
+            expect(Object.values(fitted.biases).every(bias => Math.abs(bias) <= 0.2)).toBe(true);
+            expect(sum(engine.proposeWeightUpdate({ bucketBiases: true }).proposedWeights)).toBeCloseTo(1, 10);
+        });
+
+        it('should refuse to apply a proposal without a named approver', () => {
+            recordDecisions();
+            const proposal = engine.proposeWeightUpdate();
+
+            expect(() => engine.applyWeightProposal(proposal))
+                .toThrow('Applying weight proposal failed: Weight changes need explicit approval (approvedBy)');
+            expect(() => engine.applyWeightProposal(proposal, { approvedBy: '  ' }))
+                .toThrow('Weight changes need explicit approval (approvedBy)');
+            expect(engine.weights).toEqual(proposal.currentWeights);
+            expect(engine.weightHistory).toEqual([]);
+        });
+
+        it('should apply only the latest proposal, once, after approval', () => {
+            recordDecisions();
+            const stale = engine.proposeWeightUpdate();
+            const proposal = engine.proposeWeightUpdate();
+
+            expect(() => engine.applyWeightProposal(stale, { approvedBy: 'pricing manager' }))
+                .toThrow('Only the latest weight proposal can be applied');
+
+            const update = engine.applyWeightProposal(proposal, { approvedBy: ' pricing manager ' });
+
+            expect(update).toEqual(expect.objectContaining({ approvedBy: 'pricing manager', previousWeights: proposal.currentWeights, weights: proposal.proposedWeights }));
+            expect(engine.weights).toEqual(proposal.proposedWeights);
+            expect(engine.weightHistory).toEqual([update]);
+            expect(() => engine.applyWeightProposal(proposal, { approvedBy: 'pricing manager' }))
+                .toThrow('Only the latest weight proposal can be applied');
+        });
+    });
+
+    describe('score cache', () => {
+        const fresh = async (options, customer, bucket) => (await new OverlapResolutionEngine(options).explainMatch(customer, bucket)).score;
+
+        it('should reuse a cached score while nothing changes', async () => {
+            const first = await engine.explainMatch(CUSTOMERS[0], BUCKETS[0]);
+            const second = await engine.explainMatch({ ...CUSTOMERS[0], bucketId: 'bucket-2' }, BUCKETS[0]);
+
+            expect(second).toBe(first);
+            expect(engine.performanceMetrics.cacheHitRate).toBe(1);
+            expect(engine.performanceMetrics.cacheInvalidations).toBe(0);
+        });
+
+        it('should rescore when the bucket criteria change', async () => {
+            const bucket = { ...BUCKETS[0], criteria: { ...BUCKETS[0].criteria } };
+            const before = await engine.calculateMatchScores(CUSTOMERS[0], bucket);
+
+            bucket.criteria.volumeMax = 200;
+            const after = await engine.calculateMatchScores(CUSTOMERS[0], bucket);
+
+            expect(after).not.toBe(before);
+            expect(after).toBe(await fresh({}, CUSTOMERS[0], bucket));
+            expect(engine.performanceMetrics.cacheInvalidations).toBe(1);
+        });
+
+        it('should rescore when the weights or a bucket bias change', async () => {
+            await engine.explainMatch(CUSTOMERS[0], BUCKETS[0]);
+            const weights = { volume: 0.1, price: 0.2, margin: 0.6, value: 0.1 };
+
+            engine.weights = weights;
+            expect(engine.scoreMatch(CUSTOMERS[0], BUCKETS[0])).toBe(await fresh({ weights }, CUSTOMERS[0], BUCKETS[0]));
+
+            engine.bucketBiases = { 'bucket-1': 0.05 };
+            expect(engine.scoreMatch(CUSTOMERS[0], BUCKETS[0]))
+                .toBe(await fresh({ weights, bucketBiases: { 'bucket-1': 0.05 } }, CUSTOMERS[0], BUCKETS[0]));
+            expect(engine.performanceMetrics.cacheInvalidations).toBe(2);
+            expect(engine.performanceMetrics.cacheHitRate).toBe(0);
+        });
+    });
+
+    describe('detectOverlaps', () => {
+        // Every bucket, full criteria check and threshold, no range index
+        const bruteForce = async (customers, buckets) => {
+            const overlaps = [];
+            for (const customer of customers) {
+                const eligible = [];
+                for (const bucket of buckets) {
+                    if (engine.customerMeetsCriteria(customer, bucket.criteria)
+                        && (await engine.explainMatch(customer, bucket)).score >= engine.matchThreshold) {
+                        eligible.push(bucket.bucketId);
+                    }
+                }
+                if (eligible.length > 1) overlaps.push([customer.customerId, eligible.sort()]);
+            }
+            return overlaps.sort(([a], [b]) => a.localeCompare(b));
+        };
+
+        it('should find the same overlaps with range-index pruning as a scan of every bucket', async () => {
+            const { customers, buckets } = engine.generateBenchmarkData(400, 40, 7);
+            // Include lists bypass the ranges; rules narrow them
+            buckets[3].criteria.includeCustomers = ['bench-customer-1', 'bench-customer-2'];
+            buckets[5].criteria.rules = { field: 'deliveryCount', op: '>=', value: 20 };
+
+            const overlaps = await engine.detectOverlaps(customers, buckets);
+            const pruned = overlaps
+                .map(overlap => [overlap.customerId, overlap.eligibleBuckets.map(bucket => bucket.bucketId).sort()])
+                .sort(([a], [b]) => a.localeCompare(b));
+
+            expect(engine.performanceMetrics.prunedPairs).toBeGreaterThan(0);
+            expect(pruned.length).toBeGreaterThan(0);
+            expect(pruned).toEqual(await bruteForce(customers, buckets));
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * PriceRolloutPlanner - phased price increases month by month
+ */
+const PriceRolloutPlanner = require('../PriceRolloutPlanner');
+
+const CUSTOMERS = [
+    { customerId: 'customer-1', customerName: 'ABC Construction', totalVolume: 1500, totalRevenue: 150000 },
+    { customerId: 'customer-2', customerName: 'XYZ Builders', totalVolume: 500, totalRevenue: 50000 }
+];
+
+// Without price response every dollar of price change is a dollar of profit
+const BUCKET = {
+    bucketId: 'bucket-1',
+    bucketName: 'Standard',
+    averagePrice: 100,
+    totalVolume: 2000,
+    customerCount: 2,
+    assignedCustomers: ['customer-1', 'customer-2'],
+    demandModel: { elasticity: 0 }
+};
+
+// $100/yard, $60/yard manufacturing and $20,000 labor + fixed: $30,000 profit a month
+const PLAN = {
+    projection: {
+        volume: 2000,
+        averageRevenuePerYard: 100,
+        manufacturingPerYard: 60,
+        labor: 12000,
+        fixed: 8000,
+        profitGoal: 62000
+    },
+    months: [{ month: 'Apr 2025', volume: 50 }, { month: 'Mar 2025', volume: 50 }],
+    buckets: [BUCKET],
+    customers: CUSTOMERS
+};
+
+describe('PriceRolloutPlanner', () => {
+    const planner = new PriceRolloutPlanner();
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('plan', () => {
+        const phases = [{ bucket: 'Standard', effective: '2025-04-16', adjustment: 10, adjustmentType: 'percentage' }];
+
+        it('should count a mid-month phase for the days it is in effect', () => {
+            const rollout = planner.plan(PLAN, { phases });
+
+            expect(rollout.months.map(month => [month.month, month.volume, month.baseProfit, month.profitChange])).toEqual([
+                ['Mar 2025', 1000, 30000, 0],
+                ['Apr 2025', 1000, 30000, 5000]
+            ]);
+            expect(rollout.months[1].buckets[0].priceChange).toBe(5);
+            expect(rollout.phases[0]).toEqual(expect.objectContaining({ bucketName: 'Standard', month: 'Apr 2025', source: 'phase' }));
+        });
+
+        it('should track goal progress and the cost of phasing against an immediate increase', () => {
+            const rollout = planner.plan(PLAN, { phases });
+
+            expect(rollout.months.map(month => month.goalProgress)).toEqual([48.4, 104.8]);
+            expect(rollout.total).toEqual(expect.objectContaining({ profit: 65000, goalMetMonth: 'Apr 2025' }));
+            expect(rollout.immediate).toEqual({ profitChange: 20000, profit: 80000 });
+            expect(rollout.phasingCost).toBe(15000);
+        });
+
+        it('should hold contract customers at their price until renewal', () => {
+            const rollout = planner.plan(PLAN, { phases, contractRenewals: { 'XYZ Builders': 'May 2025' } });
+
+            expect(rollout.months[1].profitChange).toBe(3750);
+            expect(rollout.months[1].buckets[0].exemptCustomers).toBe(1);
+            expect(rollout.phases[0].exemptUntilRenewal).toEqual([
+                { customerId: 'customer-2', customerName: 'XYZ Builders', renewalDate: 'May 2025' }
+            ]);
+            expect(rollout.warnings).toEqual(['XYZ Builders renews on May 2025, after the plan ends: no increase for them']);
+        });
+
+        it('should apply the bucket adjustment from the plan start when a bucket has no phases', () => {
+            const rollout = planner.plan({ ...PLAN, adjustments: { 'bucket-1': { adjustment: 2, adjustmentType: 'absolute' } } });
+
+            expect(rollout.phases[0]).toEqual(expect.objectContaining({ effectiveDate: '2025-03-01', source: 'bucket' }));
+            expect(rollout.months.map(month => month.profitChange)).toEqual([2000, 2000]);
+            expect(rollout.phasingCost).toBe(0);
+        });
+
+        it('should stack percentage phases on the price after earlier phases', () => {
+            const rollout = planner.plan(PLAN, {
+                phases: [
+                    { bucket: 'bucket-1', effective: 'Mar 2025', adjustment: 10 },
+                    { bucket: 'bucket-1', effective: 'Apr 2025', adjustment: 10 }
+                ]
+            });
+
+            expect(rollout.months.map(month => month.buckets[0].priceChange)).toEqual([10, 21]);
+        });
+
+        it('should refuse unknown buckets, customers and dates', () => {
+            expect(() => planner.plan(PLAN, { phases: [{ bucket: 'Premium', effective: 'Mar 2025', adjustment: 3 }] }))
+                .toThrow('Price rollout planning failed: Phase 1 names an unknown or empty bucket "Premium"');
+            expect(() => planner.plan(PLAN, { phases: [{ bucket: 'Standard', effective: '2025-02-30', adjustment: 3 }] }))
+                .toThrow('Phase 1: invalid date "2025-02-30"');
+            expect(() => planner.plan(PLAN, { phases, contractRenewals: { 'Metro Development': 'May 2025' } }))
+                .toThrow('Contract renewal for unknown customer "Metro Development"');
+            expect(() => planner.plan({ ...PLAN, months: [...PLAN.months, { month: 'Mar 2025', volume: 10 }] }))
+                .toThrow('Mar 2025 is listed twice');
+        });
+    });
+});
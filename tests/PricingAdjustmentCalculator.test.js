@@ -0,0 +1,280 @@
+/**
+ * PricingAdjustmentCalculator - customer price exceptions, mixed cost basis and demand models
+ */
+const PricingAdjustmentCalculator = require('../PricingAdjustmentCalculator');
+
+const day = (year, month, date) => Date.UTC(year, month - 1, date) / 86400000;
+
+const CUSTOMERS = [
+    { customerId: 'customer-1', customerName: 'ABC Construction', totalVolume: 100, totalRevenue: 10000, averageUnitPrice: 100 },
+    { customerId: 'customer-2', customerName: 'XYZ Builders', totalVolume: 300, totalRevenue: 36000, averageUnitPrice: 120 }
+];
+
+describe('PricingAdjustmentCalculator', () => {
+    let calculator;
+
+    beforeEach(() => {
+        calculator = new PricingAdjustmentCalculator();
+    });
+
+    describe('getCustomerPrice', () => {
+        const before = day(2025, 3, 15);
+        const after = day(2025, 8, 1);
+
+        it('should cap the increase until the contract ends and bill the bucket price after it', () => {
+            calculator.setCustomerExceptions({
+                'customer-1': { maxIncrease: 2, contractEndDate: 'Jun 2025' }
+            }, CUSTOMERS);
+
+            expect(calculator.getCustomerPrice('customer-1', 100, 110, before)).toBeCloseTo(102, 10);
+            expect(calculator.getCustomerPrice('customer-1', 100, 110, day(2025, 6, 30))).toBeCloseTo(102, 10);
+            expect(calculator.getCustomerPrice('customer-1', 100, 110, after)).toBe(110);
+            expect(calculator.getCustomerPrice('customer-1', 100, 110)).toBeCloseTo(102, 10);
+        });
+
+        it('should hold a fixed price until the contract ends', () => {
+            calculator.setCustomerExceptions({
+                'customer-1': { fixedPrice: 105, contractEndDate: '2025-06-30' }
+            }, CUSTOMERS);
+
+            expect(calculator.getCustomerPrice('customer-1', 100, 110, before)).toBe(105);
+            expect(calculator.getCustomerPrice('customer-1', 100, 110, after)).toBe(110);
+        });
+
+        it('should keep the current price when a contract end date is the only rule', () => {
+            calculator.setCustomerExceptions({
+                'customer-1': { contractEndDate: '2025-06-30' }
+            }, CUSTOMERS);
+
+            expect(calculator.getCustomerPrice('customer-1', 100, 110, before)).toBe(100);
+            expect(calculator.getCustomerPrice('customer-1', 100, 110, after)).toBe(110);
+        });
+
+        it('should apply exceptions without an end date for the whole plan', () => {
+            calculator.setCustomerExceptions({
+                'customer-1': { exempt: true },
+                'customer-2': { maxIncrease: 3, maxIncreaseType: 'absolute' }
+            }, CUSTOMERS);
+
+            expect(calculator.getCustomerPrice('customer-1', 100, 110, after)).toBe(100);
+            expect(calculator.getCustomerPrice('customer-2', 120, 130, after)).toBe(123);
+            expect(calculator.getCustomerPrice('customer-2', 120, 122, after)).toBe(122);
+        });
+
+        it('should leave customers without exceptions at the bucket price', () => {
+            calculator.setCustomerExceptions({ 'customer-1': { exempt: true } }, CUSTOMERS);
+
+            expect(calculator.getCustomerPrice('customer-2', 120, 126, before)).toBe(126);
+        });
+    });
+
+    describe('setCustomerExceptions', () => {
+        it('should reject unknown customers and conflicting rules', () => {
+            expect(() => calculator.setCustomerExceptions({ 'customer-9': { exempt: true } }, CUSTOMERS))
+                .toThrow('Price exception for unknown customer "customer-9"');
+            expect(() => calculator.setCustomerExceptions({ 'customer-1': { exempt: true, fixedPrice: 105 } }, CUSTOMERS))
+                .toThrow('use either exempt or fixedPrice, not both');
+            expect(() => calculator.setCustomerExceptions({ 'customer-1': { fixedPrice: 105, maxIncrease: 2 } }, CUSTOMERS))
+                .toThrow('maxIncrease cannot be combined with exempt or fixedPrice');
+            expect(() => calculator.setCustomerExceptions({ 'customer-1': {} }, CUSTOMERS))
+                .toThrow('price exception needs exempt, fixedPrice, maxIncrease or contractEndDate');
+        });
+    });
+
+    describe('calculateBucketImpact', () => {
+        const bucket = {
+            bucketId: 'bucket-1',
+            bucketName: 'Standard',
+            customerCount: 2,
+            assignedCustomers: ['customer-1', 'customer-2'],
+            averagePrice: 115,
+            totalVolume: 400,
+            totalRevenue: 46000
+        };
+        const adjustment = { adjustment: 10, adjustmentType: 'percentage' };
+        const options = { includeElasticity: false };
+
+        it('should prorate a contract that ends during the plan period', () => {
+            calculator.setCustomerExceptions({
+                'customer-1': { maxIncrease: 2, contractEndDate: 'Feb 2025' }
+            }, CUSTOMERS, { periodStart: 'Jan 2025', periodEnd: 'Mar 2025' });
+
+            const impact = calculator.calculateBucketImpact(bucket, adjustment, options);
+            const [customer] = impact.customerImpacts;
+            // 59 days at the 2% cap, then 31 days at the bucket price
+            const billed = (102 * 59 + 110 * 31) / 90;
+
+            expect(customer.customerId).toBe('customer-1');
+            expect(customer.newPrice).toBeCloseTo(billed, 2);
+            expect(customer.revenueChange).toBeCloseTo((billed - 100) * 100, 0);
+        });
+
+        it('should price the bucket uniformly without exceptions', () => {
+            const impact = calculator.calculateBucketImpact(bucket, adjustment, options);
+
+            expect(impact.customerImpacts).toBeUndefined();
+            expect(impact.newPrice).toBeCloseTo(126.5, 2);
+        });
+
+        describe('on the mixed cost basis', () => {
+            // $43/yard manufacturing plus (70,000 + 37,000) / 4,000 = $26.75/yard allocated labor and fixed
+            const costBasis = { manufacturingPerYard: 43, labor: 70000, fixed: 37000, volume: 4000 };
+            const contractors = { bucketId: 'bucket-2', bucketName: 'Contractors', customerCount: 4, averagePrice: 120, totalVolume: 500, averageMargin: 30 };
+            const increase = { adjustment: 5, adjustmentType: 'percentage' };
+
+            beforeEach(() => {
+                calculator.setCostBasis(costBasis);
+            });
+
+            it('should charge variable and allocated cost per yard', () => {
+                const impact = calculator.calculateBucketImpact(contractors, increase, options);
+
+                // 120 × 500 - 43 × 500 - 26.75 × 500 and 126 × 500 - 43 × 500 - 26.75 × 500
+                expect(impact).toEqual(expect.objectContaining({
+                    costSource: 'mixed_cost_basis',
+                    costPerYard: 69.75,
+                    variableCostPerYard: 43,
+                    allocatedCostPerYard: 26.75,
+                    allocatedFixedCosts: 13375,
+                    currentProfit: 25125,
+                    currentMargin: 41.88,
+                    projectedProfit: 28125,
+                    profitChange: 3000
+                }));
+            });
+
+            it('should keep the allocated cost when volume falls with elasticity', () => {
+                const impact = calculator.calculateBucketImpact(contractors, increase);
+
+                // Volume falls 0.3 × 5% to 492.5 yards; only the $43/yard follows it
+                expect(impact.projectedVolume).toBe(492.5);
+                expect(impact.projectedProfit).toBeCloseTo(126 * 492.5 - 43 * 492.5 - 13375, 2);
+                expect(impact.profitChange).toBeCloseTo(27502.5 - 25125, 2);
+            });
+
+            it('should use the bucket manufacturing cost in place of the plant-wide one', () => {
+                const impact = calculator.calculateBucketImpact({ ...contractors, manufacturingPerYard: 50 }, increase, options);
+
+                expect(impact.costPerYard).toBe(76.75);
+                expect(impact.currentProfit).toBe(120 * 500 - 50 * 500 - 13375);
+                expect(impact.projectedProfit).toBe(126 * 500 - 50 * 500 - 13375);
+            });
+
+            it('should fall back to the bucket margin without a cost basis', () => {
+                calculator.setCostBasis(null);
+                const impact = calculator.calculateBucketImpact(contractors, increase, options);
+
+                // 30% margin: $84/yard cost, all of it variable
+                expect(impact).toEqual(expect.objectContaining({ costSource: 'bucket_margin', costPerYard: 84, allocatedFixedCosts: 0, currentProfit: 18000, projectedProfit: 21000 }));
+            });
+        });
+    });
+
+    describe('getDemandModel', () => {
+        const bucket = { bucketId: 'bucket-1', bucketName: 'Contractors', customerCount: 2, totalVolume: 400, averagePrice: 115, averageMargin: 30 };
+
+        it('should prefer the bucket model, then the model set for the bucket, then the first matching segment', () => {
+            calculator.setSegmentDemandModel('Small', { volumeMax: 100 }, { elasticity: -0.9 });
+            calculator.setSegmentDemandModel('Large', { volumeMin: 150 }, { elasticity: -0.6 });
+            calculator.setSegmentDemandModel('Priced', { priceMin: 100 }, { elasticity: -0.4 });
+            expect(calculator.getDemandModel(bucket)).toEqual(expect.objectContaining({ source: 'segment:Large', elasticity: -0.6 }));
+
+            calculator.setDemandModel('bucket-1', { elasticity: -0.5 });
+            expect(calculator.getDemandModel(bucket)).toEqual(expect.objectContaining({ source: 'bucket', elasticity: -0.5 }));
+
+            expect(calculator.getDemandModel({ ...bucket, demandModel: { elasticity: -0.2, source: 'estimate' } }))
+                .toEqual(expect.objectContaining({ source: 'estimate', elasticity: -0.2 }));
+        });
+
+        it('should fall back to the default elasticity with linear churn', () => {
+            calculator.setSegmentDemandModel('Large', { volumeMin: 500 }, { elasticity: -0.6 });
+
+            expect(calculator.getDemandModel(bucket)).toEqual({
+                source: 'default',
+                elasticity: -0.3,
+                churn: { type: 'linear', rate: 0.4, max: 0.25 },
+                volumeMultiplierRange: { min: 0.5, max: 1.5 }
+            });
+        });
+
+        it('should drive the bucket impact from the resolved model', () => {
+            const adjustment = { adjustment: 10, adjustmentType: 'percentage' };
+            calculator.setSegmentDemandModel('Large', { volumeMin: 150 }, { elasticity: -0.6 });
+            calculator.setDemandModel('bucket-2', { elasticity: -1.5 });
+
+            expect(calculator.calculateBucketImpact(bucket, adjustment).volumeChangePercent).toBeCloseTo(-6, 10);
+            expect(calculator.calculateBucketImpact({ ...bucket, bucketId: 'bucket-2' }, adjustment).volumeChangePercent).toBeCloseTo(-15, 10);
+            expect(calculator.calculateBucketImpact({ ...bucket, bucketId: 'bucket-3', totalVolume: 100 }, adjustment).volumeChangePercent).toBeCloseTo(-3, 10);
+        });
+
+        it('should reject invalid models', () => {
+            expect(() => calculator.setDemandModel('bucket-1', { elasticity: { type: 'steps', steps: [{ upTo: 10, elasticity: -0.2 }, { upTo: 5, elasticity: -0.5 }] } }))
+                .toThrow('with ascending upTo');
+            expect(() => calculator.setDemandModel('bucket-1', { churn: { type: 'steps', steps: [{ threshold: 5, churn: 1.5 }] } }))
+                .toThrow('with churn between 0 and 1');
+            expect(() => calculator.setSegmentDemandModel(' ', {}, { elasticity: -0.5 })).toThrow('Segment name must be a non-empty string');
+        });
+    });
+
+    describe('getDemandResponse', () => {
+        const stepModel = () => calculator.normalizeDemandModel({
+            elasticity: { type: 'steps', steps: [{ upTo: 5, elasticity: -0.1 }, { upTo: 10, elasticity: -0.8 }, { upTo: null, elasticity: -1.2 }] },
+            churn: { type: 'steps', steps: [{ threshold: 5, churn: 0.02 }, { threshold: 10, churn: 0.12 }] }
+        });
+
+        it('should apply each elasticity band to its slice of the price change', () => {
+            const model = stepModel();
+            const multiplier = percent => calculator.getDemandResponse(model, percent, true, 'realistic').volumeMultiplier;
+
+            expect(multiplier(4)).toBeCloseTo(1 - 0.004, 10);
+            expect(multiplier(5)).toBeCloseTo(1 - 0.005, 10);
+            expect(multiplier(10)).toBeCloseTo(1 - 0.045, 10);
+            expect(multiplier(15)).toBeCloseTo(1 - 0.105, 10);
+            expect(multiplier(-5)).toBeCloseTo(1 + 0.005, 10);
+        });
+
+        it('should stay continuous across a breakpoint', () => {
+            const model = stepModel();
+            const multiplier = percent => calculator.getDemandResponse(model, percent, true, 'realistic').volumeMultiplier;
+
+            expect(multiplier(5.0001) - multiplier(5)).toBeCloseTo(-0.0001 * 0.008, 10);
+            expect(multiplier(10) - multiplier(9.9999)).toBeCloseTo(-0.0001 * 0.008, 10);
+        });
+
+        it('should step churn at each threshold', () => {
+            const model = stepModel();
+            const churn = percent => calculator.getDemandResponse(model, percent, true, 'realistic').churnRisk;
+
+            expect([churn(4.99), churn(5), churn(9.99), churn(10), churn(20), churn(-10)]).toEqual([0, 0.02, 0.02, 0.12, 0.12, 0]);
+        });
+
+        it('should keep the volume multiplier inside the model range and ignore elasticity when asked', () => {
+            const model = calculator.normalizeDemandModel({ elasticity: -2, volumeMultiplierRange: { min: 0.8 } });
+
+            expect(calculator.getDemandResponse(model, 20, true, 'realistic').volumeMultiplier).toBe(0.8);
+            expect(calculator.getDemandResponse(model, 20, false, 'realistic')).toEqual({ volumeMultiplier: 1, churnRisk: 0 });
+        });
+    });
+
+    describe('generatePricingRecommendations', () => {
+        it('should give the surplus strategy implementation notes', () => {
+            const buckets = new Map([['bucket-1', {
+                bucketId: 'bucket-1',
+                bucketName: 'Standard',
+                customerCount: 2,
+                assignedCustomers: ['customer-1', 'customer-2'],
+                averagePrice: 115,
+                totalVolume: 400,
+                totalRevenue: 46000
+            }]]);
+
+            const recommendations = calculator.generatePricingRecommendations(-141616.67, buckets);
+
+            expect(recommendations.primaryRecommendation.name).toBe('Retention & Growth Optimization');
+            expect(recommendations.implementationNotes).toEqual([
+                'Implement retention & growth optimization over 2-4 weeks',
+                'Expected complexity: low'
+            ]);
+        });
+    });
+});
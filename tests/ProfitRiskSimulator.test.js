@@ -0,0 +1,100 @@
+/**
+ * ProfitRiskSimulator - Monte Carlo profit distribution and tornado
+ */
+const ProfitRiskSimulator = require('../ProfitRiskSimulator');
+
+// $130/yard revenue; at 1000 yards, $70/yard manufacturing and $30,000 labor + fixed, profit is 60 × volume - 30,000
+const PLAN = {
+    historical: {
+        months: ['Jan 2024'],
+        volume: 1000,
+        revenue: 130000,
+        costs: 100000,
+        profit: 30000,
+        margin: 23.08,
+        costBreakdown: { manufacturing: 70000, labor: 20000, fixed: 10000 }
+    },
+    profitGoal: 33000,
+    projectedVolume: 1000,
+    costs: { manufacturingPerYard: 70, labor: 20000, fixed: 10000 }
+};
+
+describe('ProfitRiskSimulator', () => {
+    const simulator = new ProfitRiskSimulator();
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('simulate', () => {
+        const inputs = {
+            volume: { type: 'uniform', min: 900, max: 1100 },
+            labor: { type: 'triangular', min: 19000, max: 22000 }
+        };
+
+        it('should repeat a run with the same seed', () => {
+            const first = simulator.simulate(PLAN, { inputs, iterations: 500, seed: 7 });
+            const second = simulator.simulate(PLAN, { inputs, iterations: 500, seed: 7 });
+            const other = simulator.simulate(PLAN, { inputs, iterations: 500, seed: 8 });
+
+            expect(second).toEqual(first);
+            expect(other.profit.mean).not.toBe(first.profit.mean);
+        });
+
+        it('should order the profit percentiles and price the plan at its own values', () => {
+            const risk = simulator.simulate(PLAN, { inputs, iterations: 2000 });
+            const { profit } = risk;
+
+            expect(risk.baseProfit).toBe(30000);
+            expect(profit.min).toBeLessThanOrEqual(profit.p10);
+            expect(profit.p10).toBeLessThanOrEqual(profit.p50);
+            expect(profit.p50).toBeLessThanOrEqual(profit.p90);
+            expect(profit.p90).toBeLessThanOrEqual(profit.max);
+            expect(profit.min).toBeGreaterThanOrEqual(60 * 900 - 32000);
+            expect(profit.max).toBeLessThanOrEqual(60 * 1100 - 29000);
+            expect(risk.histogram.reduce((count, bin) => count + bin.count, 0)).toBe(2000);
+        });
+
+        it('should estimate the probability of meeting the goal', () => {
+            // Profit reaches 33,000 from 1050 yards, a quarter of the volume range
+            const risk = simulator.simulate(PLAN, { inputs: { volume: inputs.volume }, iterations: 5000 });
+
+            expect(risk.probabilityOfMeetingGoal).toBeGreaterThan(22);
+            expect(risk.probabilityOfMeetingGoal).toBeLessThan(28);
+            expect(simulator.simulate({ ...PLAN, profitGoal: 0 }, { inputs, iterations: 100 }).probabilityOfMeetingGoal).toBeNull();
+        });
+
+        it('should rank the inputs that move profit the most first', () => {
+            const risk = simulator.simulate(PLAN, { inputs, iterations: 2000 });
+
+            expect(risk.tornado.map(entry => entry.input)).toEqual(['volume', 'labor']);
+            expect(risk.tornado[0].swing).toBeGreaterThan(risk.tornado[1].swing);
+            expect(risk.tornado[0].correlation).toBeGreaterThan(0);
+            expect(risk.tornado[1].correlation).toBeLessThan(0);
+            expect(risk.inputs.map(input => [input.input, input.planValue])).toEqual([['volume', 1000], ['labor', 20000]]);
+        });
+
+        it('should default a missing mode to the plan value', () => {
+            const risk = simulator.simulate(PLAN, { inputs, iterations: 100 });
+
+            expect(risk.inputs[1].distribution).toEqual({ type: 'triangular', min: 19000, mode: 20000, max: 22000 });
+        });
+
+        it('should refuse runs without a distribution or with invalid inputs', () => {
+            expect(() => simulator.simulate(PLAN, { inputs: { volume: 1200 } }))
+                .toThrow('Risk simulation failed: inputs need at least one distribution to simulate');
+            expect(() => simulator.simulate(PLAN, { inputs: { margin: { type: 'uniform', min: 0, max: 1 } } }))
+                .toThrow('Unknown simulation input(s): margin');
+            expect(() => simulator.simulate(PLAN, { inputs: { volume: { type: 'triangular', min: 1100, max: 1200 } } }))
+                .toThrow('Projected volume: triangular distribution needs min <= mode <= max');
+            expect(() => simulator.simulate(PLAN, { inputs, iterations: 50 }))
+                .toThrow('iterations must be a whole number from 100 to 100000');
+            expect(() => simulator.simulate({ ...PLAN, historical: { volume: 0 } }, { inputs }))
+                .toThrow('Historical period with volume is required');
+        });
+    });
+});
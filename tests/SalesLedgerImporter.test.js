@@ -0,0 +1,102 @@
+/**
+ * SalesLedgerImporter - customer IDs and rejected row line numbers
+ */
+const SalesLedgerImporter = require('../SalesLedgerImporter');
+
+const LEDGER = [
+    'sale_date,customer,concrete_yards,unit_price',
+    '2024-01-05,A&B Concrete,120,128',
+    '2024-01-09,A-B Concrete,40,142',
+    '2024-02-07,A&B Concrete,90,130',
+    '2024-02-11,a&b  concrete,35,140',
+    '2024-02-15,A B Concrete,60,135',
+    '2024-02-20,Plain Builders,70,134'
+].join('\n');
+
+describe('SalesLedgerImporter', () => {
+    const importer = new SalesLedgerImporter();
+
+    describe('importTable', () => {
+        let result;
+
+        beforeAll(() => {
+            result = importer.importTable(importer.parseCSV(LEDGER));
+        });
+
+        it('should keep customers apart when their names share a slug', () => {
+            const customers = result.customerAnalytics
+                .map(customer => [customer.customerId, customer.customerName, customer.totalVolume])
+                .sort(([a], [b]) => a.localeCompare(b));
+
+            expect(customers).toEqual([
+                ['customer-a-b-concrete', 'A&B Concrete', 245],
+                ['customer-a-b-concrete-2', 'A-B Concrete', 40],
+                ['customer-a-b-concrete-3', 'A B Concrete', 60],
+                ['customer-plain-builders', 'Plain Builders', 70]
+            ]);
+        });
+
+        it('should give names that differ only in case or spacing one ID', () => {
+            const ids = result.transactions
+                .filter(transaction => transaction.customerName.toLowerCase().replace(/\s+/g, ' ') === 'a&b concrete')
+                .map(transaction => transaction.customerId);
+
+            expect(ids).toEqual(['customer-a-b-concrete', 'customer-a-b-concrete', 'customer-a-b-concrete']);
+        });
+
+        it('should use the customer ID column when the ledger has one', () => {
+            const table = importer.parseCSV([
+                'sale_date,customer,account number,concrete_yards,unit_price',
+                '2024-01-05,A&B Concrete,ACC-1,120,128',
+                '2024-01-09,A-B Concrete,ACC-2,40,142'
+            ].join('\n'));
+
+            expect(importer.importTable(table).transactions.map(transaction => transaction.customerId)).toEqual(['ACC-1', 'ACC-2']);
+        });
+
+        it('should give rows without an ID the ID the same customer has on other rows', () => {
+            const table = importer.parseCSV([
+                'sale_date,customer,customer_id,concrete_yards,unit_price',
+                '2024-01-05,A&B Concrete,,120,128',
+                '2024-01-09,A&B Concrete,ACC-1,40,142',
+                '2024-01-12,a&b  concrete,,30,140'
+            ].join('\n'));
+            const imported = importer.importTable(table);
+
+            expect(imported.transactions.map(transaction => transaction.customerId)).toEqual(['ACC-1', 'ACC-1', 'ACC-1']);
+            expect(imported.customerAnalytics).toHaveLength(1);
+        });
+
+        it('should keep generated IDs clear of the IDs given in the file', () => {
+            const table = importer.parseCSV([
+                'sale_date,customer,customer_id,concrete_yards,unit_price',
+                '2024-01-05,Plain Builders,customer-a-b-concrete,120,128',
+                '2024-01-09,A&B Concrete,,40,142'
+            ].join('\n'));
+
+            expect(importer.importTable(table).transactions.map(transaction => transaction.customerId))
+                .toEqual(['customer-a-b-concrete', 'customer-a-b-concrete-2']);
+        });
+    });
+
+    describe('rejected rows', () => {
+        it('should report the file line a rejected row starts on', () => {
+            const table = importer.parseCSV([
+                'sale_date,customer,concrete_yards,unit_price',
+                '2024-01-05,"Plain Builders',
+                'Yard 2",120,128',
+                '',
+                '2024-01-09,Plain Builders,forty,142',
+                '2024-01-12,,30,140'
+            ].join('\n'));
+            const imported = importer.importTable(table);
+
+            expect(imported.transactions.map(transaction => [transaction.rowNumber, transaction.customerName]))
+                .toEqual([[2, 'Plain Builders\nYard 2']]);
+            expect(imported.rejectedRows.map(rejected => [rejected.rowNumber, rejected.errors])).toEqual([
+                [5, ['concrete_yards is missing or not a number']],
+                [6, ['customer is missing']]
+            ]);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * ScenarioComparator - what-if scenarios against the baseline
+ */
+const fs = require('fs');
+const path = require('path');
+const ScenarioComparator = require('../ScenarioComparator');
+
+const EXAMPLES = path.join(__dirname, '..', 'examples');
+
+describe('ScenarioComparator', () => {
+    const comparator = new ScenarioComparator();
+
+    describe('compare', () => {
+        let comparison;
+
+        beforeAll(async () => {
+            const { data, variants, ...scenario } = JSON.parse(fs.readFileSync(path.join(EXAMPLES, 'scenario-comparison.json'), 'utf8'));
+            scenario.historicalData = JSON.parse(fs.readFileSync(path.join(EXAMPLES, data.historical), 'utf8'));
+            comparison = await comparator.compare(scenario, variants);
+        });
+
+        it('should add the cost rows up to the total costs in every scenario', () => {
+            comparison.scenarios.forEach(({ name, figures }) => {
+                const rows = figures.manufacturingTotal + figures.labor + figures.fixed;
+                expect({ name, costs: figures.costs }).toEqual({ name, costs: Math.round(rows * 100) / 100 });
+                expect(figures.revenue - figures.costs).toBeCloseTo(figures.profit, 1);
+            });
+        });
+
+        it('should move manufacturing with a price-only variant\'s volume change', () => {
+            const [baseline, ...variants] = comparison.scenarios;
+            const priceOnly = variants.find(scenario =>
+                scenario.deltas.labor.change === 0 && scenario.deltas.fixed.change === 0 && scenario.deltas.volume.change !== 0);
+
+            expect(priceOnly).toBeDefined();
+            expect(baseline.isBaseline).toBe(true);
+            expect(priceOnly.deltas.manufacturingTotal.change).toBeCloseTo(priceOnly.deltas.costs.change, 2);
+            expect(priceOnly.deltas.manufacturingTotal.change).not.toBe(0);
+        });
+    });
+
+    describe('summarizeScenario', () => {
+        const projection = {
+            volume: 1000,
+            projectedRevenue: 130000,
+            projectedProfit: 30000,
+            manufacturingTotal: 70000,
+            labor: 20000,
+            fixed: 10000,
+            profitGoal: 40000
+        };
+
+        it('should charge the volume lost to elasticity at the manufacturing cost', () => {
+            const adjustmentImpact = {
+                summary: { revenueChange: 2500, profitChange: 3200, volumeImpact: -10, averageChurnRisk: 0.02 },
+                riskAssessment: { level: 'low' }
+            };
+
+            const { figures } = comparator.summarizeScenario({ name: 'Price up' }, projection, adjustmentImpact);
+
+            expect(figures.volume).toBe(990);
+            expect(figures.manufacturingTotal).toBe(69300);
+            expect(figures.costs).toBe(99300);
+            expect(figures.profit).toBe(33200);
+            expect(figures.revenue - figures.costs).toBe(figures.profit);
+        });
+
+        it('should use the projection as is without pricing changes', () => {
+            const { figures, riskLevel } = comparator.summarizeScenario({ name: 'Baseline' }, projection);
+
+            expect(riskLevel).toBe('none');
+            expect(figures.manufacturingTotal).toBe(70000);
+            expect(figures.costs).toBe(100000);
+            expect(figures.goalAchievement).toBe(75);
+        });
+    });
+});
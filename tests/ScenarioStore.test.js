@@ -0,0 +1,121 @@
+/**
+ * ScenarioStore - scenario documents, migrations and storage
+ */
+const ScenarioStore = require('../ScenarioStore');
+
+const ROLLOUT = {
+    phases: [
+        { bucket: 'bucket-1', effective: '2025-02-01', adjustment: 3, adjustmentType: 'percentage' }
+    ],
+    contractRenewals: { 'customer-1': '2025-03-01' }
+};
+
+const EXCEPTIONS = {
+    'customer-2': { fixedPrice: 138, contractEndDate: '2025-06-30' },
+    'customer-3': { maxIncrease: 2, maxIncreaseType: 'percentage' }
+};
+
+describe('ScenarioStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new ScenarioStore({ backend: 'memory' });
+    });
+
+    describe('createDocument', () => {
+        it('should default the phased rollout and customer exceptions to empty', () => {
+            const document = store.createDocument({ name: 'Q1 plan' });
+
+            expect(document.schemaVersion).toBe(store.SCHEMA_VERSION);
+            expect(document.customerPricing.rollout).toEqual({ phases: [], contractRenewals: {} });
+            expect(document.customerPricing.customerExceptions).toEqual({});
+        });
+    });
+
+    describe('save and load', () => {
+        it('should keep the phased rollout and customer exceptions', async () => {
+            await store.save(store.createDocument({
+                name: 'Q1 plan',
+                customerPricing: { rollout: ROLLOUT, customerExceptions: EXCEPTIONS }
+            }));
+
+            const loaded = await store.load('Q1 plan');
+            expect(loaded.customerPricing.rollout).toEqual(ROLLOUT);
+            expect(loaded.customerPricing.customerExceptions).toEqual(EXCEPTIONS);
+        });
+
+        it('should keep the phased rollout and customer exceptions through a file', () => {
+            const file = store.toFile(store.createDocument({
+                name: 'Q1 plan',
+                customerPricing: { rollout: ROLLOUT, customerExceptions: EXCEPTIONS }
+            }));
+            const opened = store.fromFile(file.content);
+
+            expect(opened.customerPricing.rollout).toEqual(ROLLOUT);
+            expect(opened.customerPricing.customerExceptions).toEqual(EXCEPTIONS);
+        });
+    });
+
+    describe('list', () => {
+        it('should summarize older documents as load returns them', async () => {
+            store.memoryStore.set('legacy', {
+                version: '1.0.0',
+                exportedAt: '2024-06-01T00:00:00.000Z',
+                buckets: [['bucket-1', { bucketId: 'bucket-1', bucketName: 'High Volume', criteria: { volumeMin: 150 } }]],
+                customerToBucket: [['customer-1', 'bucket-1']]
+            });
+            await store.save(store.createDocument({ name: 'Q1 plan' }));
+
+            const listed = await store.list();
+            const legacy = await store.load('legacy');
+
+            expect(listed.map(summary => [summary.name, summary.schemaVersion])).toEqual([
+                ['Q1 plan', store.SCHEMA_VERSION],
+                ['Imported buckets 2024-06-01', store.SCHEMA_VERSION]
+            ]);
+            expect(listed[1]).toEqual({
+                name: legacy.name,
+                savedAt: '2024-06-01T00:00:00.000Z',
+                schemaVersion: legacy.schemaVersion,
+                currentStep: legacy.currentStep
+            });
+        });
+    });
+
+    describe('migrate', () => {
+        it('should add an empty rollout and no customer exceptions to schema 1 documents', () => {
+            const document = store.createDocument({ name: 'Old plan' });
+            delete document.customerPricing.rollout;
+            delete document.customerPricing.customerExceptions;
+            document.schemaVersion = 1;
+
+            const migrated = store.migrate(document);
+            expect(migrated.schemaVersion).toBe(store.SCHEMA_VERSION);
+            expect(migrated.customerPricing.rollout).toEqual({ phases: [], contractRenewals: {} });
+            expect(migrated.customerPricing.customerExceptions).toEqual({});
+            expect(migrated.name).toBe('Old plan');
+        });
+
+        it('should migrate bucket exports through every schema', () => {
+            const migrated = store.migrate({
+                version: '1.0.0',
+                exportedAt: '2024-06-01T00:00:00.000Z',
+                buckets: [['bucket-1', { bucketId: 'bucket-1', bucketName: 'High Volume', criteria: { volumeMin: 150 } }]],
+                customerToBucket: [['customer-1', 'bucket-1']]
+            });
+
+            expect(migrated.schemaVersion).toBe(store.SCHEMA_VERSION);
+            expect(migrated.customerPricing.assignments).toEqual({ 'customer-1': 'bucket-1' });
+            expect(migrated.customerPricing.rollout).toEqual({ phases: [], contractRenewals: {} });
+            expect(migrated.customerPricing.customerExceptions).toEqual({});
+        });
+
+        it('should refuse documents from a newer schema', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const document = { ...store.createDocument({ name: 'Future plan' }), schemaVersion: store.SCHEMA_VERSION + 1 };
+
+            expect(() => store.migrate(document)).toThrow(`is newer than supported version ${store.SCHEMA_VERSION}`);
+            console.error.mockRestore();
+        });
+    });
+});
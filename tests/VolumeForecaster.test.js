@@ -0,0 +1,78 @@
+/**
+ * VolumeForecaster - monthly forecasts and period totals
+ */
+const fs = require('fs');
+const path = require('path');
+const VolumeForecaster = require('../VolumeForecaster');
+
+const HISTORY = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'examples', 'historical-2022-2024.json'), 'utf8'));
+
+describe('VolumeForecaster', () => {
+    const forecaster = new VolumeForecaster();
+
+    describe('forecast', () => {
+        let forecast;
+
+        beforeAll(() => {
+            forecast = forecaster.forecast(HISTORY, { startMonth: 'Jan 2025', monthCount: 3 });
+        });
+
+        it('should forecast the requested months and backtest the chosen method', () => {
+            expect(forecast.months.map(month => month.month)).toEqual(['Jan 2025', 'Feb 2025', 'Mar 2025']);
+            expect(forecast.history).toEqual({ months: 36, firstMonth: 'Jan 2022', lastMonth: 'Dec 2024' });
+            expect(forecast.backtest).not.toBeNull();
+            expect(forecast.candidates.map(candidate => candidate.method)).toEqual(['decomposition', 'holt-winters']);
+        });
+
+        it('should center the period total on the summed monthly volume', () => {
+            const volume = forecast.months.reduce((total, month) => total + month.volume, 0);
+
+            expect(forecast.total.volume).toBeCloseTo(volume, 2);
+            expect(forecast.total.volumePercentiles[50]).toBeCloseTo(volume, 1);
+            forecast.total.intervals.forEach(interval => {
+                expect(interval.lower + interval.upper).toBeCloseTo(2 * volume, 0);
+            });
+        });
+
+        it('should combine monthly variances instead of adding the monthly bounds', () => {
+            const variance = forecast.months.reduce((total, month) =>
+                total + Math.pow(month.volume * month.standardError, 2), 0);
+
+            expect(forecast.total.standardDeviation).toBeCloseTo(Math.sqrt(variance), 0);
+            forecast.total.intervals.forEach((interval, position) => {
+                const summedWidth = forecast.months.reduce((total, month) =>
+                    total + month.intervals[position].upper - month.intervals[position].lower, 0);
+
+                expect(interval.upper - interval.lower).toBeLessThan(summedWidth);
+                expect(Math.abs(interval.revenueUpper / forecast.revenuePerYard - interval.upper)).toBeLessThan(0.1);
+            });
+        });
+
+        it('should report period percentiles in increasing order', () => {
+            const percentiles = forecaster.percentiles.map(percentile => forecast.total.volumePercentiles[percentile]);
+
+            expect(percentiles).toEqual([...percentiles].sort((a, b) => a - b));
+            expect(percentiles[0]).toBeLessThan(percentiles[percentiles.length - 1]);
+        });
+    });
+
+    describe('forecast errors', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should refuse a history shorter than two seasons', () => {
+            const recent = Object.fromEntries(Object.entries(HISTORY).slice(-12));
+
+            expect(() => forecaster.forecast(recent)).toThrow('Needs at least 24 consecutive months of history (has 12)');
+        });
+
+        it('should refuse unknown methods', () => {
+            expect(() => forecaster.forecast(HISTORY, { method: 'arima' })).toThrow('Unknown forecast method: arima');
+        });
+    });
+});
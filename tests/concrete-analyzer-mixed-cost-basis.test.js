@@ -0,0 +1,103 @@
+/**
+ * concrete-analyzer-mixed-cost-basis.html - overlap analysis matches the pipeline
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const ConcreteAnalysisPipeline = require('../ConcreteAnalysisPipeline');
+const CustomerAnalyticsEngine = require('../CustomerAnalyticsEngine');
+const OverlapResolutionEngine = require('../OverlapResolutionEngine');
+
+const PAGE = fs.readFileSync(path.join(__dirname, '..', 'concrete-analyzer-mixed-cost-basis.html'), 'utf8');
+const HISTORICAL = require('../examples/historical-2024.json');
+
+const SEED = 2024;
+const MONTHS = ['Jan 2024', 'Feb 2024', 'Mar 2024'];
+const BUCKETS = [
+    { name: 'Large', criteria: { volumeMin: 100 } },
+    { name: 'Mid Size', criteria: { volumeMin: 50, volumeMax: 400 } },
+    { name: 'Premium', criteria: { priceMin: 130 } }
+];
+
+// The page's inline application script and one of its top-level functions
+const inlineScript = () => PAGE.match(/<script>([\s\S]*?)<\/script>/)[1];
+const pageFunction = name => inlineScript().match(new RegExp(`(?:async )?function ${name}\\(\\) \\{[\\s\\S]*?\\n        \\}\\n`))[0];
+
+// Runs the page's checkForOverlaps over the customers and buckets as the page holds them
+const runPageOverlapCheck = async (customers, buckets) => {
+    const context = vm.createContext({
+        window: { overlapEngine: new OverlapResolutionEngine() },
+        customerAnalytics: customers,
+        customerBuckets: new Map(buckets.map((bucket, index) => [`bucket-${index + 1}`, {
+            bucketId: `bucket-${index + 1}`,
+            bucketName: bucket.name,
+            criteria: {
+                volumeMin: null,
+                volumeMax: null,
+                priceMin: null,
+                priceMax: null,
+                profitMarginMin: null,
+                profitMarginMax: null,
+                ...bucket.criteria
+            },
+            assignedCustomers: []
+        }])),
+        document: { getElementById: () => ({ style: {} }) },
+        renderOverlapPanel: () => {},
+        console
+    });
+    vm.runInContext(`var overlapConflicts = [];\n${pageFunction('checkForOverlaps')}`, context);
+    await vm.runInContext('checkForOverlaps()', context);
+    return context.overlapConflicts;
+};
+
+describe('concrete-analyzer-mixed-cost-basis.html', () => {
+    it('should load OverlapResolutionEngine.js instead of defining its own engine', () => {
+        const sources = [...PAGE.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+
+        expect(sources).toEqual(expect.arrayContaining(['AssignmentOptimizer.js', 'OverlapResolutionEngine.js']));
+        expect(sources.indexOf('AssignmentOptimizer.js')).toBeLessThan(sources.indexOf('OverlapResolutionEngine.js'));
+        expect(inlineScript()).not.toMatch(/class OverlapResolutionEngine\b/);
+    });
+
+    it('should find the same overlaps and recommendations as the pipeline for a fixed scenario', async () => {
+        const result = await new ConcreteAnalysisPipeline().run({
+            historicalData: HISTORICAL,
+            sampleSeed: SEED,
+            selectedMonths: MONTHS,
+            profitGoal: 150000,
+            projectedVolume: 4000,
+            buckets: BUCKETS
+        });
+        const customers = new CustomerAnalyticsEngine({ sampleSeed: SEED }).analyzeCustomers(MONTHS);
+        const conflicts = await runPageOverlapCheck(customers, BUCKETS);
+
+        const byCustomer = (a, b) => a.customerId.localeCompare(b.customerId);
+        const byBucket = (a, b) => a.bucketName.localeCompare(b.bucketName);
+        const threshold = new OverlapResolutionEngine().matchThreshold;
+        const pipelineOverlaps = result.overlapResolutions
+            .map(resolution => ({
+                customerId: resolution.customerId,
+                recommendedBucketName: resolution.selectedBucketName,
+                eligibleBuckets: resolution.eligibleBuckets
+                    .filter(bucket => bucket.matchScore >= threshold)
+                    .map(({ bucketName, matchScore }) => ({ bucketName, matchScore }))
+                    .sort(byBucket)
+            }))
+            .filter(overlap => overlap.eligibleBuckets.length > 1)
+            .sort(byCustomer);
+        const pageOverlaps = conflicts
+            .map(conflict => ({
+                customerId: conflict.customerId,
+                recommendedBucketName: conflict.recommendedBucketName,
+                eligibleBuckets: conflict.eligibleBuckets
+                    .map(({ bucketName, matchScore }) => ({ bucketName, matchScore }))
+                    .sort(byBucket)
+            }))
+            .sort(byCustomer);
+
+        expect(customers.map(customer => customer.customerId)).toEqual(result.customers.map(customer => customer.customerId));
+        expect(pageOverlaps.length).toBeGreaterThan(0);
+        expect(pageOverlaps).toEqual(pipelineOverlaps);
+    });
+});
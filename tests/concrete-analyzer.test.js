@@ -0,0 +1,104 @@
+/**
+ * concrete-analyzer CLI - scenario files and report output
+ */
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'concrete-analyzer.js');
+
+// 60 customers with two months of sales each; every customer fits both buckets
+const writeLedger = filePath => {
+    const rows = ['sale_date,customer_id,customer,concrete_yards,unit_price'];
+    for (let index = 0; index < 60; index++) {
+        const id = `C${String(index + 1).padStart(3, '0')}`;
+        ['2024-01-15', '2024-02-15'].forEach(date => {
+            rows.push(`${date},${id},Customer ${index + 1},${20 + index * 3},${120 + index % 9}`);
+        });
+    }
+    fs.writeFileSync(filePath, rows.join('\n') + '\n');
+};
+
+const runCli = args => execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+describe('concrete-analyzer', () => {
+    let directory;
+
+    beforeAll(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'concrete-analyzer-'));
+        writeLedger(path.join(directory, 'ledger.csv'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const writeScenario = (name, scenario) => {
+        const filePath = path.join(directory, name);
+        fs.writeFileSync(filePath, JSON.stringify({
+            data: { ledger: 'ledger.csv' },
+            profitGoal: 50000,
+            projectedVolume: 9000,
+            buckets: [
+                { name: 'Large', criteria: { volumeMin: 10 } },
+                { name: 'Everyone', criteria: {} }
+            ],
+            ...scenario
+        }));
+        return filePath;
+    };
+
+    describe('YAML scenarios', () => {
+        const yamlScenario = () => {
+            const filePath = path.join(directory, 'scenario.yaml');
+            fs.writeFileSync(filePath, ['data:', '  ledger: ledger.csv', 'profitGoal: 50000', 'projectedVolume: 9000', ''].join('\n'));
+            return filePath;
+        };
+
+        it('should read YAML scenarios with js-yaml', () => {
+            const { scenario } = require('../bin/concrete-analyzer').loadScenario({ scenario: yamlScenario() });
+
+            expect(scenario.profitGoal).toBe(50000);
+            expect(scenario.transactions).toHaveLength(120);
+        });
+
+        it('should say how to get YAML support when js-yaml is missing', () => {
+            jest.isolateModules(() => {
+                jest.doMock('js-yaml', () => {
+                    throw new Error("Cannot find module 'js-yaml'");
+                });
+                const { loadScenario } = require('../bin/concrete-analyzer');
+
+                expect(() => loadScenario({ scenario: yamlScenario() }))
+                    .toThrow('YAML scenarios need the js-yaml package (npm install js-yaml); use JSON otherwise');
+            });
+            jest.dontMock('js-yaml');
+        });
+    });
+
+    describe('--format json', () => {
+        it('should print valid JSON after 50 or more manual resolutions are recorded', () => {
+            const assignments = {};
+            for (let index = 0; index < 60; index++) {
+                assignments[`C${String(index + 1).padStart(3, '0')}`] = index % 2 === 0 ? 'Everyone' : 'Large';
+            }
+            const scenarioPath = writeScenario('manual.json', { assignments });
+
+            const report = JSON.parse(runCli([scenarioPath, '--format', 'json']));
+
+            expect(report.assignments.filter(entry => entry.reason === 'manual')).toHaveLength(60);
+        });
+
+        it('should print valid JSON after optimizing the assignment of 50 or more overlapping customers', () => {
+            const scenarioPath = writeScenario('optimized.json', {
+                assignmentOptimization: { constraints: { buckets: { Large: { maxCustomers: 30 } } } }
+            });
+
+            const report = JSON.parse(runCli([scenarioPath, '--format', 'json']));
+
+            expect(report.assignments.filter(entry => entry.reason === 'optimized_assignment')).toHaveLength(60);
+            expect(report.buckets.find(bucket => bucket.bucketName === 'Large').customerCount).toBe(30);
+        });
+    });
+});